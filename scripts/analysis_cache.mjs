@@ -0,0 +1,103 @@
+/*
+ * Analysis cache: finished `final` answers stored on disk, keyed by a hash
+ * of everything that shapes the answer (rule type, rule content, spec
+ * context, analysis prompt version, provider and model). Re-scraping the same run and
+ * analyzing it again is then served instantly instead of re-running the LLM.
+ * One JSON file per entry under <data dir>/analysis-cache.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { defaultDataDir } from './helpers.mjs';
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+export function defaultAnalysisCacheDir(env = process.env, cwd = process.cwd()) {
+    return path.join(defaultDataDir(env, cwd), 'analysis-cache');
+}
+
+/**
+ * Cache key for one analysis request: sha256 over the prompt inputs.
+ * Line endings are normalized so the same report scraped on another OS hits.
+ */
+export function analysisCacheKey({ type, content, context, promptVersion, provider, model }) {
+    const inputs = {
+        type: String(type || ''),
+        content: String(content || '').replace(/\r\n/g, '\n'),
+        context: String(context || '').replace(/\r\n/g, '\n'),
+        promptVersion: String(promptVersion ?? ''),
+        provider: String(provider || ''),
+        model: String(model || '')
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
+function writeJsonAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * File-backed cache. get(key) -> entry | null, set(key, { answer, ... }),
+ * delete(key), clear() -> removed count, stats() -> { dir, entries, bytes }.
+ */
+export function createAnalysisCache(dir = defaultAnalysisCacheDir()) {
+    const fileFor = (key) => {
+        if (typeof key !== 'string' || !KEY_PATTERN.test(key)) throw new Error(`Invalid analysis cache key: ${key}`);
+        return path.join(dir, `${key}.json`);
+    };
+    const entryFiles = () => {
+        try {
+            return fs.readdirSync(dir).filter(name => name.endsWith('.json') && KEY_PATTERN.test(name.slice(0, -5)));
+        } catch {
+            return [];
+        }
+    };
+
+    return {
+        dir,
+
+        get(key) {
+            try {
+                const entry = JSON.parse(fs.readFileSync(fileFor(key), 'utf-8'));
+                return entry && typeof entry.answer === 'string' && entry.answer.trim() ? entry : null;
+            } catch {
+                return null;
+            }
+        },
+
+        // Store a finished answer; empty answers are never cached
+        set(key, { answer, ...meta }) {
+            if (typeof answer !== 'string' || !answer.trim()) return null;
+            const entry = { key, answer, ...meta, cachedAt: new Date().toISOString() };
+            fs.mkdirSync(dir, { recursive: true });
+            writeJsonAtomic(fileFor(key), entry);
+            return entry;
+        },
+
+        delete(key) {
+            const file = fileFor(key);
+            if (!fs.existsSync(file)) return false;
+            fs.rmSync(file, { force: true });
+            return true;
+        },
+
+        clear() {
+            const files = entryFiles();
+            for (const name of files) fs.rmSync(path.join(dir, name), { force: true });
+            return files.length;
+        },
+
+        stats() {
+            const files = entryFiles();
+            let bytes = 0;
+            for (const name of files) {
+                try { bytes += fs.statSync(path.join(dir, name)).size; } catch { }
+            }
+            return { dir, entries: files.length, bytes };
+        }
+    };
+}
@@ -0,0 +1,198 @@
+/*
+ * Analysis scheduler: every LLM analysis goes through one queue.
+ * At most maxConcurrency analyses run at once (server-wide), each provider
+ * can be held to N requests per interval, and failed attempts are retried
+ * with exponential backoff. Batch analysis of dozens of failing rules then
+ * queues instead of spawning one Codex per rule or burning the API quota.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+
+export const DEFAULT_MAX_CONCURRENCY = 2;
+export const DEFAULT_MAX_RETRIES = 2;
+export const DEFAULT_RETRY_BASE_MS = 2000;
+export const DEFAULT_RETRY_MAX_MS = 60000;
+
+const positiveInt = (value, fallback, min = 0) => {
+    const n = Number.parseInt(value, 10);
+    return Number.isFinite(n) && n >= min ? n : fallback;
+};
+
+/**
+ * Parse per-provider rate limits: "openai=60/60,deepseek=20/30" means
+ * 60 requests per 60s for openai and 20 per 30s for deepseek.
+ * Returns { [provider]: { requests, intervalMs } }.
+ */
+export function parseRateLimits(spec) {
+    const limits = {};
+    for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+        const match = part.match(/^([A-Za-z0-9_-]+)\s*=\s*(\d+)\s*\/\s*(\d+(?:\.\d+)?)$/);
+        if (!match || Number(match[2]) < 1 || Number(match[3]) <= 0) {
+            throw new Error(`Invalid rate limit "${part}" (expected provider=requests/seconds)`);
+        }
+        limits[match[1].toLowerCase()] = { requests: Number(match[2]), intervalMs: Number(match[3]) * 1000 };
+    }
+    return limits;
+}
+
+/**
+ * Scheduler options from the environment:
+ * ANALYSIS_CONCURRENCY, ANALYSIS_MAX_RETRIES, ANALYSIS_RETRY_BASE_MS and
+ * ANALYSIS_RATE_LIMITS (see parseRateLimits).
+ */
+export function schedulerConfigFromEnv(env = process.env) {
+    return {
+        maxConcurrency: positiveInt(env.ANALYSIS_CONCURRENCY, DEFAULT_MAX_CONCURRENCY, 1),
+        maxRetries: positiveInt(env.ANALYSIS_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+        retryBaseMs: positiveInt(env.ANALYSIS_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS),
+        rateLimits: parseRateLimits(env.ANALYSIS_RATE_LIMITS)
+    };
+}
+
+/**
+ * Whether a failed provider result is worth another attempt: rate limits
+ * (HTTP 429), server errors and crashed processes are; cancellations, other
+ * HTTP 4xx and setup errors (missing key, CLI not installed) are not.
+ */
+export function isRetryableResult(result) {
+    if (!result || result.ok) return false;
+    const error = String(result.error || '');
+    if (error === 'aborted') return false;
+    if (result.code === 429 || result.code >= 500) return true;
+    if (result.code >= 400) return false;
+    return !/missing api key|cli not found/i.test(error);
+}
+
+// Delay before retry number `retry` (1-based): base * 2^(retry-1), capped
+export function retryDelay(retry, baseMs = DEFAULT_RETRY_BASE_MS, maxMs = DEFAULT_RETRY_MAX_MS) {
+    return Math.min(maxMs, baseMs * 2 ** Math.max(0, retry - 1));
+}
+
+// Resolves after ms, or early (false) when the signal aborts
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        if (signal?.aborted) return resolve(false);
+        const onAbort = () => { clearTimeout(timer); resolve(false); };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(true);
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+const abortedResult = () => ({ ok: false, code: null, output: '', answer: '', error: 'aborted' });
+
+/**
+ * Create a scheduler. Options: { maxConcurrency, maxRetries, retryBaseMs,
+ * retryMaxMs, rateLimits, now }.
+ */
+export function createAnalysisScheduler(options = {}) {
+    const maxConcurrency = Math.max(1, options.maxConcurrency ?? DEFAULT_MAX_CONCURRENCY);
+    const maxRetries = Math.max(0, options.maxRetries ?? DEFAULT_MAX_RETRIES);
+    const retryBaseMs = options.retryBaseMs ?? DEFAULT_RETRY_BASE_MS;
+    const retryMaxMs = options.retryMaxMs ?? DEFAULT_RETRY_MAX_MS;
+    const rateLimits = options.rateLimits || {};
+    const now = options.now || Date.now;
+
+    const waiting = [];
+    const startTimes = new Map(); // provider -> start timestamps inside the current window
+    let running = 0;
+
+    const pump = () => {
+        while (running < maxConcurrency && waiting.length) {
+            const next = waiting.shift();
+            if (next.signal?.aborted) {
+                next.resolve(false);
+                continue;
+            }
+            running++;
+            next.resolve(true);
+        }
+    };
+
+    // Wait for a free slot; false when the signal aborted first
+    const acquireSlot = (signal) => new Promise((resolve) => {
+        const entry = { signal, resolve };
+        waiting.push(entry);
+        signal?.addEventListener('abort', () => {
+            const index = waiting.indexOf(entry);
+            if (index !== -1) {
+                waiting.splice(index, 1);
+                resolve(false);
+            }
+        }, { once: true });
+        pump();
+    });
+
+    const releaseSlot = () => {
+        running--;
+        pump();
+    };
+
+    // Milliseconds until provider may start another request (0 = now), per its sliding window
+    const rateLimitWait = (provider) => {
+        const limit = rateLimits[provider];
+        if (!limit) return 0;
+        const times = (startTimes.get(provider) || []).filter(t => now() - t < limit.intervalMs);
+        startTimes.set(provider, times);
+        return times.length < limit.requests ? 0 : times[0] + limit.intervalMs - now();
+    };
+
+    const recordStart = (provider) => {
+        if (!rateLimits[provider]) return;
+        startTimes.get(provider).push(now());
+    };
+
+    return {
+        maxConcurrency,
+
+        /**
+         * Queue one analysis. task = { provider, signal, run(attempt), onQueued(position),
+         * onStart(attempt), onRateLimited(waitMs), onRetry({ attempt, delayMs, error }) };
+         * run returns a provider result ({ ok, error, code, ... }). Resolves with the
+         * last result plus `attempts`; never rejects for provider failures.
+         */
+        async schedule(task) {
+            const provider = String(task.provider || 'default').toLowerCase();
+            const { signal } = task;
+            let attempt = 0;
+            let result = null;
+
+            while (true) {
+                attempt++;
+                if ((running >= maxConcurrency || waiting.length) && task.onQueued) task.onQueued(waiting.length + 1);
+                if (!(await acquireSlot(signal))) return { ...abortedResult(), attempts: attempt - 1 };
+                try {
+                    // Hold the slot while waiting for the provider's window so the order is kept
+                    let waitMs = rateLimitWait(provider);
+                    while (waitMs > 0) {
+                        if (task.onRateLimited) task.onRateLimited(waitMs);
+                        if (!(await sleep(waitMs, signal))) return { ...abortedResult(), attempts: attempt - 1 };
+                        waitMs = rateLimitWait(provider);
+                    }
+                    recordStart(provider);
+                    if (task.onStart) task.onStart(attempt);
+                    try {
+                        result = await task.run(attempt);
+                    } catch (e) {
+                        result = { ok: false, code: null, output: '', answer: '', error: e.message };
+                    }
+                } finally {
+                    releaseSlot();
+                }
+
+                if (result.ok || attempt > maxRetries || signal?.aborted || !isRetryableResult(result)) {
+                    return { ...result, attempts: attempt };
+                }
+                const delayMs = retryDelay(attempt, retryBaseMs, retryMaxMs);
+                if (task.onRetry) task.onRetry({ attempt, delayMs, error: result.error });
+                if (!(await sleep(delayMs, signal))) return { ...abortedResult(), attempts: attempt };
+            }
+        },
+
+        stats() {
+            return { maxConcurrency, maxRetries, running, queued: waiting.length, rateLimits };
+        }
+    };
+}
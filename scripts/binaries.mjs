@@ -0,0 +1,47 @@
+/*
+ * The external tools the server runs: the Codex CLI and certoraRun.
+ * Both are looked up on PATH by default. CODEX_BIN and CERTORA_RUN_BIN set
+ * them server-wide, and a project can set its own in .certora-scraper.json:
+ *
+ *   { "binaries": { "codex": "/opt/codex/bin/codex", "certoraRun": ".venv/bin/certoraRun" } }
+ *
+ * A relative path (one containing a slash) is resolved from the project root,
+ * or from the server's working directory for the environment variables.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import path from 'path';
+
+export const DEFAULT_BINARIES = { codex: 'codex', certoraRun: 'certoraRun' };
+
+const ENV_VARS = { codex: 'CODEX_BIN', certoraRun: 'CERTORA_RUN_BIN' };
+
+// Bare names stay PATH lookups; anything with a directory part becomes absolute
+const resolveBinary = (value, base) => (/[\\/]/.test(value) ? path.resolve(base, value) : value);
+
+/**
+ * Resolve { codex, certoraRun } from the defaults, the environment and the
+ * project config's "binaries", in that order. Throws on unknown tools and
+ * values that are not non-empty strings.
+ */
+export function binariesConfig(projectConfig = {}, { projectPath = '', env = process.env } = {}) {
+    const binaries = { ...DEFAULT_BINARIES };
+    for (const [tool, name] of Object.entries(ENV_VARS)) {
+        if (env[name] && env[name].trim()) binaries[tool] = resolveBinary(env[name].trim(), process.cwd());
+    }
+    const value = projectConfig.binaries;
+    if (value === undefined) return binaries;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('binaries must be an object');
+    }
+    for (const [tool, binary] of Object.entries(value)) {
+        if (!(tool in DEFAULT_BINARIES)) {
+            throw new Error(`Unknown binaries entry: ${tool} (expected ${Object.keys(DEFAULT_BINARIES).join(' or ')})`);
+        }
+        if (typeof binary !== 'string' || !binary.trim()) {
+            throw new Error(`binaries.${tool} must be a command name or path`);
+        }
+        binaries[tool] = resolveBinary(binary.trim(), String(projectPath || '').trim() || process.cwd());
+    }
+    return binaries;
+}
@@ -3,32 +3,103 @@
  * Credits: pixelPANDA | 胖达 for prior contributions and inspiration.
  * License: ISC (see root LICENSE file).
  */
-import { chromium } from 'playwright';
 import express from 'express';
 import cors from 'cors';
-import fetch from 'node-fetch';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { getProgressRoots } from './helpers.mjs';
 import {
-    parseRunInfo, buildResultBaseUrl, parseMaybeJson,
-    getProgressRoots, collectFailedRuleOutputs,
-    parseJobMetadata, extractCodexAnswer
-} from './helpers.mjs';
+    fetchProgress, scrapeRun, waitForJobCompletion, watchRun, fetchConfigFromEnv
+} from './prover_client.mjs';
+import { renderRuleMarkdown } from './report_markdown.mjs';
+import { createProvider, providerConfigFromEnv, availableProviders } from './llm_providers.mjs';
+import { createRunStore } from './run_store.mjs';
+import { flattenRuleStatuses, diffRuleStatuses } from './run_diff.mjs';
+import { buildFixItemPrompt, renderTemplate, errorTail, ERROR_TAIL_CHARS, DIAGNOSED_ERROR_TAIL_CHARS } from './prompts.mjs';
+import {
+    TEMPLATE_KINDS, analysisTemplateKind, resolvePromptTemplate, listPromptTemplates, templatesDir
+} from './prompt_templates.mjs';
+import { createCheckpointSession, loadCheckpointSession, listCheckpointSessions, checkpointItemSummary } from './checkpoints.mjs';
+import { loadProjectConfig } from './project_config.mjs';
+import { preflightConfig, preflightArgv } from './preflight.mjs';
+import { binariesConfig } from './binaries.mjs';
+import { retryPolicyConfig, createRetryTracker, describeAttempts } from './retry_policy.mjs';
+import { createJobManager } from './job_manager.mjs';
+import { createAnalysisScheduler, schedulerConfigFromEnv } from './analysis_scheduler.mjs';
+import { createAnalysisCache, analysisCacheKey } from './analysis_cache.mjs';
+import { buildSpecContext, listSpecFiles, confRuleName } from './spec_context.mjs';
+import { parseCvl } from './cvl_parser.mjs';
+import { snapshotSpecSources, lintSpecChanges, restoreSpecSources } from './soundness_lint.mjs';
+import { parseCertoraOutput, attachSnippets, formatDiagnostics, AGENT_FIXABLE_CATEGORIES, CATEGORY_LABELS } from './certora_errors.mjs';
+import { CONF_OPTIONS, loadConf, resolveConfPath, writeConfOverride, describeConfChanges } from './conf_model.mjs';
+import {
+    createFixJournal, loadFixJournal, listFixJournals, createJournalRegistry, journalDir, firstUnfinishedIndex
+} from './fix_journal.mjs';
+import {
+    protectionConfig, snapshotProtectedFiles, findProtectedChanges, restoreProtectedFiles
+} from './protected_paths.mjs';
 
-const app = express();
+export const app = express();
 app.use(cors());
 app.use(express.json({ limit: '100mb' }));  // Increase request body size limit to 100MB
 app.use(express.urlencoded({ limit: '100mb', extended: true })); // Also increase form data limit
 
-// Track the currently running child process (Codex or certoraRun)
-let currentChild = null;
-// Global abort flag for sequential fix flow
-let globalFixAbort = false;
-// Whether a sequential fix is currently running
-let activeFixRunning = false;
-// Resume mechanism: track current item being processed
-let currentFixIndex = 0;
-let resumeState = null;
+// Server-wide default LLM provider (LLM_PROVIDER / LLM_MODEL / LLM_BASE_URL)
+const defaultProviderConfig = providerConfigFromEnv();
+// Scrape history (CERTORA_SCRAPER_DATA_DIR/runs, default ./.certora-scraper/runs)
+const runStore = createRunStore();
+// Analyses and fix flows run as jobs: own child process, abort signal and event log
+const jobs = createJobManager();
+// Every LLM analysis is queued here (ANALYSIS_CONCURRENCY, ANALYSIS_MAX_RETRIES, ANALYSIS_RATE_LIMITS)
+const analysisScheduler = createAnalysisScheduler(schedulerConfigFromEnv());
+// Rule output retries and timeout for every scrape (PROVER_FETCH_*)
+const proverFetchConfig = fetchConfigFromEnv();
+// Finished analyses keyed by prompt inputs (CERTORA_SCRAPER_DATA_DIR/analysis-cache)
+const analysisCache = createAnalysisCache();
+// Fix sessions are journaled to disk (<project>/.certora-scraper/fix-sessions) to survive restarts
+const journalRegistry = createJournalRegistry();
+
+// Persist a scrape result; history is best-effort and never fails the scrape
+function saveRunToStore(result) {
+    try {
+        return runStore.save(result).id;
+    } catch (e) {
+        console.warn('Failed to save run history:', e.message);
+        return null;
+    }
+}
+
+// Fix jobs edit files, so only one may run per project at a time
+const projectKey = (projectPath) => (projectPath && String(projectPath).trim() ? path.resolve(String(projectPath).trim()) : '');
+function runningFixJob(projectPath) {
+    const key = projectPath === undefined ? null : projectKey(projectPath);
+    return jobs.list({ kind: 'fix', running: true }).find(job => key === null || job.meta.projectKey === key) || null;
+}
+
+/**
+ * Stream a job's events as SSE, replaying the buffered log from `offset`.
+ * The client going away only detaches it; the job keeps running and can be
+ * re-attached through /jobs/:id/events.
+ */
+function streamJob(job, res, offset = 0) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Cache-Control'
+    });
+    const write = ({ offset: id, event }) => {
+        try {
+            res.write(`id: ${id}\ndata: ${JSON.stringify(event)}\n\n`);
+        } catch { }
+    };
+    for (const entry of job.eventsFrom(offset)) write(entry);
+    if (!job.running) return res.end();
+    const unsubscribe = job.subscribe(write, () => res.end());
+    res.on('close', unsubscribe);
+}
 
 // Filter Codex output, remove prompt echo and system information
 function filterCodexOutput(output) {
@@ -74,24 +145,6 @@ function filterCodexOutput(output) {
     return filteredLines.join('\n');
 }
 
-// Fetch the top-level output.json for job metadata (prover time, rule_sanity, etc.)
-async function fetchJobMetadata(runInfo) {
-    try {
-        const baseUrl = buildResultBaseUrl(runInfo);
-        const params = new URLSearchParams();
-        if (runInfo.anonymousKey) params.append('anonymousKey', runInfo.anonymousKey);
-        params.append('output', 'output.json');
-        const url = `${baseUrl}?${params.toString()}`;
-        const resp = await fetch(url);
-        if (!resp.ok) return null;
-        const data = await resp.json();
-        return parseJobMetadata(data);
-    } catch (e) {
-        console.warn('Failed to fetch job metadata (output.json):', e.message);
-        return null;
-    }
-}
-
 // Main endpoint: analyze URL and return all JSON content (with real-time progress)
 app.post('/analyze-and-fetch-stream', async (req, res) => {
     const { url, includeSatisfied, includeRuleMatch, includeAll } = req.body || {};
@@ -116,102 +169,14 @@ app.post('/analyze-and-fetch-stream', async (req, res) => {
     try {
         sendProgress(`Analyzing URL: ${url}`);
         console.log('Analyzing URL:', url);
-        const runInfo = parseRunInfo(url);
-
-        const browser = await chromium.launch({ headless: true });
-        const context = await browser.newContext({
-            userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36',
-        });
-        const page = await context.newPage();
-
-        let progressData = null;
-
-        sendProgress('Accessing page...');
-
-        page.on('response', async (response) => {
-            try {
-                const resUrl = response.url();
-                const status = response.status();
-
-                if (resUrl.includes('progress') && status === 200) {
-                    const text = await response.text();
-                    if (text && text.trim() !== '') {
-                        try {
-                            progressData = JSON.parse(text);
-                            sendProgress('Found progress data');
-                        } catch (parseError) {
-                            console.log('Progress response parse failed:', parseError.message);
-                        }
-                    }
-                }
-            } catch (responseError) {
-                console.log('Response processing error:', responseError.message);
-            }
-        });
-
-        await page.goto(url, { waitUntil: 'networkidle' });
-        await page.waitForTimeout(3000);
-
-        if (!progressData) {
+        const response = await scrapeRun(url, { ...proverFetchConfig, includeSatisfied, includeRuleMatch, includeAll, onProgress: sendProgress });
+        if (!response) {
             sendProgress('Progress data not found', 'error');
-            res.write(`data: ${JSON.stringify({ type: 'error', message: 'Progress data not found' })}\n\n`);
             res.end();
-            await browser.close();
             return;
         }
-
-        // Use getProgressRoots() to unwrap the progress JSON (same as non-streaming endpoint)
-    const roots = getProgressRoots(progressData);
-    const failedRules = [];
-    for (const root of roots) {
-        collectFailedRuleOutputs(root, runInfo, failedRules, [], { includeSatisfied, includeRuleMatch, includeAll });
-    }
-    sendProgress(`Found ${failedRules.length} rules to analyze (filtered by includeSatisfied=${Boolean(includeSatisfied)}), fetching JSON content...`);
-
-        const results = [];
-        for (const rule of failedRules) {
-            try {
-                // If we have an inline node snapshot (no per-rule URL), prefer extracting inline trace fields
-                if (!rule.url && rule.nodeSnapshot) {
-                    sendProgress(`Using inline snapshot for ${rule.ruleName}`, 'info');
-                    const snap = rule.nodeSnapshot;
-                    const inline = snap.counterExample || snap.counterexample || snap.trace || snap.callTrace || snap.message || null;
-                    results.push({ ...rule, content: inline });
-                    continue;
-                }
-                if (!rule.url) {
-                    sendProgress(`No URL for ${rule.ruleName}, skipping`, 'warning');
-                    results.push({ ...rule, content: null, error: 'no url' });
-                    continue;
-                }
-                sendProgress(`Fetching ${rule.outputFile || rule.url}...`);
-                // Use node-fetch to directly request the constructed JSON URL (field name is url)
-                const resp = await fetch(rule.url);
-                if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-                const jsonContent = await resp.json();
-                results.push({ ...rule, content: jsonContent });
-            } catch (jsonError) {
-                console.log(`Failed to fetch ${rule.outputFile}:`, jsonError.message);
-                results.push({ ...rule, content: null, error: jsonError.message });
-            }
-        }
-
-        await browser.close();
-
-        // P1: Fetch job metadata from output.json
-        sendProgress('Fetching job metadata (output.json)...');
-        const jobMetadata = await fetchJobMetadata(runInfo);
-        if (jobMetadata) {
-            sendProgress(`Job metadata: proverTime=${jobMetadata.proverTime}s, ruleSanity=${jobMetadata.ruleSanity}`, 'info');
-        }
-
-        const response = {
-            url,
-            timestamp: new Date().toISOString(),
-            totalRules: failedRules.length,
-            jobMetadata,
-            rules: results
-        };
+        response.rules = response.rules.map(rule => ({ ...rule, markdown: renderRuleMarkdown(rule) }));
+        response.runStoreId = saveRunToStore(response);
 
         sendProgress('Analysis complete!', 'success');
         res.write(`data: ${JSON.stringify({ type: 'complete', data: response })}\n\n`);
@@ -234,129 +199,90 @@ app.post('/analyze-and-fetch', async (req, res) => {
     }
 
     console.log('Analyzing URL:', url);
-    const runInfo = parseRunInfo(url);
-
-    const browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({
-        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36',
-    });
-    const page = await context.newPage();
-
-    let progressData = null;
-
-    page.on('response', async (response) => {
-        try {
-            const resUrl = response.url();
-            const status = response.status();
-            if (status < 200 || status >= 300) return;
-
-            const ct = (response.headers()['content-type'] || '').toLowerCase();
-            if (ct.includes('application/json') || ct.includes('text/json')) {
-                if (resUrl.includes('progress') || resUrl.includes(runInfo.outputId)) {
-                    const body = await response.text();
-                    try {
-                        const json = JSON.parse(body);
-                        if (json.verificationProgress || json.rules) {
-                            progressData = json;
-                            console.log('Found progress data');
-                        }
-                    } catch { }
-                }
-            }
-        } catch { }
-    });
 
     try {
-        console.log('Accessing page...');
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
-        await page.waitForLoadState('networkidle', { timeout: 30000 }).catch(() => { });
-        await browser.close();
-
-        if (!progressData) {
+        const result = await scrapeRun(url, { ...proverFetchConfig, includeSatisfied, includeRuleMatch, includeAll });
+        if (!result) {
             return res.status(404).json({ error: 'Verification data not found' });
         }
 
-        const roots = getProgressRoots(progressData);
-        const failedRules = [];
+        // Return complete results, with the same Markdown report the UI and CLI render
+        result.rules = result.rules.map(rule => ({ ...rule, markdown: renderRuleMarkdown(rule) }));
+        result.runStoreId = saveRunToStore(result);
+        res.json(result);
 
-        for (const root of roots) {
-            collectFailedRuleOutputs(root, runInfo, failedRules, [], { includeSatisfied, includeRuleMatch, includeAll });
-        }
+    } catch (error) {
+        console.error('Analysis error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Deduplicate
-        const uniqueRules = new Map();
-        for (const rule of failedRules) {
-            if (!uniqueRules.has(rule.outputFile)) {
-                uniqueRules.set(rule.outputFile, rule);
-            }
-        }
+// Watch a running prover job: stream per-rule status changes until the job is terminal
+app.post('/watch-run-stream', async (req, res) => {
+    const { url, pollIntervalMs } = req.body || {};
 
-        const sortedRules = Array.from(uniqueRules.values()).sort((a, b) => {
-            const numA = parseInt(a.outputFile.match(/\d+/)?.[0] || '0');
-            const numB = parseInt(b.outputFile.match(/\d+/)?.[0] || '0');
-            return numA - numB;
-        });
+    if (!url) {
+        return res.status(400).json({ error: 'Please provide URL' });
+    }
 
-        console.log(`Found ${sortedRules.length} rules to analyze (VIOLATED and SANITY_FAILED), fetching JSON content...`);
-
-        // Function with retry: max 10 attempts, then give up
-        const MAX_FETCH_RETRIES = 10;
-        const fetchJsonWithRetry = async (rule, delayMs = 2000) => {
-            let attempt = 0;
-            while (attempt < MAX_FETCH_RETRIES) {
-                attempt++;
-                try {
-                    console.log(`Fetching ${rule.outputFile} (attempt ${attempt}/${MAX_FETCH_RETRIES})...`);
-                    const response = await fetch(rule.url);
-                    if (!response.ok) {
-                        console.warn(`HTTP ${response.status} failed to fetch ${rule.outputFile}, retrying...`);
-                    } else {
-                        const jsonContent = await response.json();
-                        // Simple validation
-                        if (jsonContent && typeof jsonContent === 'object') {
-                            return { ...rule, content: jsonContent };
-                        }
-                        console.warn(`Failed to parse ${rule.outputFile} JSON, retrying...`);
-                    }
-                } catch (e) {
-                    console.warn(`Failed to fetch ${rule.outputFile}: ${e.message}, retrying...`);
-                }
-                // Wait then retry
-                await new Promise(r => setTimeout(r, delayMs));
-            }
-            console.error(`Failed to fetch ${rule.outputFile} after ${MAX_FETCH_RETRIES} attempts, giving up.`);
-            return { ...rule, content: null, error: `Failed after ${MAX_FETCH_RETRIES} attempts` };
-        };
+    // Set SSE response headers
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Cache-Control'
+    });
 
-        // Concurrently fetch all JSON file contents (each has its own infinite retry)
-        // For rules that include nodeSnapshot, fetchJsonWithRetry will still try network; intercept early
-        const rulesWithContent = await Promise.all(sortedRules.map(async (rule) => {
-            if (!rule.url && rule.nodeSnapshot) {
-                // extract inline
-                const snap = rule.nodeSnapshot;
-                const inline = snap.counterExample || snap.counterexample || snap.trace || snap.callTrace || snap.message || null;
-                return { ...rule, content: inline };
-            }
-            return fetchJsonWithRetry(rule);
-        }));
+    const sendEvent = (event) => {
+        try {
+            res.write(`data: ${JSON.stringify(event)}\n\n`);
+        } catch { }
+    };
+    const sendProgress = (message, type = 'info') => sendEvent({ type, message });
 
-        // P1: Fetch job metadata from output.json
-        const jobMetadata = await fetchJobMetadata(runInfo);
+    // Stop polling as soon as the client goes away
+    let closed = false;
+    res.on('close', () => { closed = true; });
 
-        // Return complete results
-        res.json({
-            url: url,
-            runInfo: runInfo,
-            timestamp: new Date().toISOString(),
-            totalRules: rulesWithContent.length,
-            jobMetadata,
-            rules: rulesWithContent
+    try {
+        sendProgress(`Watching ${url}`);
+        const interval = parseInt(pollIntervalMs, 10);
+        const result = await watchRun(url, {
+            pollIntervalMs: Number.isFinite(interval) && interval >= 1000 ? interval : 15000,
+            requestTimeoutMs: proverFetchConfig.timeoutMs,
+            onProgress: sendProgress,
+            shouldStop: () => closed,
+            onChange: (changes) => {
+                for (const change of changes) {
+                    sendEvent({ type: 'rule-status', ...change });
+                }
+            }
         });
 
+        const statusCounts = {};
+        for (const rule of result.ruleStatuses) {
+            statusCounts[rule.status] = (statusCounts[rule.status] || 0) + 1;
+        }
+        sendEvent({
+            type: 'summary',
+            data: {
+                url,
+                finished: result.finished,
+                reason: result.reason || null,
+                jobStatus: result.jobMetadata?.jobStatus || null,
+                jobMetadata: result.jobMetadata || null,
+                totalRules: result.ruleStatuses.length,
+                statusCounts
+            }
+        });
+        sendEvent({ type: 'complete' });
+        res.end();
     } catch (error) {
-        console.error('Analysis error:', error);
-        await browser.close();
-        res.status(500).json({ error: error.message });
+        console.error('Watch error:', error);
+        sendProgress(`Error: ${error.message}`, 'error');
+        sendEvent({ type: 'complete' });
+        res.end();
     }
 });
 
@@ -366,29 +292,7 @@ app.post('/inspect-progress', async (req, res) => {
     if (!url) return res.status(400).json({ success: false, error: 'Missing url' });
 
     try {
-        const runInfo = parseRunInfo(url);
-        const browser = await chromium.launch({ headless: true });
-        const context = await browser.newContext();
-        const page = await context.newPage();
-
-        let progressData = null;
-        page.on('response', async (response) => {
-            try {
-                const resUrl = response.url();
-                const status = response.status();
-                if (status === 200 && (resUrl.includes('progress') || resUrl.includes(runInfo.outputId))) {
-                    const body = await response.text();
-                    try {
-                        const json = JSON.parse(body);
-                        if (json) progressData = json;
-                    } catch { }
-                }
-            } catch { }
-        });
-
-        await page.goto(url, { waitUntil: 'networkidle' });
-        await page.waitForTimeout(1500);
-        await browser.close();
+        const { runInfo, progressData, source } = await fetchProgress(url, { timeoutMs: proverFetchConfig.timeoutMs });
 
     if (!progressData) return res.status(404).json({ success: false, error: 'progress data not found' });
 
@@ -414,277 +318,465 @@ app.post('/inspect-progress', async (req, res) => {
             rawSnapshot = String(progressData).slice(0, 20000) + '...';
         }
 
-        return res.json({ success: true, runInfo, nodes: flatten, progressSnapshot: rawSnapshot });
+        return res.json({ success: true, runInfo, source, nodes: flatten, progressSnapshot: rawSnapshot });
     } catch (e) {
         console.error('inspect-progress error:', e);
         return res.status(500).json({ success: false, error: e.message });
     }
 });
 
-// New /analyze-rule-stream endpoint for streaming Codex analysis of individual rules
-app.post('/analyze-rule-stream', async (req, res) => {
-    const { content, type, projectPath } = req.body;
-
-    if (!content || !type) {
-        return res.status(400).json({
-            success: false,
-            error: 'Missing required parameters: content and type'
-        });
+// Process codex output with timestamp formatting
+function processCodexOutput(rawOutput) {
+    const lines = rawOutput.split('\n');
+    let processedOutput = '';
+
+    for (let line of lines) {
+        // Check if line starts with timestamp
+        const timestampMatch = line.match(/^\[(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})\](.*)$/);
+        if (timestampMatch) {
+            const timestamp = timestampMatch[1];
+            const content = timestampMatch[2];
+            // Format with clear timestamp separation - use ► to distinguish
+            processedOutput += `► [${timestamp}]${content}\n`;
+        } else {
+            // Regular line without timestamp
+            processedOutput += line + '\n';
+        }
     }
 
-    // Set SSE response headers
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Cache-Control'
-    });
-
-    const sendProgress = (message, type = 'output') => {
-        res.write(`data: ${JSON.stringify({ type, message })}\n\n`);
-    };
-
-    // Process codex output with timestamp formatting
-    const processCodexOutput = (rawOutput) => {
-        const lines = rawOutput.split('\n');
-        let processedOutput = '';
-
-        for (let line of lines) {
-            // Check if line starts with timestamp
-            const timestampMatch = line.match(/^\[(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})\](.*)$/);
-            if (timestampMatch) {
-                const timestamp = timestampMatch[1];
-                const content = timestampMatch[2];
-                // Format with clear timestamp separation - use ► to distinguish
-                processedOutput += `► [${timestamp}]${content}\n`;
-            } else {
-                // Regular line without timestamp
-                processedOutput += line + '\n';
-            }
-        }
+    return processedOutput;
+}
 
-        return processedOutput;
-    };
+// Template of a kind for a request: its promptTemplates selection, else the project's or the built-in one
+function promptTemplateFor(kind, projectPath, promptTemplates) {
+    const root = projectPath && String(projectPath).trim() ? String(projectPath).trim() : undefined;
+    const name = promptTemplates && typeof promptTemplates === 'object' ? promptTemplates[kind] : undefined;
+    return resolvePromptTemplate(kind, { projectPath: root, projectConfig: loadProjectConfig(root), name });
+}
 
+// Codex and certoraRun binaries for a project (see binaries.mjs); an invalid project entry falls back to the server's
+function binariesFor(projectPath, warn = () => {}) {
+    const root = projectPath && String(projectPath).trim() ? String(projectPath).trim() : '';
     try {
-        const { spawn } = await import('child_process');
-        let promptText;
-
-        if (type === 'VIOLATED') {
-            promptText = `Analyze the following Certora rule violation from CERTORA_OUTPUT and propose minimal, sound SPEC/CONF change suggestions . If necessary, also propose changes to the HARNESS CONTRACTS .THINK HARDER,ULTRAL THINK.
-
-Output:
-- Classification: real bug vs false positive (e.g., unreachable initial state, missing preconditions, over-broad summaries, env mismatch).
-- Detalied summary: what failed and where (rule, method, invariant).
-- Fixes Suggestions: concrete,minimal,SOUND  SPEC/CONF/HARNESS CONTRACTS change suggestions(e.g., requireInvariant,  method filters, new ghost).
-
-Constraints:
-- THE OVERRIDING PRINCIPLE FOR ALL RECOMMENDATIONS IS TO PRESERVE SOUNDNESS. THIS IS NON-NEGOTIABLE.BASED ON THIS, THE HIERARCHY OF PREFERENCE FOR FIXES IS:REQUIREINVARIANT >> HAVOC ASSUMING>FILTERED = REQUIRE
-
-You have the ability to search the web to get any necessary information.
-
-CERTORA_OUTPUT:
-${content}
-`;
-        } else if (type === 'SANITY_FAILED') {
-            promptText = `Analyze the following Certora SANITY_FAILED rule from CERTORA_OUTPUT and detemine whether this rule is meaningful and if it should be deleted or fixed.If it should be fixed propose minimal, sound SPEC/CONF change suggestions .THINK HARDER,ULTRAL THINK.
+        return binariesConfig(loadProjectConfig(root), { projectPath: root });
+    } catch (e) {
+        warn(`${e.message}; using the server's binaries`);
+        return binariesConfig();
+    }
+}
 
-Output:
-- Summary: whether this rule is meaningful and if it should be deleted or fixed
-- IF meaningful and should be fixed: propose concrete,minimal,SOUND  SPEC/CONF/HARNESS CONTRACTS change suggestions(e.g., method filters, require).
+/**
+ * Local CVL excerpts for a rule's analysis prompt ('' when the spec is not
+ * found or the caller turned it off). Reports what was attached via sendProgress.
+ */
+function specContextFor({ projectPath, confPath, jobMetadata, ruleName, content, enabled = true }, sendProgress) {
+    if (!enabled || !projectPath) return '';
+    try {
+        const spec = buildSpecContext({ projectPath, confPath, specFile: jobMetadata?.specFile, ruleName, content });
+        if (spec.target) {
+            const related = spec.included.length - 1;
+            sendProgress(`Spec context: ${spec.target.kind} ${spec.target.name} (${spec.target.file}:${spec.target.line})${related ? ` + ${related} related declarations` : ''}`, 'info');
+        }
+        for (const note of spec.notes) sendProgress(`Spec context: ${note}`, 'info');
+        return spec.text;
+    } catch (e) {
+        sendProgress(`Spec context unavailable: ${e.message}`, 'warning');
+        return '';
+    }
+}
 
-Constraints:
-- THE OVERRIDING PRINCIPLE FOR ALL RECOMMENDATIONS IS TO PRESERVE SOUNDNESS. THIS IS NON-NEGOTIABLE.BASED ON THIS, THE HIERARCHY OF PREFERENCE FOR FIXES IS:REQUIREINVARIANT >> HAVOC ASSUMING>FILTERED = REQUIRE
+/**
+ * Analyze one rule through the scheduler (concurrency cap, provider rate
+ * limit, retries). Identical requests are answered from the analysis cache
+ * unless forceRefresh is set. Progress goes to sendProgress(message, type, data);
+ * returns the provider result plus `attempts` and `cached`. Throws only for bad input.
+ */
+async function analyzeRule({ type, content, ruleName, jobMetadata, projectPath, confPath, specContext: includeSpecContext = true, promptTemplates, providerSelection, forceRefresh, signal, sendProgress, onSpawn }) {
+    const kind = analysisTemplateKind(type);
+    if (!kind) {
+        throw new Error(`No analysis prompt for rule type ${type} (expected VIOLATED or SANITY_FAILED)`);
+    }
+    const cwd = projectPath && String(projectPath).trim() ? String(projectPath).trim() : undefined;
+    const template = promptTemplateFor(kind, cwd, promptTemplates);
+    const specContext = specContextFor({ projectPath: cwd, confPath, jobMetadata, ruleName, content, enabled: includeSpecContext }, sendProgress);
+    const promptText = renderTemplate(template.body, { content, specContext, ruleName, jobMetadata, projectPath: cwd }).text;
 
-You have the ability to search the web to get any necessary information.
+    // Clean null bytes from prompt text
+    const cleanPromptText = promptText.replace(/\0/g, '');
 
-CERTORA_OUTPUT:
-${content}`;
-        }
+    // Provider: per-request selection, falling back to the server config
+    const provider = createProvider(providerSelection, defaultProviderConfig, {
+        command: binariesFor(cwd, (message) => sendProgress(message, 'warning')).codex
+    });
+    if (template.source !== 'builtin') sendProgress(`Prompt template: ${template.kind}/${template.name} v${template.version}`, 'info');
+
+    // The template id covers its version and text, so edited templates never hit old answers
+    const cacheKey = analysisCacheKey({ type, content, context: specContext, promptVersion: template.id, provider: provider.name, model: provider.model });
+    const cached = forceRefresh ? null : analysisCache.get(cacheKey);
+    if (cached) {
+        sendProgress(`Served from cache (analyzed ${cached.cachedAt} by ${provider.label})`, 'cached', { key: cacheKey, cachedAt: cached.cachedAt });
+        return { ok: true, code: 0, output: '', answer: cached.answer, error: null, attempts: 0, cached: true, provider };
+    }
 
-        // Clean null bytes from prompt text
-        const cleanPromptText = promptText.replace(/\0/g, '');
+    const result = await analysisScheduler.schedule({
+        provider: provider.name,
+        signal,
+        onQueued: (position) => sendProgress(`Queued for analysis (position ${position}, ${analysisScheduler.maxConcurrency} at a time)`, 'queued'),
+        onRateLimited: (waitMs) => sendProgress(`${provider.label} rate limit reached, waiting ${Math.ceil(waitMs / 1000)}s`, 'info'),
+        onRetry: ({ attempt, delayMs, error }) => sendProgress(`Attempt ${attempt} failed (${error}), retrying in ${(delayMs / 1000).toFixed(1)}s`, 'retry'),
+        onStart: (attempt) => {
+            sendProgress(attempt === 1 ? 'Starting analysis...' : `Starting analysis (attempt ${attempt})...`, 'info');
+            sendProgress(`Provider: ${provider.label}${provider.model ? ` (${provider.model})` : ''}`, 'info');
+            if (cwd) sendProgress(`Set working directory: ${cwd}`, 'info');
+        },
+        run: async () => {
+            let outputBuffer = '';
+            let bufferTimer = null;
+
+            // Function to flush buffered output with timestamp processing
+            const flushBuffer = () => {
+                if (outputBuffer) {
+                    const processedOutput = processCodexOutput(outputBuffer);
+                    sendProgress(processedOutput, 'output');
+                    outputBuffer = '';
+                }
+                bufferTimer = null;
+            };
+
+            // Analysis phase: read-only sandbox + never approve + high reasoning effort + detailed summary
+            const attemptResult = await provider.run({
+                prompt: cleanPromptText,
+                mode: 'analyze',
+                cwd,
+                signal,
+                detached: true,
+                onSpawn,
+                onOutput: (chunk) => {
+                    // Buffer output and send in batches for better performance
+                    outputBuffer += chunk;
+                    if (bufferTimer) clearTimeout(bufferTimer);
+                    // Send buffered data every 100ms or when buffer is large
+                    if (outputBuffer.length > 1000) {
+                        flushBuffer();
+                    } else {
+                        bufferTimer = setTimeout(flushBuffer, 100);
+                    }
+                },
+                onError: (errorOutput) => sendProgress(errorOutput, 'error')
+            });
 
-        sendProgress('Starting analysis...', 'info');
-        if (projectPath && projectPath.trim()) {
-            sendProgress(`Set working directory: ${projectPath.trim()}`, 'info');
+            // Flush any remaining buffered output
+            if (bufferTimer) clearTimeout(bufferTimer);
+            flushBuffer();
+            return attemptResult;
         }
-
-        // Analysis phase: read-only sandbox + never approve + high reasoning effort + detailed summary
-        const codexArgs = [
-            'exec',
-            '--sandbox', 'read-only',
-            '-c', 'approval_policy=never',
-            '-c', 'model_reasoning_effort=high',
-            '-c', 'model_reasoning_summary=detailed'
-        ];
-        if (projectPath && projectPath.trim()) {
-            codexArgs.push('-C', projectPath.trim());
+    });
+    console.log(`${provider.label} analysis ended, exit code: ${result.code}`);
+    if (result.ok) {
+        try {
+            analysisCache.set(cacheKey, { answer: result.answer, type, provider: provider.name, model: provider.model || null, template: template.id });
+        } catch (e) {
+            console.warn('Failed to cache analysis:', e.message);
         }
-        codexArgs.push(cleanPromptText);
-
-        const analyzeCodexProcess = spawn('codex', codexArgs, {
-            stdio: ['pipe', 'pipe', 'pipe'],
-            env: { ...process.env },
-            detached: true
-        });
-
-        // If client disconnects, terminate the child process
-        let analyzeKilled = false;
-        const killAnalyzeProc = () => {
-            try {
-                if (!analyzeKilled && analyzeCodexProcess && analyzeCodexProcess.pid) {
-                    analyzeKilled = true;
-                    try { analyzeCodexProcess.kill('SIGTERM'); } catch { }
-                    try { process.kill(-analyzeCodexProcess.pid, 'SIGTERM'); } catch { }
-                    setTimeout(() => {
-                        try {
-                            if (analyzeCodexProcess && analyzeCodexProcess.pid) {
-                                try { analyzeCodexProcess.kill('SIGKILL'); } catch { }
-                                try { process.kill(-analyzeCodexProcess.pid, 'SIGKILL'); } catch { }
-                            }
-                        } catch { }
-                    }, 1200);
-                }
-            } catch { }
-        };
-        req.on('close', killAnalyzeProc);
-        req.on('aborted', killAnalyzeProc);
-        res.on('close', killAnalyzeProc);
-
-        let fullOutput = '';
-        let hasError = false;
-        let outputBuffer = '';
-        let bufferTimer = null;
-
-        // Function to flush buffered output with timestamp processing
-        const flushBuffer = () => {
-            if (outputBuffer) {
-                const processedOutput = processCodexOutput(outputBuffer);
-                sendProgress(processedOutput, 'output');
-                outputBuffer = '';
-            }
-            bufferTimer = null;
-        };
+    }
+    return { ...result, cached: false, provider };
+}
 
-        analyzeCodexProcess.stdout.on('data', (data) => {
-            const chunk = data.toString();
-            fullOutput += chunk;
+// Best-effort save of a finished analysis to the run history
+function saveAnalysisToRunStore(runStoreId, ruleKey, answer, providerName) {
+    if (!runStoreId || !ruleKey) return;
+    try {
+        runStore.saveAnalysis(String(runStoreId), String(ruleKey), answer, { provider: providerName });
+    } catch (e) {
+        console.warn('Failed to save analysis to run history:', e.message);
+    }
+}
 
-            // Buffer output and send in batches for better performance
-            outputBuffer += chunk;
-            if (bufferTimer) clearTimeout(bufferTimer);
-            // Send buffered data every 100ms or when buffer is large
-            if (outputBuffer.length > 1000) {
-                flushBuffer();
-            } else {
-                bufferTimer = setTimeout(flushBuffer, 100);
-            }
-        });
+// New /analyze-rule-stream endpoint for streaming Codex analysis of individual rules.
+// Runs as an 'analysis' job; with runStoreId + ruleKey the answer is saved to the run history,
+// so it is kept even when the page that asked for it was closed.
+app.post('/analyze-rule-stream', async (req, res) => {
+    const { content, type, projectPath, confPath, ruleName, ruleKey, runStoreId, jobMetadata, promptTemplates } = req.body;
 
-        analyzeCodexProcess.stderr.on('data', (data) => {
-            const errorOutput = data.toString();
-            sendProgress(errorOutput, 'error');
+    if (!content || !type) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required parameters: content and type'
         });
+    }
 
-        analyzeCodexProcess.on('error', (error) => {
-            hasError = true;
-            if (error.code === 'ENOENT') {
-                console.error('Codex CLI not found, please ensure it is installed');
-                sendProgress('Codex CLI not found, please install Codex CLI', 'error');
-            } else if (error.code === 'EPIPE') {
-                console.log('Process pipe closed (EPIPE) - this is usually normal');
-            } else {
-                console.error('Codex process error:', error);
-                sendProgress(`Process error: ${error.message}`, 'error');
-            }
-        });
+    const job = jobs.create({
+        kind: 'analysis',
+        label: ruleName || `${type} analysis`,
+        meta: { type, ruleName: ruleName || null, ruleKey: ruleKey || null, runStoreId: runStoreId || null }
+    });
+    job.emit({ type: 'job', data: job.summary() });
+    streamJob(job, res);
 
-        analyzeCodexProcess.on('close', (code) => {
-            // Flush any remaining buffered output
-            if (bufferTimer) clearTimeout(bufferTimer);
-            flushBuffer();
+    const sendProgress = (message, type = 'output', data) => job.emit({ type, message, ...(data && { data }) });
 
-            console.log(`Codex process ended, exit code: ${code}`);
-            if (code === 0 && !hasError) {
-                // Extract final analysis and output only at the end
-                const finalResult = extractCodexAnswer(fullOutput);
-                sendProgress(finalResult, 'final');
-                sendProgress('Analysis complete', 'success');
-            } else {
-                const errorMsg = `Process exited abnormally, code: ${code}`;
-                console.error('Codex execution error:', errorMsg);
-                sendProgress(errorMsg, 'error');
-            }
-            res.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
-            res.end();
+    try {
+        const result = await analyzeRule({
+            type,
+            content,
+            ruleName,
+            jobMetadata,
+            projectPath,
+            confPath,
+            specContext: req.body.specContext !== false,
+            promptTemplates,
+            providerSelection: req.body.provider,
+            forceRefresh: Boolean(req.body.forceRefresh),
+            signal: job.signal,
+            sendProgress,
+            onSpawn: (child) => job.setChild(child)
         });
 
+        if (result.ok) {
+            // Extract final analysis and output only at the end
+            sendProgress(result.answer, 'final');
+            saveAnalysisToRunStore(runStoreId, ruleKey, result.answer, result.provider.name);
+            sendProgress('Analysis complete', 'success');
+        } else {
+            console.error(`${result.provider.label} execution error:`, result.error);
+            sendProgress(result.error, 'error');
+        }
+        job.emit({ type: 'complete' });
+        job.finish(result.ok ? 'completed' : 'failed', result.ok ? null : result.error);
+
     } catch (error) {
         console.error('Analysis error:', error);
         sendProgress(`Analysis error: ${error.message}`, 'error');
-        res.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
-        res.end();
+        job.emit({ type: 'complete' });
+        job.finish('failed', error.message);
     }
 });
 
+// Batch analysis: one 'analysis-batch' job for many rules, run through the scheduler.
+// Every per-rule event carries the rule's outputFile (and ruleName) so the client can route it;
+// 'rule-complete' closes one rule, a final 'summary' the batch.
+app.post('/analyze-batch-stream', async (req, res) => {
+    const { rules, projectPath, confPath, runStoreId, jobMetadata, promptTemplates } = req.body;
 
-// New endpoint: /generate-fix-prompt to generate fix prompt
-app.post('/generate-fix-prompt', async (req, res) => {
-    const { analyses } = req.body;
-
-    if (!analyses || !Array.isArray(analyses) || analyses.length === 0) {
-        return res.status(400).json({
-            success: false,
-            error: 'Missing analysis results'
-        });
+    if (!Array.isArray(rules) || rules.length === 0) {
+        return res.status(400).json({ success: false, error: 'Missing rules: expected a non-empty array' });
+    }
+    const invalid = rules.findIndex(rule => !rule || !rule.content || !rule.type || !rule.outputFile);
+    if (invalid !== -1) {
+        return res.status(400).json({ success: false, error: `Rule ${invalid + 1} needs content, type and outputFile` });
     }
-
-    // Removed 'Generating fix prompt' log since we now do individual fixes
-
     try {
-        // Normalize input: support string array or object array { text, ruleName }
-        const items = analyses.map((a) => {
-            if (a && typeof a === 'object') {
-                // Support different field names
-                const text = a.text ?? a.analysis ?? '';
-                const ruleName = a.ruleName ?? a.name ?? a.rule ?? '';
-                return { text: String(text || ''), ruleName: String(ruleName || '') };
-            }
-            return { text: String(a || ''), ruleName: '' };
-        });
+        createProvider(req.body.provider, defaultProviderConfig);
+    } catch (e) {
+        return res.status(400).json({ success: false, error: e.message });
+    }
 
-        // Format analyses (inject rule name into header)
-        const formattedAnalyses = items.map((item, index) => {
-            const headerTitle = item.ruleName
-                ? `Analysis Conclusion ${index + 1} · Rule: ${item.ruleName}`
-                : `Analysis Conclusion ${index + 1}`;
-            return `╔═══════════════════════════════════════════════════════════════════════════════════╗
-║ ${headerTitle}
+    const job = jobs.create({
+        kind: 'analysis-batch',
+        label: `Batch analysis (${rules.length} rules)`,
+        meta: { total: rules.length, runStoreId: runStoreId || null }
+    });
+    job.emit({ type: 'job', data: job.summary() });
+    streamJob(job, res);
+    job.emit({ type: 'info', message: `Analyzing ${rules.length} rules, at most ${analysisScheduler.maxConcurrency} at a time` });
+
+    const counts = { succeeded: 0, failed: 0, cancelled: 0, cached: 0 };
+    await Promise.all(rules.map(async (rule) => {
+        const tag = { outputFile: rule.outputFile, ruleName: rule.ruleName || null };
+        const sendProgress = (message, type = 'output', data) => job.emit({ type, message, ...tag, ...(data && { data }) });
+        let result;
+        try {
+            result = await analyzeRule({
+                type: rule.type,
+                content: rule.content,
+                ruleName: rule.ruleName,
+                jobMetadata,
+                projectPath,
+                confPath,
+                specContext: req.body.specContext !== false,
+                promptTemplates,
+                providerSelection: req.body.provider,
+                forceRefresh: Boolean(req.body.forceRefresh),
+                signal: job.signal,
+                sendProgress
+            });
+        } catch (e) {
+            result = { ok: false, error: e.message, attempts: 0 };
+        }
 
+        if (result.ok) {
+            counts.succeeded++;
+            if (result.cached) counts.cached++;
+            sendProgress(result.answer, 'final');
+            saveAnalysisToRunStore(runStoreId, rule.ruleKey || rule.outputFile, result.answer, result.provider.name);
+        } else if (result.error === 'aborted') {
+            counts.cancelled++;
+        } else {
+            counts.failed++;
+            sendProgress(result.error, 'error');
+        }
+        const status = result.ok ? 'success' : (result.error === 'aborted' ? 'cancelled' : 'failed');
+        job.emit({ type: 'rule-complete', ...tag, data: { status, attempts: result.attempts, cached: Boolean(result.cached) } });
+    }));
 
-${item.text}
+    job.emit({ type: 'summary', data: { total: rules.length, ...counts } });
+    job.emit({ type: 'complete' });
+    job.finish(counts.failed ? 'failed' : 'completed', counts.failed ? `${counts.failed} of ${rules.length} analyses failed` : null);
+});
 
-║                           Analysis Conclusion ${index + 1} End                           ║
-╚═══════════════════════════════════════════════════════════════════════════════════╝`;
+// Spec context preview: the CVL excerpts an analysis of this rule would get
+app.post('/spec-context', (req, res) => {
+    const { projectPath, confPath, specFile, ruleName, content } = req.body || {};
+    if (!projectPath || !String(projectPath).trim()) {
+        return res.status(400).json({ success: false, error: 'Missing projectPath' });
+    }
+    if (confPath && String(confPath).trim()) {
+        try {
+            resolveConfPath(String(projectPath).trim(), confPath);
+        } catch (e) {
+            return res.status(400).json({ success: false, error: e.message });
+        }
+    }
+    try {
+        res.json({ success: true, ...buildSpecContext({ projectPath, confPath, specFile, ruleName, content }) });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// CVL index of a project's spec files (under certora/), or of one spec with ?file=
+app.get('/cvl-index', (req, res) => {
+    const projectPath = String(req.query.projectPath || '').trim();
+    if (!projectPath) {
+        return res.status(400).json({ success: false, error: 'Missing projectPath' });
+    }
+    const root = path.resolve(projectPath);
+    let files;
+    if (req.query.file) {
+        const file = path.resolve(root, String(req.query.file));
+        if (!file.startsWith(`${root}${path.sep}`) || !file.endsWith('.spec')) {
+            return res.status(400).json({ success: false, error: 'file must be a .spec inside the project' });
+        }
+        if (!fs.existsSync(file)) {
+            return res.status(404).json({ success: false, error: `Spec not found: ${req.query.file}` });
+        }
+        files = [file];
+    } else {
+        files = listSpecFiles(root);
+    }
+    try {
+        const indexed = files.map(file => ({ relPath: path.relative(root, file), ...parseCvl(fs.readFileSync(file, 'utf-8')) }));
+        res.json({ success: true, baseDir: path.join(root, 'certora'), count: indexed.length, files: indexed });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Prompt templates: built-in and project ones per kind, with the variables each kind gets
+app.get('/prompt-templates', (req, res) => {
+    try {
+        const projectPath = req.query.projectPath ? String(req.query.projectPath) : undefined;
+        const projectConfig = loadProjectConfig(projectPath);
+        const kinds = Object.fromEntries(Object.entries(TEMPLATE_KINDS).map(([kind, { description, variables }]) => [kind, { description, variables }]));
+        res.json({
+            success: true,
+            dir: templatesDir(projectPath, projectConfig),
+            kinds,
+            templates: listPromptTemplates({ projectPath, projectConfig })
         });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
 
-        const promptText = `Implement fixes for the items below by editing SPEC/CONF/HARNESS CONTRACTS only:
+app.get('/prompt-templates/:kind/:name', (req, res) => {
+    try {
+        const template = promptTemplateFor(req.params.kind, req.query.projectPath, { [req.params.kind]: req.params.name });
+        res.json({ success: true, template });
+    } catch (e) {
+        res.status(/^Unknown prompt template:/.test(e.message) ? 404 : 400).json({ success: false, error: e.message });
+    }
+});
 
-        Constraints:
-- THE OVERRIDING PRINCIPLE FOR ALL RECOMMENDATIONS IS TO PRESERVE SOUNDNESS. THIS IS NON-NEGOTIABLE.BASED ON THIS, THE HIERARCHY OF PREFERENCE FOR FIXES IS:REQUIREINVARIANT >> HAVOC ASSUMING>FILTERED = REQUIRE.
-- NEVER MODIFY any Solidity files (.sol) in the following directories: src/, contract/, contracts/.
-- You MAY ONLY modify CVL specification files (.spec) , Certora configuration files (.conf) , HARNESS CONTRACTS (.sol) in the following directories: certora/harness when necessary.
-- DO NOT RUN certoraRun command yourself
+// Render a template with sample variables ({ kind, name?, projectPath, variables }); lists unfilled placeholders
+app.post('/prompt-templates/preview', (req, res) => {
+    const { kind, name, projectPath, variables } = req.body || {};
+    try {
+        const { body, ...template } = promptTemplateFor(kind, projectPath, name ? { [kind]: name } : undefined);
+        const { text, missing } = renderTemplate(body, { projectPath, ...(variables || {}) });
+        res.json({ success: true, template, text, missing });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
 
-You have the ability to search the web to get any necessary information. 
+// Analysis cache size; DELETE empties it
+app.get('/analysis-cache', (req, res) => {
+    res.json({ success: true, ...analysisCache.stats() });
+});
 
-Implement fixes based on the following analysis result`;
+app.delete('/analysis-cache', (req, res) => {
+    try {
+        res.json({ success: true, removed: analysisCache.clear() });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Scheduler state: running and queued analyses, limits
+app.get('/analysis-scheduler', (req, res) => {
+    res.json({ success: true, ...analysisScheduler.stats() });
+});
+
+
+// New endpoint: /generate-fix-prompt to generate fix prompt
+app.post('/generate-fix-prompt', async (req, res) => {
+    const { analyses, projectPath, promptTemplates } = req.body;
+
+    if (!analyses || !Array.isArray(analyses) || analyses.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing analysis results'
+        });
+    }
+
+    // Removed 'Generating fix prompt' log since we now do individual fixes
+
+    try {
+        // Normalize input: support string array or object array { text, ruleName }
+        const items = analyses.map((a) => {
+            if (a && typeof a === 'object') {
+                // Support different field names
+                const text = a.text ?? a.analysis ?? '';
+                const ruleName = a.ruleName ?? a.name ?? a.rule ?? '';
+                return { text: String(text || ''), ruleName: String(ruleName || '') };
+            }
+            return { text: String(a || ''), ruleName: '' };
+        });
+
+        // Format analyses (inject rule name into header)
+        const formattedAnalyses = items.map((item, index) => {
+            const headerTitle = item.ruleName
+                ? `Analysis Conclusion ${index + 1} · Rule: ${item.ruleName}`
+                : `Analysis Conclusion ${index + 1}`;
+            return `╔═══════════════════════════════════════════════════════════════════════════════════╗
+║ ${headerTitle}
+
+
+${item.text}
+
+║                           Analysis Conclusion ${index + 1} End                           ║
+╚═══════════════════════════════════════════════════════════════════════════════════╝`;
+        });
+
+        // The fix-base template; its {{placeholders}} are filled per item by the fix flow
+        const template = promptTemplateFor('fix-base', projectPath, promptTemplates);
+        const { body: promptText, ...templateInfo } = template;
 
         res.json({
             success: true,
-            prompt: promptText
+            prompt: promptText,
+            template: templateInfo
         });
 
     } catch (error) {
@@ -698,7 +790,7 @@ Implement fixes based on the following analysis result`;
 
 // New: resume fix from specific index
 app.post('/resume-fix-from', async (req, res) => {
-    const { content, startIndex, basePrompt, analyses, projectPath, confPath } = req.body || {};
+    const { content, startIndex, basePrompt, analyses, projectPath, confPath, confOverrides, rerunFailingOnly, fullRunAfter, preflight, retryPolicy, provider, closedLoop, maxIterations, promptTemplates, jobMetadata, blockUnsound } = req.body || {};
 
     if (!analyses || !Array.isArray(analyses) || analyses.length === 0) {
         return res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({
@@ -727,6 +819,17 @@ app.post('/resume-fix-from', async (req, res) => {
             analyses: remainingAnalyses,
             projectPath,
             confPath,
+            confOverrides,
+            rerunFailingOnly,
+            fullRunAfter,
+            preflight,
+            retryPolicy,
+            provider,
+            closedLoop,
+            maxIterations,
+            promptTemplates,
+            jobMetadata,
+            blockUnsound,
             _resumeInfo: {
                 originalStartIndex: startIdx,
                 totalItems: analyses.length
@@ -738,177 +841,727 @@ app.post('/resume-fix-from', async (req, res) => {
     return handleSequentialFix(modifiedReq, res);
 });
 
+const MAX_CLOSED_LOOP_ITERATIONS = 10;
+
+// Closed-loop options from a fix request: { closedLoop, maxIterations, pollIntervalMs }
+function parseClosedLoopOptions(body) {
+    const maxIterations = parseInt(body.maxIterations, 10);
+    const pollIntervalMs = parseInt(body.pollIntervalMs, 10);
+    return {
+        enabled: Boolean(body.closedLoop),
+        maxIterations: Math.min(MAX_CLOSED_LOOP_ITERATIONS, Math.max(1, Number.isFinite(maxIterations) ? maxIterations : 3)),
+        pollIntervalMs: Number.isFinite(pollIntervalMs) && pollIntervalMs > 0 ? pollIntervalMs : undefined
+    };
+}
+
 // Extract the main logic to a reusable function
 function handleSequentialFix(req, res) {
-    const { content, basePrompt, analyses, projectPath, confPath, _resumeInfo } = req.body || {};
-
-    if (!analyses || !Array.isArray(analyses) || analyses.length === 0) {
+    const { content, analyses, projectPath, confPath, confOverrides, provider, promptTemplates, _resumeInfo, _journalId } = req.body || {};
+    const closedLoop = parseClosedLoopOptions(req.body || {});
+    // certoraRun only the rules fixed in this session (a narrowed copy of the conf), optionally the full conf at the end
+    const rerunFailingOnly = Boolean(req.body?.rerunFailingOnly);
+    const fullRunAfter = rerunFailingOnly && Boolean(req.body?.fullRunAfter);
+    // Fail (and revert) fix items whose spec/conf edits have high-severity soundness findings
+    const blockUnsound = Boolean(req.body?.blockUnsound);
+    // Local compile/typecheck before submitting to the prover; on unless explicitly false
+    const preflightRequested = req.body?.preflight !== false;
+    // Rule facts for {{jobMetadata.*}}; the closed loop refreshes them from each new run
+    let jobMetadata = req.body?.jobMetadata || null;
+
+    // A journal resume may have no items left, only the certoraRun stage
+    if (!analyses || !Array.isArray(analyses) || (analyses.length === 0 && !_journalId)) {
         return res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({
             success: false,
             error: 'Missing analysis results (analyses)'
         }));
     }
 
-    // SSE headers
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Cache-Control'
+    // The fix phase edits files, so only providers that can do that are accepted
+    const binaryWarnings = [];
+    const binaries = binariesFor(projectPath, (message) => binaryWarnings.push(message));
+    let fixProvider;
+    try {
+        fixProvider = createProvider(provider, defaultProviderConfig, { command: binaries.codex });
+    } catch (e) {
+        return res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+            success: false,
+            error: e.message
+        }));
+    }
+    if (!fixProvider.canEditFiles) {
+        return res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+            success: false,
+            error: `Provider ${fixProvider.label} cannot edit files; use codex for the fix phase`
+        }));
+    }
+
+    // Templates: an explicit basePrompt (e.g. edited in the UI) wins over the fix-base template
+    let basePrompt;
+    let syntaxFixTemplate;
+    try {
+        basePrompt = req.body?.basePrompt || promptTemplateFor('fix-base', projectPath, promptTemplates).body;
+        syntaxFixTemplate = promptTemplateFor('syntax-fix', projectPath, promptTemplates);
+    } catch (e) {
+        return res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+            success: false,
+            error: e.message
+        }));
+    }
+
+    // Per-run conf overrides: checked here, applied to a copy of the conf for every certoraRun
+    const hasConfOverrides = Boolean(confOverrides && typeof confOverrides === 'object' && Object.keys(confOverrides).length);
+    if (hasConfOverrides || rerunFailingOnly) {
+        let error = null;
+        if (!projectPath || !String(projectPath).trim() || !confPath || !String(confPath).trim()) {
+            error = `${hasConfOverrides ? 'confOverrides' : 'rerunFailingOnly'} needs projectPath and confPath`;
+        } else if (hasConfOverrides) {
+            try {
+                const { changes, issues } = loadConf(String(projectPath).trim(), confPath, confOverrides);
+                const invalid = issues.filter(i => i.severity === 'error' && changes.some(c => c.key === i.key));
+                if (invalid.length) error = `Invalid conf overrides: ${invalid.map(i => i.message).join('; ')}`;
+            } catch (e) {
+                error = e.message;
+            }
+        }
+        if (error) {
+            return res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ success: false, error }));
+        }
+    }
+
+    // Bounds on the certoraRun syntax-fix loop (see retry_policy.mjs); the project config fills in the rest
+    const requestedRetryPolicy = req.body?.retryPolicy ?? null;
+    try {
+        retryPolicyConfig(requestedRetryPolicy);
+    } catch (e) {
+        return res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ success: false, error: e.message }));
+    }
+
+    const running = runningFixJob(projectPath);
+    if (running) {
+        return res.writeHead(409, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+            success: false,
+            error: `A fix is already running for this project (job ${running.id})`,
+            jobId: running.id
+        }));
+    }
+
+    // The flow runs as a job: a page reload re-attaches through /jobs/:id/events instead of stopping it
+    const job = jobs.create({
+        kind: 'fix',
+        label: `Sequential fix (${_resumeInfo ? _resumeInfo.totalItems : analyses.length} items)`,
+        meta: {
+            projectPath: projectPath || null,
+            projectKey: projectKey(projectPath),
+            confPath: confPath || null,
+            provider: fixProvider.name,
+            closedLoop: closedLoop.enabled,
+            totalItems: _resumeInfo ? _resumeInfo.totalItems : analyses.length,
+            currentIndex: _resumeInfo ? _resumeInfo.originalStartIndex : 0
+        }
     });
+    job.emit({ type: 'job', data: job.summary() });
+    streamJob(job, res);
+
+    const send = (message, type = 'output') => job.emit({ type, message });
+    const aborted = () => job.signal.aborted;
+    for (const message of binaryWarnings) send(message, 'warning');
 
-    const send = (message, type = 'output') => {
+    // Journal writes are best-effort: a failure is reported but never stops the fix
+    let journal = null;
+    const record = (write) => {
+        if (!journal) return null;
         try {
-            res.write(`data: ${JSON.stringify({ type, message })}\n\n`);
-        } catch { }
+            return write(journal);
+        } catch (e) {
+            send(`Fix journal write failed: ${e.message}`, 'warning');
+            return null;
+        }
     };
 
-    // reset abort flag and mark the flow active
-    globalFixAbort = false;
-    let clientDisconnected = false; // client disconnects but do not abort fix flow
-    currentChild = null;
-    activeFixRunning = true;
-
-    // Set current fix index for tracking
-    currentFixIndex = _resumeInfo ? _resumeInfo.originalStartIndex : 0;
-    resumeState = {
-        content,
-        basePrompt,
-        analyses: req.body.analyses, // Original full analyses array
-        projectPath,
-        confPath,
-        currentIndex: currentFixIndex
+    // Checkpoint every agent call so each fix can be reviewed and rolled back.
+    // Checkpoints are best-effort: a failure disables them with a warning.
+    let checkpointSession = null;
+    let checkpointsDisabled = !(projectPath && String(projectPath).trim());
+    const beginCheckpoint = async (label) => {
+        if (checkpointsDisabled) return null;
+        try {
+            if (!checkpointSession) {
+                checkpointSession = await createCheckpointSession({
+                    projectPath: String(projectPath).trim(),
+                    label: `Fix run (${analyses.length} items)`
+                });
+                send(`Checkpoints: session ${checkpointSession.id} (${checkpointSession.mode})`, 'info');
+            }
+            return await checkpointSession.begin(label);
+        } catch (e) {
+            checkpointsDisabled = true;
+            send(`Checkpoints disabled: ${e.message}`, 'warning');
+            return null;
+        }
+    };
+    const endCheckpoint = async (item) => {
+        if (!item || !checkpointSession) return;
+        try {
+            await checkpointSession.end(item);
+            job.emit({
+                type: 'checkpoint',
+                message: `Checkpoint #${item.index + 1} (${item.label}): ${item.changedFiles.length} file(s) changed`,
+                data: { sessionId: checkpointSession.id, mode: checkpointSession.mode, item: checkpointItemSummary(item) }
+            });
+        } catch (e) {
+            send(`Checkpoint after ${item.label} failed: ${e.message}`, 'warning');
+        }
     };
 
-    const killCurrent = () => {
+    // Checkpoint items from this index on were made after the project last compiled
+    // (the session starts from the state the prover run was made with)
+    let compilingCheckpoint = 0;
+    const markCompiling = () => {
+        compilingCheckpoint = checkpointSession ? checkpointSession.summary().itemCount : 0;
+    };
+    const rollbackToLastCompiling = async () => {
+        if (!checkpointSession) return { ok: false, error: 'checkpoints are disabled', items: [] };
+        const items = checkpointSession.summary().items.slice(compilingCheckpoint)
+            .filter(item => item.status !== 'rolled-back').map(item => item.label);
+        if (items.length === 0) return { ok: true, error: null, items };
         try {
-            if (currentChild && currentChild.pid) {
-                try { currentChild.kill('SIGTERM'); } catch { }
-                try { process.kill(-currentChild.pid, 'SIGTERM'); } catch { }
-                setTimeout(() => {
-                    try {
-                        if (currentChild && currentChild.pid) {
-                            try { currentChild.kill('SIGKILL'); } catch { }
-                            try { process.kill(-currentChild.pid, 'SIGKILL'); } catch { }
-                        }
-                    } catch { }
-                }, 1500);
-            }
-        } catch { }
+            const result = await checkpointSession.rollbackTo(compilingCheckpoint, 'before rollback to the last compiling state');
+            if (result.ok) send(`↩️ Rolled back ${items.length} fix(es) to the last compiling state: ${items.join(', ')}`, 'warning');
+            else send(`Rollback to the last compiling state failed: ${result.error}`, 'error');
+            return { ok: result.ok, error: result.error || null, sessionId: checkpointSession.id, fromIndex: compilingCheckpoint, items };
+        } catch (e) {
+            send(`Rollback to the last compiling state failed: ${e.message}`, 'error');
+            return { ok: false, error: e.message, items };
+        }
     };
-    req.on('close', () => { clientDisconnected = true; killCurrent(); });
 
-    const spawnCodexOnce = async (promptText, ruleName = 'Fix Task') => {
-        const { spawn } = await import('child_process');
+    // The prompts forbid edits to production contracts; verify it around every
+    // agent call, revert offending changes and fail the item
+    let protection = null;
+    if (projectPath && String(projectPath).trim()) {
+        try {
+            protection = protectionConfig(loadProjectConfig(String(projectPath).trim()));
+        } catch (e) {
+            protection = protectionConfig();
+            send(`${e.message}; using the default protected paths`, 'warning');
+        }
+    }
+    // Compile/typecheck locally before each submission (see preflight.mjs); on unless the
+    // request or the project config turns it off
+    let preflight = { enabled: false, command: null };
+    if (preflightRequested && confPath && String(confPath).trim()) {
+        try {
+            preflight = preflightConfig(loadProjectConfig(String(projectPath || '').trim()));
+        } catch (e) {
+            preflight = preflightConfig();
+            send(`${e.message}; using the default pre-flight command`, 'warning');
+        }
+    }
 
-        return new Promise((resolve) => {
-            if (globalFixAbort) {
-                send('Abort requested before spawning Codex', 'info');
-                return resolve(false);
-            }
-            const args = [
-                'exec',
-                '--sandbox', 'workspace-write',
-                '-c', 'approval_policy=never',
-                '-c', 'model_reasoning_effort=high',
-                '-c', 'model_reasoning_summary=detailed'
-            ];
-
-            let workingDirectory = null;
-            let projectRootPath = null;
-
-            if (projectPath && String(projectPath).trim()) {
-                projectRootPath = String(projectPath).trim();
-                workingDirectory = `${projectRootPath}/certora`;
-
-                args.push('-C', workingDirectory);
-                // Removed 'Set working directory' log - not needed in fix stage
-                send(`Project root directory: ${projectRootPath}`, 'info');
-            }
+    let retryPolicy = retryPolicyConfig(requestedRetryPolicy);
+    try {
+        retryPolicy = retryPolicyConfig(loadProjectConfig(String(projectPath || '').trim()).retryPolicy, requestedRetryPolicy);
+    } catch (e) {
+        send(`${e.message}; ignoring the project retry policy`, 'warning');
+    }
+
+    const snapshotProtected = (root) => {
+        if (!protection || protection.protectedPaths.length === 0) return null;
+        try {
+            return snapshotProtectedFiles(root, protection);
+        } catch (e) {
+            send(`Could not snapshot protected paths: ${e.message}`, 'warning');
+            return null;
+        }
+    };
+    const enforceProtectedPaths = (snapshot) => {
+        if (!snapshot) return true;
+        const changes = findProtectedChanges(snapshot);
+        if (changes.length === 0) return true;
+        send(`${fixProvider.label} modified protected files: ${changes.map(c => `${c.path} (${c.change})`).join(', ')}`, 'error');
+        const { restored, failed } = restoreProtectedFiles(snapshot, changes);
+        if (restored.length) send(`Reverted protected files: ${restored.join(', ')}`, 'warning');
+        for (const f of failed) send(`Could not revert ${f.path}: ${f.error}`, 'error');
+        return false;
+    };
+
+    // Lint the spec/conf edits of every agent call for new assumptions (see soundness_lint.mjs)
+    const snapshotSpecs = (root) => {
+        try {
+            return snapshotSpecSources(root);
+        } catch (e) {
+            send(`Could not snapshot specs for the soundness check: ${e.message}`, 'warning');
+            return null;
+        }
+    };
+    const checkSoundness = (snapshot, ruleName) => {
+        if (!snapshot) return true;
+        let report;
+        try {
+            report = lintSpecChanges(snapshot, snapshotSpecSources(snapshot.root));
+        } catch (e) {
+            send(`Soundness check failed: ${e.message}`, 'warning');
+            return true;
+        }
+        if (report.changedFiles.length === 0) return true;
+        const { high, medium, low } = report.counts;
+        const blocked = blockUnsound && high > 0;
+        const summary = high + medium + low === 0
+            ? 'no new assumptions'
+            : [high && `${high} high`, medium && `${medium} medium`, low && `${low} low`].filter(Boolean).join(', ');
+        job.emit({
+            type: 'soundness',
+            message: `Soundness check (${ruleName}): ${summary}`,
+            data: { item: ruleName, blocked, ...report }
+        });
+        if (!blocked) return true;
+        const { restored, failed } = restoreSpecSources(snapshot, report.changedFiles);
+        if (restored.length) send(`Reverted spec/conf changes: ${restored.join(', ')}`, 'warning');
+        for (const f of failed) send(`Could not revert ${f.path}: ${f.error}`, 'error');
+        return false;
+    };
 
-            // Add project context to prompt
-            const contextualPrompt = projectRootPath
-                ? `Project Root Directory: ${projectRootPath}
+    const runFixAgentOnce = async (promptText, ruleName = 'Fix Task') => {
+        if (aborted()) {
+            send(`Abort requested before starting ${fixProvider.label}`, 'info');
+            return false;
+        }
+
+        let workingDirectory;
+        let projectRootPath = null;
+
+        if (projectPath && String(projectPath).trim()) {
+            projectRootPath = String(projectPath).trim();
+            workingDirectory = `${projectRootPath}/certora`;
+            // Removed 'Set working directory' log - not needed in fix stage
+            send(`Project root directory: ${projectRootPath}`, 'info');
+        }
+
+        // Add project context to prompt
+        const contextualPrompt = projectRootPath
+            ? `Project Root Directory: ${projectRootPath}
 
 You can read files from the project root directory and its subdirectories for analysis.
 You can only write/modify files in the current working directory (certora/) and its subdirectories.
 
 ${String(promptText || '').replace(/\0/g, '')}`
-                : String(promptText || '').replace(/\0/g, '');
+            : String(promptText || '').replace(/\0/g, '');
+
+        const checkpoint = await beginCheckpoint(ruleName);
+        const protectedSnapshot = projectRootPath ? snapshotProtected(projectRootPath) : null;
+        const specSnapshot = projectRootPath ? snapshotSpecs(projectRootPath) : null;
+
+        const result = await fixProvider.run({
+            prompt: contextualPrompt,
+            mode: 'fix',
+            cwd: workingDirectory,
+            signal: job.signal,
+            onSpawn: (child) => job.setChild(child),
+            onOutput: (chunk) => send(chunk, 'output'),
+            onError: (chunk) => send(chunk, 'error')
+        });
+        job.setChild(null);
+        const protectedOk = enforceProtectedPaths(protectedSnapshot);
+        const soundOk = checkSoundness(specSnapshot, ruleName);
+        await endCheckpoint(checkpoint);
 
-            args.push(contextualPrompt);
+        if (!result.ok && result.error && result.error !== 'aborted') {
+            send(result.error, 'error');
+        }
+        send(`${fixProvider.label} exited: ${result.code}`, result.ok ? 'success' : 'error');
+        if (!protectedOk) send(`${ruleName} marked failed: protected files were modified`, 'error');
+        if (!soundOk) send(`${ruleName} marked failed: high-severity soundness findings`, 'error');
+        return result.ok && protectedOk && soundOk;
+    };
 
-            // Removed redundant 'Fixing:' log message
-            // Avoid detached to keep process tied to request lifecycle (prevents early SSE end)
-            currentChild = spawn('codex', args, { stdio: ['pipe', 'pipe', 'pipe'], env: { ...process.env } });
+    // Rules fixed in this session, as names for the conf's "rule" option
+    const sessionRules = new Set();
+    const addSessionRules = (list) => {
+        for (const item of list || []) {
+            const name = confRuleName(item.ruleName, item.content);
+            if (name) sessionRules.add(name);
+        }
+    };
+
+    // Conf argument for one attempt: the conf itself, or a copy with the overrides and the
+    // `rules` narrowing applied. Re-applied per attempt so conf edits by the agent are kept.
+    // Returns { confArg, confChanges, error }
+    const prepareConf = (rules) => {
+        const overrides = { ...(hasConfOverrides ? confOverrides : {}), ...(rules ? { rule: rules } : {}) };
+        let confArg = String(confPath).trim();
+        let confChanges = [];
+        if (Object.keys(overrides).length) {
+            try {
+                const root = String(projectPath).trim();
+                const loaded = loadConf(root, confPath, overrides);
+                confChanges = loaded.changes;
+                if (confChanges.length) {
+                    confArg = writeConfOverride(root, loaded);
+                    send(`Conf overrides (${describeConfChanges(confChanges)}) written to ${confArg}`, 'info');
+                }
+            } catch (e) {
+                send(`Conf overrides not applied: ${e.message}`, 'error');
+                return { confArg, confChanges, error: e.message };
+            }
+        }
+        return { confArg, confChanges, error: null };
+    };
 
-            currentChild.stdout.on('data', (d) => send(d.toString(), 'output'));
-            currentChild.stderr.on('data', (d) => send(d.toString(), 'error'));
-            currentChild.on('error', (e) => {
-                send(`Process error: ${e.message}`, 'error');
-                try { currentChild && currentChild.kill('SIGTERM'); } catch { }
-                currentChild = null;
-                return resolve(false);
+    // Spawn a command in the project dir, streaming its output; resolves { code, output, error }
+    const runProcess = async (cmd, args) => {
+        const { spawn } = await import('child_process');
+        return new Promise((resolve) => {
+            const spawnOpts = { stdio: ['ignore', 'pipe', 'pipe'], env: { ...process.env } };
+            if (projectPath && String(projectPath).trim()) spawnOpts.cwd = String(projectPath).trim();
+
+            send(`Running: ${[cmd, ...args].join(' ')}`, 'info');
+            const child = spawn(cmd, args, spawnOpts);
+            job.setChild(child);
+            let out = '';
+            let err = '';
+            let spawnError = null;
+            child.stdout.on('data', (d) => { const s = d.toString(); out += s; send(s, 'output'); });
+            child.stderr.on('data', (d) => { const s = d.toString(); err += s; send(s, 'output'); });
+            child.on('error', (e) => {
+                spawnError = e;
+                send(`${cmd} process error: ${e.message}`, 'error');
             });
-            currentChild.on('close', (code) => {
-                currentChild = null;
-                send(`Codex exited: ${code}`, code === 0 ? 'success' : 'error');
-                resolve(code === 0);
+            child.on('close', (code) => {
+                job.setChild(null);
+                resolve({ code, output: `${out}\n${err}`, error: spawnError });
             });
         });
     };
 
-    const runCertora = async () => {
+    // Submit `conf` (from prepareConf; prepared here for `rules` when omitted) to the prover
+    const runCertora = async ({ rules, conf } = {}) => {
         if (!confPath || !String(confPath).trim()) {
             send('No conf path provided, skipping certoraRun', 'info');
             return { success: false, url: '', output: '' };
         }
+        const scope = rules ? 'failing' : 'full';
+        const { confArg, confChanges, error } = conf || prepareConf(rules);
+        if (error) return { success: false, url: '', output: error, confChanges, scope };
+
+        const { output } = await runProcess(binaries.certoraRun, [confArg]);
+        const urlMatches = output.match(/https:\/\/prover\.certora\.com\/output\/[^\s]+/g);
+        const url = urlMatches && urlMatches.length ? urlMatches[urlMatches.length - 1] : '';
+        if (url) {
+            job.emit({ type: 'url', message: url, data: { conf: confArg, confChanges, scope } });
+            send('certoraRun successful, verification URL obtained', 'success');
+            return { success: true, url, output, confChanges, scope };
+        }
+        send('certoraRun did not return verification URL, considered as failure', 'error');
+        return { success: false, url: '', output, confChanges, scope };
+    };
 
-        const { spawn } = await import('child_process');
-        return new Promise((resolve) => {
-            const cmd = 'certoraRun';
-            const args = [String(confPath).trim()];
-            const spawnOpts = { stdio: ['ignore', 'pipe', 'pipe'], env: { ...process.env } };
-            if (projectPath && String(projectPath).trim()) spawnOpts.cwd = String(projectPath).trim();
+    // Compile/typecheck `conf` locally with the pre-flight command (see preflight.mjs);
+    // resolves { passed, missing, output }. A missing command turns the check off for the session.
+    const runPreflight = async (conf) => {
+        let argv;
+        try {
+            argv = preflightArgv(preflight.command, conf.confArg, binaries.certoraRun);
+        } catch (e) {
+            return { passed: false, missing: false, output: e.message };
+        }
+        const [cmd, ...args] = argv;
+        send('🛫 Pre-flight check (local compile/typecheck)', 'info');
+        const { code, output, error } = await runProcess(cmd, args);
+        if (error && error.code === 'ENOENT') {
+            preflight = { enabled: false, command: null };
+            send(`Pre-flight command ${cmd} not found; submitting without a local check`, 'warning');
+            return { passed: false, missing: true, output };
+        }
+        return { passed: code === 0, missing: false, output };
+    };
 
-            send(`Running: certoraRun ${args.join(' ')}`, 'info');
-            // Do not use detached, keep same lifecycle as request
-            currentChild = spawn(cmd, args, spawnOpts);
-            let out = '';
-            let err = '';
-            currentChild.stdout.on('data', (d) => { const s = d.toString(); out += s; send(s, 'output'); });
-            currentChild.stderr.on('data', (d) => { const s = d.toString(); err += s; send(s, 'output'); });
-            currentChild.on('error', (e) => {
-                send(`certoraRun process error: ${e.message}`, 'error');
+    // Closed loop: after certoraRun submits a job, wait for it, re-scrape and re-analyze what still fails
+    const rescrapeAndAnalyze = async (url, previousScrape) => {
+        send(`⏳ Waiting for the prover job to finish: ${url}`, 'info');
+        const waited = await waitForJobCompletion(url, {
+            pollIntervalMs: closedLoop.pollIntervalMs,
+            requestTimeoutMs: proverFetchConfig.timeoutMs,
+            onProgress: (message, type = 'info') => send(message, type),
+            shouldStop: aborted
+        });
+        if (!waited.finished) {
+            send(waited.reason === 'aborted' ? 'Closed loop aborted while waiting for the prover' : 'Prover job did not finish in time; stopping closed loop', 'info');
+            return null;
+        }
+
+        send('🔎 Scraping the new run...', 'info');
+        const scraped = await scrapeRun(url, { ...proverFetchConfig, onProgress: (message, type = 'info') => send(message, type) });
+        if (!scraped) {
+            send('Could not read the new run; stopping closed loop', 'error');
+            return null;
+        }
+        scraped.rules = scraped.rules.map(rule => ({ ...rule, markdown: renderRuleMarkdown(rule) }));
+        saveRunToStore(scraped);
+        if (previousScrape) {
+            const { summary } = diffRuleStatuses(previousScrape.ruleStatuses, scraped.ruleStatuses);
+            send(`Compared with the previous iteration: ${summary.fixed} fixed, ${summary.regressed} regressed, ${summary.newSanityFailed} new sanity failures`, 'info');
+        }
+
+        const failing = scraped.rules.filter(rule => (rule.status === 'VIOLATED' || rule.status === 'SANITY_FAILED') && rule.markdown);
+        if (failing.length === 0) {
+            send('🎉 No failing rules left in the new run', 'success');
+            return { scraped, items: [] };
+        }
+
+        send(`🔁 ${failing.length} rules still failing, re-analyzing...`, 'info');
+        const items = [];
+        for (const rule of failing) {
+            if (aborted()) break;
+            send(`\n===== [Analyze] ${rule.ruleName} =====\n`, 'output');
+            const template = promptTemplateFor(analysisTemplateKind(rule.status), projectPath, promptTemplates);
+            const specContext = specContextFor({
+                projectPath, confPath, jobMetadata: scraped.jobMetadata, ruleName: rule.ruleName, content: rule.markdown
+            }, send);
+            const analysisPrompt = renderTemplate(template.body, {
+                content: rule.markdown, specContext, ruleName: rule.ruleName, jobMetadata: scraped.jobMetadata, projectPath
+            }).text;
+            const result = await analysisScheduler.schedule({
+                provider: fixProvider.name,
+                signal: job.signal,
+                onQueued: (position) => send(`Analysis queued (position ${position})`, 'info'),
+                onRateLimited: (waitMs) => send(`${fixProvider.label} rate limit reached, waiting ${Math.ceil(waitMs / 1000)}s`, 'info'),
+                onRetry: ({ attempt, delayMs, error }) => send(`Analysis attempt ${attempt} failed (${error}), retrying in ${(delayMs / 1000).toFixed(1)}s`, 'info'),
+                run: () => fixProvider.run({
+                    prompt: analysisPrompt,
+                    mode: 'analyze',
+                    cwd: projectPath && String(projectPath).trim() ? String(projectPath).trim() : undefined,
+                    signal: job.signal,
+                    onSpawn: (child) => job.setChild(child),
+                    onOutput: (chunk) => send(chunk, 'output'),
+                    onError: (chunk) => send(chunk, 'error')
+                })
             });
-            currentChild.on('close', () => {
-                currentChild = null;
-                const combined = `${out}\n${err}`;
-                const urlMatches = combined.match(/https:\/\/prover\.certora\.com\/output\/[^\s]+/g);
-                const url = urlMatches && urlMatches.length ? urlMatches[urlMatches.length - 1] : '';
-                if (url) {
-                    send(url, 'url');
-                    send('certoraRun successful, verification URL obtained', 'success');
-                    resolve({ success: true, url, output: combined });
-                } else {
-                    send('certoraRun did not return verification URL, considered as failure', 'error');
-                    resolve({ success: false, url: '', output: combined });
+            job.setChild(null);
+            if (result.ok && result.answer) {
+                items.push({ text: result.answer, ruleName: rule.ruleName, content: rule.markdown, originalContent: rule.markdown });
+            } else if (!aborted()) {
+                send(`❌ Analysis failed for ${rule.ruleName}: ${result.error || 'empty answer'}`, 'error');
+            }
+        }
+        return { scraped, items };
+    };
+
+    // Fix items sequentially; indices are reported relative to the full (resumed) list
+    const fixItems = async (items, startIdx, totalItems) => {
+        // Debug: log each item's rule name
+        send(`📋 List of items to fix:`, 'info');
+        items.forEach((item, index) => {
+            send(`  ${startIdx + index + 1}. ${item.ruleName}`, 'info');
+        });
+
+        for (let i = 0; i < items.length; i++) {
+            if (aborted()) {
+                send(`⚠️ Abort signal detected, stopping fix`, 'info');
+                break;
+            }
+            const item = items[i];
+            const actualIndex = startIdx + i + 1;
+            job.meta.currentIndex = startIdx + i;
+
+            // Cleaner section headers
+            send(`➡️ Start ${actualIndex}/${totalItems}: ${item.ruleName}`, 'info');
+            send(`\n===== [Start ${actualIndex}/${totalItems}] ${item.ruleName} =====\n`, 'output');
+
+            // Generate single-item prompt with CERTORA_OUTPUT like analysis phase
+            // Priority: 1. Individual item's content, 2. Global content parameter
+            let usedContent = null;
+
+            // First try to use individual item's original content (preferred)
+            if (item.content && typeof item.content === 'string' && item.content.trim()) {
+                usedContent = item.content;
+            } else if (item.originalContent && typeof item.originalContent === 'string' && item.originalContent.trim()) {
+                usedContent = item.originalContent;
+            } else if (content && content.trim()) {
+                // Fallback to global content parameter
+                usedContent = content;
+            }
+
+            // Keep existing rule data markdown for backward compatibility
+            // Note: Skip this since item.content is now used for CERTORA_OUTPUT
+            let ruleDataMarkdown = '';
+            if (item.ruleData && typeof item.ruleData === 'string') {
+                // Handle alternative rule data field
+                ruleDataMarkdown = `\n\n## Call Trace Data\n${item.ruleData}`;
+            }
+
+            const itemBase = renderTemplate(basePrompt, {
+                ruleName: item.ruleName, analysis: item.text, content: usedContent, projectPath, confPath, jobMetadata
+            }).text;
+            const perPrompt = buildFixItemPrompt(itemBase, item.text, usedContent, ruleDataMarkdown);
+
+            record(j => j.itemStarted(startIdx + i, perPrompt));
+            addSessionRules([item]);
+            const ok = await runFixAgentOnce(perPrompt, item.ruleName);
+            // An item cut short by Stop is not finished; a resume runs it again
+            record(j => (aborted() ? j.itemInterrupted(startIdx + i) : j.itemFinished(startIdx + i, ok, ok ? null : 'fix failed')));
+            send(`📋 Result ${actualIndex}: ${ok ? 'Success' : 'Failure'}`, 'info');
+            send(`===== [Done  ${actualIndex}/${totalItems}] ${ok ? 'Success' : 'Failure'} =====\n`, 'output');
+
+            if (!ok) {
+                if (aborted()) {
+                    send(`⚠️ Abort signal detected during fix`, 'info');
+                    break;
                 }
+                send(`❌ Fix ${actualIndex} failed, continue to next`, 'error');
+                // continue to next item
+            } else {
+                send(`✅ Fix ${actualIndex} completed`, 'success');
+            }
+            if (i + 1 < items.length) {
+                send(`⏭️ Next ${startIdx + i + 2}/${totalItems}`, 'info');
+                send(`⏭️ Next ${startIdx + i + 2}/${totalItems}\n`, 'output');
+            }
+        }
+
+        send(`🏁 Fix loop finished, processed ${items.length} items`, 'info');
+        send(`🏁 Fix loop finished, processed ${items.length} items\n`, 'output');
+    };
+
+    // Retry budget exhausted: restore the last compiling state, summarize what was tried and hand over
+    let escalation = null;
+    const escalate = async ({ reason, message }, tracker) => {
+        const rollback = retryPolicy.rollback ? await rollbackToLastCompiling() : null;
+        escalation = {
+            reason, message, policy: retryPolicy, fixes: tracker.fixes,
+            attempts: tracker.failures.map(f => ({
+                attempt: f.attempt, stage: f.stage, category: f.category, repeats: f.repeats, fix: f.fix, diagnostics: f.diagnostics
+            })),
+            rollback, at: new Date().toISOString()
+        };
+        job.emit({ type: 'escalation', message: `⛔ ${message}; stopping the syntax-fix loop for review`, data: escalation });
+        send(`\n===== [Escalation] ${message} =====\n${describeAttempts(tracker.failures)}\n`, 'output');
+        record(j => j.escalated(escalation));
+    };
+
+    // A failed pre-flight check or certoraRun: typed diagnostics decide what happens next
+    // (see certora_errors.mjs), within the retry budget of `tracker`.
+    // Resolves 'retry' after a fix attempt, or 'stop'.
+    const handleRunFailure = async ({ output, category, diagnostics }, attempt, stage, tracker) => {
+        const label = stage === 'preflight' ? 'Pre-flight check' : 'certoraRun';
+        const located = attachSnippets(diagnostics, projectPath && String(projectPath).trim());
+        if (category) {
+            job.emit({
+                type: 'diagnostics',
+                message: `${label} failed: ${CATEGORY_LABELS[category]} (${diagnostics.length} diagnostic${diagnostics.length === 1 ? '' : 's'})`,
+                data: { attempt, stage, category, diagnostics: located }
             });
-        });
+        }
+
+        if (category === 'auth-network') {
+            send(`❌ ${label} could not reach the prover; check CERTORAKEY and the network connection`, 'error');
+            send(output.slice(-2000), 'output');
+            return 'stop';
+        }
+
+        if (!AGENT_FIXABLE_CATEGORIES.has(category)) {
+            // Unrecognized failures: nothing precise to hand to the agent; avoid an infinite loop
+            send(`⚠️ ${label} failed without a recognized error. See logs for details`, 'error');
+            send(output.slice(-2000), 'output');
+            return 'stop';
+        }
+
+        const exhausted = tracker.failed({ attempt, stage, category, diagnostics });
+        if (exhausted) {
+            await escalate(exhausted, tracker);
+            return 'stop';
+        }
+
+        send(`❌ ${label} reported a ${CATEGORY_LABELS[category]}; sending the diagnostics to ${fixProvider.label} to fix (${tracker.fixes + 1}/${retryPolicy.maxAttempts})...`, 'error');
+        send(`\n===== [Start Syntax Fix] Attempt ${attempt} =====\n`, 'output');
+        send(`🔧 Invoking ${fixProvider.label} to fix ${CATEGORY_LABELS[category]}s...`, 'info');
+
+        const failurePrompt = renderTemplate(syntaxFixTemplate.body, {
+            diagnostics: formatDiagnostics(located),
+            errorCategory: CATEGORY_LABELS[category],
+            errorTail: errorTail(output, located.length ? DIAGNOSED_ERROR_TAIL_CHARS : ERROR_TAIL_CHARS),
+            projectPath,
+            confPath
+        }).text;
+
+        const fixOk = await runFixAgentOnce(failurePrompt, 'Syntax Error Fix');
+        if (aborted()) return 'stop';
+        tracker.fixed(fixOk);
+        if (!fixOk) {
+            // Try again anyway (until abort or success)
+            send(`❌ ${fixProvider.label} failed to fix the errors; will retry ${label}`, 'error');
+            send(`===== [Done  Syntax Fix] Attempt ${attempt} - Failure =====\n`, 'output');
+        } else {
+            send(`✅ ${fixProvider.label} attempted to fix the errors`, 'success');
+            send(`===== [Done  Syntax Fix] Attempt ${attempt} - Success =====\n`, 'output');
+        }
+        return 'retry';
+    };
+
+    // Run certoraRun until a job is submitted; only errors the agent can repair are sent back to it.
+    // With pre-flight on, each attempt first compiles locally and only a passing check is submitted.
+    // Returns the verification URL, or '' when certoraRun failed otherwise or was aborted.
+    const runCertoraUntilSubmitted = async ({ rules } = {}) => {
+        const scope = rules ? 'failing' : 'full';
+        const scopeLabel = rules ? ` on ${rules.length} fixed rule${rules.length === 1 ? '' : 's'} (${rules.join(', ')})` : '';
+        send(`✅ All fixes completed, running certoraRun${scopeLabel} for syntax check...`, 'info');
+        send(`✅ Running certoraRun${scopeLabel} for syntax check...\n`, 'output');
+
+        let attempt = 0;
+        const tracker = createRetryTracker(retryPolicy);
+        // Retry until success, abort or the retry policy escalates
+        while (!aborted()) {
+            attempt++;
+            send(`🔄 certoraRun attempt ${attempt}`, 'info');
+            send(`🔄 certoraRun attempt ${attempt}\n`, 'output');
+
+            const conf = prepareConf(rules);
+            if (preflight.enabled && !conf.error) {
+                const checkEntry = record(j => j.certoraRunStarted(attempt, scope, 'preflight'));
+                const check = await runPreflight(conf);
+                const parsed = check.passed || check.missing ? { category: null, diagnostics: [] } : parseCertoraOutput(check.output);
+                record(j => checkEntry && j.certoraRunFinished(checkEntry, {
+                    success: check.passed, output: check.output, confChanges: conf.confChanges, errorCategory: parsed.category
+                }));
+                if (aborted()) break;
+                if (!check.passed && !check.missing) {
+                    if (await handleRunFailure({ output: check.output, ...parsed }, attempt, 'preflight', tracker) === 'stop') break;
+                    continue;
+                }
+                if (check.passed) {
+                    markCompiling();
+                    send('✅ Pre-flight check passed; submitting to the prover', 'success');
+                }
+            }
+
+            const runEntry = record(j => j.certoraRunStarted(attempt, scope));
+            const result = await runCertora({ rules, conf });
+            const parsed = result.success ? { category: null, diagnostics: [] } : parseCertoraOutput(result.output);
+            record(j => runEntry && j.certoraRunFinished(runEntry, { ...result, errorCategory: parsed.category }));
+
+            if (result.success) {
+                markCompiling();
+                send('✅ certoraRun succeeded! Verification URL obtained', 'success');
+                return result.url;
+            }
+            if (aborted()) break;
+            if (await handleRunFailure({ output: result.output, ...parsed }, attempt, 'submit', tracker) === 'stop') break;
+        }
+        return '';
     };
 
     // Execute the main logic
     (async () => {
         try {
-            const startIdx = _resumeInfo ? _resumeInfo.originalStartIndex : 0;
-            const totalItems = _resumeInfo ? _resumeInfo.totalItems : analyses.length;
+            let startIdx = _resumeInfo ? _resumeInfo.originalStartIndex : 0;
+            let totalItems = _resumeInfo ? _resumeInfo.totalItems : analyses.length;
 
             send(`Starting sequential fix, ${analyses.length} items total (${startIdx > 0 ? `resuming from ${startIdx + 1}` : 'from beginning'})`, 'info');
+            if (closedLoop.enabled) {
+                send(`🔁 Closed loop enabled: up to ${closedLoop.maxIterations} fix iterations`, 'info');
+            }
 
             // Normalize input
-            const items = analyses.map((a, i) => {
+            let items = analyses.map((a, i) => {
                 if (a && typeof a === 'object') {
                     const text = a.text ?? a.analysis ?? '';
                     const ruleName = a.ruleName ?? a.name ?? a.rule ?? `Item ${startIdx + i + 1}`;
@@ -928,202 +1581,135 @@ ${String(promptText || '').replace(/\0/g, '')}`
                 };
             });
 
-            // Debug: log each item's rule name
-            send(`📋 List of items to fix:`, 'info');
-            items.forEach((item, index) => {
-                send(`  ${startIdx + index + 1}. ${item.ruleName}`, 'info');
-            });
-
-            // Fix items sequentially
-            for (let i = 0; i < items.length; i++) {
-                if (globalFixAbort) {
-                    send(`⚠️ Abort signal detected, stopping fix`, 'info');
-                    break;
-                }
-                const item = items[i];
-                const actualIndex = startIdx + i + 1;
-                currentFixIndex = startIdx + i;
-                resumeState.currentIndex = currentFixIndex;
-
-                // Cleaner section headers
-                send(`➡️ Start ${actualIndex}/${totalItems}: ${item.ruleName}`, 'info');
-                send(`\n===== [Start ${actualIndex}/${totalItems}] ${item.ruleName} =====\n`, 'output');
-
-                // Generate single-item prompt with CERTORA_OUTPUT like analysis phase
-                // Priority: 1. Individual item's content, 2. Global content parameter
-                let certoraOutputSection = '';
-                let usedContent = null;
-                
-                // First try to use individual item's original content (preferred)
-                if (item.content && typeof item.content === 'string' && item.content.trim()) {
-                    usedContent = item.content;
-                } else if (item.originalContent && typeof item.originalContent === 'string' && item.originalContent.trim()) {
-                    usedContent = item.originalContent;
-                } else if (content && content.trim()) {
-                    // Fallback to global content parameter
-                    usedContent = content;
-                }
-                
-                if (usedContent) {
-                    certoraOutputSection = `\n\n\`\`\`\nCERTORA_OUTPUT:\n${usedContent}\n\`\`\``;
-                }
+            // Journal: a new one per session, or the interrupted one being resumed
+            try {
+                const journalOptions = {
+                    projectPath,
+                    confPath,
+                    confOverrides: hasConfOverrides ? confOverrides : null,
+                    rerunFailingOnly,
+                    fullRunAfter,
+                    preflight: preflightRequested,
+                    retryPolicy: requestedRetryPolicy,
+                    basePrompt,
+                    content,
+                    promptTemplates,
+                    jobMetadata,
+                    blockUnsound,
+                    jobId: job.id,
+                    provider: fixProvider.name,
+                    closedLoop: { enabled: closedLoop.enabled, maxIterations: closedLoop.maxIterations }
+                };
+                journal = _journalId
+                    ? loadFixJournal(_journalId, journalRegistry.dirs())
+                    : createFixJournal({ dir: journalDir(projectPath), items, startIndex: startIdx, totalItems, options: journalOptions });
+                if (!journal) throw new Error(`journal ${_journalId} not found`);
+                if (_journalId) journal.update({ status: 'running', jobId: job.id, finishedAt: null, escalation: null });
+                journalRegistry.add(path.dirname(journal.file));
+                job.meta.journalId = journal.id;
+                send(`🧾 Fix journal: ${journal.file}`, 'info');
+            } catch (e) {
+                journal = null;
+                send(`Fix journal disabled: ${e.message}`, 'warning');
+            }
 
-                // Keep existing rule data markdown for backward compatibility
-                // Note: Skip this since item.content is now used for CERTORA_OUTPUT
-                let ruleDataMarkdown = '';
-                if (item.ruleData && typeof item.ruleData === 'string') {
-                    // Handle alternative rule data field
-                    ruleDataMarkdown = `\n\n## Call Trace Data\n${item.ruleData}`;
+            let previousScrape = null;
+            let narrowedSubmitted = false;
+            addSessionRules(journal ? [...journal.record.history.flatMap(h => h.items), ...journal.record.items] : items);
+            const firstIteration = journal ? journal.record.iteration : 1;
+            for (let iteration = firstIteration; ; iteration++) {
+                if (closedLoop.enabled) {
+                    send(`🔁 Iteration ${iteration}/${closedLoop.maxIterations}`, 'info');
+                    send(`\n##### Iteration ${iteration}/${closedLoop.maxIterations} #####\n`, 'output');
                 }
 
-                // Wrap codex analysis in code blocks
-                const analysisInCodeBlock = `\`\`\`\n${item.text}\n\`\`\``;
+                await fixItems(items, startIdx, totalItems);
 
-                const perPrompt = `${String(basePrompt || '')}\n\n\nAnalysis Results:\n${analysisInCodeBlock}${ruleDataMarkdown}${certoraOutputSection}`;
+                if (aborted()) {
+                    send('Sequential fix aborted by user', 'status');
+                    record(j => j.finish('cancelled'));
+                    job.emit({ type: 'complete' });
+                    return job.finish('cancelled');
+                }
 
-                const ok = await spawnCodexOnce(perPrompt, item.ruleName);
-                send(`📋 Result ${actualIndex}: ${ok ? 'Success' : 'Failure'}`, 'info');
-                send(`===== [Done  ${actualIndex}/${totalItems}] ${ok ? 'Success' : 'Failure'} =====\n`, 'output');
+                // After fixes, run certoraRun (if confPath provided)
+                if (!confPath || !String(confPath).trim()) {
+                    send('⚠️ No conf path provided; skipping certoraRun', 'info');
+                    send('⚠️ No conf path provided; skipping certoraRun\n', 'output');
+                    break;
+                }
 
-                if (!ok) {
-                    if (globalFixAbort) {
-                        send(`⚠️ Abort signal detected during fix`, 'info');
-                        break;
-                    }
-                    send(`❌ Fix ${actualIndex} failed, continue to next`, 'error');
-                    // continue to next item
-                } else {
-                    send(`✅ Fix ${actualIndex} completed`, 'success');
+                let narrowTo = null;
+                if (rerunFailingOnly) {
+                    narrowTo = sessionRules.size ? [...sessionRules] : null;
+                    if (!narrowTo) send('No rule names found for a narrowed run; verifying the full conf', 'warning');
                 }
-                if (i + 1 < items.length) {
-                    send(`⏭️ Next ${startIdx + i + 2}/${totalItems}`, 'info');
-                    send(`⏭️ Next ${startIdx + i + 2}/${totalItems}\n`, 'output');
+                const url = await runCertoraUntilSubmitted({ rules: narrowTo });
+                if (narrowTo && url) narrowedSubmitted = true;
+                if (!closedLoop.enabled || !url || aborted()) break;
+                if (iteration >= closedLoop.maxIterations) {
+                    send(`🔁 Reached the maximum of ${closedLoop.maxIterations} iterations; stopping closed loop`, 'info');
+                    break;
                 }
-            }
-
-            send(`🏁 Fix loop finished, processed ${items.length} items`, 'info');
-            send(`🏁 Fix loop finished, processed ${items.length} items\n`, 'output');
 
-            if (globalFixAbort) {
-                send('Sequential fix aborted by user', 'status');
-                res.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
-                activeFixRunning = false;
-                return res.end();
+                const next = await rescrapeAndAnalyze(url, previousScrape);
+                if (!next || next.items.length === 0 || aborted()) break;
+
+                // Next iteration fixes the freshly analyzed rules from the start
+                previousScrape = next.scraped;
+                jobMetadata = next.scraped.jobMetadata || jobMetadata;
+                items = next.items;
+                record(j => j.startIteration(iteration + 1, items));
+                startIdx = 0;
+                totalItems = items.length;
+                job.meta.totalItems = totalItems;
+                job.meta.currentIndex = 0;
             }
 
-            // After fixes, run certoraRun (if confPath provided)
-            if (confPath && String(confPath).trim()) {
-                send('✅ All fixes completed, running certoraRun for syntax check...', 'info');
-                send('✅ Running certoraRun for syntax check...\n', 'output');
-
-                let attempt = 0;
-                // Retry until success or aborted; only auto-fix syntax-class errors
-                while (!globalFixAbort) {
-                    attempt++;
-                    send(`🔄 certoraRun attempt ${attempt}`, 'info');
-                    send(`🔄 certoraRun attempt ${attempt}\n`, 'output');
-
-                    const result = await runCertora();
-
-                    if (result.success) {
-                        send('✅ certoraRun succeeded! Verification URL obtained', 'success');
-                        break;
-                    }
-
-                    // Analyze error type
-                    const lower = result.output.toLowerCase();
-                    const hasSyntaxError = lower.includes('syntax error') || lower.includes('parse error') || lower.includes('compilation error');
-
-                    if (hasSyntaxError) {
-                        send('❌ certoraRun detected syntax errors; sending to Codex to fix...', 'error');
-                        send(`\n===== [Start Syntax Fix] Attempt ${attempt} =====\n`, 'output');
-                        send('🔧 Invoking Codex to fix syntax errors...', 'info');
-
-                        const failurePrompt = `Resolve SPEC/CONF/HARNESS CONTRACTS  syntax/parse/compilation errors shown in the log tail by making the minimal edits required.
-
- Constraints:
-- NEVER MODIFY any Solidity files (.sol) in the following directories: src/, contract/, contracts/.
-- You MAY ONLY modify CVL specification files (.spec) , Certora configuration files (.conf) , HARNESS CONTRACTS (.sol) in the following directories: certora/harness when necessary.
-- DO NOT RUN certoraRun command yourself
-
-You have the ability to search the web to get any necessary information. 
-
-Error log tail:
-${result.output.slice(-9000)}
-`;
-
-                        const fixOk = await spawnCodexOnce(failurePrompt, 'Syntax Error Fix');
-                        if (!fixOk) {
-                            if (globalFixAbort) break;
-                            // Continue loop: try certoraRun again (until abort or success)
-                            send('❌ Codex failed to fix syntax errors; will retry certoraRun', 'error');
-                            send(`===== [Done  Syntax Fix] Attempt ${attempt} - Failure =====\n`, 'output');
-                        } else {
-                            send('✅ Codex attempted to fix syntax errors', 'success');
-                            send(`===== [Done  Syntax Fix] Attempt ${attempt} - Success =====\n`, 'output');
-                        }
-                        // Continue loop, run next certoraRun to verify fix
-                        continue;
-                    }
+            if (fullRunAfter && narrowedSubmitted && !escalation && !aborted()) {
+                send('🧪 Narrowed runs done, verifying the full conf', 'info');
+                send('\n##### Full conf run #####\n', 'output');
+                await runCertoraUntilSubmitted();
+            }
 
-                    // Non-syntax errors: logic, constraints, timeouts; avoid infinite loop
-                    send('⚠️ certoraRun failed (non-syntax). See logs for details', 'error');
-                    send(result.output.slice(-2000), 'output');
-                    break;
-                }
+            if (aborted()) {
+                send('Sequential fix aborted by user', 'status');
+            } else if (escalation) {
+                send(`⛔ Sequential fix stopped for review: ${escalation.message}`, 'error');
             } else {
-                send('⚠️ No conf path provided; skipping certoraRun', 'info');
-                send('⚠️ No conf path provided; skipping certoraRun\n', 'output');
+                send('Sequential fix flow completed', 'success');
             }
-
-            send('Sequential fix flow completed', 'success');
-            res.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
-            activeFixRunning = false;
-            res.end();
+            // An escalated session stays resumable: fix the reported errors, then resume to submit again
+            record(j => j.finish(aborted() ? 'cancelled' : (escalation ? 'escalated' : 'completed')));
+            job.emit({ type: 'complete' });
+            job.finish(escalation ? 'failed' : 'completed', escalation ? escalation.message : null);
 
         } catch (e) {
             send(`Sequential fix error: ${e.message}`, 'error');
             if (e && e.stack) send(e.stack, 'output');
-            res.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
-            activeFixRunning = false;
-            res.end();
+            record(j => j.finish('failed'));
+            job.emit({ type: 'complete' });
+            job.finish('failed', e.message);
         }
     })();
 }
 
-// New: endpoint to terminate all Codex processes
+// Stop fix flows: the job given as { jobId }, otherwise every running fix job.
+// Kept for older clients; POST /jobs/:id/cancel stops any single job.
 app.post('/kill-processes', async (req, res) => {
     try {
-        console.log('Received manual process termination request');
-
-        // Set global abort flag for sequential fix to observe and exit soon
-        globalFixAbort = true;
-
-        // Only terminate currently running (tracked) child process/group
-        if (currentChild && currentChild.pid) {
-            try {
-                try { currentChild.kill('SIGTERM'); } catch { }
-                try { process.kill(-currentChild.pid, 'SIGTERM'); } catch { }
-                console.log(`Sent SIGTERM to current child process group: ${currentChild.pid}`);
-            } catch (e) {
-                console.log(`Failed to terminate current child process: ${e.message}`);
-            }
-            // After short wait, send SIGKILL if still alive
-            setTimeout(() => {
-                try {
-                    if (currentChild && currentChild.pid) {
-                        try { currentChild.kill('SIGKILL'); } catch { }
-                        try { process.kill(-currentChild.pid, 'SIGKILL'); } catch { }
-                        console.log(`Sent SIGKILL to current child process group: ${currentChild.pid}`);
-                    }
-                } catch { }
-            }, 800);
-        } else {
-            console.log('No current child process to terminate');
-        }
+        const { jobId } = req.body || {};
+        const targets = jobId ? [jobs.get(String(jobId))].filter(Boolean) : jobs.list({ kind: 'fix', running: true });
+        const cancelled = targets.filter(job => job.cancel()).map(job => job.id);
+        console.log(cancelled.length ? `Cancelled jobs: ${cancelled.join(', ')}` : 'No running fix job to terminate');
 
         // Return confirmation; frontend can mark as stopped immediately
-        res.json({ success: true, message: 'Requested stop of current fix process', activeFixRunning });
+        res.json({
+            success: true,
+            message: 'Requested stop of current fix process',
+            cancelled,
+            activeFixRunning: Boolean(runningFixJob())
+        });
     } catch (error) {
         console.error('Manual process termination error:', error);
         res.status(500).json({ success: false, error: error.message });
@@ -1131,14 +1717,18 @@ app.post('/kill-processes', async (req, res) => {
 });
 
 const PORT = 3002;
-app.listen(PORT, () => {
-    console.log(`
+// Listen only when started directly; tests import `app` and listen on a port of their own
+const invokedPath = process.argv[1] ? fs.realpathSync(process.argv[1]) : '';
+if (invokedPath === fs.realpathSync(fileURLToPath(import.meta.url))) {
+    app.listen(PORT, () => {
+        console.log(`
 ╔════════════════════════════════════════════╗
 ║     Certora Auto Analyzer                 ║
 ║     Server running: http://localhost:${PORT}  ║
 ╚════════════════════════════════════════════╝
         `);
-});
+    });
+}
 // New: list .conf files under <projectPath>/certora/conf
 app.get('/list-conf', async (req, res) => {
     try {
@@ -1176,26 +1766,287 @@ app.get('/list-conf', async (req, res) => {
     }
 });
 
+// Conf options, parsed and validated (?projectPath=&confPath=)
+app.get('/conf', (req, res) => confResponse(res, req.query.projectPath, req.query.confPath));
+
+// The conf a run would use with these overrides, the changed options and any problems
+app.post('/conf/preview', (req, res) => {
+    const { projectPath, confPath, overrides } = req.body || {};
+    confResponse(res, projectPath, confPath, overrides || {});
+});
+
+function confResponse(res, projectPath, confPath, overrides) {
+    if (!projectPath || !String(projectPath).trim() || !confPath || !String(confPath).trim()) {
+        return res.status(400).json({ success: false, error: 'Missing projectPath or confPath' });
+    }
+    const root = String(projectPath).trim();
+    try {
+        if (!fs.existsSync(resolveConfPath(root, confPath))) {
+            return res.status(404).json({ success: false, error: `Conf not found: ${confPath}` });
+        }
+        const { relPath, conf, changes, issues } = loadConf(root, confPath, overrides);
+        res.json({ success: true, relPath, conf, changes, issues, options: CONF_OPTIONS });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+}
+
 // New: sequential fix + certoraRun loop
 app.post('/fix-sequential-stream', async (req, res) => {
     return handleSequentialFix(req, res);
 });
 
-// New: get current resume state
+// New: get current resume state (of the most recent fix job)
 app.get('/resume-state', async (req, res) => {
+    const [latest] = jobs.list({ kind: 'fix' });
     res.json({
         success: true,
-        activeFixRunning,
-        currentIndex: currentFixIndex,
-        resumeState: resumeState ? {
-            totalItems: resumeState.analyses ? resumeState.analyses.length : 0,
-            currentIndex: resumeState.currentIndex,
-            projectPath: resumeState.projectPath,
-            confPath: resumeState.confPath
+        activeFixRunning: Boolean(latest && latest.running),
+        currentIndex: latest ? latest.meta.currentIndex : 0,
+        jobId: latest ? latest.id : null,
+        resumeState: latest ? {
+            totalItems: latest.meta.totalItems,
+            currentIndex: latest.meta.currentIndex,
+            projectPath: latest.meta.projectPath,
+            confPath: latest.meta.confPath
         } : null
     });
 });
 
+// A journaled session is interrupted when it says running but no live job owns it (server restarted)
+function describeFixSession(summary) {
+    const live = Boolean(summary.jobId && jobs.get(summary.jobId)?.running);
+    return {
+        ...summary,
+        live,
+        interrupted: summary.status === 'running' && !live,
+        resumable: summary.status !== 'completed' && !live
+    };
+}
+
+// Fix journals, newest first; ?projectPath= also searches a project not seen since the restart
+app.get('/fix-sessions', (req, res) => {
+    try {
+        const dirs = journalRegistry.dirs();
+        if (req.query.projectPath) dirs.push(journalDir(String(req.query.projectPath)));
+        res.json({ success: true, sessions: listFixJournals(dirs).map(describeFixSession) });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Full journal: analyses, per-item prompts and results, certoraRun attempts
+app.get('/fix-sessions/:id', (req, res) => {
+    const journal = loadFixJournal(req.params.id, journalRegistry.dirs());
+    if (!journal) return res.status(404).json({ success: false, error: 'Fix session not found' });
+    res.json({ success: true, session: { ...journal.record, ...describeFixSession(journal.summary()) } });
+});
+
+// Resume a journaled session from its first unfinished item (SSE, same events as /fix-sequential-stream)
+app.post('/fix-sessions/:id/resume', (req, res) => {
+    const journal = loadFixJournal(req.params.id, journalRegistry.dirs());
+    if (!journal) return res.status(404).json({ success: false, error: 'Fix session not found' });
+    const session = describeFixSession(journal.summary());
+    if (!session.resumable) {
+        const reason = session.live ? `is still running (job ${session.jobId})` : 'already completed';
+        return res.status(409).json({ success: false, error: `Fix session ${reason}` });
+    }
+
+    const recorded = journal.record;
+    const start = firstUnfinishedIndex(recorded);
+    const remaining = start === null ? [] : recorded.items.filter(item => item.index >= start);
+    const body = {
+        content: recorded.content,
+        basePrompt: recorded.basePrompt,
+        analyses: remaining.map(({ ruleName, text, content }) => ({ ruleName, text, content })),
+        projectPath: recorded.projectPath,
+        confPath: recorded.confPath,
+        confOverrides: recorded.confOverrides || undefined,
+        rerunFailingOnly: recorded.rerunFailingOnly,
+        fullRunAfter: recorded.fullRunAfter,
+        preflight: recorded.preflight,
+        retryPolicy: recorded.retryPolicy || undefined,
+        provider: (req.body || {}).provider || recorded.provider,
+        closedLoop: recorded.closedLoop?.enabled,
+        maxIterations: recorded.closedLoop?.maxIterations,
+        promptTemplates: recorded.promptTemplates || undefined,
+        jobMetadata: recorded.jobMetadata || undefined,
+        blockUnsound: recorded.blockUnsound,
+        _resumeInfo: { originalStartIndex: start ?? recorded.totalItems, totalItems: recorded.totalItems },
+        _journalId: recorded.id
+    };
+    return handleSequentialFix({ ...req, body }, res);
+});
+
+// Jobs: analyses and fix flows, newest first (?kind=fix|analysis, ?running=true|false)
+app.get('/jobs', (req, res) => {
+    const { kind, running } = req.query;
+    const filter = {
+        kind: kind ? String(kind) : undefined,
+        running: running === undefined ? undefined : String(running) === 'true'
+    };
+    res.json({ success: true, jobs: jobs.list(filter).map(job => job.summary()) });
+});
+
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+    res.json({ success: true, job: job.summary() });
+});
+
+// Job log as SSE: replays from ?offset= (or after Last-Event-ID), then follows until the job ends
+app.get('/jobs/:id/events', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+    const offset = parseInt(req.query.offset, 10);
+    const from = Number.isFinite(offset) ? offset : Number.isFinite(lastEventId) ? lastEventId + 1 : 0;
+    streamJob(job, res, Math.max(0, from));
+});
+
+app.post('/jobs/:id/cancel', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+    if (!job.cancel()) return res.status(409).json({ success: false, error: `Job already ${job.status}`, job: job.summary() });
+    res.json({ success: true, job: job.summary() });
+});
+
+// Run history: list stored scrapes (summaries, newest first)
+app.get('/runs', (req, res) => {
+    try {
+        res.json({ success: true, runs: runStore.list() });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Run history: full stored run with per-rule content, Markdown and analyses
+app.get('/runs/:id', (req, res) => {
+    const run = runStore.get(req.params.id);
+    if (!run) return res.status(404).json({ success: false, error: 'Run not found' });
+    res.json({ success: true, run });
+});
+
+app.delete('/runs/:id', (req, res) => {
+    try {
+        if (!runStore.remove(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Run not found' });
+        }
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Run history: save the analysis text for one rule ({ ruleKey, analysis, provider })
+app.put('/runs/:id/analyses', (req, res) => {
+    const { ruleKey, analysis, provider } = req.body || {};
+    if (!ruleKey) return res.status(400).json({ success: false, error: 'Missing ruleKey' });
+    try {
+        const summary = runStore.saveAnalysis(req.params.id, String(ruleKey), analysis, provider ? { provider } : {});
+        if (!summary) return res.status(404).json({ success: false, error: 'Run not found' });
+        res.json({ success: true, run: summary });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Resolve one side of a run diff: a prover URL (fetched live) or a run history id
+async function resolveRunStatuses(ref) {
+    const value = String((ref && typeof ref === 'object' ? (ref.url || ref.runId || ref.id) : ref) || '').trim();
+    if (!value) throw new Error('Missing run (prover URL or run history id)');
+
+    if (/^https?:\/\//i.test(value)) {
+        const { runInfo, progressData } = await fetchProgress(value, { timeoutMs: proverFetchConfig.timeoutMs });
+        if (!progressData) throw new Error(`Progress data not found for ${value}`);
+        return { url: value, runId: runInfo.runId, source: 'prover', ruleStatuses: flattenRuleStatuses(progressData) };
+    }
+
+    const run = runStore.get(value);
+    if (!run) throw new Error(`Run not found in history: ${value}`);
+    // Runs saved before statuses were stored only know their fetched rules
+    const partial = !Array.isArray(run.ruleStatuses);
+    return {
+        url: run.url,
+        runId: run.runId,
+        runStoreId: run.id,
+        source: 'history',
+        partial,
+        ruleStatuses: partial ? run.rules.map(r => ({ ruleName: r.ruleName, status: r.status })) : run.ruleStatuses
+    };
+}
+
+// Run-to-run diff: { base, head } are prover URLs or run history ids (base = earlier run)
+app.post('/diff-runs', async (req, res) => {
+    const { base, head } = req.body || {};
+    if (!base || !head) {
+        return res.status(400).json({ success: false, error: 'Please provide base and head (prover URL or run history id)' });
+    }
+    try {
+        const [baseRun, headRun] = await Promise.all([resolveRunStatuses(base), resolveRunStatuses(head)]);
+        const diff = diffRuleStatuses(baseRun.ruleStatuses, headRun.ruleStatuses);
+        const describe = ({ ruleStatuses, ...meta }) => ({ ...meta, totalRules: ruleStatuses.length });
+        res.json({ success: true, base: describe(baseRun), head: describe(headRun), diff });
+    } catch (e) {
+        console.error('diff-runs error:', e);
+        const status = /not found|Missing run|Not a prover output URL/i.test(e.message) ? 404 : 500;
+        res.status(status).json({ success: false, error: e.message });
+    }
+});
+
+// Fix checkpoints: sessions recorded by the sequential fix flow, newest first
+app.get('/checkpoints', (req, res) => {
+    try {
+        res.json({ success: true, sessions: listCheckpointSessions() });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+app.get('/checkpoints/:sessionId', (req, res) => {
+    const session = loadCheckpointSession(req.params.sessionId);
+    if (!session) return res.status(404).json({ success: false, error: 'Checkpoint session not found' });
+    res.json({ success: true, session: session.summary() });
+});
+
+// Unified diff of the changes one fix item made
+app.get('/checkpoints/:sessionId/items/:index/diff', async (req, res) => {
+    const session = loadCheckpointSession(req.params.sessionId);
+    if (!session) return res.status(404).json({ success: false, error: 'Checkpoint session not found' });
+    try {
+        res.json({ success: true, diff: await session.diff(req.params.index) });
+    } catch (e) {
+        const status = /Unknown checkpoint item/.test(e.message) ? 404 : 500;
+        res.status(status).json({ success: false, error: e.message });
+    }
+});
+
+// Roll back one item ({ index }) or, without an index, the whole session.
+// Refused while a fix is running since the agent may be editing the same files.
+async function rollbackCheckpoint(req, res, index) {
+    if (runningFixJob()) {
+        return res.status(409).json({ success: false, error: 'A fix is running; stop it before rolling back' });
+    }
+    const session = loadCheckpointSession(req.params.sessionId);
+    if (!session) return res.status(404).json({ success: false, error: 'Checkpoint session not found' });
+    try {
+        const result = index === undefined ? await session.rollbackSession() : await session.rollbackItem(index);
+        if (!result.ok) return res.status(409).json({ success: false, error: result.error, session: session.summary() });
+        res.json({ success: true, session: session.summary() });
+    } catch (e) {
+        const status = /Unknown checkpoint item/.test(e.message) ? 404 : 500;
+        res.status(status).json({ success: false, error: e.message });
+    }
+}
+
+app.post('/checkpoints/:sessionId/items/:index/rollback', (req, res) => rollbackCheckpoint(req, res, req.params.index));
+app.post('/checkpoints/:sessionId/rollback', (req, res) => rollbackCheckpoint(req, res));
+
+// List LLM providers and the server default
+app.get('/providers', (req, res) => {
+    res.json({ success: true, default: defaultProviderConfig.name, providers: availableProviders(defaultProviderConfig) });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ status: 'ok', uptime: process.uptime() });
@@ -0,0 +1,175 @@
+/*
+ * certoraRun output parser: typed diagnostics instead of substring checks.
+ * Recognizes CVL errors ("Error in spec file (x.spec:12:5): ..."), solc
+ * errors (both "--> file:line:col" and "file:line:col: TypeError" forms),
+ * conf key errors, missing files and prover authentication/network
+ * failures. The fix loop branches on the primary category, and the
+ * syntax-fix prompt gets each diagnostic with a snippet of its source.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import fs from 'fs';
+import path from 'path';
+import { listSpecFiles } from './spec_context.mjs';
+
+// Earlier pipeline stages first: a conf error hides every spec error behind it
+export const ERROR_CATEGORIES = ['auth-network', 'conf', 'missing-file', 'solc', 'cvl-syntax', 'unresolved-method', 'cvl-type'];
+// Categories an agent can repair by editing specs, confs or harnesses
+export const AGENT_FIXABLE_CATEGORIES = new Set(['conf', 'missing-file', 'solc', 'cvl-syntax', 'unresolved-method', 'cvl-type']);
+
+export const CATEGORY_LABELS = {
+    'auth-network': 'authentication/network failure',
+    conf: 'conf key error',
+    'missing-file': 'missing file',
+    solc: 'solc compile error',
+    'cvl-syntax': 'CVL syntax error',
+    'unresolved-method': 'unresolved method',
+    'cvl-type': 'CVL type error'
+};
+
+const MAX_DIAGNOSTICS = 20;
+
+const CVL_ERROR = /Error in spec file \(([^():]+):(\d+):(\d+)\):\s*(.*)/;
+const SPEC_LOCATION = /(\S+\.spec):(\d+):(\d+):?\s+(.*)/;
+const SOLC_ARROW = /^\s*-->\s*(\S+?\.sol):(\d+):(\d+):?/;
+const SOLC_ERROR = /\b((?:Parser|Declaration|Type|Syntax|DocstringParsing|Compiler|Unimplemented|Reference)Error):\s*(.*)/;
+const SOLC_INLINE = /(\S+?\.sol):(\d+):(\d+):\s*((?:Parser|Declaration|Type|Syntax|DocstringParsing|Compiler|Unimplemented|Reference)Error):\s*(.*)/;
+const UNRESOLVED = /could not find (?:method|function|an overloading)|is not declared|no (?:such )?method|unresolved (?:method|function)|undeclared (?:method|function)|not found in contract/i;
+const CVL_SYNTAX = /syntax error|unexpected token|couldn't repair and continue parse|mismatched input|extraneous input/i;
+const GENERIC_SYNTAX = /syntax error|parse error|compilation error/i;
+const SOLC_FAILED = /failed to (?:run|compile)[^\n]*(?:solc|\.sol)|solc (?:had an error|failed|exited)/i;
+const CONF_KEY = [
+    /unrecognized arguments?:\s*(.+)/i,
+    /(?:attribute|key|option|argument)\s+['"`]?([\w-]+)['"`]?\s+(?:is not (?:a )?(?:valid|known|recognized)|is unknown|is not supported)/i,
+    /(?:invalid|unknown|unsupported) (?:attribute|key|option|argument)s?:?\s*['"`]?([\w-]+)/i,
+    /(?:error|failed) (?:while )?(?:parsing|reading|loading) (?:the )?conf(?:ig(?:uration)?)?(?: file)?:?\s*(.*)/i
+];
+const MISSING_FILE = [
+    /No such file or directory:?\s*['"]?([^'"\s]+)['"]?/,
+    /(?:file|path)\s+['"`]?([^\s'"`]+\.\w+)['"`]?\s+(?:does not exist|not found|is missing)/i,
+    /(?:cannot|could not) (?:find|open) (?:file|path)\s+['"`]?([^\s'"`]+)/i
+];
+const AUTH_NETWORK = /CERTORAKEY|certora key|api key|unauthori[sz]ed|forbidden|status(?: code)?:? 40[13]\b|ConnectionError|Max retries exceeded|Name or service not known|Temporary failure in name resolution|Failed to establish a new connection|Network is unreachable|ECONNREFUSED|ECONNRESET|ETIMEDOUT|SSLError|connection (?:timed out|refused|reset)/i;
+
+// ANSI color/cursor sequences; ESC is built from its code so the pattern has no control character
+const ANSI_ESCAPE = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*[A-Za-z]`, 'g');
+const stripAnsi = (s) => String(s || '').replace(ANSI_ESCAPE, '');
+const cleanMessage = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+// Category of a spec-file error message
+function cvlCategory(message) {
+    if (CVL_SYNTAX.test(message)) return 'cvl-syntax';
+    if (UNRESOLVED.test(message)) return 'unresolved-method';
+    return 'cvl-type';
+}
+
+/**
+ * Parse certoraRun output. Returns { category, diagnostics } where each
+ * diagnostic is { category, file, line, column, message, raw } (location
+ * fields are null when the output has none) and category is the most
+ * fundamental one found (see ERROR_CATEGORIES), or null.
+ */
+export function parseCertoraOutput(output) {
+    const lines = stripAnsi(output).replace(/\r\n/g, '\n').split('\n');
+    const diagnostics = [];
+    const seen = new Set();
+    const add = (category, { file = null, line = null, column = null, message, raw }) => {
+        const key = `${category}|${file}|${line}|${column}|${cleanMessage(message)}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        diagnostics.push({
+            category, file, line: line === null ? null : Number(line), column: column === null ? null : Number(column),
+            message: cleanMessage(message), raw: raw.trim()
+        });
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const raw = lines[i];
+        let m;
+        if ((m = raw.match(CVL_ERROR)) || (m = raw.match(SPEC_LOCATION))) {
+            add(cvlCategory(m[4]), { file: m[1], line: m[2], column: m[3], message: m[4], raw });
+            continue;
+        }
+        if ((m = raw.match(SOLC_INLINE))) {
+            add('solc', { file: m[1], line: m[2], column: m[3], message: `${m[4]}: ${m[5]}`, raw });
+            continue;
+        }
+        if ((m = raw.match(SOLC_ERROR))) {
+            // Newer solc prints the location on a " --> file:line:col" line below the message
+            const arrow = lines.slice(i + 1, i + 4).map(l => l.match(SOLC_ARROW)).find(Boolean);
+            add('solc', { file: arrow?.[1] ?? null, line: arrow?.[2] ?? null, column: arrow?.[3] ?? null, message: `${m[1]}: ${m[2]}`, raw });
+            continue;
+        }
+        if (AUTH_NETWORK.test(raw)) {
+            add('auth-network', { message: raw, raw });
+            continue;
+        }
+        if (CONF_KEY.some(re => re.test(raw))) {
+            add('conf', { message: raw, raw });
+            continue;
+        }
+        const missing = MISSING_FILE.map(re => raw.match(re)).find(Boolean);
+        if (missing) {
+            add('missing-file', { file: missing[1], message: raw, raw });
+            continue;
+        }
+        if (SOLC_FAILED.test(raw)) add('solc', { message: raw, raw });
+    }
+
+    // Older logs only said "syntax error" somewhere; keep treating that as a spec problem
+    if (!diagnostics.length) {
+        const generic = lines.find(l => GENERIC_SYNTAX.test(l));
+        if (generic) add(/compilation error/i.test(generic) ? 'solc' : 'cvl-syntax', { message: generic, raw: generic });
+    }
+
+    const category = ERROR_CATEGORIES.find(c => diagnostics.some(d => d.category === c)) || null;
+    return { category, diagnostics: diagnostics.slice(0, MAX_DIAGNOSTICS) };
+}
+
+// A diagnostic's file inside the project; bare spec names are looked up under certora/
+function resolveSourceFile(projectRoot, file) {
+    if (!file || !projectRoot) return null;
+    const root = path.resolve(projectRoot);
+    const inside = (f) => f === root || f.startsWith(`${root}${path.sep}`);
+    const direct = path.resolve(root, file);
+    if (inside(direct) && fs.existsSync(direct) && fs.statSync(direct).isFile()) return direct;
+    if (file.endsWith('.spec')) {
+        const byName = listSpecFiles(root).filter(f => f.endsWith(`${path.sep}${path.basename(file)}`));
+        if (byName.length === 1) return byName[0];
+    }
+    return null;
+}
+
+/**
+ * Add { source, snippet } to located diagnostics: the project-relative file
+ * and the lines around the error with a caret under the column.
+ */
+export function attachSnippets(diagnostics, projectRoot, context = 2) {
+    return diagnostics.map(d => {
+        const file = d.line ? resolveSourceFile(projectRoot, d.file) : null;
+        if (!file) return { ...d, source: null, snippet: null };
+        let text;
+        try { text = fs.readFileSync(file, 'utf-8'); } catch { return { ...d, source: null, snippet: null }; }
+        const lines = text.replace(/\r\n/g, '\n').split('\n');
+        const from = Math.max(1, d.line - context);
+        const to = Math.min(lines.length, d.line + context);
+        const width = String(to).length;
+        const out = [];
+        for (let n = from; n <= to; n++) {
+            out.push(`${n === d.line ? '>' : ' '} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+            if (n === d.line && d.column) out.push(`  ${' '.repeat(width)} | ${' '.repeat(Math.max(0, d.column - 1))}^`);
+        }
+        return { ...d, source: path.relative(path.resolve(projectRoot), file), snippet: out.join('\n') };
+    });
+}
+
+// Diagnostics as the {{diagnostics}} section of the syntax-fix prompt
+export function formatDiagnostics(diagnostics) {
+    if (!diagnostics.length) return '(no diagnostics recognized; see the log tail)';
+    return diagnostics.map((d, i) => {
+        const where = d.source || d.file;
+        const location = where ? ` ${where}${d.line ? `:${d.line}${d.column ? `:${d.column}` : ''}` : ''}` : '';
+        const head = `${i + 1}. [${CATEGORY_LABELS[d.category] || d.category}]${location}\n   ${d.message}`;
+        return d.snippet ? `${head}\n\`\`\`\n${d.snippet}\n\`\`\`` : head;
+    }).join('\n\n');
+}
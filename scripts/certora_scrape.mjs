@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/*
+ * certora-scraper: scrape a Certora Prover run to Markdown/JSON without the server.
+ * Writes one Markdown report per rule plus a JSON bundle to an output directory.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { scrapeRun } from './prover_client.mjs';
+import { renderRuleMarkdown, aggregateSanityFailures } from './report_markdown.mjs';
+
+const USAGE = `Usage: certora-scraper <prover-url> [options]
+
+Options:
+  -o, --out <dir>          Output directory (default: ./certora-report-<runId>)
+      --include-satisfied  Fetch traces for every non-VERIFIED rule
+      --include-all        Include VERIFIED rules as well
+      --match <substring>  Also include rules whose path contains <substring>
+      --retries <n>        Attempts per rule output file (default: 10)
+      --no-browser         Do not fall back to Playwright if the direct request fails
+  -q, --quiet              Only print the final summary
+  -h, --help               Show this help
+`;
+
+// Turn a rule path into a file name the way the UI's "Save" button does
+function safeFileName(name) {
+    return String(name || 'rule').replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '') || 'rule';
+}
+
+/**
+ * Render a scrape result into report files under outDir.
+ * Returns the list of written file paths (bundle last).
+ */
+export function writeReports(result, outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const written = [];
+
+    const rules = result.rules.map((rule, idx) => {
+        const markdown = renderRuleMarkdown(rule);
+        let markdownFile = null;
+        if (markdown) {
+            const prefix = String(idx + 1).padStart(3, '0');
+            markdownFile = `${prefix}_${safeFileName(rule.ruleName)}.md`;
+            const full = path.join(outDir, markdownFile);
+            fs.writeFileSync(full, markdown);
+            written.push(full);
+        }
+        return { ...rule, markdown, markdownFile };
+    });
+
+    const sanityFailed = result.rules.filter(r => r.status === 'SANITY_FAILED');
+    let sanitySummary = null;
+    if (sanityFailed.length > 0) {
+        sanitySummary = aggregateSanityFailures(sanityFailed);
+        const full = path.join(outDir, 'sanity_failed_summary.md');
+        fs.writeFileSync(full, `# Sanity Failed Rules\n\n${sanitySummary}\n`);
+        written.push(full);
+    }
+
+    const bundlePath = path.join(outDir, 'run.json');
+    fs.writeFileSync(bundlePath, JSON.stringify({ ...result, sanitySummary, rules }, null, 2));
+    written.push(bundlePath);
+    return written;
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                out: { type: 'string', short: 'o' },
+                'include-satisfied': { type: 'boolean', default: false },
+                'include-all': { type: 'boolean', default: false },
+                match: { type: 'string' },
+                retries: { type: 'string' },
+                'no-browser': { type: 'boolean', default: false },
+                quiet: { type: 'boolean', short: 'q', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    const url = positionals[0];
+    if (!url) {
+        console.error(`Missing prover URL\n\n${USAGE}`);
+        return 2;
+    }
+
+    const onProgress = (message, type = 'info') => {
+        if (values.quiet && type !== 'error') return;
+        console.error(type === 'info' ? message : `[${type}] ${message}`);
+    };
+
+    const result = await scrapeRun(url, {
+        includeSatisfied: values['include-satisfied'],
+        includeAll: values['include-all'],
+        includeRuleMatch: values.match || null,
+        maxRetries: values.retries ? Math.max(1, parseInt(values.retries, 10) || 1) : undefined,
+        browserFallback: !values['no-browser'],
+        onProgress
+    });
+    if (!result) {
+        console.error('Verification data not found');
+        return 1;
+    }
+
+    const outDir = path.resolve(values.out || `certora-report-${result.runInfo.runId}`);
+    const written = writeReports(result, outDir);
+
+    const failedFetches = result.rules.filter(r => r.error).length;
+    console.log(`Wrote ${written.length} files to ${outDir} (${result.totalRules} rules${failedFetches ? `, ${failedFetches} failed to fetch` : ''})`);
+    return failedFetches > 0 ? 1 : 0;
+}
+
+// Only run when executed directly (the module also exports writeReports)
+const invokedPath = process.argv[1] ? fs.realpathSync(process.argv[1]) : '';
+if (invokedPath === fs.realpathSync(fileURLToPath(import.meta.url))) {
+    main(process.argv.slice(2)).then(
+        (code) => { process.exitCode = code; },
+        (e) => {
+            console.error(`Error: ${e.message}`);
+            process.exitCode = 1;
+        }
+    );
+}
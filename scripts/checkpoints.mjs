@@ -0,0 +1,388 @@
+/*
+ * Checkpoints around automated fixes.
+ * Every agent call is bracketed by a before/after snapshot of the directory it
+ * may write to (<project>/certora), so each fix item's diff can be reviewed and
+ * rolled back on its own, or the whole session at once.
+ *
+ * In a git repository a snapshot is a commit built from a temporary index and
+ * kept on a scratch ref (refs/certora-scraper/checkpoints/<session>); HEAD, the
+ * current branch and the user's index are never touched. Outside git, files
+ * are copied into a content-addressed blob store under the data directory.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { defaultDataDir } from './helpers.mjs';
+
+const SCRATCH_REF_PREFIX = 'refs/certora-scraper/checkpoints';
+const SESSION_FILE = 'session.json';
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+// Build output and tool state that is never worth snapshotting
+const SKIP_DIRS = new Set(['.git', 'node_modules', '.certora_internal', '.scraper']);
+// Identity for snapshot commits, so they work without a configured git user
+const SNAPSHOT_IDENTITY = {
+    GIT_AUTHOR_NAME: 'certora-scraper',
+    GIT_AUTHOR_EMAIL: 'certora-scraper@localhost',
+    GIT_COMMITTER_NAME: 'certora-scraper',
+    GIT_COMMITTER_EMAIL: 'certora-scraper@localhost'
+};
+
+export function defaultCheckpointDir(env = process.env, cwd = process.cwd()) {
+    return path.join(defaultDataDir(env, cwd), 'checkpoints');
+}
+
+// Run git and collect its output; resolves with code -1 when git cannot be started
+function runGit(args, { cwd, env, input } = {}) {
+    return new Promise((resolve) => {
+        let child;
+        try {
+            child = spawn('git', args, { cwd, env: { ...process.env, ...env }, stdio: ['pipe', 'pipe', 'pipe'] });
+        } catch (e) {
+            return resolve({ code: -1, stdout: '', stderr: e.message });
+        }
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (d) => { stdout += d; });
+        child.stderr.on('data', (d) => { stderr += d; });
+        child.on('error', (e) => resolve({ code: -1, stdout, stderr: e.message }));
+        child.on('close', (code) => resolve({ code, stdout, stderr }));
+        child.stdin.on('error', () => { });
+        child.stdin.end(input ?? '');
+    });
+}
+
+function gitOrThrow(result, what) {
+    if (result.code !== 0) throw new Error(`git ${what} failed: ${result.stderr.trim() || `exit ${result.code}`}`);
+    return result.stdout;
+}
+
+function writeJsonAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+/**
+ * Git backend: snapshots are commits on a scratch ref, diffs and reverts are
+ * plain `git diff` / `git apply -R` limited to the scope directory.
+ */
+function createGitBackend(repoRoot, scopeRel, ref) {
+    const git = (args, opts = {}) => runGit(args, { cwd: repoRoot, ...opts });
+
+    return {
+        async snapshot(message, parent) {
+            const indexFile = path.join(os.tmpdir(), `certora-scraper-index-${process.pid}-${crypto.randomBytes(4).toString('hex')}`);
+            const env = { GIT_INDEX_FILE: indexFile, ...SNAPSHOT_IDENTITY };
+            try {
+                // Start from HEAD (absent in a fresh repo) so the tree is complete, then stage the scope as it is on disk
+                await git(['read-tree', 'HEAD'], { env });
+                gitOrThrow(await git(['add', '-A', '--', scopeRel], { env }), 'add');
+                const tree = gitOrThrow(await git(['write-tree'], { env }), 'write-tree').trim();
+                const args = ['commit-tree', tree, '-m', message];
+                if (parent) args.push('-p', parent);
+                const commit = gitOrThrow(await git(args, { env }), 'commit-tree').trim();
+                // Keep every snapshot reachable (parents chain) so gc never drops them
+                gitOrThrow(await git(['update-ref', ref, commit]), 'update-ref');
+                return commit;
+            } finally {
+                fs.rmSync(indexFile, { force: true });
+            }
+        },
+
+        async changedFiles(from, to) {
+            const out = gitOrThrow(await git(['diff', '--name-only', from, to, '--', scopeRel]), 'diff');
+            return out.split('\n').filter(Boolean);
+        },
+
+        async diff(from, to) {
+            return gitOrThrow(await git(['diff', from, to, '--', scopeRel]), 'diff');
+        },
+
+        // Undo the changes between two snapshots in the working tree
+        async revert(from, to) {
+            const patch = gitOrThrow(await git(['diff', '--binary', from, to, '--', scopeRel]), 'diff');
+            if (!patch.trim()) return { ok: true, error: null };
+            const result = await git(['apply', '-R', '--whitespace=nowarn', '-'], { input: patch });
+            if (result.code === 0) return { ok: true, error: null };
+            return { ok: false, error: `Could not roll back cleanly (files changed again later?): ${result.stderr.trim()}` };
+        }
+    };
+}
+
+/**
+ * File backend for projects outside git: a manifest of relPath -> sha256 per
+ * snapshot plus one blob per distinct file content.
+ */
+function createFileBackend(scopeDir, sessionDir) {
+    const blobDir = path.join(sessionDir, 'blobs');
+    const snapshotDir = path.join(sessionDir, 'snapshots');
+
+    const readManifest = (id) => JSON.parse(fs.readFileSync(path.join(snapshotDir, `${id}.json`), 'utf-8')).files;
+    const readBlob = (hash) => fs.readFileSync(path.join(blobDir, hash));
+    const currentHash = (rel) => {
+        try {
+            return sha256(fs.readFileSync(path.join(scopeDir, rel)));
+        } catch {
+            return null;
+        }
+    };
+    const changed = (a, b) => Array.from(new Set([...Object.keys(a), ...Object.keys(b)]))
+        .filter(rel => a[rel] !== b[rel])
+        .sort();
+
+    return {
+        async snapshot(message) {
+            fs.mkdirSync(blobDir, { recursive: true });
+            fs.mkdirSync(snapshotDir, { recursive: true });
+            const files = {};
+            const walk = (dir) => {
+                let entries = [];
+                try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+                for (const ent of entries) {
+                    const full = path.join(dir, ent.name);
+                    if (ent.isDirectory()) {
+                        if (!SKIP_DIRS.has(ent.name)) walk(full);
+                    } else if (ent.isFile()) {
+                        const content = fs.readFileSync(full);
+                        const hash = sha256(content);
+                        const blob = path.join(blobDir, hash);
+                        if (!fs.existsSync(blob)) fs.writeFileSync(blob, content);
+                        files[path.relative(scopeDir, full).split(path.sep).join('/')] = hash;
+                    }
+                }
+            };
+            walk(scopeDir);
+            const id = `s${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+            writeJsonAtomic(path.join(snapshotDir, `${id}.json`), { message, createdAt: new Date().toISOString(), files });
+            return id;
+        },
+
+        async changedFiles(from, to) {
+            return changed(readManifest(from), readManifest(to));
+        },
+
+        // Unified diff through `git diff --no-index` when git is installed, else a file list
+        async diff(from, to) {
+            const a = readManifest(from);
+            const b = readManifest(to);
+            const files = changed(a, b);
+            if (files.length === 0) return '';
+            const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'certora-scraper-diff-'));
+            try {
+                for (const [side, manifest] of [['a', a], ['b', b]]) {
+                    fs.mkdirSync(path.join(tmp, side), { recursive: true });
+                    for (const rel of files) {
+                        if (!manifest[rel]) continue;
+                        const target = path.join(tmp, side, rel);
+                        fs.mkdirSync(path.dirname(target), { recursive: true });
+                        fs.writeFileSync(target, readBlob(manifest[rel]));
+                    }
+                }
+                const result = await runGit(['diff', '--no-index', '--no-color', 'a', 'b'], { cwd: tmp });
+                if (result.code === 0 || result.code === 1) return result.stdout;
+                return files.map(rel => `${!a[rel] ? 'added' : !b[rel] ? 'deleted' : 'modified'}: ${rel}`).join('\n') + '\n';
+            } finally {
+                fs.rmSync(tmp, { recursive: true, force: true });
+            }
+        },
+
+        // Restore `from` for every file changed between the snapshots; refuses
+        // (and changes nothing) when a file was modified again afterwards
+        async revert(from, to) {
+            const a = readManifest(from);
+            const b = readManifest(to);
+            const files = changed(a, b);
+            const conflicts = files.filter(rel => currentHash(rel) !== (b[rel] || null));
+            if (conflicts.length) {
+                return { ok: false, error: `Could not roll back cleanly, changed again later: ${conflicts.join(', ')}` };
+            }
+            for (const rel of files) {
+                const full = path.join(scopeDir, rel);
+                if (a[rel]) {
+                    fs.mkdirSync(path.dirname(full), { recursive: true });
+                    fs.writeFileSync(full, readBlob(a[rel]));
+                } else {
+                    fs.rmSync(full, { force: true });
+                }
+            }
+            return { ok: true, error: null };
+        }
+    };
+}
+
+function wrapSession(record, storeDir) {
+    const sessionDir = path.join(storeDir, record.id);
+    const backend = record.mode === 'git'
+        ? createGitBackend(record.repoRoot, path.relative(record.repoRoot, record.scopeDir) || '.', record.ref)
+        : createFileBackend(record.scopeDir, sessionDir);
+    const save = () => {
+        fs.mkdirSync(sessionDir, { recursive: true });
+        writeJsonAtomic(path.join(sessionDir, SESSION_FILE), record);
+    };
+    const itemAt = (index) => {
+        const item = record.items[Number(index)];
+        if (!item) throw new Error(`Unknown checkpoint item: ${index}`);
+        return item;
+    };
+
+    return {
+        id: record.id,
+        mode: record.mode,
+        save,
+
+        // Snapshot before an agent call; returns the item to pass to end()
+        async begin(label) {
+            const before = await backend.snapshot(`before: ${label}`, record.head);
+            record.head = before;
+            const item = {
+                index: record.items.length,
+                label: String(label || `Item ${record.items.length + 1}`),
+                before,
+                after: null,
+                changedFiles: [],
+                status: 'running',
+                createdAt: new Date().toISOString()
+            };
+            record.items.push(item);
+            save();
+            return item;
+        },
+
+        // Snapshot after the agent call and record which files it changed
+        async end(item) {
+            const after = await backend.snapshot(`after: ${item.label}`, record.head);
+            record.head = after;
+            item.after = after;
+            item.changedFiles = await backend.changedFiles(item.before, after);
+            item.status = 'done';
+            save();
+            return item;
+        },
+
+        async diff(index) {
+            const item = itemAt(index);
+            if (!item.after) throw new Error(`Checkpoint item ${index} has not finished`);
+            return backend.diff(item.before, item.after);
+        },
+
+        async rollbackItem(index) {
+            const item = itemAt(index);
+            if (!item.after) return { ok: false, error: `Checkpoint item ${index} has not finished` };
+            if (item.status === 'rolled-back') return { ok: false, error: 'Already rolled back' };
+            const result = await backend.revert(item.before, item.after);
+            if (result.ok) {
+                item.status = 'rolled-back';
+                save();
+            }
+            return result;
+        },
+
+        // Restore the scope to how it was before item `index`; it and every later item count as rolled back
+        async rollbackTo(index, message = `before rollback to item ${Number(index) + 1}`) {
+            if (Number(index) >= record.items.length) return { ok: true, error: null };
+            const target = itemAt(index);
+            const current = await backend.snapshot(message, record.head);
+            record.head = current;
+            const result = await backend.revert(target.before, current);
+            if (result.ok) {
+                for (const item of record.items.slice(target.index)) item.status = 'rolled-back';
+            }
+            save();
+            return result;
+        },
+
+        // Restore the scope to how it was before the first item
+        async rollbackSession() {
+            return this.rollbackTo(0, 'before session rollback');
+        },
+
+        summary() {
+            return {
+                id: record.id,
+                label: record.label,
+                projectPath: record.projectPath,
+                scopeDir: record.scopeDir,
+                mode: record.mode,
+                createdAt: record.createdAt,
+                itemCount: record.items.length,
+                items: record.items.map(checkpointItemSummary)
+            };
+        }
+    };
+}
+
+// A checkpoint item as reported to clients: everything but its snapshot ids
+export function checkpointItemSummary(item) {
+    return {
+        index: item.index,
+        label: item.label,
+        changedFiles: item.changedFiles,
+        status: item.status,
+        createdAt: item.createdAt
+    };
+}
+
+/**
+ * Start a checkpoint session for a fix run. scopeDir defaults to
+ * <projectPath>/certora; git is used when it lies inside a git work tree.
+ */
+export async function createCheckpointSession({ projectPath, scopeDir, storeDir = defaultCheckpointDir(), label = '' } = {}) {
+    if (!projectPath) throw new Error('Missing projectPath');
+    const scope = path.resolve(scopeDir || path.join(projectPath, 'certora'));
+    const stamp = new Date().toISOString().replace(/[-:.TZ]/g, '').slice(0, 14);
+    const id = `${stamp}_${crypto.randomBytes(3).toString('hex')}`;
+
+    const probeDir = fs.existsSync(scope) ? scope : path.resolve(projectPath);
+    const probe = await runGit(['rev-parse', '--show-toplevel'], { cwd: probeDir });
+    const repoRoot = probe.code === 0 ? fs.realpathSync(probe.stdout.trim()) : null;
+    const inRepo = repoRoot && fs.existsSync(scope) && !path.relative(repoRoot, fs.realpathSync(scope)).startsWith('..');
+
+    const record = {
+        id,
+        label,
+        projectPath: path.resolve(projectPath),
+        scopeDir: inRepo ? fs.realpathSync(scope) : scope,
+        mode: inRepo ? 'git' : 'files',
+        repoRoot: inRepo ? repoRoot : null,
+        ref: inRepo ? `${SCRATCH_REF_PREFIX}/${id}` : null,
+        head: null,
+        createdAt: new Date().toISOString(),
+        items: []
+    };
+    const session = wrapSession(record, storeDir);
+    session.save();
+    return session;
+}
+
+// Reopen a stored session (null for unknown or malformed ids)
+export function loadCheckpointSession(id, storeDir = defaultCheckpointDir()) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+    try {
+        const record = JSON.parse(fs.readFileSync(path.join(storeDir, id, SESSION_FILE), 'utf-8'));
+        return wrapSession(record, storeDir);
+    } catch {
+        return null;
+    }
+}
+
+// Summaries of every stored session, newest first
+export function listCheckpointSessions(storeDir = defaultCheckpointDir()) {
+    let entries = [];
+    try { entries = fs.readdirSync(storeDir, { withFileTypes: true }); } catch { return []; }
+    return entries
+        .filter(ent => ent.isDirectory())
+        .map(ent => loadCheckpointSession(ent.name, storeDir))
+        .filter(Boolean)
+        .map(session => {
+            const summary = session.summary();
+            delete summary.items;
+            return summary;
+        })
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
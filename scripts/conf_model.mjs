@@ -0,0 +1,304 @@
+/*
+ * certoraRun .conf files: parse, validate and override options.
+ * Confs are JSON5 (comments, trailing commas, unquoted keys, single-quoted
+ * strings). The options the UI edits are described by CONF_OPTIONS; other
+ * keys are kept as they are. Overrides for one run never touch the original
+ * file: the merged conf is written to <project>/.certora-scraper/confs and
+ * certoraRun is pointed at that copy.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import fs from 'fs';
+import path from 'path';
+
+export const CONF_OVERRIDES_DIR = '.certora-scraper/confs';
+
+// Known options: type, whether certoraRun needs it, and a short help text for the form
+export const CONF_OPTIONS = {
+    files: { type: 'string[]', required: true, description: 'Contract sources (path.sol or path.sol:Contract)' },
+    verify: { type: 'string', required: true, description: 'Contract:spec to verify' },
+    rule: { type: 'string[]', description: 'Only run these rules (all when unset)' },
+    loop_iter: { type: 'integer', description: 'Loop unrolling bound' },
+    optimistic_loop: { type: 'boolean', description: 'Assume loops end within loop_iter iterations' },
+    rule_sanity: { type: 'enum', values: ['none', 'basic', 'advanced'], description: 'Vacuity and tautology checks' },
+    msg: { type: 'string', description: 'Message shown with the job on the prover dashboard' },
+    link: { type: 'string[]', description: 'Storage links (Contract:field=OtherContract)' },
+    packages: { type: 'string[]', description: 'Import remappings (name=path)' }
+};
+
+const IDENT_START = /[A-Za-z_$]/;
+const IDENT_PART = /[A-Za-z0-9_$]/;
+
+/**
+ * Parse JSON5 conf text. Throws with the line and column of the first error.
+ */
+export function parseConfText(text) {
+    const src = String(text ?? '');
+    let i = 0;
+
+    const fail = (message) => {
+        const before = src.slice(0, i).split('\n');
+        throw new Error(`${message} at line ${before.length}, column ${before[before.length - 1].length + 1}`);
+    };
+    const skip = () => {
+        for (;;) {
+            if (/\s/.test(src[i] || '')) i++;
+            else if (src.startsWith('//', i)) {
+                while (i < src.length && src[i] !== '\n') i++;
+            } else if (src.startsWith('/*', i)) {
+                const end = src.indexOf('*/', i + 2);
+                if (end === -1) fail('Unterminated comment');
+                i = end + 2;
+            } else return;
+        }
+    };
+
+    const string = () => {
+        const quote = src[i++];
+        let out = '';
+        while (i < src.length && src[i] !== quote) {
+            const c = src[i++];
+            if (c === '\n') fail('Unterminated string');
+            if (c !== '\\') {
+                out += c;
+                continue;
+            }
+            const e = src[i++];
+            if (e === 'u') {
+                const hex = src.slice(i, i + 4);
+                if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid unicode escape');
+                out += String.fromCharCode(parseInt(hex, 16));
+                i += 4;
+            } else if (e === '\r') {
+                if (src[i] === '\n') i++;
+            } else if (e !== '\n') {
+                out += { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' }[e] ?? e;
+            }
+        }
+        if (i >= src.length) fail('Unterminated string');
+        i++;
+        return out;
+    };
+
+    const identifier = () => {
+        const start = i;
+        while (i < src.length && IDENT_PART.test(src[i])) i++;
+        return src.slice(start, i);
+    };
+
+    const number = () => {
+        const m = src.slice(i).match(/^[+-]?(?:0[xX][0-9a-fA-F]+|Infinity|NaN|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/);
+        if (!m) fail(`Unexpected ${JSON.stringify(src[i])}`);
+        i += m[0].length;
+        const sign = m[0][0] === '-' ? -1 : 1;
+        const body = m[0].replace(/^[+-]/, '');
+        if (/^0[xX]/.test(body)) return sign * parseInt(body, 16);
+        return sign * Number(body);
+    };
+
+    const value = () => {
+        skip();
+        const c = src[i];
+        if (c === '{') {
+            i++;
+            const obj = {};
+            for (;;) {
+                skip();
+                if (src[i] === '}') { i++; return obj; }
+                let key;
+                if (src[i] === '"' || src[i] === "'") key = string();
+                else if (IDENT_START.test(src[i] || '')) key = identifier();
+                else fail(i >= src.length ? 'Unexpected end of input' : `Unexpected ${JSON.stringify(src[i])}`);
+                skip();
+                if (src[i] !== ':') fail('Expected ":"');
+                i++;
+                obj[key] = value();
+                skip();
+                if (src[i] === ',') i++;
+                else if (src[i] !== '}') fail('Expected "," or "}"');
+            }
+        }
+        if (c === '[') {
+            i++;
+            const arr = [];
+            for (;;) {
+                skip();
+                if (src[i] === ']') { i++; return arr; }
+                arr.push(value());
+                skip();
+                if (src[i] === ',') i++;
+                else if (src[i] !== ']') fail('Expected "," or "]"');
+            }
+        }
+        if (c === '"' || c === "'") return string();
+        if (i >= src.length) fail('Unexpected end of input');
+        if (IDENT_START.test(c) && !/^(Infinity|NaN)\b/.test(src.slice(i))) {
+            const word = identifier();
+            if (word === 'true') return true;
+            if (word === 'false') return false;
+            if (word === 'null') return null;
+            i -= word.length;
+            fail(`Unexpected ${JSON.stringify(word)}`);
+        }
+        return number();
+    };
+
+    const result = value();
+    skip();
+    if (i < src.length) fail(`Unexpected ${JSON.stringify(src[i])}`);
+    return result;
+}
+
+// loop_iter is usually written as a string ("3") in confs; both forms are accepted
+const asInteger = (v) => (typeof v === 'number' ? v : (typeof v === 'string' && /^\d+$/.test(v.trim()) ? Number(v) : NaN));
+
+const STRING_LIST_PATTERNS = {
+    rule: [/^[A-Za-z_*][\w*]*$/, 'a rule name'],
+    link: [/^\w+:\w+=\w+$/, 'Contract:field=Contract'],
+    packages: [/^[^=\s]+=\S+$/, 'name=path']
+};
+
+/**
+ * Check the known options of a parsed conf. Returns issues
+ * [{ key, severity: 'error' | 'warning', message }]. With a projectRoot the
+ * files and spec named by "files" and "verify" must exist.
+ */
+export function validateConf(conf, { projectRoot } = {}) {
+    if (!conf || typeof conf !== 'object' || Array.isArray(conf)) {
+        return [{ key: null, severity: 'error', message: 'conf must be an object' }];
+    }
+    const issues = [];
+    const issue = (key, message, severity = 'error') => issues.push({ key, severity, message });
+    const exists = (rel) => !projectRoot || fs.existsSync(path.resolve(projectRoot, rel));
+
+    for (const [key, option] of Object.entries(CONF_OPTIONS)) {
+        const v = conf[key];
+        if (v === undefined || v === null) {
+            if (option.required) issue(key, `${key} is required`);
+            continue;
+        }
+        switch (option.type) {
+            case 'string':
+                if (typeof v !== 'string' || !v.trim()) issue(key, `${key} must be a non-empty string`);
+                break;
+            case 'boolean':
+                if (typeof v !== 'boolean') issue(key, `${key} must be true or false`);
+                break;
+            case 'integer': {
+                const n = asInteger(v);
+                if (!Number.isInteger(n) || n < 1) issue(key, `${key} must be a positive integer`);
+                break;
+            }
+            case 'enum':
+                if (!option.values.includes(v)) issue(key, `${key} must be one of ${option.values.join(', ')}`);
+                break;
+            case 'string[]': {
+                if (!Array.isArray(v) || v.some(x => typeof x !== 'string' || !x.trim())) {
+                    issue(key, `${key} must be a list of strings`);
+                    break;
+                }
+                const [pattern, form] = STRING_LIST_PATTERNS[key] || [];
+                for (const entry of v) {
+                    if (pattern && !pattern.test(entry.trim())) issue(key, `${key} entry "${entry}" is not ${form}`);
+                }
+                break;
+            }
+        }
+    }
+
+    if (typeof conf.verify === 'string' && conf.verify.trim()) {
+        const m = conf.verify.match(/^(\w+):(.+\.spec)$/);
+        if (!m) issue('verify', 'verify must be Contract:path/to/file.spec');
+        else if (!exists(m[2])) issue('verify', `spec not found: ${m[2]}`, 'warning');
+    }
+    if (Array.isArray(conf.files)) {
+        if (conf.files.length === 0) issue('files', 'files must list at least one source');
+        for (const entry of conf.files.filter(f => typeof f === 'string')) {
+            const file = entry.split(':')[0];
+            if (file && !exists(file)) issue('files', `file not found: ${file}`, 'warning');
+        }
+    }
+    return issues;
+}
+
+// Comparable form of an option value ("3" and 3 are the same loop_iter)
+function normalized(key, v) {
+    if (v === undefined || v === null) return null;
+    if (CONF_OPTIONS[key]?.type === 'integer' && Number.isInteger(asInteger(v))) return asInteger(v);
+    return v;
+}
+
+/**
+ * Apply per-run overrides to a parsed conf. Only CONF_OPTIONS keys can be
+ * overridden; null removes the key. Returns { conf, changes: [{ key, from, to }] }
+ * with one entry per option whose value actually changed.
+ */
+export function applyConfOverrides(conf, overrides = {}) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('confOverrides must be an object');
+    }
+    const merged = { ...conf };
+    const changes = [];
+    for (const [key, raw] of Object.entries(overrides)) {
+        if (!Object.hasOwn(CONF_OPTIONS, key)) throw new Error(`Unknown conf option: ${key}`);
+        const from = conf[key] === undefined ? null : conf[key];
+        let to = raw === undefined ? null : raw;
+        // Keep the conf's own spelling of loop_iter
+        if (key === 'loop_iter' && to !== null && Number.isInteger(asInteger(to))) {
+            to = typeof from === 'number' ? asInteger(to) : String(asInteger(to));
+        }
+        if (JSON.stringify(normalized(key, from)) === JSON.stringify(normalized(key, to))) continue;
+        if (to === null) delete merged[key];
+        else merged[key] = to;
+        changes.push({ key, from, to });
+    }
+    return { conf: merged, changes };
+}
+
+// "loop_iter: 3 → 5, msg: (unset) → "x"" for logs and the UI
+export function describeConfChanges(changes) {
+    const show = (v) => (v === null || v === undefined ? '(unset)' : JSON.stringify(v));
+    return changes.map(c => `${c.key}: ${show(c.from)} → ${show(c.to)}`).join(', ');
+}
+
+// A conf path from the UI (absolute, or relative to the project), kept inside the project
+export function resolveConfPath(projectRoot, confPath) {
+    const root = path.resolve(projectRoot);
+    const file = path.resolve(root, String(confPath || '').trim());
+    if (!file.startsWith(`${root}${path.sep}`) || !file.endsWith('.conf')) {
+        throw new Error(`Not a .conf file inside the project: ${confPath}`);
+    }
+    return file;
+}
+
+/**
+ * Read a conf and apply overrides. Returns { file, relPath, conf, original,
+ * changes, issues }; throws when the file cannot be read or parsed.
+ */
+export function loadConf(projectRoot, confPath, overrides) {
+    const root = path.resolve(projectRoot);
+    const file = resolveConfPath(root, confPath);
+    let original;
+    try {
+        original = parseConfText(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new Error(e.code === 'ENOENT' ? `Conf not found: ${confPath}` : `Conf not parsed: ${e.message}`);
+    }
+    const { conf, changes } = overrides ? applyConfOverrides(original, overrides) : { conf: original, changes: [] };
+    return { file, relPath: path.relative(root, file), conf, original, changes, issues: validateConf(conf, { projectRoot: root }) };
+}
+
+/**
+ * Write an overridden conf to <project>/.certora-scraper/confs for one
+ * certoraRun. Returns the project-relative path of the copy.
+ */
+export function writeConfOverride(projectRoot, { relPath, conf, changes }) {
+    const root = path.resolve(projectRoot);
+    const dir = path.join(root, CONF_OVERRIDES_DIR);
+    fs.mkdirSync(dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(dir, `${path.basename(relPath, '.conf')}.${stamp}.conf`);
+    const header = `// Generated from ${relPath.split(path.sep).join('/')} with overrides: ${describeConfChanges(changes) || '(none)'}\n`;
+    fs.writeFileSync(file, `${header}${JSON.stringify(conf, null, 4)}\n`);
+    return path.relative(root, file);
+}
@@ -0,0 +1,445 @@
+/*
+ * Tolerant CVL (Certora Verification Language) parser.
+ * Indexes a .spec file's rules, invariants (filtered and preserved blocks),
+ * ghosts, hooks, definitions, CVL functions and methods block entries with
+ * their summaries, each with a source range. It does not check expressions:
+ * bodies are kept as ranges, and anything it cannot read is reported in
+ * `errors` and skipped up to the next top-level declaration.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+
+// Keywords that start a top-level declaration (parsing resumes at one after an error)
+const TOP_LEVEL_KEYWORDS = new Set([
+    'import', 'using', 'methods', 'rule', 'invariant', 'weak', 'strong', 'ghost', 'persistent',
+    'hook', 'definition', 'function', 'override', 'use', 'sort'
+]);
+const PUNCTUATORS = ['<=>', '=>', '==', '!=', '<=', '>=', '&&', '||', '->', '++', '--', '+=', '-=', '*=', '/='];
+const OPEN = { '(': ')', '{': '}', '[': ']' };
+// Summary keywords of methods block entries; anything else after "=>" is an expression summary
+const SUMMARY_KINDS = new Set([
+    'ALWAYS', 'CONSTANT', 'PER_CALLEE_CONSTANT', 'NONDET', 'HAVOC_ALL', 'HAVOC_ECF', 'DISPATCHER',
+    'AUTO', 'ASSERT_FALSE', 'DISPATCH'
+]);
+
+/**
+ * Split CVL source into tokens: { type: 'ident'|'number'|'string'|'punct', value, start, end }.
+ * Comments are dropped; offsets index into the source.
+ */
+export function tokenizeCvl(source) {
+    const text = String(source || '');
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const c = text[i];
+        if (/\s/.test(c)) {
+            i++;
+        } else if (c === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (c === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 2;
+        } else if (c === '"') {
+            let j = i + 1;
+            while (j < text.length && text[j] !== '"') j += text[j] === '\\' ? 2 : 1;
+            tokens.push({ type: 'string', value: text.slice(i + 1, j), start: i, end: Math.min(j + 1, text.length) });
+            i = j + 1;
+        } else if (/[A-Za-z_$]/.test(c)) {
+            const match = text.slice(i).match(/^[A-Za-z_$][\w$]*/)[0];
+            tokens.push({ type: 'ident', value: match, start: i, end: i + match.length });
+            i += match.length;
+        } else if (/[0-9]/.test(c)) {
+            const match = text.slice(i).match(/^(0x[0-9a-fA-F]+|[0-9][0-9_]*(\.[0-9]+)?(e[0-9]+)?)/)[0];
+            tokens.push({ type: 'number', value: match, start: i, end: i + match.length });
+            i += match.length;
+        } else {
+            const op = PUNCTUATORS.find(p => text.startsWith(p, i)) || c;
+            tokens.push({ type: 'punct', value: op, start: i, end: i + op.length });
+            i += op.length;
+        }
+    }
+    return tokens;
+}
+
+// Offset -> { offset, line, column } (1-based line and column)
+function positionMapper(text) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    return (offset) => {
+        let lo = 0;
+        let hi = lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+        }
+        return { offset, line: lo + 1, column: offset - lineStarts[lo] + 1 };
+    };
+}
+
+const collapse = (s) => s.replace(/\s+/g, ' ').trim();
+
+/**
+ * Parse a spec. Returns { imports, using, methods, rules, invariants, ghosts,
+ * hooks, definitions, functions, uses, errors }; every entry has a
+ * range { start, end } of { offset, line, column } (end is exclusive).
+ */
+export function parseCvl(source) {
+    const text = String(source || '');
+    const tokens = tokenizeCvl(text);
+    const position = positionMapper(text);
+    const index = { imports: [], using: [], methods: [], rules: [], invariants: [], ghosts: [], hooks: [], definitions: [], functions: [], uses: [], errors: [] };
+    let i = 0;
+
+    const tok = (k = 0) => tokens[i + k];
+    const is = (value, k = 0) => tok(k) !== undefined && tok(k).value === value && tok(k).type !== 'string';
+    const range = (startToken, endToken) => ({ start: position(startToken.start), end: position(endToken.end) });
+    const slice = (fromToken, toToken) => (fromToken && toToken ? text.slice(fromToken.start, toToken.end) : '');
+    const fail = (message, token = tok()) => {
+        const at = position(token ? token.start : text.length);
+        throw Object.assign(new Error(message), { line: at.line, column: at.column });
+    };
+    const ident = (what) => {
+        if (!tok() || tok().type !== 'ident') fail(`Expected ${what}${tok() ? ` but found "${tok().value}"` : ' but reached the end'}`);
+        return tokens[i++];
+    };
+    const expect = (value) => {
+        if (!is(value)) fail(`Expected "${value}"${tok() ? ` but found "${tok().value}"` : ' but reached the end'}`);
+        return tokens[i++];
+    };
+    // At an opening bracket: skip to its match; returns [open, close] tokens
+    const balanced = () => {
+        const open = tok();
+        if (!open || !OPEN[open.value]) fail(`Expected "(", "{" or "["${open ? ` but found "${open.value}"` : ''}`);
+        const stack = [];
+        for (; i < tokens.length; i++) {
+            const t = tokens[i];
+            if (t.type !== 'punct') continue;
+            if (OPEN[t.value]) stack.push(OPEN[t.value]);
+            else if (t.value === stack[stack.length - 1]) {
+                stack.pop();
+                if (!stack.length) return [open, tokens[i++]];
+            }
+        }
+        fail(`Unclosed "${open.value}"`, open);
+    };
+    // Text between a bracket pair (exclusive)
+    const inner = ([open, close]) => text.slice(open.end, close.start).trim();
+    // Advance at bracket depth 0 until stop(token) is true or the tokens end; returns the last token consumed
+    const until = (stop) => {
+        let last = null;
+        while (tok() && !stop(tok())) {
+            last = OPEN[tok().value] && tok().type === 'punct' ? balanced()[1] : tokens[i++];
+        }
+        return last;
+    };
+    const optional = (value) => (is(value) ? tokens[i++] : null);
+    // A top-level keyword that is the first token on its line: where the next declaration begins
+    const firstOnLine = new Set(tokens.filter((t, k) => k === 0 || text.slice(tokens[k - 1].end, t.start).includes('\n')));
+    const startsDeclaration = (t) => t.type === 'ident' && TOP_LEVEL_KEYWORDS.has(t.value) && firstOnLine.has(t);
+
+    const parseImport = (start) => {
+        const file = tokens[i++];
+        if (!file || file.type !== 'string') fail('Expected the imported file name', file);
+        const end = optional(';') || file;
+        index.imports.push({ path: file.value, range: range(start, end) });
+    };
+
+    const parseUsing = (start) => {
+        const contract = ident('contract name');
+        expect('as');
+        const alias = ident('alias');
+        const end = optional(';') || alias;
+        index.using.push({ contract: contract.value, alias: alias.value, range: range(start, end) });
+    };
+
+    const parseMethodEntry = (first) => {
+        const entryStart = i;
+        const last = until(t => t.value === ';' || t.value === '}');
+        const end = optional(';') || last;
+        const entryTokens = tokens.slice(entryStart, i);
+        const entry = { kind: 'function', signature: null, contract: null, name: null, params: null, visibility: null, envfree: false, returns: null, withEnv: null, summary: null, range: range(first, end) };
+        let j = 0;
+        const at = (k = 0) => entryTokens[j + k];
+        if (at()?.value === 'unresolved') entry.kind = 'unresolved';
+        else if (at()?.value === 'function') j++;
+
+        const arrow = entryTokens.findIndex(t => t.value === '=>');
+        if (arrow !== -1) {
+            const kindToken = entryTokens[arrow + 1];
+            const summaryEnd = entryTokens[entryTokens.length - 1].value === ';' ? entryTokens[entryTokens.length - 2] : entryTokens[entryTokens.length - 1];
+            entry.summary = {
+                kind: kindToken && SUMMARY_KINDS.has(kindToken.value) ? kindToken.value : 'expression',
+                text: collapse(slice(kindToken, summaryEnd))
+            };
+        }
+        if (entry.kind === 'unresolved') {
+            entry.signature = collapse(slice(entryTokens[0], entryTokens[arrow === -1 ? entryTokens.length - 1 : arrow - 1]));
+            return entry;
+        }
+
+        // [Contract.|_.]name(params) then qualifiers up to "=>"
+        if (at()?.type === 'ident' && at(1)?.value === '.') {
+            entry.contract = at().value;
+            j += 2;
+        }
+        if (at()?.type === 'ident') entry.name = entryTokens[j++].value;
+        if (at()?.value === '(') {
+            const close = matchIn(entryTokens, j);
+            entry.params = text.slice(at().end, entryTokens[close].start).trim();
+            j = close + 1;
+        }
+        const stopAt = arrow === -1 ? entryTokens.length : arrow;
+        while (j < stopAt) {
+            const t = at();
+            if (t.value === 'external' || t.value === 'internal') entry.visibility = t.value;
+            else if (t.value === 'envfree') entry.envfree = true;
+            else if ((t.value === 'returns' || t.value === 'with') && j + 1 < stopAt) {
+                let close = j + 1;
+                if (entryTokens[j + 1].value === '(') close = matchIn(entryTokens, j + 1);
+                const value = entryTokens[j + 1].value === '(' ? text.slice(entryTokens[j + 1].end, entryTokens[close].start).trim() : entryTokens[j + 1].value;
+                if (t.value === 'returns') entry.returns = value; else entry.withEnv = value;
+                j = close;
+            }
+            j++;
+        }
+        if (entry.name) entry.signature = `${entry.contract ? `${entry.contract}.` : ''}${entry.name}(${collapse(entry.params || '')})`;
+        return entry;
+    };
+
+    // Index of the token closing the bracket at list[from]
+    function matchIn(list, from) {
+        const stack = [];
+        for (let k = from; k < list.length; k++) {
+            const t = list[k];
+            if (t.type !== 'punct') continue;
+            if (OPEN[t.value]) stack.push(OPEN[t.value]);
+            else if (t.value === stack[stack.length - 1]) {
+                stack.pop();
+                if (!stack.length) return k;
+            }
+        }
+        return list.length - 1;
+    }
+
+    const parseMethods = (start) => {
+        const open = expect('{');
+        const entries = [];
+        while (tok() && !is('}')) {
+            if (is(';')) { i++; continue; }
+            entries.push(parseMethodEntry(tok()));
+        }
+        const close = expect('}');
+        index.methods.push({ entries, bodyRange: range(open, close), range: range(start, close) });
+    };
+
+    const parseFiltered = () => {
+        if (!is('filtered')) return null;
+        i++;
+        return collapse(inner(balanced()));
+    };
+
+    const parseRule = (start) => {
+        const name = ident('rule name');
+        const params = is('(') ? inner(balanced()) : null;
+        let filtered = null;
+        let description = null;
+        while (tok() && !is('{')) {
+            if (is('filtered')) {
+                filtered = parseFiltered();
+            } else if (tok().type === 'string' || (is('description') && tok(1)?.type === 'string')) {
+                if (is('description')) i++;
+                description = tokens[i++].value;
+            } else {
+                fail(`Expected the body of rule ${name.value}`);
+            }
+        }
+        const body = balanced();
+        index.rules.push({ name: name.value, params, filtered, description, bodyRange: range(body[0], body[1]), range: range(start, body[1]) });
+    };
+
+    const parsePreserved = () => {
+        const start = expect('preserved');
+        const headerStart = tok();
+        let header = '';
+        if (!is('{')) {
+            const last = until(t => t.value === '{');
+            header = slice(headerStart, last);
+        }
+        const body = balanced();
+        const withMatch = header.match(/^([\s\S]*?)\bwith\s*\(([\s\S]*)\)\s*$/);
+        return {
+            method: collapse(withMatch ? withMatch[1] : header) || null,
+            withEnv: withMatch ? collapse(withMatch[2]) : null,
+            bodyRange: range(body[0], body[1]),
+            range: range(start, body[1])
+        };
+    };
+
+    const parseInvariant = (start, strength) => {
+        const name = ident('invariant name');
+        const params = is('(') ? inner(balanced()) : null;
+        const exprStart = tok();
+        const exprEnd = until(t => t.value === 'filtered' || t.value === '{' || t.value === ';' || startsDeclaration(t));
+        if (!exprEnd) fail(`Expected the expression of invariant ${name.value}`);
+        let end = exprEnd;
+        const filtered = is('filtered') ? parseFiltered() : null;
+        if (filtered !== null) end = tokens[i - 1];
+        const preserved = [];
+        if (is('{')) {
+            i++;
+            while (tok() && !is('}')) preserved.push(parsePreserved());
+            end = expect('}');
+        }
+        end = optional(';') || end;
+        index.invariants.push({
+            name: name.value,
+            strength,
+            params,
+            expression: collapse(slice(exprStart, exprEnd)),
+            filtered,
+            preserved,
+            range: range(start, end)
+        });
+    };
+
+    const parseGhost = (start, persistent) => {
+        const headStart = tok();
+        let ghost;
+        if (tok()?.type === 'ident' && tok().value !== 'mapping' && is('(', 1)) {
+            // Function-style ghost: name(types) returns type
+            const name = ident('ghost name');
+            const params = inner(balanced());
+            expect('returns');
+            const typeStart = tok();
+            const typeEnd = until(t => t.value === '{' || t.value === ';');
+            ghost = { name: name.value, type: collapse(slice(typeStart, typeEnd)), params };
+        } else {
+            until(t => t.value === '{' || t.value === ';' || t.value === 'init_state');
+            const nameToken = tokens.slice(tokens.indexOf(headStart), i).filter(t => t.type === 'ident').pop();
+            if (!nameToken || nameToken === headStart) fail('Expected ghost type and name', headStart);
+            ghost = { name: nameToken.value, type: collapse(text.slice(headStart.start, nameToken.start)), params: null };
+        }
+        const axioms = [];
+        let end = tokens[i - 1];
+        const readAxiom = () => {
+            const axiomStart = tok();
+            const last = until(t => t.value === ';' || t.value === '}');
+            axioms.push(collapse(slice(axiomStart, last)));
+            end = optional(';') || last;
+        };
+        if (is('init_state')) readAxiom();
+        if (is('{')) {
+            i++;
+            while (tok() && !is('}')) readAxiom();
+            end = expect('}');
+        }
+        end = optional(';') || end;
+        index.ghosts.push({ ...ghost, persistent, axioms, range: range(start, end) });
+    };
+
+    const parseHook = (start) => {
+        const kind = ident('hook type');
+        const patternEnd = until(t => t.value === '{');
+        const body = balanced();
+        const pattern = patternEnd ? collapse(text.slice(kind.end, patternEnd.end)) : '';
+        index.hooks.push({
+            name: collapse(`${kind.value} ${pattern}`),
+            kind: kind.value,
+            pattern,
+            bodyRange: range(body[0], body[1]),
+            range: range(start, body[1])
+        });
+    };
+
+    const parseDefinition = (start, override) => {
+        const name = ident('definition name');
+        const params = is('(') ? inner(balanced()) : null;
+        let returns = null;
+        if (optional('returns')) returns = ident('return type').value;
+        expect('=');
+        const exprStart = tok();
+        const exprEnd = until(t => t.value === ';' || startsDeclaration(t));
+        const end = optional(';') || exprEnd;
+        index.definitions.push({ name: name.value, params, returns, expression: collapse(slice(exprStart, exprEnd)), override, range: range(start, end) });
+    };
+
+    const parseFunction = (start, override) => {
+        const name = ident('function name');
+        const params = is('(') ? inner(balanced()) : null;
+        let returns = null;
+        if (optional('returns')) {
+            const typeStart = tok();
+            returns = collapse(slice(typeStart, until(t => t.value === '{')));
+        }
+        const body = balanced();
+        index.functions.push({ name: name.value, params, returns, override, bodyRange: range(body[0], body[1]), range: range(start, body[1]) });
+    };
+
+    // "use rule x filtered {...}", "use invariant y { preserved ... }", "use builtin rule sanity;"
+    const parseUse = (start) => {
+        const last = until(t => t.value === ';' || startsDeclaration(t));
+        const end = optional(';') || last || start;
+        index.uses.push({ text: collapse(slice(start, end).replace(/;$/, '')), range: range(start, end) });
+    };
+
+    // Skip to the next top-level keyword that starts a line
+    const recover = () => {
+        i++;
+        while (tok() && !startsDeclaration(tok())) i++;
+    };
+
+    while (i < tokens.length) {
+        const start = tok();
+        const from = i;
+        try {
+            const keyword = tokens[i++].value;
+            if (start.type !== 'ident') fail(`Unexpected "${keyword}"`, start);
+            let override = false;
+            let word = keyword;
+            if (word === 'override') {
+                override = true;
+                word = ident('definition or function').value;
+            }
+            if (word === 'import') parseImport(start);
+            else if (word === 'using') parseUsing(start);
+            else if (word === 'methods') parseMethods(start);
+            else if (word === 'rule') parseRule(start);
+            else if (word === 'invariant') parseInvariant(start, null);
+            else if ((word === 'weak' || word === 'strong') && is('invariant')) { i++; parseInvariant(start, word); }
+            else if (word === 'ghost') parseGhost(start, false);
+            else if (word === 'persistent' && is('ghost')) { i++; parseGhost(start, true); }
+            else if (word === 'hook') parseHook(start);
+            else if (word === 'definition') parseDefinition(start, override);
+            else if (word === 'function') parseFunction(start, override);
+            else if (word === 'use') parseUse(start);
+            else if (word === 'sort') { ident('sort name'); optional(';'); }
+            else fail(`Unexpected "${keyword}" at top level`, start);
+        } catch (e) {
+            const at = e.line ? e : position(start.start);
+            index.errors.push({ message: e.message, line: at.line, column: at.column });
+            i = from;
+            recover();
+        }
+    }
+    return index;
+}
+
+const DECLARATION_KINDS = [
+    ['imports', 'import'], ['using', 'using'], ['methods', 'methods'], ['rules', 'rule'], ['invariants', 'invariant'],
+    ['ghosts', 'ghost'], ['hooks', 'hook'], ['definitions', 'definition'], ['functions', 'function'], ['uses', 'use']
+];
+
+/**
+ * Every top-level declaration of a parsed spec in source order:
+ * [{ kind, name, range, item }]; imports and use statements have no name.
+ */
+export function listCvlDeclarations(index) {
+    const declarations = [];
+    for (const [key, kind] of DECLARATION_KINDS) {
+        for (const item of index[key]) {
+            const name = kind === 'methods' ? 'methods' : (kind === 'using' ? item.alias : (item.name ?? null));
+            declarations.push({ kind, name, range: item.range, item });
+        }
+    }
+    return declarations.sort((a, b) => a.range.start.offset - b.range.start.offset);
+}
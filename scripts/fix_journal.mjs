@@ -0,0 +1,282 @@
+/*
+ * Fix journal: a crash-safe record of one sequential fix session.
+ * Written after every step (item started/finished, certoraRun attempt) to
+ * <project>/.certora-scraper/fix-sessions/<id>.json, so a server restart in
+ * the middle of a long fix loses nothing: the analyses, per-item prompts and
+ * results and the certoraRun attempts are on disk, and the session can be
+ * resumed from its first unfinished item.
+ * Sessions without a project path go to <data dir>/fix-sessions. Project
+ * directories are remembered in <data dir>/fix-sessions/projects.json so
+ * every journal can be listed after a restart.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { defaultDataDir } from './helpers.mjs';
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const REGISTRY_FILE = 'projects.json';
+// Enough of the certoraRun log to see why an attempt failed
+const MAX_OUTPUT_TAIL = 4000;
+
+export const FINISHED_ITEM_STATUSES = ['done', 'failed'];
+
+// Where a session's journal lives: inside the project, else in the data directory
+export function journalDir(projectPath, env = process.env, cwd = process.cwd()) {
+    if (projectPath && String(projectPath).trim()) {
+        return path.join(path.resolve(String(projectPath).trim()), '.certora-scraper', 'fix-sessions');
+    }
+    return defaultJournalDir(env, cwd);
+}
+
+export function defaultJournalDir(env = process.env, cwd = process.cwd()) {
+    return path.join(defaultDataDir(env, cwd), 'fix-sessions');
+}
+
+function writeJsonAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Index of the first item that never finished (pending, or running when the
+ * server went down); null when every item finished.
+ */
+export function firstUnfinishedIndex(record) {
+    const item = (record.items || []).find(i => !FINISHED_ITEM_STATUSES.includes(i.status));
+    return item ? item.index : null;
+}
+
+function summarize(record, file) {
+    const counts = {};
+    for (const item of record.items || []) counts[item.status] = (counts[item.status] || 0) + 1;
+    return {
+        id: record.id,
+        file,
+        status: record.status,
+        projectPath: record.projectPath,
+        confPath: record.confPath,
+        provider: record.provider,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+        iteration: record.iteration,
+        jobId: record.jobId || null,
+        totalItems: record.totalItems,
+        itemCounts: counts,
+        nextIndex: firstUnfinishedIndex(record),
+        certoraRuns: (record.certoraRuns || []).length,
+        escalated: Boolean(record.escalation),
+        lastUrl: [...(record.certoraRuns || [])].reverse().find(r => r.url)?.url || null
+    };
+}
+
+function wrapJournal(record, file) {
+    const save = () => {
+        record.updatedAt = new Date().toISOString();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        writeJsonAtomic(file, record);
+    };
+    const itemAt = (index) => {
+        const item = record.items.find(i => i.index === index);
+        if (!item) throw new Error(`Unknown journal item: ${index}`);
+        return item;
+    };
+
+    return {
+        id: record.id,
+        file,
+        get record() {
+            return record;
+        },
+        save,
+
+        update(patch) {
+            Object.assign(record, patch);
+            save();
+        },
+
+        itemStarted(index, prompt) {
+            const item = itemAt(index);
+            Object.assign(item, { status: 'running', prompt, startedAt: new Date().toISOString(), finishedAt: null, error: null });
+            save();
+        },
+
+        itemFinished(index, ok, error = null) {
+            const item = itemAt(index);
+            Object.assign(item, { status: ok ? 'done' : 'failed', finishedAt: new Date().toISOString(), error: ok ? null : error });
+            save();
+        },
+
+        // Back to pending: the item was stopped before it finished
+        itemInterrupted(index) {
+            Object.assign(itemAt(index), { status: 'pending', finishedAt: null });
+            save();
+        },
+
+        // Record a certoraRun attempt ('full' conf or 'failing' rules only) at its 'preflight' check
+        // or its 'submit' to the prover; returns the entry for certoraRunFinished
+        certoraRunStarted(attempt, scope = 'full', stage = 'submit') {
+            const entry = { iteration: record.iteration, attempt, scope, stage, startedAt: new Date().toISOString(), finishedAt: null, success: null, url: null, outputTail: '' };
+            record.certoraRuns.push(entry);
+            save();
+            return entry;
+        },
+
+        certoraRunFinished(entry, { success, url, output, confChanges, errorCategory }) {
+            Object.assign(entry, {
+                finishedAt: new Date().toISOString(),
+                success: Boolean(success),
+                url: url || null,
+                confChanges: confChanges || [],
+                errorCategory: errorCategory || null,
+                outputTail: String(output || '').slice(-MAX_OUTPUT_TAIL)
+            });
+            save();
+        },
+
+        // The syntax-fix loop ran out of retries: what was tried and what was rolled back
+        escalated(details) {
+            record.escalation = details;
+            save();
+        },
+
+        // Closed loop: the next iteration fixes a fresh list; the previous one moves to history
+        startIteration(iteration, items) {
+            record.history.push({ iteration: record.iteration, items: record.items });
+            record.iteration = iteration;
+            record.items = items.map((item, index) => ({ index, ...journalItem(item) }));
+            record.totalItems = record.items.length;
+            save();
+        },
+
+        finish(status) {
+            record.status = status;
+            record.finishedAt = new Date().toISOString();
+            save();
+        },
+
+        summary() {
+            return summarize(record, file);
+        }
+    };
+}
+
+function journalItem(item) {
+    return {
+        ruleName: item.ruleName,
+        text: item.text,
+        content: item.content ?? null,
+        status: 'pending',
+        prompt: null,
+        startedAt: null,
+        finishedAt: null,
+        error: null
+    };
+}
+
+/**
+ * Start a journal for a fix session. `items` are the normalized analyses
+ * ({ ruleName, text, content }); startIndex is their index in the full list
+ * when the session itself is a resume from the UI.
+ */
+export function createFixJournal({ dir, items, startIndex = 0, totalItems, options = {} }) {
+    const stamp = new Date().toISOString().replace(/[-:.TZ]/g, '').slice(0, 14);
+    const id = `fix_${stamp}_${crypto.randomBytes(3).toString('hex')}`;
+    const now = new Date().toISOString();
+    const record = {
+        id,
+        status: 'running',
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        projectPath: options.projectPath || null,
+        confPath: options.confPath || null,
+        provider: options.provider || null,
+        basePrompt: options.basePrompt || null,
+        content: options.content || null,
+        closedLoop: options.closedLoop || null,
+        promptTemplates: options.promptTemplates || null,
+        jobMetadata: options.jobMetadata || null,
+        blockUnsound: Boolean(options.blockUnsound),
+        confOverrides: options.confOverrides || null,
+        rerunFailingOnly: Boolean(options.rerunFailingOnly),
+        fullRunAfter: Boolean(options.fullRunAfter),
+        preflight: options.preflight !== false,
+        retryPolicy: options.retryPolicy || null,
+        escalation: null,
+        jobId: options.jobId || null,
+        iteration: 1,
+        totalItems: totalItems ?? startIndex + items.length,
+        items: items.map((item, i) => ({ index: startIndex + i, ...journalItem(item) })),
+        certoraRuns: [],
+        history: []
+    };
+    const journal = wrapJournal(record, path.join(dir, `${id}.json`));
+    journal.save();
+    return journal;
+}
+
+// Open a journal by id from any of the given directories (null when not found)
+export function loadFixJournal(id, dirs) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+    for (const dir of dirs) {
+        const file = path.join(dir, `${id}.json`);
+        const record = readJson(file);
+        if (record && record.id === id) return wrapJournal(record, file);
+    }
+    return null;
+}
+
+// Summaries of every journal in the given directories, newest first
+export function listFixJournals(dirs) {
+    const summaries = [];
+    const seen = new Set();
+    for (const dir of dirs) {
+        let names = [];
+        try { names = fs.readdirSync(dir); } catch { continue; }
+        for (const name of names) {
+            if (!name.endsWith('.json') || name === REGISTRY_FILE) continue;
+            const file = path.join(dir, name);
+            const record = readJson(file);
+            if (!record || !record.id || seen.has(record.id)) continue;
+            seen.add(record.id);
+            summaries.push(summarize(record, file));
+        }
+    }
+    return summaries.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Registry of journal directories, kept in the data directory so that
+ * journals stored inside projects can be found after a restart.
+ */
+export function createJournalRegistry(dataJournalDir = defaultJournalDir()) {
+    const file = path.join(dataJournalDir, REGISTRY_FILE);
+    const read = () => {
+        const dirs = readJson(file);
+        return Array.isArray(dirs) ? dirs : [];
+    };
+    return {
+        // Every known journal directory, the data directory first
+        dirs() {
+            return [dataJournalDir, ...read().filter(dir => dir !== dataJournalDir)];
+        },
+        add(dir) {
+            const dirs = read();
+            if (dir === dataJournalDir || dirs.includes(dir)) return;
+            fs.mkdirSync(dataJournalDir, { recursive: true });
+            writeJsonAtomic(file, [...dirs, dir]);
+        }
+    };
+}
@@ -4,6 +4,15 @@
  * Copyright (c) 2025 Nala.
  * License: ISC (see root LICENSE file).
  */
+import path from 'path';
+
+/**
+ * Base directory for data the server keeps between restarts (run history,
+ * checkpoints): $CERTORA_SCRAPER_DATA_DIR or ./.certora-scraper.
+ */
+export function defaultDataDir(env = process.env, cwd = process.cwd()) {
+    return path.resolve(env.CERTORA_SCRAPER_DATA_DIR || path.join(cwd, '.certora-scraper'));
+}
 
 /**
  * Parse a Certora Prover result URL into its components.
@@ -30,6 +39,44 @@ export function buildResultBaseUrl(runInfo) {
     return `${runInfo.origin}/result/${runInfo.runId}/${runInfo.outputId}`;
 }
 
+/**
+ * Candidate URLs for the progress JSON, most likely first.
+ * The output page itself loads /progress/<runId>/<outputId>; the result
+ * endpoint serving progress.json is kept as a second option.
+ */
+export function buildProgressUrls(runInfo) {
+    const params = new URLSearchParams();
+    if (runInfo.anonymousKey) params.append('anonymousKey', runInfo.anonymousKey);
+    const query = params.toString();
+    const progressUrl = `${runInfo.origin}/progress/${runInfo.runId}/${runInfo.outputId}${query ? `?${query}` : ''}`;
+    params.append('output', 'progress.json');
+    const resultUrl = `${buildResultBaseUrl(runInfo)}?${params.toString()}`;
+    return [progressUrl, resultUrl];
+}
+
+/**
+ * Whether a parsed response body looks like a progress tree.
+ */
+export function isProgressPayload(json) {
+    return Boolean(json && typeof json === 'object' && (json.verificationProgress != null || json.rules));
+}
+
+// Rule statuses the prover reports while a job is still being worked on
+export const PENDING_RULE_STATUSES = ['RUNNING', 'IN_PROGRESS', 'PENDING', 'QUEUED', 'SCHEDULED', 'NOT_STARTED'];
+const FINISHED_JOB_STATUSES = ['COMPLETED', 'SUCCEEDED', 'SUCCESS', 'FINISHED', 'FAILED', 'ERROR', 'HALTED', 'KILLED'];
+
+/**
+ * Whether a prover job is done. output.json's jobStatus wins when present;
+ * otherwise every rule in the progress tree must have left a pending status.
+ * ruleStatuses is the flattened [{ status }] list (see run_diff.mjs).
+ */
+export function isRunFinished(ruleStatuses = [], jobMetadata = null) {
+    const jobStatus = String(jobMetadata?.jobStatus || '').toUpperCase();
+    if (jobStatus) return FINISHED_JOB_STATUSES.includes(jobStatus);
+    if (!ruleStatuses.length) return false;
+    return ruleStatuses.every(r => !PENDING_RULE_STATUSES.includes(String(r.status || '').toUpperCase()));
+}
+
 /**
  * Parse a value that may be either a JSON string or already-parsed object.
  */
@@ -0,0 +1,160 @@
+/*
+ * In-memory job manager for long-running work (rule analyses, fix flows).
+ * Each job owns its abort signal, the child process it is currently running
+ * and a buffer of the events it emitted, so the HTTP stream that started it
+ * is only one subscriber: a reloaded page can attach again and replay the
+ * log from any offset, and cancelling one job leaves the others alone.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import crypto from 'crypto';
+
+export const MAX_JOB_EVENTS = 5000;
+export const MAX_FINISHED_JOBS = 50;
+const KILL_GRACE_MS = 1500;
+
+/**
+ * Stop a child process and its process group (detached children lead their
+ * own group): SIGTERM first, SIGKILL if it is still alive after graceMs.
+ */
+export function killProcessTree(child, graceMs = KILL_GRACE_MS) {
+    if (!child || !child.pid) return;
+    const signalAll = (signal) => {
+        try { child.kill(signal); } catch { }
+        try { process.kill(-child.pid, signal); } catch { }
+    };
+    signalAll('SIGTERM');
+    const timer = setTimeout(() => {
+        if (child.exitCode === null && child.signalCode === null) signalAll('SIGKILL');
+    }, graceMs);
+    timer.unref?.();
+}
+
+function createJob({ kind, label = '', meta = {} }, maxEvents) {
+    const controller = new AbortController();
+    const events = [];
+    const listeners = new Set();
+    let nextOffset = 0;
+    let child = null;
+
+    const job = {
+        id: `${kind}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+        kind,
+        label,
+        meta,
+        status: 'running',
+        error: null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        signal: controller.signal,
+
+        get running() {
+            return job.status === 'running';
+        },
+
+        // Append an event ({ type, message, ... }) and push it to every subscriber
+        emit(event) {
+            const entry = { offset: nextOffset++, event };
+            events.push(entry);
+            if (events.length > maxEvents) events.shift();
+            for (const listener of listeners) listener.onEvent(entry);
+        },
+
+        // Buffered events at or after offset; the oldest ones are dropped past maxEvents
+        eventsFrom(offset = 0) {
+            const first = events.length ? events[0].offset : nextOffset;
+            return events.slice(Math.max(0, offset - first));
+        },
+
+        /**
+         * Follow the job: onEvent(entry) for each new event, onEnd() once it
+         * finishes. Returns the unsubscribe function.
+         */
+        subscribe(onEvent, onEnd = () => { }) {
+            const listener = { onEvent, onEnd };
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        // Track the process the job is running so cancel() can stop it
+        setChild(next) {
+            child = next || null;
+        },
+
+        cancel() {
+            if (!job.running) return false;
+            controller.abort();
+            killProcessTree(child);
+            return true;
+        },
+
+        // Mark the job done; a cancelled job always ends as 'cancelled'
+        finish(status = 'completed', error = null) {
+            if (!job.running) return;
+            job.status = controller.signal.aborted ? 'cancelled' : status;
+            job.error = error;
+            job.finishedAt = new Date().toISOString();
+            child = null;
+            for (const listener of listeners) listener.onEnd();
+            listeners.clear();
+        },
+
+        summary() {
+            return {
+                id: job.id,
+                kind: job.kind,
+                label: job.label,
+                status: job.status,
+                error: job.error,
+                createdAt: job.createdAt,
+                finishedAt: job.finishedAt,
+                eventCount: nextOffset,
+                meta: job.meta
+            };
+        }
+    };
+    return job;
+}
+
+/**
+ * Create a job registry. Finished jobs are kept (newest maxFinishedJobs) so
+ * their logs can still be replayed after the work is done.
+ */
+export function createJobManager({ maxEvents = MAX_JOB_EVENTS, maxFinishedJobs = MAX_FINISHED_JOBS } = {}) {
+    const jobs = new Map();
+
+    const prune = () => {
+        const finished = Array.from(jobs.values()).filter(job => !job.running);
+        for (const job of finished.slice(0, Math.max(0, finished.length - maxFinishedJobs))) {
+            jobs.delete(job.id);
+        }
+    };
+
+    return {
+        // Start tracking a new running job: { kind, label, meta }
+        create(options) {
+            if (!options || !options.kind) throw new Error('Missing job kind');
+            const job = createJob(options, maxEvents);
+            jobs.set(job.id, job);
+            prune();
+            return job;
+        },
+
+        get(id) {
+            return jobs.get(id) || null;
+        },
+
+        // Jobs, newest first; filter by { kind, running }
+        list({ kind, running } = {}) {
+            return Array.from(jobs.values())
+                .filter(job => (!kind || job.kind === kind) && (running === undefined || job.running === running))
+                .reverse();
+        },
+
+        // Cancel one job; false when it is unknown or already finished
+        cancel(id) {
+            const job = jobs.get(id);
+            return job ? job.cancel() : false;
+        }
+    };
+}
@@ -0,0 +1,342 @@
+/*
+ * Pluggable LLM provider layer.
+ * Every provider exposes the same run() contract so the server can stream the
+ * same SSE event types whether the answer comes from the Codex CLI, an
+ * OpenAI-compatible chat endpoint (OpenAI, DeepSeek, vLLM, Ollama) or a
+ * scripted mock used in tests.
+ *
+ *   provider.run({ prompt, mode, cwd, signal, onOutput, onError, onSpawn })
+ *     -> Promise<{ ok, code, output, answer, error }>
+ *
+ * mode is 'analyze' (read-only) or 'fix' (may edit files under cwd).
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+import { extractCodexAnswer } from './helpers.mjs';
+
+const KILL_GRACE_MS = 1200;
+
+// Built-in presets for OpenAI-compatible endpoints
+const HTTP_PRESETS = {
+    openai: {
+        label: 'OpenAI-compatible',
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini',
+        apiKeyEnv: ['LLM_API_KEY', 'OPENAI_API_KEY'],
+        requireApiKey: false
+    },
+    deepseek: {
+        label: 'DeepSeek',
+        baseUrl: 'https://api.deepseek.com',
+        model: 'deepseek-chat',
+        apiKeyEnv: ['DEEPSEEK_API_KEY', 'LLM_API_KEY'],
+        requireApiKey: true
+    }
+};
+
+export const PROVIDER_NAMES = ['codex', 'openai', 'deepseek', 'mock'];
+
+/**
+ * Build the `codex exec` argument list.
+ * Analysis runs in a read-only sandbox, fixes in workspace-write.
+ */
+export function buildCodexArgs({ prompt, mode = 'analyze', cwd, model } = {}) {
+    const args = [
+        'exec',
+        '--sandbox', mode === 'fix' ? 'workspace-write' : 'read-only',
+        '-c', 'approval_policy=never',
+        '-c', 'model_reasoning_effort=high',
+        '-c', 'model_reasoning_summary=detailed'
+    ];
+    if (model) args.push('-m', model);
+    if (cwd) args.push('-C', cwd);
+    args.push(String(prompt || '').replace(/\0/g, ''));
+    return args;
+}
+
+// SIGTERM the child (and its process group when detached), SIGKILL after a grace period
+function terminateChild(child, detached) {
+    if (!child || !child.pid) return;
+    try { child.kill('SIGTERM'); } catch { }
+    if (detached) { try { process.kill(-child.pid, 'SIGTERM'); } catch { } }
+    setTimeout(() => {
+        if (child.exitCode !== null || child.signalCode !== null) return;
+        try { child.kill('SIGKILL'); } catch { }
+        if (detached) { try { process.kill(-child.pid, 'SIGKILL'); } catch { } }
+    }, KILL_GRACE_MS);
+}
+
+/**
+ * Codex CLI adapter: spawns `codex exec` and streams stdout/stderr.
+ */
+function createCodexProvider(config = {}) {
+    const command = config.command || 'codex';
+    return {
+        name: 'codex',
+        label: 'Codex',
+        model: config.model || null,
+        canEditFiles: true,
+        run({ prompt, mode = 'analyze', cwd, signal, onOutput, onError, onSpawn, detached = false } = {}) {
+            return new Promise((resolve) => {
+                if (signal && signal.aborted) {
+                    return resolve({ ok: false, code: null, output: '', answer: '', error: 'aborted' });
+                }
+                const args = buildCodexArgs({ prompt, mode, cwd, model: config.model });
+                const child = spawn(command, args, {
+                    stdio: ['pipe', 'pipe', 'pipe'],
+                    env: { ...process.env },
+                    detached
+                });
+                if (onSpawn) onSpawn(child);
+
+                let output = '';
+                let spawnError = null;
+                const onAbort = () => terminateChild(child, detached);
+                if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+                child.stdout.on('data', (d) => {
+                    const s = d.toString();
+                    output += s;
+                    if (onOutput) onOutput(s);
+                });
+                child.stderr.on('data', (d) => { if (onError) onError(d.toString()); });
+                child.on('error', (e) => {
+                    if (e.code === 'EPIPE') return; // pipe closed after exit, usually harmless
+                    spawnError = e.code === 'ENOENT'
+                        ? `Codex CLI not found (${command}), please install Codex CLI`
+                        : `Process error: ${e.message}`;
+                });
+                child.on('close', (code) => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    const ok = code === 0 && !spawnError;
+                    resolve({
+                        ok,
+                        code,
+                        output,
+                        answer: ok ? extractCodexAnswer(output) : '',
+                        error: spawnError || (ok ? null : `Process exited abnormally, code: ${code}`)
+                    });
+                });
+            });
+        }
+    };
+}
+
+// Pull text deltas out of an OpenAI-style SSE stream
+async function readChatStream(body, onDelta) {
+    let buffer = '';
+    let text = '';
+    const decoder = new TextDecoder();
+    for await (const chunk of body) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const raw of lines) {
+            const line = raw.trim();
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (!data || data === '[DONE]') continue;
+            try {
+                const json = JSON.parse(data);
+                const delta = json.choices?.[0]?.delta?.content ?? json.choices?.[0]?.message?.content ?? '';
+                if (delta) {
+                    text += delta;
+                    onDelta(delta);
+                }
+            } catch { }
+        }
+    }
+    return text;
+}
+
+/**
+ * OpenAI-compatible chat adapter (OpenAI, DeepSeek, vLLM, Ollama...).
+ * Answers only; it cannot edit files, so the fix loop refuses it.
+ */
+function createHttpChatProvider(name, config = {}) {
+    const preset = HTTP_PRESETS[name] || HTTP_PRESETS.openai;
+    const env = config.env || process.env;
+    const baseUrl = String(config.baseUrl || preset.baseUrl).replace(/\/+$/, '');
+    const model = config.model || preset.model;
+    const apiKey = config.apiKey || preset.apiKeyEnv.map(k => env[k]).find(Boolean) || '';
+    const fetchImpl = config.fetchImpl || fetch;
+    const stream = config.stream !== false;
+
+    return {
+        name,
+        label: preset.label,
+        model,
+        canEditFiles: false,
+        async run({ prompt, signal, onOutput, onError } = {}) {
+            if (!apiKey && preset.requireApiKey) {
+                const error = `Missing API key for ${preset.label} (set ${preset.apiKeyEnv.join(' or ')})`;
+                if (onError) onError(error);
+                return { ok: false, code: null, output: '', answer: '', error };
+            }
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+            const body = {
+                model,
+                stream,
+                messages: [{ role: 'user', content: String(prompt || '').replace(/\0/g, '') }]
+            };
+
+            try {
+                const resp = await fetchImpl(`${baseUrl}/chat/completions`, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify(body),
+                    signal
+                });
+                if (!resp.ok) {
+                    let detail = '';
+                    try { detail = (await resp.text()).slice(0, 500); } catch { }
+                    const error = `HTTP ${resp.status} from ${preset.label}${detail ? `: ${detail}` : ''}`;
+                    if (onError) onError(error);
+                    return { ok: false, code: resp.status, output: '', answer: '', error };
+                }
+
+                const contentType = String(resp.headers?.get?.('content-type') || '');
+                let text;
+                if (stream && !contentType.includes('application/json')) {
+                    text = await readChatStream(resp.body, (delta) => { if (onOutput) onOutput(delta); });
+                } else {
+                    const json = await resp.json();
+                    text = json.choices?.[0]?.message?.content || '';
+                    if (onOutput && text) onOutput(text);
+                }
+                return { ok: true, code: 0, output: text, answer: text.trim(), error: null };
+            } catch (e) {
+                const error = e.name === 'AbortError' ? 'aborted' : `Request failed: ${e.message}`;
+                if (onError && error !== 'aborted') onError(error);
+                return { ok: false, code: null, output: '', answer: '', error };
+            }
+        }
+    };
+}
+
+/**
+ * Scripted mock provider for tests.
+ * Each run() consumes the next step of `steps` (the last one repeats):
+ *   { output, answer, ok, delayMs, stderr, writes: { relPath: content } }
+ * Steps can also be loaded from the JSON file named by MOCK_PROVIDER_SCRIPT.
+ */
+function createMockProvider(config = {}) {
+    let steps = config.steps;
+    if (!steps && (config.script || process.env.MOCK_PROVIDER_SCRIPT)) {
+        steps = JSON.parse(fs.readFileSync(config.script || process.env.MOCK_PROVIDER_SCRIPT, 'utf-8'));
+    }
+    steps = Array.isArray(steps) && steps.length ? steps : [{ output: 'Mock analysis' }];
+    let index = 0;
+    const calls = [];
+
+    return {
+        name: 'mock',
+        label: 'Mock',
+        model: 'mock',
+        canEditFiles: true,
+        calls,
+        async run({ prompt, mode = 'analyze', cwd, signal, onOutput, onError } = {}) {
+            const step = steps[Math.min(index, steps.length - 1)];
+            index++;
+            calls.push({ prompt, mode, cwd });
+
+            if (step.delayMs) {
+                await new Promise((resolve) => {
+                    const timer = setTimeout(resolve, step.delayMs);
+                    if (signal) signal.addEventListener('abort', () => { clearTimeout(timer); resolve(); }, { once: true });
+                });
+            }
+            if (signal && signal.aborted) {
+                return { ok: false, code: null, output: '', answer: '', error: 'aborted' };
+            }
+            if (step.stderr && onError) onError(step.stderr);
+            if (mode === 'fix' && cwd && step.writes) {
+                const root = path.resolve(cwd);
+                for (const [rel, content] of Object.entries(step.writes)) {
+                    const full = path.resolve(root, rel);
+                    if (!full.startsWith(`${root}${path.sep}`)) {
+                        const error = `Mock write outside the working directory: ${rel}`;
+                        if (onError) onError(error);
+                        return { ok: false, code: 1, output: '', answer: '', error };
+                    }
+                    fs.mkdirSync(path.dirname(full), { recursive: true });
+                    fs.writeFileSync(full, content);
+                }
+            }
+            const output = step.output ?? '';
+            if (output && onOutput) onOutput(output);
+            const ok = step.ok !== false;
+            return {
+                ok,
+                code: ok ? 0 : 1,
+                output,
+                answer: ok ? (step.answer ?? output).trim() : '',
+                error: ok ? null : (step.error || 'Mock provider failure')
+            };
+        }
+    };
+}
+
+/**
+ * Whether the server lets requests pick the scripted mock provider: only
+ * when it is the server default or LLM_ALLOW_MOCK turned it on.
+ */
+export function mockProviderAllowed(defaults = {}) {
+    return String(defaults.name || '').toLowerCase() === 'mock' || defaults.allowMock === true;
+}
+
+// Providers a request may select under this server config
+export function availableProviders(defaults = {}) {
+    return PROVIDER_NAMES.filter(name => name !== 'mock' || mockProviderAllowed(defaults));
+}
+
+/**
+ * Resolve the provider for a request.
+ * `selection` is a provider name or { name, model } from the request body;
+ * nothing else is taken from it. `defaults` is the server config ({ name,
+ * ...adapter options }) and the only source of endpoints, keys, scripts and
+ * commands. `overrides` win over both, whichever provider is picked; the
+ * server passes the Codex binary here ({ command }, see binaries.mjs).
+ */
+export function createProvider(selection, defaults = {}, overrides = {}) {
+    const requested = typeof selection === 'string' ? { name: selection } : (selection || {});
+    const name = String(requested.name || defaults.name || 'codex').toLowerCase();
+    if (name === 'mock' && !mockProviderAllowed(defaults)) {
+        throw new Error('The mock provider is disabled on this server (set LLM_ALLOW_MOCK=1 to enable it)');
+    }
+    // Server defaults only apply to the provider they were configured for
+    const sameAsDefault = name === String(defaults.name || 'codex').toLowerCase();
+    const config = {
+        ...(sameAsDefault ? defaults : {}),
+        ...(requested.model ? { model: String(requested.model) } : {}),
+        ...overrides
+    };
+
+    switch (name) {
+        case 'codex':
+            return createCodexProvider(config);
+        case 'openai':
+        case 'deepseek':
+            return createHttpChatProvider(name, config);
+        case 'mock':
+            return createMockProvider(config);
+        default:
+            throw new Error(`Unknown LLM provider: ${name} (expected one of ${PROVIDER_NAMES.join(', ')})`);
+    }
+}
+
+/**
+ * Server-wide default provider config from the environment.
+ */
+export function providerConfigFromEnv(env = process.env) {
+    const config = { name: env.LLM_PROVIDER || 'codex' };
+    if (env.LLM_ALLOW_MOCK === '1' || env.LLM_ALLOW_MOCK === 'true') config.allowMock = true;
+    if (env.LLM_MODEL) config.model = env.LLM_MODEL;
+    if (env.LLM_BASE_URL) config.baseUrl = env.LLM_BASE_URL;
+    return config;
+}
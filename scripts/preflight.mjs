@@ -0,0 +1,77 @@
+/*
+ * Pre-flight check: compile and typecheck locally before a prover job is
+ * submitted, so a typo costs seconds instead of a cloud run.
+ * The default runs certoraRun with --compilation_steps_only. A project can
+ * set its own command, or turn the check off, in .certora-scraper.json:
+ *
+ *   { "preflight": "certoraRun {conf} --compilation_steps_only --solc solc8.20" }
+ *   { "preflight": false }
+ *
+ * {conf} is replaced by the conf certoraRun would get (the overridden copy
+ * when there are overrides). Commands run without a shell, from the project root.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+
+export const DEFAULT_PREFLIGHT_COMMAND = 'certoraRun {conf} --compilation_steps_only';
+
+/**
+ * Resolve { enabled, command } from a project config. Throws when
+ * "preflight" is neither false nor a non-empty command string, or has an
+ * unterminated quote.
+ */
+export function preflightConfig(projectConfig = {}) {
+    const value = projectConfig.preflight;
+    if (value === undefined || value === true) return { enabled: true, command: DEFAULT_PREFLIGHT_COMMAND };
+    if (value === false) return { enabled: false, command: null };
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new Error('preflight must be false or a command string');
+    }
+    splitCommand(value);
+    return { enabled: true, command: value.trim() };
+}
+
+/**
+ * Split a command line into arguments. Single and double quotes group
+ * words; a backslash escapes the next character outside single quotes.
+ */
+export function splitCommand(command) {
+    const args = [];
+    let current = '';
+    let quote = null;
+    let started = false;
+    const text = String(command || '');
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === quote) quote = null;
+            else if (c === '\\' && quote === '"' && i + 1 < text.length) current += text[++i];
+            else current += c;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+            started = true;
+        } else if (c === '\\' && i + 1 < text.length) {
+            current += text[++i];
+            started = true;
+        } else if (/\s/.test(c)) {
+            if (started) args.push(current);
+            current = '';
+            started = false;
+        } else {
+            current += c;
+            started = true;
+        }
+    }
+    if (quote) throw new Error(`Unterminated ${quote} in command: ${command}`);
+    if (started) args.push(current);
+    return args;
+}
+
+// [cmd, ...args] for one check, with {conf} filled in and a bare `certoraRun`
+// replaced by the configured binary (see binaries.mjs)
+export function preflightArgv(command, confArg, certoraRun = 'certoraRun') {
+    const argv = splitCommand(command).map(arg => arg.split('{conf}').join(confArg));
+    if (!argv.length) throw new Error('preflight command is empty');
+    if (argv[0] === 'certoraRun') argv[0] = certoraRun;
+    return argv;
+}
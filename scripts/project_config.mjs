@@ -0,0 +1,36 @@
+/*
+ * Per-project settings, read from <project>/.certora-scraper.json.
+ * The file is optional; each feature picks its own keys and applies its own
+ * defaults, so this module only finds and parses it.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import fs from 'fs';
+import path from 'path';
+
+export const PROJECT_CONFIG_FILE = '.certora-scraper.json';
+
+/**
+ * Load the project config. Returns {} when there is no project path or no
+ * config file; throws when the file exists but is not a JSON object.
+ */
+export function loadProjectConfig(projectPath) {
+    if (!projectPath || !String(projectPath).trim()) return {};
+    const file = path.join(String(projectPath).trim(), PROJECT_CONFIG_FILE);
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf-8');
+    } catch {
+        return {};
+    }
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: ${e.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: expected a JSON object`);
+    }
+    return config;
+}
@@ -0,0 +1,185 @@
+/*
+ * Prompt templates: the built-in prompts can be replaced per project.
+ * Templates are Markdown files in <project>/.certora-scraper/prompts (or the
+ * `promptTemplatesDir` of .certora-scraper.json), one kind per file name:
+ *
+ *   violated.md, sanity-failed.md, fix-base.md, syntax-fix.md    (replace the built-in)
+ *   violated.<variant>.md ...                                    (extra, selectable)
+ *
+ * An optional front matter block carries the version and a description:
+ *
+ *   ---
+ *   version: 3
+ *   description: House soundness rules
+ *   ---
+ *
+ * The body uses {{placeholders}} filled by renderTemplate. Each resolved
+ * template has an id (source, name, version and content hash) that keys
+ * the analysis cache, so editing a template never serves stale answers.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import {
+    VIOLATED_TEMPLATE, SANITY_FAILED_TEMPLATE, FIX_BASE_PROMPT, SYNTAX_FIX_TEMPLATE, ANALYSIS_PROMPT_VERSION
+} from './prompts.mjs';
+
+export const DEFAULT_TEMPLATES_DIR = '.certora-scraper/prompts';
+// Selecting this name always uses the built-in text, even when the project replaces it
+export const BUILTIN_TEMPLATE_NAME = 'builtin';
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export const TEMPLATE_KINDS = {
+    violated: {
+        description: 'Analysis of a VIOLATED rule',
+        variables: ['content', 'specContext', 'ruleName', 'projectPath', 'jobMetadata.*'],
+        builtin: { body: VIOLATED_TEMPLATE, version: ANALYSIS_PROMPT_VERSION }
+    },
+    'sanity-failed': {
+        description: 'Analysis of a SANITY_FAILED rule',
+        variables: ['content', 'specContext', 'ruleName', 'projectPath', 'jobMetadata.*'],
+        builtin: { body: SANITY_FAILED_TEMPLATE, version: ANALYSIS_PROMPT_VERSION }
+    },
+    'fix-base': {
+        description: 'Fix instructions; the analysis and CERTORA_OUTPUT are appended per item',
+        variables: ['ruleName', 'analysis', 'content', 'projectPath', 'confPath', 'jobMetadata.*'],
+        builtin: { body: FIX_BASE_PROMPT, version: 1 }
+    },
+    'syntax-fix': {
+        description: 'Repair of syntax/compilation errors reported by certoraRun',
+        variables: ['diagnostics', 'errorCategory', 'errorTail', 'projectPath', 'confPath'],
+        builtin: { body: SYNTAX_FIX_TEMPLATE, version: 2 }
+    }
+};
+
+// Template kind for an analysis of a rule with this status (null: no analysis prompt)
+export function analysisTemplateKind(type) {
+    if (type === 'VIOLATED') return 'violated';
+    if (type === 'SANITY_FAILED') return 'sanity-failed';
+    return null;
+}
+
+/**
+ * Split an optional front matter block ("---" lines with key: value pairs)
+ * from the template body. Returns { version, description, body }.
+ */
+export function parseTemplateFile(raw) {
+    const text = String(raw || '').replace(/\r\n/g, '\n');
+    const match = text.match(/^---\n([\s\S]*?)\n---\n?/);
+    const meta = {};
+    if (match) {
+        for (const line of match[1].split('\n')) {
+            const kv = line.match(/^\s*([A-Za-z_][\w-]*)\s*:\s*(.*?)\s*$/);
+            if (kv) meta[kv[1]] = kv[2];
+        }
+    }
+    return {
+        version: meta.version || '1',
+        description: meta.description || '',
+        body: match ? text.slice(match[0].length) : text
+    };
+}
+
+// Project template directory, or null without a project
+export function templatesDir(projectPath, projectConfig = {}) {
+    if (!projectPath || !String(projectPath).trim()) return null;
+    const root = path.resolve(String(projectPath).trim());
+    const configured = projectConfig.promptTemplatesDir;
+    if (configured !== undefined && typeof configured !== 'string') {
+        throw new Error('promptTemplatesDir must be a project-relative path');
+    }
+    const dir = path.resolve(root, configured || DEFAULT_TEMPLATES_DIR);
+    if (dir !== root && !dir.startsWith(`${root}${path.sep}`)) {
+        throw new Error(`promptTemplatesDir must stay inside the project: ${configured}`);
+    }
+    return dir;
+}
+
+function templateId({ source, kind, name, version, body }) {
+    const hash = crypto.createHash('sha256').update(body).digest('hex').slice(0, 12);
+    return `${source}:${kind}/${name}@${version}:${hash}`;
+}
+
+function builtinTemplate(kind) {
+    const { body, version } = TEMPLATE_KINDS[kind].builtin;
+    const template = { kind, name: BUILTIN_TEMPLATE_NAME, source: 'builtin', version: String(version), description: TEMPLATE_KINDS[kind].description, file: null, body };
+    return { ...template, id: templateId(template) };
+}
+
+// File name for a project template: <kind>.md for 'default', <kind>.<name>.md otherwise
+const templateFileName = (kind, name) => (name === 'default' ? `${kind}.md` : `${kind}.${name}.md`);
+
+function projectTemplate(dir, kind, name) {
+    const file = path.join(dir, templateFileName(kind, name));
+    let raw;
+    try {
+        raw = fs.readFileSync(file, 'utf-8');
+    } catch {
+        return null;
+    }
+    const template = { kind, name, source: 'project', file, ...parseTemplateFile(raw) };
+    return { ...template, id: templateId(template) };
+}
+
+function assertKind(kind) {
+    if (!Object.hasOwn(TEMPLATE_KINDS, kind)) {
+        throw new Error(`Unknown prompt template kind: ${kind} (expected one of ${Object.keys(TEMPLATE_KINDS).join(', ')})`);
+    }
+}
+
+/**
+ * Resolve the template for a kind. Without a name the project's <kind>.md
+ * wins over the built-in; 'builtin' forces the built-in; any other name must
+ * exist in the project directory.
+ * Returns { kind, name, source, version, description, file, body, id }.
+ */
+export function resolvePromptTemplate(kind, { projectPath, projectConfig = {}, name } = {}) {
+    assertKind(kind);
+    if (name === BUILTIN_TEMPLATE_NAME) return builtinTemplate(kind);
+    if (name !== undefined && name !== null && name !== '' && !NAME_PATTERN.test(String(name))) {
+        throw new Error(`Invalid prompt template name: ${name}`);
+    }
+    const dir = templatesDir(projectPath, projectConfig);
+    if (name) {
+        const found = dir ? projectTemplate(dir, kind, String(name)) : null;
+        if (!found) throw new Error(`Unknown prompt template: ${kind}/${name}`);
+        return found;
+    }
+    return (dir && projectTemplate(dir, kind, 'default')) || builtinTemplate(kind);
+}
+
+/**
+ * Every available template, built-in ones first, without bodies:
+ * [{ kind, name, source, version, description, file, id, active }].
+ * `active` marks the one used when no name is selected.
+ */
+export function listPromptTemplates({ projectPath, projectConfig = {} } = {}) {
+    const dir = templatesDir(projectPath, projectConfig);
+    let names = [];
+    if (dir) {
+        try { names = fs.readdirSync(dir).filter(n => n.endsWith('.md')).sort(); } catch { }
+    }
+    const templates = [];
+    for (const kind of Object.keys(TEMPLATE_KINDS)) {
+        const found = [builtinTemplate(kind)];
+        for (const fileName of names) {
+            const base = fileName.slice(0, -3);
+            let name = null;
+            if (base === kind) name = 'default';
+            else if (base.startsWith(`${kind}.`) && NAME_PATTERN.test(base.slice(kind.length + 1))) name = base.slice(kind.length + 1);
+            if (!name || name === BUILTIN_TEMPLATE_NAME) continue;
+            const template = projectTemplate(dir, kind, name);
+            if (template) found.push(template);
+        }
+        const activeId = resolvePromptTemplate(kind, { projectPath, projectConfig }).id;
+        for (const t of found) {
+            templates.push({
+                kind: t.kind, name: t.name, source: t.source, version: t.version, description: t.description, file: t.file, id: t.id,
+                active: t.id === activeId
+            });
+        }
+    }
+    return templates;
+}
@@ -0,0 +1,117 @@
+/*
+ * Prompt texts for the analysis and fix phases.
+ * Shared by the streaming endpoints and the closed-loop fix flow so a rule
+ * re-analyzed after a new prover run gets exactly the same prompt.
+ * The texts are the built-in templates: {{name}} placeholders are filled by
+ * renderTemplate, and projects can replace them (see prompt_templates.mjs).
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+
+// Bump whenever the analysis prompts change: cached analyses are keyed by it
+export const ANALYSIS_PROMPT_VERSION = 2;
+
+export const VIOLATED_TEMPLATE = `Analyze the following Certora rule violation from CERTORA_OUTPUT and propose minimal, sound SPEC/CONF change suggestions . If necessary, also propose changes to the HARNESS CONTRACTS .THINK HARDER,ULTRAL THINK.
+
+Output:
+- Classification: real bug vs false positive (e.g., unreachable initial state, missing preconditions, over-broad summaries, env mismatch).
+- Detalied summary: what failed and where (rule, method, invariant).
+- Fixes Suggestions: concrete,minimal,SOUND  SPEC/CONF/HARNESS CONTRACTS change suggestions(e.g., requireInvariant,  method filters, new ghost).
+
+Constraints:
+- THE OVERRIDING PRINCIPLE FOR ALL RECOMMENDATIONS IS TO PRESERVE SOUNDNESS. THIS IS NON-NEGOTIABLE.BASED ON THIS, THE HIERARCHY OF PREFERENCE FOR FIXES IS:REQUIREINVARIANT >> HAVOC ASSUMING>FILTERED = REQUIRE
+
+You have the ability to search the web to get any necessary information.
+
+{{specContext}}CERTORA_OUTPUT:
+{{content}}
+`;
+
+export const SANITY_FAILED_TEMPLATE = `Analyze the following Certora SANITY_FAILED rule from CERTORA_OUTPUT and detemine whether this rule is meaningful and if it should be deleted or fixed.If it should be fixed propose minimal, sound SPEC/CONF change suggestions .THINK HARDER,ULTRAL THINK.
+
+Output:
+- Summary: whether this rule is meaningful and if it should be deleted or fixed
+- IF meaningful and should be fixed: propose concrete,minimal,SOUND  SPEC/CONF/HARNESS CONTRACTS change suggestions(e.g., method filters, require).
+
+Constraints:
+- THE OVERRIDING PRINCIPLE FOR ALL RECOMMENDATIONS IS TO PRESERVE SOUNDNESS. THIS IS NON-NEGOTIABLE.BASED ON THIS, THE HIERARCHY OF PREFERENCE FOR FIXES IS:REQUIREINVARIANT >> HAVOC ASSUMING>FILTERED = REQUIRE
+
+You have the ability to search the web to get any necessary information.
+
+{{specContext}}CERTORA_OUTPUT:
+{{content}}`;
+
+// Variable lookup for renderTemplate: plain names or dotted paths (jobMetadata.specFile)
+function lookup(variables, name) {
+    return name.split('.').reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), variables);
+}
+
+/**
+ * Fill {{name}} / {{a.b}} placeholders. Missing values render as '' and are
+ * listed in `missing`; objects render as JSON. Inserted values are not
+ * scanned again, so a report containing {{...}} is left alone.
+ * Returns { text, missing }.
+ */
+export function renderTemplate(template, variables = {}) {
+    const missing = [];
+    const text = String(template || '').replace(/\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g, (match, name) => {
+        const value = lookup(variables, name);
+        if (value === null || value === undefined) {
+            if (!missing.includes(name)) missing.push(name);
+            return '';
+        }
+        return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+    });
+    return { text, missing };
+}
+
+// Base prompt for the fix phase; per-rule analyses are appended to it
+export const FIX_BASE_PROMPT = `Implement fixes for the items below by editing SPEC/CONF/HARNESS CONTRACTS only:
+
+        Constraints:
+- THE OVERRIDING PRINCIPLE FOR ALL RECOMMENDATIONS IS TO PRESERVE SOUNDNESS. THIS IS NON-NEGOTIABLE.BASED ON THIS, THE HIERARCHY OF PREFERENCE FOR FIXES IS:REQUIREINVARIANT >> HAVOC ASSUMING>FILTERED = REQUIRE.
+- NEVER MODIFY any Solidity files (.sol) in the following directories: src/, contract/, contracts/.
+- You MAY ONLY modify CVL specification files (.spec) , Certora configuration files (.conf) , HARNESS CONTRACTS (.sol) in the following directories: certora/harness when necessary.
+- DO NOT RUN certoraRun command yourself
+
+You have the ability to search the web to get any necessary information. 
+
+Implement fixes based on the following analysis result`;
+
+/**
+ * Per-item fix prompt: base prompt, the analysis in a code block and the
+ * rule's CERTORA_OUTPUT when available.
+ */
+export function buildFixItemPrompt(basePrompt, analysisText, certoraOutput, ruleDataMarkdown = '') {
+    const certoraOutputSection = certoraOutput
+        ? `\n\n\`\`\`\nCERTORA_OUTPUT:\n${certoraOutput}\n\`\`\``
+        : '';
+    // Wrap codex analysis in code blocks
+    const analysisInCodeBlock = `\`\`\`\n${analysisText}\n\`\`\``;
+    return `${String(basePrompt || '')}\n\n\nAnalysis Results:\n${analysisInCodeBlock}${ruleDataMarkdown}${certoraOutputSection}`;
+}
+
+// Syntax-fix prompts only see the end of the certoraRun log; less when diagnostics were parsed
+export const ERROR_TAIL_CHARS = 9000;
+export const DIAGNOSED_ERROR_TAIL_CHARS = 1500;
+
+export const SYNTAX_FIX_TEMPLATE = `Resolve SPEC/CONF/HARNESS CONTRACTS  syntax/parse/compilation errors listed in the diagnostics below by making the minimal edits required.
+
+ Constraints:
+- NEVER MODIFY any Solidity files (.sol) in the following directories: src/, contract/, contracts/.
+- You MAY ONLY modify CVL specification files (.spec) , Certora configuration files (.conf) , HARNESS CONTRACTS (.sol) in the following directories: certora/harness when necessary.
+- DO NOT RUN certoraRun command yourself
+
+You have the ability to search the web to get any necessary information. 
+
+Diagnostics (parsed from the certoraRun output, with the source around each error):
+{{diagnostics}}
+
+Error log tail:
+{{errorTail}}
+`;
+
+// The end of a certoraRun log, for the {{errorTail}} of the syntax-fix template
+export function errorTail(logOutput, chars = ERROR_TAIL_CHARS) {
+    return String(logOutput || '').slice(-chars);
+}
@@ -0,0 +1,122 @@
+/*
+ * Protected paths: the fix prompts tell the agent not to touch production
+ * contracts, this module checks that it obeyed.
+ * Protected files are hashed (and their content kept) before each agent call;
+ * anything changed, added or deleted afterwards is restored and reported.
+ * Paths under an allow-list entry are exempt, e.g. a harness kept next to the
+ * contracts.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_PROTECTED_PATHS = ['src', 'contract', 'contracts'];
+export const DEFAULT_ALLOWED_PATHS = ['certora/specs', 'certora/conf', 'certora/harness'];
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+
+// Project-relative POSIX path without ./ or trailing slashes; null when it leaves the project
+function normalizeRelPath(p) {
+    const raw = String(p).trim().replace(/\\/g, '/');
+    if (!raw || path.posix.isAbsolute(raw)) return null;
+    const rel = path.posix.normalize(raw).replace(/\/+$/, '');
+    if (!rel || rel === '..' || rel.startsWith('../')) return null;
+    return rel;
+}
+
+const isUnder = (rel, base) => base === '.' || rel === base || rel.startsWith(`${base}/`);
+
+/**
+ * Resolve { protectedPaths, allowedPaths } from a project config
+ * (.certora-scraper.json). Missing keys fall back to the defaults; an empty
+ * protectedPaths list turns the check off.
+ */
+export function protectionConfig(projectConfig = {}) {
+    const list = (key, fallback) => {
+        const value = projectConfig[key];
+        if (value === undefined) return fallback;
+        if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+            throw new Error(`${key} must be an array of project-relative paths`);
+        }
+        return value.map(v => {
+            const rel = normalizeRelPath(v);
+            if (!rel) throw new Error(`${key}: path must stay inside the project: ${v}`);
+            return rel;
+        });
+    };
+    return {
+        protectedPaths: list('protectedPaths', DEFAULT_PROTECTED_PATHS),
+        allowedPaths: list('allowedPaths', DEFAULT_ALLOWED_PATHS)
+    };
+}
+
+function readProtectedFiles(root, { protectedPaths, allowedPaths }) {
+    const files = new Map();
+    const visit = (rel) => {
+        if (allowedPaths.some(base => isUnder(rel, base))) return;
+        const full = path.join(root, rel);
+        let stat;
+        try { stat = fs.lstatSync(full); } catch { return; }
+        if (stat.isDirectory()) {
+            for (const name of fs.readdirSync(full)) {
+                if (!SKIP_DIRS.has(name)) visit(rel === '.' ? name : `${rel}/${name}`);
+            }
+        } else if (stat.isFile()) {
+            const content = fs.readFileSync(full);
+            files.set(rel, { hash: crypto.createHash('sha256').update(content).digest('hex'), content, mode: stat.mode });
+        }
+    };
+    for (const base of protectedPaths) visit(base);
+    return files;
+}
+
+/**
+ * Record every protected file under projectRoot. Pass the result to
+ * findProtectedChanges / restoreProtectedFiles after the agent has run.
+ */
+export function snapshotProtectedFiles(projectRoot, config = protectionConfig()) {
+    const root = path.resolve(projectRoot);
+    return { root, config, files: readProtectedFiles(root, config) };
+}
+
+// Protected files that differ from the snapshot: [{ path, change: 'modified' | 'added' | 'deleted' }]
+export function findProtectedChanges(snapshot) {
+    const current = readProtectedFiles(snapshot.root, snapshot.config);
+    const changes = [];
+    for (const [rel, before] of snapshot.files) {
+        const after = current.get(rel);
+        if (!after) changes.push({ path: rel, change: 'deleted' });
+        else if (after.hash !== before.hash) changes.push({ path: rel, change: 'modified' });
+    }
+    for (const rel of current.keys()) {
+        if (!snapshot.files.has(rel)) changes.push({ path: rel, change: 'added' });
+    }
+    return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Put the changed files back as they were in the snapshot (added files are
+ * deleted). Returns { restored: [paths], failed: [{ path, error }] }.
+ */
+export function restoreProtectedFiles(snapshot, changes) {
+    const restored = [];
+    const failed = [];
+    for (const { path: rel, change } of changes) {
+        const full = path.join(snapshot.root, rel);
+        try {
+            if (change === 'added') {
+                fs.rmSync(full, { force: true });
+            } else {
+                const before = snapshot.files.get(rel);
+                fs.mkdirSync(path.dirname(full), { recursive: true });
+                fs.writeFileSync(full, before.content);
+                fs.chmodSync(full, before.mode & 0o7777);
+            }
+            restored.push(rel);
+        } catch (e) {
+            failed.push({ path: rel, error: e.message });
+        }
+    }
+    return { restored, failed };
+}
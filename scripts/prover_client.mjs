@@ -0,0 +1,338 @@
+/*
+ * Direct HTTP client for the Certora Prover result API.
+ * Requests the progress JSON and output.json without a browser; Playwright
+ * page-sniffing is only used as a fallback when the direct request fails.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import fetch from 'node-fetch';
+import {
+    parseRunInfo, buildResultBaseUrl, buildProgressUrls,
+    isProgressPayload, parseJobMetadata, isRunFinished, PENDING_RULE_STATUSES,
+    getProgressRoots, collectFailedRuleOutputs
+} from './helpers.mjs';
+import { flattenRuleStatuses, ruleStatusChanges } from './run_diff.mjs';
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36';
+const DIRECT_TIMEOUT_MS = 20000;
+const MAX_FETCH_RETRIES = 10;
+const JOB_POLL_INTERVAL_MS = 30000;
+const JOB_POLL_TIMEOUT_MS = 3 * 60 * 60 * 1000;
+
+const positiveInt = (value, fallback, min = 0) => {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n >= min ? n : fallback;
+};
+
+/**
+ * Rule output fetch options for scrapeRun from the environment:
+ * PROVER_FETCH_MAX_RETRIES, PROVER_FETCH_RETRY_DELAY_MS and PROVER_FETCH_TIMEOUT_MS.
+ */
+export function fetchConfigFromEnv(env = process.env) {
+    return {
+        maxRetries: positiveInt(env.PROVER_FETCH_MAX_RETRIES, MAX_FETCH_RETRIES, 1),
+        retryDelayMs: positiveInt(env.PROVER_FETCH_RETRY_DELAY_MS, 2000),
+        timeoutMs: positiveInt(env.PROVER_FETCH_TIMEOUT_MS, DIRECT_TIMEOUT_MS, 1)
+    };
+}
+
+// fetch() with a hard timeout covering the body as well as the headers; node-fetch
+// has no built-in one. Resolves { ok, status, text }, text null for error statuses
+async function fetchTextWithTimeout(url, { fetchImpl = fetch, timeoutMs = DIRECT_TIMEOUT_MS, headers } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const resp = await fetchImpl(url, { signal: controller.signal, headers });
+        return { ok: resp.ok, status: resp.status, text: resp.ok ? await resp.text() : null };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Request the progress JSON directly from the prover API.
+ * Tries each candidate URL in order and returns the first payload that looks
+ * like a progress tree, or null when none of them answer.
+ */
+export async function fetchProgressDirect(runInfo, { fetchImpl = fetch, timeoutMs = DIRECT_TIMEOUT_MS, onProgress } = {}) {
+    const errors = [];
+    for (const candidate of buildProgressUrls(runInfo)) {
+        try {
+            const resp = await fetchTextWithTimeout(candidate, {
+                fetchImpl,
+                timeoutMs,
+                headers: { Accept: 'application/json' }
+            });
+            if (!resp.ok) {
+                errors.push(`HTTP ${resp.status} from ${candidate}`);
+                continue;
+            }
+            let json = null;
+            try { json = JSON.parse(resp.text); } catch { }
+            if (isProgressPayload(json)) return json;
+            errors.push(`No progress data in response from ${candidate}`);
+        } catch (e) {
+            errors.push(`${e.name === 'AbortError' ? 'Timeout' : e.message} (${candidate})`);
+        }
+    }
+    if (onProgress) onProgress(`Direct progress request failed: ${errors.join('; ')}`, 'warning');
+    return null;
+}
+
+/**
+ * Fallback: load the output page in headless Chromium and capture the
+ * progress response the page itself requests.
+ * Playwright is imported lazily so the server runs on hosts without a browser.
+ */
+export async function sniffProgressWithBrowser(url, runInfo, { onProgress } = {}) {
+    let chromium;
+    try {
+        ({ chromium } = await import('playwright'));
+    } catch (e) {
+        throw new Error(`Playwright is not available for the browser fallback: ${e.message}`);
+    }
+
+    const browser = await chromium.launch({ headless: true });
+    try {
+        const context = await browser.newContext({ userAgent: BROWSER_USER_AGENT });
+        const page = await context.newPage();
+
+        let progressData = null;
+        page.on('response', async (response) => {
+            try {
+                const resUrl = response.url();
+                const status = response.status();
+                if (progressData || status < 200 || status >= 300) return;
+                if (!resUrl.includes('progress') && !resUrl.includes(runInfo.outputId)) return;
+                const body = await response.text();
+                try {
+                    const json = JSON.parse(body);
+                    if (isProgressPayload(json)) {
+                        progressData = json;
+                        if (onProgress) onProgress('Found progress data');
+                    }
+                } catch { }
+            } catch { }
+        });
+
+        if (onProgress) onProgress('Accessing page...');
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await page.waitForLoadState('networkidle', { timeout: 30000 }).catch(() => { });
+        return progressData;
+    } finally {
+        await browser.close().catch(() => { });
+    }
+}
+
+/**
+ * Resolve the progress JSON for a prover URL.
+ * Returns { runInfo, progressData, source } where source is 'direct',
+ * 'browser' or null when nothing was found. timeoutMs applies to each direct request.
+ */
+export async function fetchProgress(url, { onProgress, browserFallback = true, fetchImpl, timeoutMs } = {}) {
+    const runInfo = parseRunInfo(url);
+    if (!runInfo.runId || !runInfo.outputId) {
+        throw new Error(`Not a prover output URL: ${url}`);
+    }
+
+    if (onProgress) onProgress('Requesting progress data...');
+    const direct = await fetchProgressDirect(runInfo, { fetchImpl, timeoutMs, onProgress });
+    if (direct) {
+        if (onProgress) onProgress('Found progress data');
+        return { runInfo, progressData: direct, source: 'direct' };
+    }
+
+    if (!browserFallback) return { runInfo, progressData: null, source: null };
+
+    if (onProgress) onProgress('Falling back to browser page capture...', 'warning');
+    const sniffed = await sniffProgressWithBrowser(url, runInfo, { onProgress });
+    return { runInfo, progressData: sniffed, source: sniffed ? 'browser' : null };
+}
+
+// Fetch the top-level output.json for job metadata (prover time, rule_sanity, etc.)
+export async function fetchJobMetadata(runInfo, { fetchImpl = fetch, timeoutMs } = {}) {
+    try {
+        const baseUrl = buildResultBaseUrl(runInfo);
+        const params = new URLSearchParams();
+        if (runInfo.anonymousKey) params.append('anonymousKey', runInfo.anonymousKey);
+        params.append('output', 'output.json');
+        const url = `${baseUrl}?${params.toString()}`;
+        const resp = await fetchTextWithTimeout(url, { fetchImpl, timeoutMs });
+        if (!resp.ok) return null;
+        return parseJobMetadata(JSON.parse(resp.text));
+    } catch (e) {
+        console.warn('Failed to fetch job metadata (output.json):', e.message);
+        return null;
+    }
+}
+
+/**
+ * Watch a prover job: poll progress until the job has finished, calling
+ * onChange(changes, ruleStatuses, jobMetadata) whenever rules appear or change
+ * status. changes is [{ ruleName, from, to, outputFile }] (from is null for
+ * rules seen for the first time).
+ * Resolves { finished: true, jobMetadata, progressData, ruleStatuses } or
+ * { finished: false, reason: 'timeout' | 'aborted', ruleStatuses }; shouldStop()
+ * is checked between polls so a user abort does not wait for the next interval.
+ * timeoutMs bounds the whole wait, requestTimeoutMs each poll request.
+ */
+export async function watchRun(url, opts = {}) {
+    const {
+        pollIntervalMs = JOB_POLL_INTERVAL_MS,
+        timeoutMs = JOB_POLL_TIMEOUT_MS,
+        requestTimeoutMs,
+        fetchImpl,
+        onProgress = console.log,
+        onChange,
+        shouldStop = () => false
+    } = opts;
+    const runInfo = parseRunInfo(url);
+    if (!runInfo.runId || !runInfo.outputId) {
+        throw new Error(`Not a prover output URL: ${url}`);
+    }
+
+    const deadline = Date.now() + timeoutMs;
+    let statuses = [];
+    for (let poll = 1; ; poll++) {
+        if (shouldStop()) return { finished: false, reason: 'aborted', ruleStatuses: statuses };
+
+        const progressData = await fetchProgressDirect(runInfo, { fetchImpl, timeoutMs: requestTimeoutMs });
+        const jobMetadata = await fetchJobMetadata(runInfo, { fetchImpl, timeoutMs: requestTimeoutMs });
+        if (progressData) {
+            const next = flattenRuleStatuses(progressData);
+            const changes = ruleStatusChanges(statuses, next);
+            statuses = next;
+            if (changes.length && onChange) onChange(changes, statuses, jobMetadata);
+        }
+        if (isRunFinished(statuses, jobMetadata)) {
+            onProgress(`Prover job finished${jobMetadata?.jobStatus ? ` (${jobMetadata.jobStatus})` : ''}`);
+            return { finished: true, jobMetadata, progressData, ruleStatuses: statuses };
+        }
+
+        if (Date.now() + pollIntervalMs > deadline) {
+            onProgress(`Gave up waiting for the prover job after ${Math.round(timeoutMs / 1000)}s`, 'warning');
+            return { finished: false, reason: 'timeout', ruleStatuses: statuses };
+        }
+        const pending = statuses.filter(r => PENDING_RULE_STATUSES.includes(r.status)).length;
+        const state = statuses.length ? `${statuses.length - pending}/${statuses.length} rules done` : 'no progress yet';
+        onProgress(`Prover job still running (${state}), poll ${poll}; checking again in ${Math.round(pollIntervalMs / 1000)}s...`);
+
+        // Sleep in short slices so an abort is noticed quickly
+        const wakeAt = Date.now() + pollIntervalMs;
+        while (Date.now() < wakeAt) {
+            if (shouldStop()) return { finished: false, reason: 'aborted', ruleStatuses: statuses };
+            await new Promise(r => setTimeout(r, Math.min(1000, wakeAt - Date.now())));
+        }
+    }
+}
+
+/**
+ * Poll a prover URL until the job has finished (watchRun without change events).
+ */
+export async function waitForJobCompletion(url, opts = {}) {
+    return watchRun(url, { ...opts, onChange: undefined });
+}
+
+/**
+ * Fetch one rule's output JSON, retrying up to maxRetries times.
+ * Never throws: a rule that cannot be fetched comes back with content null
+ * and an error string.
+ */
+export async function fetchJsonWithRetry(rule, { maxRetries = MAX_FETCH_RETRIES, delayMs = 2000, timeoutMs = DIRECT_TIMEOUT_MS, fetchImpl = fetch, onProgress = console.log } = {}) {
+    let attempt = 0;
+    while (attempt < maxRetries) {
+        attempt++;
+        try {
+            onProgress(`Fetching ${rule.outputFile} (attempt ${attempt}/${maxRetries})...`);
+            const response = await fetchTextWithTimeout(rule.url, { fetchImpl, timeoutMs });
+            if (!response.ok) {
+                onProgress(`HTTP ${response.status} failed to fetch ${rule.outputFile}, retrying...`, 'warning');
+            } else {
+                const jsonContent = JSON.parse(response.text);
+                // Simple validation
+                if (jsonContent && typeof jsonContent === 'object') {
+                    return { ...rule, content: jsonContent };
+                }
+                onProgress(`Failed to parse ${rule.outputFile} JSON, retrying...`, 'warning');
+            }
+        } catch (e) {
+            onProgress(`Failed to fetch ${rule.outputFile}: ${e.name === 'AbortError' ? 'Timeout' : e.message}, retrying...`, 'warning');
+        }
+        // Wait then retry
+        if (attempt < maxRetries) await new Promise(r => setTimeout(r, delayMs));
+    }
+    onProgress(`Failed to fetch ${rule.outputFile} after ${maxRetries} attempts, giving up.`, 'error');
+    return { ...rule, content: null, error: `Failed after ${maxRetries} attempts` };
+}
+
+/**
+ * Scrape a whole run: resolve progress, collect the rules matching the
+ * filter options, fetch each rule's output JSON and the job metadata.
+ * Returns null when no progress data could be found.
+ */
+export async function scrapeRun(url, opts = {}) {
+    const { includeSatisfied, includeRuleMatch, includeAll, onProgress = console.log } = opts;
+
+    const { runInfo, progressData, source } = await fetchProgress(url, {
+        onProgress,
+        browserFallback: opts.browserFallback,
+        fetchImpl: opts.fetchImpl,
+        timeoutMs: opts.timeoutMs
+    });
+    if (!progressData) return null;
+    onProgress(`Progress data source: ${source}`);
+
+    const roots = getProgressRoots(progressData);
+    const failedRules = [];
+    for (const root of roots) {
+        collectFailedRuleOutputs(root, runInfo, failedRules, [], { includeSatisfied, includeRuleMatch, includeAll });
+    }
+
+    // Deduplicate (inline snapshots have no outputFile, key them by rule name)
+    const uniqueRules = new Map();
+    for (const rule of failedRules) {
+        const key = rule.outputFile || `snapshot:${rule.ruleName}`;
+        if (!uniqueRules.has(key)) {
+            uniqueRules.set(key, rule);
+        }
+    }
+
+    const sortedRules = Array.from(uniqueRules.values()).sort((a, b) => {
+        const numA = parseInt((a.outputFile || '').match(/\d+/)?.[0] || '0');
+        const numB = parseInt((b.outputFile || '').match(/\d+/)?.[0] || '0');
+        return numA - numB;
+    });
+
+    onProgress(`Found ${sortedRules.length} rules to analyze, fetching JSON content...`);
+
+    // Concurrently fetch all JSON file contents; rules carrying an inline
+    // nodeSnapshot have no per-rule URL, so extract their trace fields instead
+    const rulesWithContent = await Promise.all(sortedRules.map(async (rule) => {
+        if (!rule.url && rule.nodeSnapshot) {
+            const snap = rule.nodeSnapshot;
+            const inline = snap.counterExample || snap.counterexample || snap.trace || snap.callTrace || snap.message || null;
+            return { ...rule, content: inline };
+        }
+        return fetchJsonWithRetry(rule, {
+            maxRetries: opts.maxRetries,
+            delayMs: opts.retryDelayMs,
+            timeoutMs: opts.timeoutMs,
+            fetchImpl: opts.fetchImpl,
+            onProgress
+        });
+    }));
+
+    // P1: Fetch job metadata from output.json
+    const jobMetadata = await fetchJobMetadata(runInfo, { fetchImpl: opts.fetchImpl, timeoutMs: opts.timeoutMs });
+
+    return {
+        url,
+        runInfo,
+        timestamp: new Date().toISOString(),
+        totalRules: rulesWithContent.length,
+        jobMetadata,
+        // Status of every rule in the run (not just the fetched ones), for run-to-run diffs
+        ruleStatuses: flattenRuleStatuses(progressData),
+        rules: rulesWithContent
+    };
+}
@@ -0,0 +1,474 @@
+/*
+ * Markdown rendering for Certora rule output JSON.
+ * Turns a rule's treeView JSON (call trace, variables, global state) into the
+ * Markdown report that analysis prompts are built from.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+
+/**
+ * Markdown report for one scraped rule, or '' when the rule has no content.
+ * Entry point used by the server, the CLI and the browser UI.
+ */
+export function renderRuleMarkdown(rule) {
+    if (!rule || !rule.content) return '';
+    return convertToMarkdown(rule);
+}
+
+// convertToMarkdown function (rewritten based on reference project)
+export function convertToMarkdown(rule) {
+    const traceData = rule.content;
+    const simplifiedRuleName = rule.ruleName.split('↳')[0].trim();
+    let md = `# Certora Trace Analysis\n\n`;
+    md += `**Rule:** ${simplifiedRuleName}\n`;
+    md += `**Status:** ${rule.status}\n`;
+
+    // P0: Extract treeViewPath (the full rule > sub-rule hierarchy from the output JSON)
+    if (traceData.treeViewPath) {
+        md += `**TreeView Path:** ${traceData.treeViewPath}\n`;
+    }
+
+    // P0: Extract assertMessage (the exact assertion that failed)
+    if (traceData.assertMessage) {
+        md += `**Assert Message:** ${traceData.assertMessage}\n`;
+    }
+
+    // P0: Extract assertionBreakdown if present
+    if (traceData.assertionBreakdown && typeof traceData.assertionBreakdown === 'object') {
+        md += `**Assertion Breakdown:**\n`;
+        for (const [key, val] of Object.entries(traceData.assertionBreakdown)) {
+            md += `  - ${key}: ${typeof val === 'object' ? JSON.stringify(val) : val}\n`;
+        }
+    }
+
+    md += `\n`;
+
+    // 1. Call Trace (first position)
+    if (traceData.callTrace) {
+        md += `## 🌳 Call Trace\n\n`;
+        let globalStateCounter = 1;
+        md += convertTraceToMarkdown(traceData.callTrace, 0, { counter: globalStateCounter });
+    }
+
+    // 2. Variables (second) - from variables array
+    md += `\n## 📊 Variables\n\n`;
+    if (traceData.variables && Array.isArray(traceData.variables) && traceData.variables.length > 0) {
+        md += renderVariablesFromArray(traceData.variables);
+    } else {
+        md += `No variable data\n\n`;
+    }
+
+    // 3. Global State Diff (third) - compute from Call Trace Global State nodes
+    // P2: Now includes full intermediate state progression, not just first/last
+    const globalStateDiffResult = calculateGlobalStateDiff(traceData.callTrace);
+    if (Object.keys(globalStateDiffResult.diff).length > 0) {
+        md += `## 🔄 Global State Diff (First vs Last)\n\n`;
+        md += renderGlobalStateDiff(globalStateDiffResult.diff);
+    }
+    // P2: Render all intermediate Global State snapshots
+    if (globalStateDiffResult.allStates && globalStateDiffResult.allStates.length > 1) {
+        md += `## 📸 All Global State Snapshots (${globalStateDiffResult.allStates.length} states)\n\n`;
+        globalStateDiffResult.allStates.forEach((state, idx) => {
+            md += `### State #${idx + 1}\n\n`;
+            for (const [path, value] of Object.entries(state)) {
+                md += `- **${path}**: \`${value}\`\n`;
+            }
+            md += `\n`;
+        });
+    }
+
+    // 4. Call Resolution Warnings (with enriched fields)
+    if (traceData.callResolutionWarnings && traceData.callResolutionWarnings.length > 0) {
+        md += `## 🚨 Call Resolution Warnings\n\n`;
+        traceData.callResolutionWarnings.forEach((warning, index) => {
+            md += `### Warning #${index + 1}\n\n`;
+            if (warning.caller) {
+                md += `**Caller**: ${warning.caller.name || 'Unknown'}`;
+                if (warning.caller.contractName) md += ` (contract: ${warning.caller.contractName})`;
+                md += `\n`;
+            }
+            if (warning.callee) {
+                md += `**Callee**: ${warning.callee.name || 'Unknown'}`;
+                if (warning.callee.contractName) md += ` (contract: ${warning.callee.contractName})`;
+                md += `\n`;
+            }
+            // P1: Extract resolution type (HAVOC_ALL, HAVOC_ECF, DISPATCHER, etc.)
+            if (warning.resolution) {
+                md += `**Resolution**: ${warning.resolution}\n`;
+            }
+            // P1: Extract isCallback flag
+            if (warning.isCallback !== undefined) {
+                md += `**Is Callback**: ${warning.isCallback}\n`;
+            }
+            // P1: Extract resolvedTo info
+            if (warning.resolvedTo) {
+                md += `**Resolved To**: ${typeof warning.resolvedTo === 'object' ? JSON.stringify(warning.resolvedTo) : warning.resolvedTo}\n`;
+            }
+            if (warning.summary) {
+                md += `**Summary**: ${warning.summary}\n`;
+            }
+            if (warning.callSite) {
+                md += `**Call Site**: ${warning.callSite.snippet || 'Unknown'}\n`;
+                if (warning.callSite.jumpToDefinition) {
+                    md += `**Location**: ${warning.callSite.jumpToDefinition.file}:${warning.callSite.jumpToDefinition.start.line}\n`;
+                }
+            }
+            if (warning.comments && warning.comments.length > 0) {
+                md += `**Comments**:\n`;
+                warning.comments.forEach(comment => {
+                    if (typeof comment === 'object') {
+                        const key = Object.keys(comment)[0];
+                        md += `- **${key}**: ${comment[key]}\n`;
+                    } else {
+                        md += `- ${comment}\n`;
+                    }
+                });
+            }
+            md += `\n`;
+        });
+    }
+
+    return md;
+}
+
+// Call Trace conversion - reference implementation
+export function convertTraceToMarkdown(node, level, context = { counter: 1 }) {
+    const indent = '  '.repeat(level);
+    let md = '';
+
+    let messageText = node.message?.text || '';
+    if (node.message?.arguments) {
+        node.message.arguments.forEach((arg, index) => {
+            const placeholder = `{${index}}`;
+            let value = '?';
+
+            if (arg.value !== undefined) {
+                value = arg.value;
+                // P2: If multiple representations exist, always show both (removed arbitrary <1M gate)
+                if (arg.values && arg.values.length > 1) {
+                    const decValue = arg.values.find(v => !v.startsWith('0x') && v !== arg.value && !isNaN(v));
+                    if (decValue) {
+                        value = `${arg.value} (${decValue})`;
+                    }
+                }
+            } else if (arg.values && Array.isArray(arg.values) && arg.values.length > 0) {
+                value = arg.values[0];
+                // Also show alternative representations
+                if (arg.values.length > 1) {
+                    value = arg.values.join(' / ');
+                }
+            }
+
+            messageText = messageText.replace(placeholder, value);
+        });
+    }
+
+    if (messageText === 'Global State') {
+        messageText = `Global State #${context.counter}`;
+        context.counter++;
+    }
+
+    const statusBadge = node.status && node.status.trim() ? ` **[${node.status}]**` : '';
+
+    // P1: Extract returnValue, reverted, isView flags from call trace nodes
+    let extraAnnotations = '';
+    if (node.returnValue !== undefined && node.returnValue !== null) {
+        extraAnnotations += ` → return: \`${node.returnValue}\``;
+    }
+    if (node.reverted === true) {
+        extraAnnotations += ' **[REVERTED]**';
+    }
+    if (node.isView === true) {
+        extraAnnotations += ' *(view)*';
+    }
+    if (node.isStaticCall === true) {
+        extraAnnotations += ' *(staticcall)*';
+    }
+    if (node.delegateCall === true) {
+        extraAnnotations += ' *(delegatecall)*';
+    }
+
+    md += `${indent}- ${messageText}${statusBadge}${extraAnnotations}\n`;
+
+    if (node.childrenList && node.childrenList.length > 0) {
+        node.childrenList.forEach(child => {
+            md += convertTraceToMarkdown(child, level + 1, context);
+        });
+    }
+
+    return md;
+}
+
+// Compute Global State differences - P2 enhanced: returns diff + all intermediate states
+export function calculateGlobalStateDiff(callTrace) {
+    const globalStateNodes = [];
+
+    // Collect all Global State nodes
+    collectGlobalStateNodes(callTrace, globalStateNodes);
+
+    if (globalStateNodes.length === 0) {
+        return { diff: {}, allStates: [] };
+    }
+
+    // P2: Extract ALL intermediate states (not just first/last)
+    const allStates = globalStateNodes.map(node => extractStateFromGlobalNode(node));
+
+    // Extract first and last Global State states for the summary diff
+    const firstState = allStates[0];
+    const lastState = allStates[allStates.length - 1];
+
+    // Compute differences
+    const diff = {};
+
+    // Collect all state keys
+    const allKeys = new Set([...Object.keys(firstState), ...Object.keys(lastState)]);
+
+    allKeys.forEach(key => {
+        const firstValue = firstState[key];
+        const lastValue = lastState[key];
+
+        // Record only if value changes
+        if (firstValue !== lastValue) {
+            diff[key] = {
+                from: firstValue || 'undefined',
+                to: lastValue || 'undefined',
+                changed: true
+            };
+        } else if (firstValue && lastValue) {
+            // Value unchanged but present in both states
+            diff[key] = {
+                from: firstValue,
+                to: lastValue,
+                changed: false
+            };
+        }
+    });
+
+    return { diff, allStates };
+}
+
+// Recursively collect all Global State nodes
+function collectGlobalStateNodes(node, globalStateNodes) {
+    if (node && node.message && node.message.text === "Global State") {
+        globalStateNodes.push(node);
+    }
+
+    if (node && node.childrenList) {
+        node.childrenList.forEach(child => {
+            collectGlobalStateNodes(child, globalStateNodes);
+        });
+    }
+}
+
+// Extract state info from Global State node
+function extractStateFromGlobalNode(globalStateNode) {
+    const state = {};
+
+    if (globalStateNode.childrenList) {
+        globalStateNode.childrenList.forEach(child => {
+            extractStateRecursively(child, state);
+        });
+    }
+
+    return state;
+}
+
+// Recursively extract state info
+function extractStateRecursively(node, state) {
+    // If node has arguments, this indicates a state record
+    if (node.message && node.message.arguments && node.message.arguments.length > 0) {
+        // Replace placeholders to get the full state path
+        let fullPath = node.message.text;
+        let stateValue = null;
+
+        node.message.arguments.forEach((arg, index) => {
+            const placeholder = `{${index}}`;
+            if (fullPath.includes(placeholder)) {
+                if (arg.value && arg.value !== '*') {
+                    // Prefer the most readable value
+                    let displayValue = arg.value;
+                    if (arg.values && arg.values.length > 1) {
+                        // P2: Always show decimal representation (removed <1M gate)
+                        const decValue = arg.values.find(v => !v.startsWith('0x') && v !== arg.value && !isNaN(v));
+                        if (decValue) {
+                            displayValue = `${arg.value} (${decValue})`;
+                        }
+                    }
+                    fullPath = fullPath.replace(placeholder, displayValue);
+
+                    // The last argument is usually the value
+                    if (index === node.message.arguments.length - 1) {
+                        stateValue = displayValue;
+                    }
+                } else {
+                    fullPath = fullPath.replace(placeholder, arg.value || 'undefined');
+                }
+            }
+        });
+
+        // Parse path and value
+        const parsed = parseStatePath(fullPath, stateValue);
+        if (parsed.path && parsed.value !== null) {
+            state[parsed.path] = parsed.value;
+        }
+    }
+
+    // Recursively process child nodes
+    if (node.childrenList) {
+        node.childrenList.forEach(child => {
+            extractStateRecursively(child, state);
+        });
+    }
+}
+
+// Parse state path
+function parseStatePath(fullText, extractedValue) {
+    const colonIndex = fullText.indexOf(': ');
+    if (colonIndex === -1) {
+        return { path: fullText.trim(), value: extractedValue || 'undefined' };
+    }
+
+    const path = fullText.substring(0, colonIndex).trim();
+    let value = fullText.substring(colonIndex + 2).trim();
+
+    // Prefer value extracted from arguments when present
+    if (extractedValue && extractedValue !== 'undefined') {
+        value = extractedValue;
+    }
+
+    // Trim quotes
+    value = value.replace(/^['"]|['"]$/g, '');
+
+    return { path, value };
+}
+
+// Render Global State diff
+export function renderGlobalStateDiff(diff) {
+    let md = '';
+
+    // Group by path type
+    const groups = {
+        'storage': { title: 'Storage Changes', items: [] },
+        'balance': { title: 'Balance Changes', items: [] },
+        'ghost': { title: 'Ghost Variable Changes', items: [] },
+        'other': { title: 'Other Changes', items: [] }
+    };
+
+    Object.entries(diff).forEach(([path, change]) => {
+        const item = { path, change };
+
+        if (path.includes('storage') || path.includes('balanceOf') || path.includes('_storage')) {
+            groups.storage.items.push(item);
+        } else if (path.includes('balance') || path.includes('Balance')) {
+            groups.balance.items.push(item);
+        } else if (path.includes('ghost') || path.includes('Ghost')) {
+            groups.ghost.items.push(item);
+        } else {
+            groups.other.items.push(item);
+        }
+    });
+
+    // Render each group
+    Object.values(groups).forEach(group => {
+        if (group.items.length > 0) {
+            md += `### ${group.title}\n\n`;
+            group.items.forEach(item => {
+                const { path, change } = item;
+                if (change.changed) {
+                    md += `- **${path}**: \`${change.from}\` → \`${change.to}\` ✨\n`;
+                } else {
+                    md += `- **${path}**: \`${change.from}\` (unchanged)\n`;
+                }
+            });
+            md += `\n`;
+        }
+    });
+
+    return md;
+}
+
+// Render hierarchy from variables array - enhanced with type/isHavoc metadata
+export function renderVariablesFromArray(variables) {
+    let md = '';
+
+    variables.forEach((variable) => {
+        // Only process objects with variableName field
+        if (variable && typeof variable === 'object' && variable.hasOwnProperty('variableName')) {
+            // Handle variables with childrenList
+            if (variable.hasOwnProperty('childrenList') && Array.isArray(variable.childrenList) && variable.childrenList.length > 0) {
+                md += renderNestedVariable(variable);
+            } else {
+                // Simple variable: output name, value, and metadata
+                const name = variable.variableName;
+                const value = variable.hasOwnProperty('value') ? variable.value : 'undefined';
+                let annotation = '';
+                // P2: Extract type info
+                if (variable.type) annotation += ` *(${variable.type})*`;
+                // P2: Extract isHavoc flag
+                if (variable.isHavoc === true) annotation += ' **[HAVOC]**';
+                // P2: Show raw/alternative values if present
+                if (variable.rawValue !== undefined && variable.rawValue !== variable.value) {
+                    annotation += ` (raw: ${variable.rawValue})`;
+                }
+                if (variable.values && Array.isArray(variable.values) && variable.values.length > 1) {
+                    annotation += ` [${variable.values.join(', ')}]`;
+                }
+                md += `**${name}**: \`${value}\`${annotation}\n\n`;
+            }
+        }
+    });
+
+    return md;
+}
+
+// Handle nested variables - enhanced with type/isHavoc metadata
+function renderNestedVariable(variable, parentPath = []) {
+    let md = '';
+    const currentPath = parentPath.length > 0 ? [...parentPath, variable.variableName] : [variable.variableName];
+
+    // If there are child variables, recurse
+    if (variable.hasOwnProperty('childrenList') && Array.isArray(variable.childrenList) && variable.childrenList.length > 0) {
+        variable.childrenList.forEach(child => {
+            // Ensure child is a valid object with variableName
+            if (child && typeof child === 'object' && child.hasOwnProperty('variableName')) {
+                md += renderNestedVariable(child, currentPath);
+            }
+        });
+    } else {
+        // Leaf node: output full path, value, and metadata
+        const fullPath = currentPath.join('.');
+        const value = variable.hasOwnProperty('value') ? variable.value : 'undefined';
+        let annotation = '';
+        if (variable.type) annotation += ` *(${variable.type})*`;
+        if (variable.isHavoc === true) annotation += ' **[HAVOC]**';
+        if (variable.rawValue !== undefined && variable.rawValue !== variable.value) {
+            annotation += ` (raw: ${variable.rawValue})`;
+        }
+        if (variable.values && Array.isArray(variable.values) && variable.values.length > 1) {
+            annotation += ` [${variable.values.join(', ')}]`;
+        }
+        md += `**${fullPath}**: \`${value}\`${annotation}\n\n`;
+    }
+
+    return md;
+}
+
+// Summarize SANITY_FAILED rules as "rule -> failing functions"
+export function aggregateSanityFailures(rules) {
+    const sanityMap = new Map();
+
+    rules.forEach(rule => {
+        const parts = rule.ruleName.split(' > ');
+        const baseRule = parts[0];
+        const funcName = parts[parts.length - 1];
+
+        if (!sanityMap.has(baseRule)) {
+            sanityMap.set(baseRule, new Set());
+        }
+        sanityMap.get(baseRule).add(funcName);
+    });
+
+    return Array.from(sanityMap.entries()).map(([rule, funcs]) =>
+        `Rule ${rule} sanity failed in the following functions:\n${Array.from(funcs).map(f => `- ${f}`).join('\n')}`
+    ).join('\n\n');
+}
@@ -0,0 +1,110 @@
+/*
+ * Retry policy for the certoraRun syntax-fix loop.
+ * Every failed pre-flight check or certoraRun hands its diagnostics to the
+ * agent; the policy bounds how often. The loop escalates to the user when
+ * the fix attempts run out, or when the same errors keep coming back after
+ * fixes, instead of retrying overnight. Set per project in
+ * .certora-scraper.json, or per run with the retryPolicy fix option:
+ *
+ *   { "retryPolicy": { "maxAttempts": 5, "maxRepeats": 2, "rollback": true } }
+ *
+ * maxAttempts: agent fixes per certoraRun stage. maxRepeats: fixes in a row
+ * that may leave the same errors. rollback: on escalation, restore the
+ * certora/ directory to its last compiling state (see checkpoints.mjs).
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import { CATEGORY_LABELS } from './certora_errors.mjs';
+
+export const DEFAULT_RETRY_POLICY = { maxAttempts: 5, maxRepeats: 2, rollback: true };
+
+const LIMITS = { maxAttempts: [1, 50], maxRepeats: [1, 10] };
+
+/**
+ * The policy from the defaults and each source in turn (later sources win).
+ * Throws on unknown keys and out-of-range values.
+ */
+export function retryPolicyConfig(...sources) {
+    const policy = { ...DEFAULT_RETRY_POLICY };
+    for (const source of sources) {
+        if (source === undefined || source === null) continue;
+        if (typeof source !== 'object' || Array.isArray(source)) throw new Error('retryPolicy must be an object');
+        for (const [key, value] of Object.entries(source)) {
+            if (key === 'rollback') {
+                if (typeof value !== 'boolean') throw new Error('retryPolicy.rollback must be true or false');
+                policy.rollback = value;
+            } else if (LIMITS[key]) {
+                const [min, max] = LIMITS[key];
+                if (!Number.isInteger(value) || value < min || value > max) {
+                    throw new Error(`retryPolicy.${key} must be an integer from ${min} to ${max}`);
+                }
+                policy[key] = value;
+            } else {
+                throw new Error(`Unknown retryPolicy option: ${key}`);
+            }
+        }
+    }
+    return policy;
+}
+
+// Identity of a failure: its category and the file and message of each
+// diagnostic, in any order. Lines are left out, since a fix that adds lines
+// above an error moves it without solving it.
+export function errorSignature(category, diagnostics = []) {
+    const parts = diagnostics.map(d => `${d.category}|${d.file ?? ''}|${d.message}`);
+    return [category || 'unknown', ...[...new Set(parts)].sort()].join('\n');
+}
+
+/**
+ * Track the failures of one certoraRun stage against the policy.
+ * failed() records a failure and returns null when the agent may try again,
+ * or { reason: 'budget'|'repeated', message } when the loop should escalate.
+ * fixed() records the outcome of the agent call for the last failure.
+ */
+export function createRetryTracker(policy = DEFAULT_RETRY_POLICY) {
+    const failures = [];
+    let fixes = 0;
+    return {
+        failures,
+
+        failed({ attempt, stage, category, diagnostics = [] }) {
+            const signature = errorSignature(category, diagnostics);
+            const previous = failures[failures.length - 1];
+            const repeats = previous && previous.signature === signature ? previous.repeats + 1 : 1;
+            failures.push({
+                attempt, stage, category, signature, repeats, fix: null,
+                diagnostics: diagnostics.map(({ file, line, column, message }) => ({ file, line, column, message }))
+            });
+            const label = CATEGORY_LABELS[category] || category || 'error';
+            if (repeats > policy.maxRepeats) {
+                return { reason: 'repeated', message: `The same ${label} came back after ${repeats - 1} fixes in a row` };
+            }
+            if (fixes >= policy.maxAttempts) {
+                return { reason: 'budget', message: `${fixes} fix attempt${fixes === 1 ? '' : 's'} did not get certoraRun past its errors` };
+            }
+            return null;
+        },
+
+        fixed(ok) {
+            fixes++;
+            if (failures.length) failures[failures.length - 1].fix = ok ? 'applied' : 'failed';
+        },
+
+        get fixes() {
+            return fixes;
+        }
+    };
+}
+
+// One line per failure: where it failed, the first diagnostic and what the agent did
+export function describeAttempts(failures) {
+    return failures.map(f => {
+        const where = f.stage === 'preflight' ? 'pre-flight' : 'certoraRun';
+        const first = f.diagnostics[0];
+        const location = first && first.file ? `${first.file}${first.line ? `:${first.line}` : ''}: ` : '';
+        const more = f.diagnostics.length > 1 ? ` (+${f.diagnostics.length - 1} more)` : '';
+        const detail = first ? ` - ${location}${first.message}${more}` : '';
+        const fix = f.fix === null ? 'no fix attempted' : (f.fix === 'applied' ? 'fix applied' : 'fix failed');
+        return `Attempt ${f.attempt} (${where}): ${CATEGORY_LABELS[f.category] || f.category}${detail}; ${fix}`;
+    }).join('\n');
+}
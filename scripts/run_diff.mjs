@@ -0,0 +1,97 @@
+/*
+ * Run-to-run diff: compare rule statuses between two prover runs.
+ * Both progress trees are flattened to one entry per rule path, then matched
+ * by path to find regressions, fixes, new sanity failures and added/removed
+ * rules, which is the main signal for whether a fix actually helped.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import { getProgressRoots } from './helpers.mjs';
+
+/**
+ * Flatten a progress JSON into [{ ruleName, status, outputFile }], one entry
+ * per node carrying a status. ruleName is the ' > ' joined path, the same
+ * naming collectFailedRuleOutputs uses.
+ */
+export function flattenRuleStatuses(progressData) {
+    const statuses = [];
+    const walk = (node, parentPath) => {
+        if (!node) return;
+        const nextPath = parentPath.concat(node.name || '');
+        const status = String(node.status || '').toUpperCase();
+        if (status) {
+            const output = Array.isArray(node.output) ? node.output : [];
+            statuses.push({
+                ruleName: nextPath.filter(Boolean).join(' > '),
+                status,
+                outputFile: output.find(o => typeof o === 'string' && /\.json$/i.test(o)) || null
+            });
+        }
+        const children = Array.isArray(node.children) ? node.children : [];
+        for (const child of children) walk(child, nextPath);
+    };
+    for (const root of getProgressRoots(progressData)) walk(root, []);
+    return statuses;
+}
+
+/**
+ * Rules that are new in `after` or whose status differs from `before`:
+ * [{ ruleName, from, to, outputFile }], from is null for new rules.
+ */
+export function ruleStatusChanges(before = [], after = []) {
+    const previous = new Map(before.map(r => [r.ruleName, String(r.status || '').toUpperCase()]));
+    const changes = [];
+    for (const rule of after) {
+        const to = String(rule.status || '').toUpperCase();
+        const from = previous.has(rule.ruleName) ? previous.get(rule.ruleName) : null;
+        if (from !== to) changes.push({ ruleName: rule.ruleName, from, to, outputFile: rule.outputFile || null });
+    }
+    return changes;
+}
+
+/**
+ * Compare two flattened status lists (base = earlier run, head = later run).
+ * Rules present in both runs land in exactly one of regressed, fixed, changed
+ * or unchanged; newSanityFailed also lists added rules that fail sanity.
+ */
+export function diffRuleStatuses(base = [], head = []) {
+    const toMap = (list) => new Map(list.map(r => [r.ruleName, String(r.status || '').toUpperCase()]));
+    const before = toMap(base);
+    const after = toMap(head);
+
+    const diff = { regressed: [], fixed: [], newSanityFailed: [], changed: [], added: [], removed: [], unchanged: 0 };
+
+    for (const [ruleName, to] of after) {
+        const from = before.has(ruleName) ? before.get(ruleName) : null;
+        if (to === 'SANITY_FAILED' && from !== 'SANITY_FAILED') {
+            diff.newSanityFailed.push({ ruleName, from, to });
+        }
+        if (from === null) {
+            diff.added.push({ ruleName, status: to });
+        } else if (from === to) {
+            diff.unchanged++;
+        } else if (from === 'VERIFIED' && to === 'VIOLATED') {
+            diff.regressed.push({ ruleName, from, to });
+        } else if (from === 'VIOLATED' && to === 'VERIFIED') {
+            diff.fixed.push({ ruleName, from, to });
+        } else {
+            diff.changed.push({ ruleName, from, to });
+        }
+    }
+    for (const [ruleName, status] of before) {
+        if (!after.has(ruleName)) diff.removed.push({ ruleName, status });
+    }
+
+    diff.summary = {
+        base: before.size,
+        head: after.size,
+        regressed: diff.regressed.length,
+        fixed: diff.fixed.length,
+        newSanityFailed: diff.newSanityFailed.length,
+        changed: diff.changed.length,
+        added: diff.added.length,
+        removed: diff.removed.length,
+        unchanged: diff.unchanged
+    };
+    return diff;
+}
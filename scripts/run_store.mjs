@@ -0,0 +1,180 @@
+/*
+ * Persistent run history: one JSON file per scraped prover run.
+ * Keeps the scrape result (job metadata, every rule status, per-rule content
+ * and Markdown) plus the analyses written for it, so a run can be reopened
+ * or diffed without hitting the prover again. A small index.json holds the summaries shown in the list.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import fs from 'fs';
+import path from 'path';
+import { defaultDataDir } from './helpers.mjs';
+
+const INDEX_FILE = 'index.json';
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Default store directory: $CERTORA_SCRAPER_DATA_DIR/runs or ./.certora-scraper/runs.
+ */
+export function defaultRunStoreDir(env = process.env, cwd = process.cwd()) {
+    return path.join(defaultDataDir(env, cwd), 'runs');
+}
+
+// Stable id for a prover run; the same run scraped again replaces the old entry
+export function runStoreId(runInfo = {}) {
+    const parts = [runInfo.runId, runInfo.outputId].filter(Boolean).map(p => String(p).replace(/[^A-Za-z0-9_-]/g, '_'));
+    return parts.length ? parts.join('_') : `run_${Date.now()}`;
+}
+
+// Key analyses by the rule's output file; inline snapshots have none, use the rule path
+export function ruleKey(rule = {}) {
+    return rule.outputFile || rule.ruleName || '';
+}
+
+function countStatuses(rules) {
+    const counts = {};
+    for (const rule of rules) {
+        const status = String(rule.status || 'UNKNOWN').toUpperCase();
+        counts[status] = (counts[status] || 0) + 1;
+    }
+    return counts;
+}
+
+function summarize(record) {
+    return {
+        id: record.id,
+        url: record.url,
+        runId: record.runId,
+        outputId: record.outputId,
+        savedAt: record.savedAt,
+        scrapedAt: record.scrapedAt,
+        contractName: record.jobMetadata?.contractName || null,
+        jobStatus: record.jobMetadata?.jobStatus || null,
+        totalRules: record.totalRules,
+        statusCounts: record.statusCounts,
+        analysisCount: Object.keys(record.analyses || {}).length
+    };
+}
+
+// Write via a temp file so a crash never leaves half a JSON file behind
+function writeJsonAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Create a run store rooted at `dir` (created on first write).
+ */
+export function createRunStore(dir = defaultRunStoreDir()) {
+    const runFile = (id) => path.join(dir, `${id}.json`);
+    const validId = (id) => typeof id === 'string' && ID_PATTERN.test(id);
+
+    const readIndex = () => {
+        const index = readJson(path.join(dir, INDEX_FILE));
+        return Array.isArray(index) ? index : [];
+    };
+    const writeIndex = (index) => {
+        fs.mkdirSync(dir, { recursive: true });
+        writeJsonAtomic(path.join(dir, INDEX_FILE), index);
+    };
+    const upsertIndex = (record) => {
+        const index = readIndex().filter(entry => entry.id !== record.id);
+        index.push(summarize(record));
+        index.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+        writeIndex(index);
+    };
+    const readRecord = (id) => (validId(id) ? readJson(runFile(id)) : null);
+
+    return {
+        dir,
+
+        /**
+         * Persist a scrape result (as returned by scrapeRun). Analyses saved
+         * for an earlier scrape of the same run are kept. Returns the summary.
+         */
+        save(result) {
+            const runInfo = result.runInfo || {};
+            const id = runStoreId(runInfo);
+            const previous = readRecord(id);
+            const rules = (result.rules || []).map(rule => ({
+                ruleName: rule.ruleName,
+                status: rule.status,
+                outputFile: rule.outputFile || null,
+                url: rule.url || null,
+                content: rule.content ?? null,
+                markdown: rule.markdown || '',
+                error: rule.error || null
+            }));
+            const record = {
+                id,
+                url: result.url,
+                runId: runInfo.runId || null,
+                outputId: runInfo.outputId || null,
+                runInfo,
+                savedAt: new Date().toISOString(),
+                scrapedAt: result.timestamp || null,
+                jobMetadata: result.jobMetadata || null,
+                ruleStatuses: Array.isArray(result.ruleStatuses) ? result.ruleStatuses : null,
+                totalRules: rules.length,
+                statusCounts: countStatuses(rules),
+                rules,
+                analyses: previous?.analyses || {}
+            };
+            fs.mkdirSync(dir, { recursive: true });
+            writeJsonAtomic(runFile(id), record);
+            upsertIndex(record);
+            return summarize(record);
+        },
+
+        // Summaries of every stored run, newest first
+        list() {
+            return readIndex();
+        },
+
+        /**
+         * Full record for a run, with each rule's saved analysis attached as
+         * `analysis`. Returns null for unknown ids.
+         */
+        get(id) {
+            const record = readRecord(id);
+            if (!record) return null;
+            const analyses = record.analyses || {};
+            record.rules = (record.rules || []).map(rule => ({
+                ...rule,
+                analysis: analyses[ruleKey(rule)]?.text ?? null
+            }));
+            return record;
+        },
+
+        // Remove a run; returns false when it did not exist
+        remove(id) {
+            if (!validId(id) || !fs.existsSync(runFile(id))) return false;
+            fs.rmSync(runFile(id), { force: true });
+            writeIndex(readIndex().filter(entry => entry.id !== id));
+            return true;
+        },
+
+        /**
+         * Attach (or replace) the analysis text for one rule of a stored run.
+         * Returns the updated summary, or null when the run is unknown.
+         */
+        saveAnalysis(id, key, text, meta = {}) {
+            const record = readRecord(id);
+            if (!record || !key) return null;
+            record.analyses = record.analyses || {};
+            record.analyses[key] = { text: String(text ?? ''), ...meta, updatedAt: new Date().toISOString() };
+            writeJsonAtomic(runFile(id), record);
+            upsertIndex(record);
+            return summarize(record);
+        }
+    };
+}
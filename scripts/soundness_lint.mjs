@@ -0,0 +1,268 @@
+/*
+ * Soundness lint for agent edits to specs and confs.
+ * The fix prompts rank fixes REQUIREINVARIANT >> HAVOC ASSUMING > FILTERED =
+ * REQUIRE; this module checks what a fix actually added. The certora/ .spec
+ * and .conf files are snapshotted before each agent call and compared after
+ * it: new assumptions (require, axioms, filters, method summaries, optimistic
+ * conf flags) and removed properties are reported with a severity:
+ *
+ *   high    can make a rule pass vacuously or hide real behavior
+ *   medium  narrows what is verified; needs a justification
+ *   low     weaker than before, but usually acceptable
+ *   info    sound by construction (requireInvariant of a proven invariant)
+ *
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseCvl, tokenizeCvl } from './cvl_parser.mjs';
+import { parseConfText } from './conf_model.mjs';
+
+export const SEVERITIES = ['high', 'medium', 'low', 'info'];
+
+// Summaries that replace a call's behavior with an arbitrary or fixed value
+const HIDING_SUMMARIES = new Set(['NONDET', 'ALWAYS', 'CONSTANT', 'PER_CALLEE_CONSTANT']);
+const NARROWING_SUMMARIES = new Set(['DISPATCHER', 'DISPATCH', 'HAVOC_ECF', 'expression']);
+// Conf options that assume things away; true (or any value) turns them on
+const OPTIMISTIC_CONF_KEYS = ['optimistic_loop', 'optimistic_hashing', 'optimistic_summary_recursion', 'optimistic_fallback', 'optimistic_contract_recursion', 'assume_unwinding_cond'];
+const NARROWING_CONF_KEYS = ['rule', 'exclude_rule', 'method', 'exclude_method', 'split_rules'];
+
+/**
+ * Read every .spec and .conf under <project>/certora (hidden directories,
+ * e.g. .certora_internal, skipped). Returns { root, files: Map(relPath -> text) }.
+ */
+export function snapshotSpecSources(projectRoot) {
+    const root = path.resolve(projectRoot);
+    const files = new Map();
+    const walk = (dir, depth) => {
+        if (depth > 6) return;
+        let entries = [];
+        try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+        for (const ent of entries) {
+            const full = path.join(dir, ent.name);
+            if (ent.isDirectory() && !ent.name.startsWith('.')) walk(full, depth + 1);
+            else if (ent.isFile() && /\.(spec|conf)$/.test(ent.name)) {
+                try { files.set(path.relative(root, full).split(path.sep).join('/'), fs.readFileSync(full, 'utf-8')); } catch { }
+            }
+        }
+    };
+    walk(path.join(root, 'certora'), 0);
+    return { root, files };
+}
+
+const collapse = (s) => String(s).replace(/\s+/g, ' ').trim();
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+// require / requireInvariant / havoc ... assuming statements inside [start, end) of the source
+function assumptionStatements(text, start, end) {
+    const tokens = tokenizeCvl(text.slice(start, end));
+    const statements = [];
+    for (let k = 0; k < tokens.length; k++) {
+        const t = tokens[k];
+        let kind = null;
+        if (t.type === 'ident' && t.value === 'require') kind = 'require';
+        else if (t.type === 'ident' && t.value === 'requireInvariant') kind = 'requireInvariant';
+        else if (t.type === 'ident' && t.value === 'havoc') kind = 'havoc';
+        if (!kind) continue;
+        let j = k;
+        while (j < tokens.length && tokens[j].value !== ';') j++;
+        const stmt = collapse(text.slice(start + t.start, start + (tokens[Math.min(j, tokens.length - 1)].end)));
+        if (kind === 'havoc' && !/\bassuming\b/.test(stmt)) continue;
+        statements.push({ kind, text: stmt.replace(/;$/, ''), offset: start + t.start });
+        k = j;
+    }
+    return statements;
+}
+
+// Top-level declarations that can hold statements or assumptions, keyed "kind name"
+function declarationsOf(index) {
+    const map = new Map();
+    const add = (kind, item, name = item.name) => map.set(`${kind} ${name}`, { kind, name, item });
+    index.rules.forEach(r => add('rule', r));
+    index.invariants.forEach(r => add('invariant', r));
+    index.hooks.forEach(h => add('hook', h));
+    index.functions.forEach(f => add('function', f));
+    index.definitions.forEach(d => add('definition', d));
+    index.ghosts.forEach(g => add('ghost', g));
+    return map;
+}
+
+// Multiset difference: entries of `after` not matched by an entry of `before` (by key)
+function added(before, after, key) {
+    const counts = new Map();
+    for (const b of before) counts.set(key(b), (counts.get(key(b)) || 0) + 1);
+    return after.filter(a => {
+        const n = counts.get(key(a)) || 0;
+        if (n === 0) return true;
+        counts.set(key(a), n - 1);
+        return false;
+    });
+}
+
+function requireSeverity(statement, where) {
+    if (statement.kind === 'requireInvariant') return ['info', 'requireInvariant of an invariant; sound when that invariant is proven'];
+    if (statement.kind === 'havoc') return ['low', 'havoc ... assuming constrains the havoced value'];
+    if (/^require\s*\(?\s*false\s*\)?$/.test(statement.text)) return ['high', 'require false makes every assertion after it pass vacuously'];
+    if (/\b(forall|exists)\b/.test(statement.text)) return ['high', 'quantified require assumes a global property without proving it'];
+    if (where === 'hook' || where === 'function' || where === 'definition') {
+        return ['high', `require in a ${where === 'hook' ? 'hook' : 'CVL function'} applies to every use of it`];
+    }
+    return ['medium', 'new require narrows the verified states; prefer requireInvariant'];
+}
+
+// Filters that leave (almost) nothing to verify
+const EXCLUDES_EVERYTHING = /^\s*\w+\s*->\s*(false|\w+\.isView|\w+\.isPure)\s*$/;
+
+/**
+ * Compare the before/after text of one spec. Returns findings:
+ * [{ severity, category, file, line, declaration, message, snippet }].
+ */
+export function lintSpecChange(file, beforeText, afterText) {
+    const before = beforeText ? parseCvl(beforeText) : parseCvl('');
+    const after = parseCvl(afterText || '');
+    const findings = [];
+    const push = (severity, category, declaration, message, offset, snippet = '') => findings.push({
+        severity, category, file, line: offset === null ? null : lineAt(afterText, offset), declaration, message, snippet: collapse(snippet).slice(0, 200)
+    });
+
+    const beforeDecls = declarationsOf(before);
+    const afterDecls = declarationsOf(after);
+
+    for (const [key, { kind, name, item }] of afterDecls) {
+        const previous = beforeDecls.get(key);
+        const prevText = previous ? beforeText.slice(previous.item.range.start.offset, previous.item.range.end.offset) : '';
+        const prevStatements = previous ? assumptionStatements(prevText, 0, prevText.length) : [];
+        const statements = assumptionStatements(afterText, item.range.start.offset, item.range.end.offset);
+        for (const statement of added(prevStatements, statements, s => s.text)) {
+            const [severity, why] = requireSeverity(statement, kind);
+            push(severity, statement.kind === 'require' ? 'require' : statement.kind, `${kind} ${name}`, why, statement.offset, statement.text);
+        }
+
+        if (kind === 'ghost') {
+            for (const axiom of added(previous ? previous.item.axioms : [], item.axioms, a => a)) {
+                const initial = axiom.startsWith('init_state');
+                push(initial ? 'low' : 'high', 'axiom', `ghost ${name}`,
+                    initial ? 'init_state axiom must match the constructor, or invariants start from an impossible state' : 'ghost axiom is assumed everywhere without proof',
+                    item.range.start.offset, axiom);
+            }
+        }
+
+        if ((kind === 'rule' || kind === 'invariant') && item.filtered && item.filtered !== (previous?.item.filtered ?? null)) {
+            const everything = EXCLUDES_EVERYTHING.test(item.filtered);
+            push(everything ? 'high' : 'medium', 'filtered', `${kind} ${name}`,
+                everything ? 'filter excludes every state-changing method' : (previous?.item.filtered ? 'filter changed; check which methods it now excludes' : 'new filter excludes methods from verification'),
+                item.range.start.offset, `filtered { ${item.filtered} }`);
+        }
+
+        if (kind === 'rule' && previous) {
+            const asserts = (text) => tokenizeCvl(text).filter(t => t.type === 'ident' && (t.value === 'assert' || t.value === 'satisfy')).length;
+            const was = asserts(prevText);
+            const now = asserts(afterText.slice(item.range.start.offset, item.range.end.offset));
+            if (now < was) push('high', 'assert', `rule ${name}`, `assertions removed (${was} -> ${now})`, item.range.start.offset);
+        }
+        if (kind === 'invariant' && previous && item.expression !== previous.item.expression) {
+            push('medium', 'invariant', `invariant ${name}`, 'invariant expression changed; check it was not weakened', item.range.start.offset, item.expression);
+        }
+    }
+
+    for (const [key, { kind, name }] of beforeDecls) {
+        if ((kind === 'rule' || kind === 'invariant') && !afterDecls.has(key)) {
+            push('high', 'removed', `${kind} ${name}`, `${kind} deleted`, null);
+        }
+    }
+
+    const entries = (index) => index.methods.flatMap(block => block.entries).filter(e => e.summary);
+    const previousSummaries = new Map(entries(before).map(e => [e.signature, e.summary.text]));
+    for (const entry of entries(after)) {
+        if (previousSummaries.get(entry.signature) === entry.summary.text) continue;
+        const kind = entry.summary.kind;
+        const severity = HIDING_SUMMARIES.has(kind) ? 'high' : (NARROWING_SUMMARIES.has(kind) ? 'medium' : 'low');
+        const message = HIDING_SUMMARIES.has(kind)
+            ? `${kind} summary replaces the call's behavior with ${kind === 'NONDET' ? 'an arbitrary' : 'a fixed'} result`
+            : (NARROWING_SUMMARIES.has(kind) ? `${kind} summary restricts which code the call may run` : `${kind} summary over-approximates the call`);
+        push(severity, 'summary', `methods ${entry.signature}`, message, entry.range.start.offset, `${entry.signature} => ${entry.summary.text}`);
+    }
+    return findings;
+}
+
+/**
+ * Compare the before/after text of one .conf: optimistic assumptions turned
+ * on and rule/method selections that narrow the run.
+ */
+export function lintConfChange(file, beforeText, afterText) {
+    const parse = (text) => {
+        if (!text) return {};
+        try { return parseConfText(text); } catch { return null; }
+    };
+    const before = parse(beforeText);
+    const after = parse(afterText);
+    if (!after) return [{ severity: 'medium', category: 'conf', file, line: null, declaration: null, message: 'conf is no longer valid JSON5', snippet: '' }];
+    const was = before || {};
+    const findings = [];
+    const push = (severity, key, message) => findings.push({
+        severity, category: 'conf', file, line: lineOfKey(afterText, key), declaration: key, message, snippet: `"${key}": ${JSON.stringify(after[key])}`.slice(0, 200)
+    });
+    for (const key of OPTIMISTIC_CONF_KEYS) {
+        if (after[key] && !was[key]) push('medium', key, `${key} assumes away the cases it covers`);
+    }
+    for (const key of NARROWING_CONF_KEYS) {
+        if (after[key] !== undefined && JSON.stringify(after[key]) !== JSON.stringify(was[key])) push('medium', key, `${key} changes which rules or methods are verified`);
+    }
+    if (was.rule_sanity && was.rule_sanity !== 'none' && (!after.rule_sanity || after.rule_sanity === 'none')) {
+        findings.push({ severity: 'medium', category: 'conf', file, line: null, declaration: 'rule_sanity', message: 'rule_sanity turned off; vacuous rules will no longer be reported', snippet: '' });
+    }
+    if (after.loop_iter !== undefined && was.loop_iter !== undefined && Number(after.loop_iter) < Number(was.loop_iter)) {
+        push('low', 'loop_iter', `loop_iter lowered (${was.loop_iter} -> ${after.loop_iter})`);
+    }
+    return findings;
+}
+
+function lineOfKey(text, key) {
+    const offset = String(text || '').indexOf(`"${key}"`);
+    return offset === -1 ? null : lineAt(text, offset);
+}
+
+/**
+ * Lint everything that changed between two snapshots. Returns
+ * { findings, counts: { high, medium, low, info }, changedFiles }.
+ */
+export function lintSpecChanges(before, after) {
+    const findings = [];
+    const changedFiles = [];
+    for (const [file, text] of after.files) {
+        const previous = before.files.get(file);
+        if (previous === text) continue;
+        changedFiles.push(file);
+        findings.push(...(file.endsWith('.conf') ? lintConfChange(file, previous, text) : lintSpecChange(file, previous, text)));
+    }
+    for (const file of before.files.keys()) {
+        if (!after.files.has(file)) {
+            changedFiles.push(file);
+            if (file.endsWith('.spec')) findings.push({ severity: 'high', category: 'removed', file, line: null, declaration: null, message: 'spec file deleted', snippet: '' });
+        }
+    }
+    findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    const counts = Object.fromEntries(SEVERITIES.map(s => [s, findings.filter(f => f.severity === s).length]));
+    return { findings, counts, changedFiles };
+}
+
+/**
+ * Put the linted files back to their snapshot content (files the agent
+ * added are removed). Returns { restored, failed }.
+ */
+export function restoreSpecSources(before, changedFiles) {
+    const restored = [];
+    const failed = [];
+    for (const rel of changedFiles) {
+        const full = path.join(before.root, rel);
+        try {
+            if (before.files.has(rel)) fs.writeFileSync(full, before.files.get(rel));
+            else fs.rmSync(full, { force: true });
+            restored.push(rel);
+        } catch (e) {
+            failed.push({ path: rel, error: e.message });
+        }
+    }
+    return { restored, failed };
+}
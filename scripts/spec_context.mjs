@@ -0,0 +1,255 @@
+/*
+ * Spec context for analysis prompts: the CVL the failing rule is written in.
+ * Finds the spec through the selected .conf ("verify") or the job's specFile,
+ * follows its imports, and extracts the rule or invariant body, the methods
+ * block and the ghosts, hooks, functions and definitions the rule reaches.
+ * The excerpts become the {{specContext}} section of the analysis prompt, so
+ * the LLM reasons about the actual CVL instead of guessing from the trace.
+ * Copyright (c) 2025 Nala.
+ * License: ISC (see root LICENSE file).
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseCvl, listCvlDeclarations, tokenizeCvl } from './cvl_parser.mjs';
+import { parseConfText, resolveConfPath } from './conf_model.mjs';
+
+// Upper bound for the whole section; the rule and methods block come first
+export const SPEC_CONTEXT_MAX_CHARS = 16000;
+const CONF_MAX_CHARS = 3000;
+const MAX_IMPORT_DEPTH = 5;
+
+// Confs are parsed by conf_model.mjs; re-exported for existing callers
+export { parseConfText };
+
+// Spec paths named by a conf's "verify" ("Contract:path/to.spec", string or list)
+export function confSpecFiles(conf) {
+    const verify = conf && conf.verify;
+    const entries = Array.isArray(verify) ? verify : (verify ? [verify] : []);
+    return entries
+        .map(entry => String(entry).split(':').slice(1).join(':').trim())
+        .filter(spec => spec.endsWith('.spec'));
+}
+
+/**
+ * Top-level declarations of CVL source: [{ kind, name, text, line }], from the
+ * CVL parser's index (see cvl_parser.mjs).
+ */
+export function parseSpecDeclarations(source) {
+    const text = String(source || '').replace(/\r\n/g, '\n');
+    return listCvlDeclarations(parseCvl(text)).map(({ kind, name, range, item }) => ({
+        kind,
+        name,
+        text: text.slice(range.start.offset, range.end.offset),
+        line: range.start.line,
+        ...(kind === 'import' && { path: item.path })
+    }));
+}
+
+// Paths of `import "x.spec";` statements, relative to the importing file
+function importedFiles(declarations, file) {
+    return declarations
+        .filter(d => d.kind === 'import')
+        .map(d => path.resolve(path.dirname(file), d.path));
+}
+
+const insideRoot = (root, file) => file === root || file.startsWith(`${root}${path.sep}`);
+
+/**
+ * Read a spec and, recursively, the specs it imports (inside the project only).
+ * Returns [{ file, declarations }] in import order, each file once.
+ */
+export function loadSpecTree(specFile, projectRoot) {
+    const files = [];
+    const seen = new Set();
+    const visit = (file, depth) => {
+        if (seen.has(file) || depth > MAX_IMPORT_DEPTH || !insideRoot(projectRoot, file)) return;
+        seen.add(file);
+        let source;
+        try { source = fs.readFileSync(file, 'utf-8'); } catch { return; }
+        const declarations = parseSpecDeclarations(source);
+        files.push({ file, declarations });
+        for (const imported of importedFiles(declarations, file)) visit(imported, depth + 1);
+    };
+    visit(path.resolve(specFile), 0);
+    return files;
+}
+
+/**
+ * Every .spec file under <project>/certora (up to 4 directories deep, hidden
+ * directories skipped), shallower files first.
+ */
+export function listSpecFiles(projectRoot) {
+    const files = [];
+    const walk = (dir, depth) => {
+        if (depth > 4) return;
+        let entries = [];
+        try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const ent of entries) {
+            if (ent.isFile() && ent.name.endsWith('.spec')) files.push({ file: path.join(dir, ent.name), depth });
+        }
+        for (const ent of entries) {
+            if (ent.isDirectory() && !ent.name.startsWith('.')) walk(path.join(dir, ent.name), depth + 1);
+        }
+    };
+    walk(path.join(path.resolve(projectRoot), 'certora'), 0);
+    return files.sort((a, b) => a.depth - b.depth).map(f => f.file);
+}
+
+/**
+ * Local spec files for a run, most reliable first: the conf's "verify" specs,
+ * then jobMetadata.specFile (by path, or by name under certora/).
+ */
+export function resolveSpecFiles({ projectRoot, conf, specFile }) {
+    const found = [];
+    const add = (file) => {
+        if (file && insideRoot(projectRoot, file) && fs.existsSync(file) && !found.includes(file)) found.push(file);
+    };
+    for (const rel of confSpecFiles(conf)) add(path.resolve(projectRoot, rel));
+    if (specFile) {
+        const candidate = path.resolve(projectRoot, String(specFile));
+        if (fs.existsSync(candidate)) add(candidate);
+        else add(listSpecFiles(projectRoot).find(file => path.basename(file) === path.basename(String(specFile))));
+    }
+    return found;
+}
+
+const TREE_VIEW_PATH = /\*\*TreeView Path:\*\*\s*(\S+)/;
+
+/**
+ * Candidate rule names, best first: the first segment of the scraped rule name
+ * ("rule > method(...)"), then the TreeView Path from the report Markdown.
+ */
+export function ruleNameCandidates(ruleName, content) {
+    const names = [];
+    const first = String(ruleName || '').split(/\s*(?:>|↳)\s*/)[0].trim();
+    if (first) names.push(first.replace(/\(.*$/, ''));
+    const treeViewPath = String(content || '').match(TREE_VIEW_PATH);
+    if (treeViewPath) names.push(treeViewPath[1]);
+    return names;
+}
+
+/**
+ * The name certoraRun's "rule" option takes for a scraped rule: a candidate
+ * that is a plain identifier, else the rule part of the TreeView Path
+ * ("rule-method"); null when neither is usable.
+ */
+export function confRuleName(ruleName, content) {
+    const exact = ruleNameCandidates(ruleName, content).find(name => /^[A-Za-z_]\w*$/.test(name));
+    if (exact) return exact;
+    const treeViewPath = String(content || '').match(TREE_VIEW_PATH);
+    const prefix = treeViewPath && treeViewPath[1].match(/^[A-Za-z_]\w*(?=-)/);
+    return prefix ? prefix[0] : null;
+}
+
+// The rule or invariant a candidate refers to; TreeView paths match by the longest declared prefix
+function findTarget(declarations, candidates) {
+    const targets = declarations.filter(d => d.kind === 'rule' || d.kind === 'invariant');
+    for (const candidate of candidates) {
+        const exact = targets.find(d => d.name === candidate);
+        if (exact) return exact;
+    }
+    for (const candidate of candidates) {
+        const prefixed = targets
+            .filter(d => d.name && candidate.startsWith(d.name) && !/^[A-Za-z0-9_]/.test(candidate.slice(d.name.length)))
+            .sort((a, b) => b.name.length - a.name.length)[0];
+        if (prefixed) return prefixed;
+    }
+    return null;
+}
+
+// Identifiers used in CVL text (comments and strings excluded)
+const identifiers = (text) => new Set(tokenizeCvl(text).filter(t => t.type === 'ident').map(t => t.value));
+
+/**
+ * Declarations relevant to the target: the methods blocks, then ghosts,
+ * functions, definitions and required invariants it mentions (followed
+ * transitively), then the hooks that update any of those ghosts.
+ */
+export function relevantDeclarations(declarations, target) {
+    const referable = declarations.filter(d => ['ghost', 'function', 'definition', 'invariant'].includes(d.kind) && d.name && d !== target);
+    const picked = [];
+    const queue = [target.text];
+    while (queue.length) {
+        const used = identifiers(queue.shift());
+        for (const decl of referable) {
+            if (!picked.includes(decl) && used.has(decl.name)) {
+                picked.push(decl);
+                queue.push(decl.text);
+            }
+        }
+    }
+    const ghosts = picked.filter(d => d.kind === 'ghost');
+    const hooks = declarations.filter(d => d.kind === 'hook' && ghosts.some(g => identifiers(d.text).has(g.name)));
+    return [...declarations.filter(d => d.kind === 'methods'), ...picked, ...hooks];
+}
+
+const KIND_LABELS = { rule: 'Rule', invariant: 'Invariant', methods: 'Methods block', ghost: 'Ghost', hook: 'Hook', function: 'CVL function', definition: 'Definition' };
+
+/**
+ * Build the spec context for one rule. Returns { text, specFiles, confFile,
+ * target, included, notes }; text is '' when no local CVL could be found.
+ * Paths in the text are project-relative. Throws when confPath is not a
+ * .conf inside the project.
+ */
+export function buildSpecContext({ projectPath, confPath, specFile, ruleName, content, maxChars = SPEC_CONTEXT_MAX_CHARS } = {}) {
+    const result = { text: '', specFiles: [], confFile: null, target: null, included: [], notes: [] };
+    if (!projectPath || !String(projectPath).trim()) {
+        result.notes.push('No project path; spec context skipped');
+        return result;
+    }
+    const projectRoot = path.resolve(String(projectPath).trim());
+    const rel = (file) => path.relative(projectRoot, file);
+
+    let conf = null;
+    let confText = null;
+    if (confPath && String(confPath).trim()) {
+        const file = resolveConfPath(projectRoot, confPath);
+        try {
+            confText = fs.readFileSync(file, 'utf-8');
+            result.confFile = rel(file);
+            conf = parseConfText(confText);
+        } catch (e) {
+            result.notes.push(confText === null ? `Conf not readable: ${confPath}` : `Conf not parsed (${e.message})`);
+        }
+    }
+
+    const specFiles = resolveSpecFiles({ projectRoot, conf, specFile });
+    result.specFiles = specFiles.map(rel);
+    if (!specFiles.length) result.notes.push(`No local spec found${specFile ? ` for ${specFile}` : ''}`);
+
+    const candidates = ruleNameCandidates(ruleName, content);
+    let sections = [];
+    for (const spec of specFiles) {
+        const tree = loadSpecTree(spec, projectRoot);
+        const all = tree.flatMap(({ file, declarations }) => declarations.map(d => ({ ...d, file })));
+        const target = findTarget(all, candidates);
+        if (!target) continue;
+        result.target = { kind: target.kind, name: target.name, file: rel(target.file), line: target.line };
+        sections = [target, ...relevantDeclarations(all, target)];
+        break;
+    }
+    if (specFiles.length && !result.target) {
+        result.notes.push(`Rule ${candidates[0] || ruleName || '(unknown)'} not found in ${result.specFiles.join(', ')}`);
+    }
+
+    let text = '';
+    const omitted = [];
+    for (const decl of sections) {
+        const label = KIND_LABELS[decl.kind] || decl.kind;
+        const block = `### ${label}${decl.kind === 'methods' ? '' : ` \`${decl.name}\``} (${rel(decl.file)}:${decl.line})\n\`\`\`cvl\n${decl.text}\n\`\`\`\n\n`;
+        if (text.length + block.length > maxChars && text) {
+            omitted.push(`${decl.kind} ${decl.name}`);
+            continue;
+        }
+        text += block;
+        result.included.push({ kind: decl.kind, name: decl.name, file: rel(decl.file), line: decl.line });
+    }
+    if (omitted.length) text += `(Omitted for length: ${omitted.join(', ')})\n\n`;
+    if (confText !== null) {
+        const confBody = confText.length > CONF_MAX_CHARS ? `${confText.slice(0, CONF_MAX_CHARS)}\n... (truncated)` : confText;
+        text += `### Conf (${result.confFile})\n\`\`\`json\n${confBody.trimEnd()}\n\`\`\`\n\n`;
+    }
+    if (text) result.text = `SPEC_CONTEXT (excerpts from the local CVL sources; line numbers refer to the files):\n\n${text}`;
+    return result;
+}
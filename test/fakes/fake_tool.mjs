@@ -0,0 +1,54 @@
+/**
+ * Scripted stand-in for an external tool (codex, certoraRun) in end-to-end tests.
+ * The tool reads its steps from the JSON file named by FAKE_<NAME>_SCRIPT
+ * (FAKE_CODEX_SCRIPT, FAKE_CERTORARUN_SCRIPT): an array with one step per
+ * invocation, the last step repeating. Every invocation is logged as a JSON
+ * line ({ argv, cwd, pid }) to <script>.calls, which also counts the calls.
+ *
+ * Step fields, all optional:
+ *   stdout, stderr  text to print
+ *   proverUrl       true to print a prover output URL unique to the call
+ *   writes          { relPath: content } written below the working directory
+ *                   (codex: its -C directory)
+ *   delayMs         wait before exiting
+ *   hang            never exit; the test has to stop the process
+ *   exitCode        default 0
+ */
+
+import { readFileSync, writeFileSync, appendFileSync, mkdirSync, existsSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+
+export function runFakeTool(name) {
+    const argv = process.argv.slice(2);
+    const script = process.env[`FAKE_${name.toUpperCase()}_SCRIPT`];
+    if (!script) {
+        process.stderr.write(`${name} (fake): FAKE_${name.toUpperCase()}_SCRIPT is not set\n`);
+        process.exit(127);
+    }
+    const steps = JSON.parse(readFileSync(script, 'utf-8'));
+    const callsFile = `${script}.calls`;
+    const call = existsSync(callsFile) ? readFileSync(callsFile, 'utf-8').split('\n').filter(Boolean).length : 0;
+    appendFileSync(callsFile, `${JSON.stringify({ argv, cwd: process.cwd(), pid: process.pid })}\n`);
+    const step = steps[Math.min(call, steps.length - 1)] || {};
+
+    const dirFlag = argv.indexOf('-C');
+    const workDir = dirFlag !== -1 && argv[dirFlag + 1] ? argv[dirFlag + 1] : process.cwd();
+    for (const [relPath, content] of Object.entries(step.writes || {})) {
+        const file = resolve(workDir, relPath);
+        mkdirSync(dirname(file), { recursive: true });
+        writeFileSync(file, content);
+    }
+
+    if (step.stdout) process.stdout.write(step.stdout);
+    if (step.proverUrl) {
+        const outputId = (call + 1).toString(16).padStart(20, '0');
+        process.stdout.write(`\nJob submitted to server.\nFollow your job at https://prover.certora.com/output/1001/${outputId}?anonymousKey=k3y\n`);
+    }
+    if (step.stderr) process.stderr.write(step.stderr);
+
+    if (step.hang) {
+        setInterval(() => {}, 60_000);
+        return;
+    }
+    setTimeout(() => process.exit(step.exitCode ?? 0), step.delayMs || 0);
+}
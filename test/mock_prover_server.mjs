@@ -0,0 +1,138 @@
+/**
+ * Local stand-in for prover.certora.com, for offline integration tests.
+ * Serves runs from fixture directories laid out like the result API:
+ *
+ *   <fixturesDir>/<runId>/<outputId>/progress.json
+ *   <fixturesDir>/<runId>/<outputId>/output.json
+ *   <fixturesDir>/<runId>/<outputId>/treeView/rule_output_<n>.json
+ *   <fixturesDir>/<runId>/<outputId>/mock.json   optional: { "anonymousKey": "..." }
+ *
+ * Routes: GET /output/<runId>/<outputId> (the output page),
+ * /progress/<runId>/<outputId> and /result/<runId>/<outputId>?output=<file>.
+ * With an anonymousKey in mock.json, requests without that key get 403.
+ * fault() makes matching requests fail, answer late or stall mid-body.
+ *
+ * Standalone: node test/mock_prover_server.mjs [fixturesDir] [port]
+ */
+
+import http from 'node:http';
+import { readFileSync, statSync, realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join, resolve, sep } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_FIXTURES_DIR = join(__dirname, 'fixtures', 'prover');
+
+const SEGMENT = /^[A-Za-z0-9_-]+$/;
+
+const readJson = (file) => {
+    try { return JSON.parse(readFileSync(file, 'utf-8')); } catch { return null; }
+};
+
+// The page a browser would load; it requests the progress JSON like the real one
+const outputPage = (runId, outputId, query) => `<!doctype html>
+<html><head><title>Mock Certora Prover - ${runId}/${outputId}</title></head>
+<body><div id="root">Loading...</div>
+<script>fetch('/progress/${runId}/${outputId}${query}').then(r => r.json()).then(() => { document.getElementById('root').textContent = 'Loaded'; });</script>
+</body></html>
+`;
+
+/**
+ * Start the server. Resolves {
+ *   origin, requests, outputUrl(runId, outputId, anonymousKey?),
+ *   fault({ match, status, body, delayMs, stall, times }), clearFaults(), close()
+ * }. requests logs every request URL. A fault applies to requests whose URL
+ * contains `match`, `times` times (default 1, Infinity for all): after
+ * `delayMs`, it answers `status` (when set) or the normal response. With
+ * `stall`, only the headers and the first half of the body are sent.
+ */
+export async function startMockProver({ fixturesDir = DEFAULT_FIXTURES_DIR, port = 0, host = '127.0.0.1' } = {}) {
+    const requests = [];
+    let faults = [];
+    const stalled = new WeakSet();
+
+    const send = (res, status, body, type = 'application/json') => {
+        if (res.destroyed) return;
+        const text = typeof body === 'string' ? body : JSON.stringify(body);
+        res.writeHead(status, { 'Content-Type': type });
+        if (stalled.has(res)) res.write(text.slice(0, Math.ceil(text.length / 2)));
+        else res.end(text);
+    };
+
+    const handle = (req, res) => {
+        const url = new URL(req.url, 'http://mock');
+        const [kind, runId, outputId, ...rest] = url.pathname.split('/').filter(Boolean);
+        if (!['output', 'progress', 'result'].includes(kind) || rest.length || !SEGMENT.test(runId || '') || !SEGMENT.test(outputId || '')) {
+            return send(res, 404, { error: 'Not found' });
+        }
+        const runDir = join(fixturesDir, runId, outputId);
+        try {
+            if (!statSync(runDir).isDirectory()) throw new Error('not a directory');
+        } catch {
+            return send(res, 404, { error: `Unknown run ${runId}/${outputId}` });
+        }
+
+        const expectedKey = readJson(join(runDir, 'mock.json'))?.anonymousKey;
+        if (expectedKey && url.searchParams.get('anonymousKey') !== expectedKey) {
+            return send(res, 403, { error: 'Invalid anonymousKey' });
+        }
+
+        if (kind === 'output') return send(res, 200, outputPage(runId, outputId, url.search), 'text/html');
+
+        const name = kind === 'progress' ? 'progress.json' : url.searchParams.get('output');
+        if (!name) return send(res, 400, { error: 'Missing output parameter' });
+        const file = resolve(runDir, name);
+        if (!file.startsWith(`${resolve(runDir)}${sep}`)) return send(res, 400, { error: 'Invalid output path' });
+        let text;
+        try {
+            text = readFileSync(file, 'utf-8');
+        } catch {
+            return send(res, 404, { error: `No ${name} in run ${runId}/${outputId}` });
+        }
+        return send(res, 200, text);
+    };
+
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const fault = faults.find(f => f.times > 0 && req.url.includes(f.match));
+        if (!fault) return handle(req, res);
+        fault.times--;
+        if (fault.stall) stalled.add(res);
+        const respond = () => (fault.status ? send(res, fault.status, fault.body ?? { error: `Mock fault ${fault.status}` }) : handle(req, res));
+        if (fault.delayMs) setTimeout(respond, fault.delayMs);
+        else respond();
+    });
+
+    await new Promise((resolvePromise, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolvePromise);
+    });
+    const origin = `http://${host}:${server.address().port}`;
+
+    return {
+        origin,
+        requests,
+        outputUrl(runId, outputId, anonymousKey) {
+            return `${origin}/output/${runId}/${outputId}${anonymousKey ? `?anonymousKey=${encodeURIComponent(anonymousKey)}` : ''}`;
+        },
+        fault({ match = '', status = null, body, delayMs = 0, stall = false, times = 1 } = {}) {
+            faults.push({ match, status, body, delayMs, stall, times });
+        },
+        clearFaults() {
+            faults = [];
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolvePromise => server.close(() => resolvePromise()));
+        }
+    };
+}
+
+// Only listen on a fixed port when executed directly
+const invokedPath = process.argv[1] ? realpathSync(process.argv[1]) : '';
+if (invokedPath === realpathSync(fileURLToPath(import.meta.url))) {
+    const [fixturesDir = DEFAULT_FIXTURES_DIR, port = '3003'] = process.argv.slice(2);
+    const mock = await startMockProver({ fixturesDir: resolve(fixturesDir), port: Number(port) });
+    console.log(`Mock prover serving ${resolve(fixturesDir)} at ${mock.origin}`);
+    console.log(`Example: ${mock.outputUrl('1001', 'out-a', 'k3y')}`);
+}
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for scripts/analysis_cache.mjs
+ * Each test uses its own temporary cache directory.
+ * Run: node --test test/test_analysis_cache.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { analysisCacheKey, createAnalysisCache, defaultAnalysisCacheDir } from '../scripts/analysis_cache.mjs';
+
+const INPUTS = { type: 'VIOLATED', content: '# rule\nfailed', promptVersion: 1, provider: 'codex', model: null };
+
+// ── analysisCacheKey ──────────────────────────────────────────────────
+
+describe('analysisCacheKey', () => {
+    it('is a stable sha256 of the prompt inputs', () => {
+        const key = analysisCacheKey(INPUTS);
+        assert.match(key, /^[0-9a-f]{64}$/);
+        assert.equal(analysisCacheKey({ ...INPUTS }), key);
+    });
+
+    it('changes with every input', () => {
+        const key = analysisCacheKey(INPUTS);
+        for (const change of [{ type: 'SANITY_FAILED' }, { content: '# rule\npassed' }, { context: 'rule r() {}' }, { promptVersion: 2 }, { provider: 'openai' }, { model: 'o3' }]) {
+            assert.notEqual(analysisCacheKey({ ...INPUTS, ...change }), key, JSON.stringify(change));
+        }
+    });
+
+    it('ignores line-ending differences', () => {
+        assert.equal(analysisCacheKey({ ...INPUTS, content: '# rule\r\nfailed' }), analysisCacheKey(INPUTS));
+    });
+});
+
+// ── createAnalysisCache ───────────────────────────────────────────────
+
+describe('createAnalysisCache', () => {
+    let dir;
+    let cache;
+    const key = analysisCacheKey(INPUTS);
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'analysis-cache-'));
+        cache = createAnalysisCache(join(dir, 'cache'));
+    });
+    afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('defaults to the data directory', () => {
+        assert.equal(defaultAnalysisCacheDir({ CERTORA_SCRAPER_DATA_DIR: '/data' }), join('/data', 'analysis-cache'));
+    });
+
+    it('misses before a set and hits after it', () => {
+        assert.equal(cache.get(key), null);
+        cache.set(key, { answer: 'Real bug', provider: 'codex' });
+        const entry = cache.get(key);
+        assert.equal(entry.answer, 'Real bug');
+        assert.equal(entry.provider, 'codex');
+        assert.equal(entry.key, key);
+        assert.ok(entry.cachedAt);
+    });
+
+    it('persists across instances', () => {
+        cache.set(key, { answer: 'Real bug' });
+        assert.equal(createAnalysisCache(join(dir, 'cache')).get(key).answer, 'Real bug');
+    });
+
+    it('never stores empty answers', () => {
+        assert.equal(cache.set(key, { answer: '  ' }), null);
+        assert.equal(cache.get(key), null);
+        assert.equal(cache.stats().entries, 0);
+    });
+
+    it('treats unreadable entries as misses', () => {
+        cache.set(key, { answer: 'x' });
+        writeFileSync(join(dir, 'cache', `${key}.json`), '{ broken');
+        assert.equal(cache.get(key), null);
+    });
+
+    it('rejects malformed keys', () => {
+        assert.throws(() => cache.set('../escape', { answer: 'x' }), /Invalid analysis cache key/);
+        assert.equal(cache.get('../escape'), null);
+    });
+
+    it('deletes, clears and reports size', () => {
+        const other = analysisCacheKey({ ...INPUTS, model: 'o3' });
+        cache.set(key, { answer: 'a' });
+        cache.set(other, { answer: 'b' });
+        assert.equal(cache.stats().entries, 2);
+        assert.ok(cache.stats().bytes > 0);
+        assert.equal(cache.delete(key), true);
+        assert.equal(cache.delete(key), false);
+        assert.equal(cache.clear(), 1);
+        assert.equal(cache.get(other), null);
+        assert.equal(createAnalysisCache(join(dir, 'missing')).stats().entries, 0);
+    });
+});
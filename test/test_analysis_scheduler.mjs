@@ -0,0 +1,164 @@
+/**
+ * Unit tests for scripts/analysis_scheduler.mjs
+ * Tasks are plain async functions; no provider or child process is involved.
+ * Run: node --test test/test_analysis_scheduler.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createAnalysisScheduler, parseRateLimits, schedulerConfigFromEnv,
+    isRetryableResult, retryDelay, DEFAULT_MAX_CONCURRENCY
+} from '../scripts/analysis_scheduler.mjs';
+
+const ok = (answer = 'ok') => ({ ok: true, code: 0, output: answer, answer, error: null });
+const fail = (error, code = 1) => ({ ok: false, code, output: '', answer: '', error });
+const tick = (ms = 5) => new Promise(r => setTimeout(r, ms));
+
+// ── config ────────────────────────────────────────────────────────────
+
+describe('parseRateLimits', () => {
+    it('parses provider=requests/seconds pairs', () => {
+        assert.deepEqual(parseRateLimits('openai=60/60, DeepSeek=20/0.5'), {
+            openai: { requests: 60, intervalMs: 60000 },
+            deepseek: { requests: 20, intervalMs: 500 }
+        });
+        assert.deepEqual(parseRateLimits(''), {});
+        assert.deepEqual(parseRateLimits(undefined), {});
+    });
+
+    it('rejects malformed entries', () => {
+        assert.throws(() => parseRateLimits('openai=60'), /Invalid rate limit "openai=60"/);
+        assert.throws(() => parseRateLimits('openai=0/60'), /Invalid rate limit/);
+    });
+});
+
+describe('schedulerConfigFromEnv', () => {
+    it('uses defaults and ignores invalid numbers', () => {
+        const config = schedulerConfigFromEnv({ ANALYSIS_CONCURRENCY: '0', ANALYSIS_MAX_RETRIES: 'x' });
+        assert.equal(config.maxConcurrency, DEFAULT_MAX_CONCURRENCY);
+        assert.equal(config.maxRetries, 2);
+        assert.deepEqual(config.rateLimits, {});
+    });
+
+    it('reads every variable', () => {
+        const config = schedulerConfigFromEnv({
+            ANALYSIS_CONCURRENCY: '4', ANALYSIS_MAX_RETRIES: '0', ANALYSIS_RETRY_BASE_MS: '10', ANALYSIS_RATE_LIMITS: 'codex=2/1'
+        });
+        assert.deepEqual(config, { maxConcurrency: 4, maxRetries: 0, retryBaseMs: 10, rateLimits: { codex: { requests: 2, intervalMs: 1000 } } });
+    });
+});
+
+// ── retry policy ──────────────────────────────────────────────────────
+
+describe('isRetryableResult / retryDelay', () => {
+    it('retries rate limits, server errors and crashed processes only', () => {
+        assert.equal(isRetryableResult(fail('HTTP 429 from OpenAI-compatible', 429)), true);
+        assert.equal(isRetryableResult(fail('HTTP 502', 502)), true);
+        assert.equal(isRetryableResult(fail('Process exited abnormally, code: 1')), true);
+        assert.equal(isRetryableResult(fail('HTTP 401', 401)), false);
+        assert.equal(isRetryableResult(fail('aborted', null)), false);
+        assert.equal(isRetryableResult(fail('Missing API key for DeepSeek', null)), false);
+        assert.equal(isRetryableResult(fail('Codex CLI not found (codex), please install Codex CLI', null)), false);
+        assert.equal(isRetryableResult(ok()), false);
+    });
+
+    it('backs off exponentially up to the cap', () => {
+        assert.deepEqual([1, 2, 3, 4].map(n => retryDelay(n, 100, 500)), [100, 200, 400, 500]);
+    });
+});
+
+// ── createAnalysisScheduler ───────────────────────────────────────────
+
+describe('createAnalysisScheduler', () => {
+    it('never runs more than maxConcurrency tasks at once', async () => {
+        const scheduler = createAnalysisScheduler({ maxConcurrency: 2 });
+        let active = 0;
+        let peak = 0;
+        const queued = [];
+        const results = await Promise.all([1, 2, 3, 4, 5].map(n => scheduler.schedule({
+            onQueued: (position) => queued.push([n, position]),
+            run: async () => {
+                active++;
+                peak = Math.max(peak, active);
+                await tick();
+                active--;
+                return ok(`r${n}`);
+            }
+        })));
+        assert.equal(peak, 2);
+        assert.deepEqual(results.map(r => r.answer), ['r1', 'r2', 'r3', 'r4', 'r5']);
+        assert.deepEqual(queued, [[3, 1], [4, 2], [5, 3]]);
+        assert.equal(scheduler.stats().running, 0);
+    });
+
+    it('retries retryable failures with backoff and reports attempts', async () => {
+        const scheduler = createAnalysisScheduler({ maxRetries: 2, retryBaseMs: 1 });
+        const retries = [];
+        let calls = 0;
+        const result = await scheduler.schedule({
+            onRetry: (info) => retries.push(info),
+            run: async () => (++calls < 3 ? fail('HTTP 503', 503) : ok())
+        });
+        assert.equal(result.ok, true);
+        assert.equal(result.attempts, 3);
+        assert.deepEqual(retries, [{ attempt: 1, delayMs: 1, error: 'HTTP 503' }, { attempt: 2, delayMs: 2, error: 'HTTP 503' }]);
+    });
+
+    it('gives up after maxRetries and does not retry permanent errors', async () => {
+        const scheduler = createAnalysisScheduler({ maxRetries: 1, retryBaseMs: 1 });
+        let calls = 0;
+        const exhausted = await scheduler.schedule({ run: async () => { calls++; return fail('crash'); } });
+        assert.equal(exhausted.ok, false);
+        assert.equal(exhausted.attempts, 2);
+        assert.equal(calls, 2);
+
+        const permanent = await scheduler.schedule({ run: async () => fail('HTTP 400', 400) });
+        assert.equal(permanent.attempts, 1);
+    });
+
+    it('turns thrown errors into failed results', async () => {
+        const scheduler = createAnalysisScheduler({ maxRetries: 0 });
+        const result = await scheduler.schedule({ run: async () => { throw new Error('boom'); } });
+        assert.equal(result.ok, false);
+        assert.equal(result.error, 'boom');
+    });
+
+    it('drops queued tasks whose signal aborts', async () => {
+        const scheduler = createAnalysisScheduler({ maxConcurrency: 1 });
+        let release;
+        const first = scheduler.schedule({ run: () => new Promise(r => { release = () => r(ok()); }) });
+        const controller = new AbortController();
+        let ran = false;
+        const second = scheduler.schedule({ signal: controller.signal, run: async () => { ran = true; return ok(); } });
+        await tick();
+        assert.equal(scheduler.stats().queued, 1);
+        controller.abort();
+        assert.deepEqual(await second, { ok: false, code: null, output: '', answer: '', error: 'aborted', attempts: 0 });
+        release();
+        await first;
+        assert.equal(ran, false);
+    });
+
+    it('holds a provider to its rate limit window', async () => {
+        let clock = 0;
+        const scheduler = createAnalysisScheduler({
+            maxConcurrency: 5,
+            rateLimits: { openai: { requests: 2, intervalMs: 20 } },
+            now: () => clock
+        });
+        const waits = [];
+        const started = [];
+        const task = (n, provider = 'openai') => scheduler.schedule({
+            provider,
+            onRateLimited: (ms) => { waits.push([n, ms]); clock += ms; },
+            run: async () => { started.push([n, clock]); return ok(); }
+        });
+        await Promise.all([task(1), task(2), task(3), task(4, 'codex')]);
+        assert.deepEqual(started.find(([n]) => n === 3), [3, 20]);
+        // Only openai is limited: the codex task never waits
+        assert.deepEqual(waits, [[3, 20]]);
+        assert.equal(started.length, 4);
+    });
+});
@@ -0,0 +1,37 @@
+/**
+ * Unit tests for scripts/binaries.mjs
+ * Run: node --test test/test_binaries.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolve } from 'node:path';
+
+import { binariesConfig, DEFAULT_BINARIES } from '../scripts/binaries.mjs';
+
+describe('binariesConfig', () => {
+    it('looks both tools up on PATH by default', () => {
+        assert.deepEqual(binariesConfig({}, { env: {} }), DEFAULT_BINARIES);
+    });
+
+    it('takes CODEX_BIN and CERTORA_RUN_BIN, resolving relative paths from the working directory', () => {
+        assert.deepEqual(binariesConfig({}, { env: { CODEX_BIN: 'codex-nightly', CERTORA_RUN_BIN: 'venv/bin/certoraRun' } }), {
+            codex: 'codex-nightly',
+            certoraRun: resolve('venv/bin/certoraRun')
+        });
+    });
+
+    it('lets the project config win, resolving paths from the project root', () => {
+        const binaries = binariesConfig(
+            { binaries: { certoraRun: '.venv/bin/certoraRun' } },
+            { projectPath: '/work/vault', env: { CODEX_BIN: '/opt/codex', CERTORA_RUN_BIN: '/usr/bin/certoraRun' } }
+        );
+        assert.deepEqual(binaries, { codex: '/opt/codex', certoraRun: '/work/vault/.venv/bin/certoraRun' });
+    });
+
+    it('rejects unknown tools and empty values', () => {
+        assert.throws(() => binariesConfig({ binaries: ['codex'] }, { env: {} }), /binaries must be an object/);
+        assert.throws(() => binariesConfig({ binaries: { solc: 'solc8.20' } }, { env: {} }), /Unknown binaries entry: solc/);
+        assert.throws(() => binariesConfig({ binaries: { codex: ' ' } }, { env: {} }), /binaries\.codex must be a command name or path/);
+    });
+});
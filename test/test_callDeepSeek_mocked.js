@@ -0,0 +1,79 @@
+/**
+ * DeepSeek provider against a mocked chat/completions endpoint.
+ * CommonJS test file; the provider module is ESM, so it is imported dynamically.
+ * Run: node --test test/test_callDeepSeek_mocked.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+
+const loadProviders = () => import('../scripts/llm_providers.mjs');
+
+// Minimal stand-in for a fetch Response
+const response = (status, { contentType = 'text/event-stream', chunks = [], json = null, text = '' } = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => (name.toLowerCase() === 'content-type' ? contentType : null) },
+    body: Readable.from(chunks.map(c => Buffer.from(c))),
+    json: async () => json,
+    text: async () => text
+});
+
+const sse = (...deltas) => deltas.map(d => `data: ${JSON.stringify({ choices: [{ delta: { content: d } }] })}\n\n`);
+
+describe('deepseek provider (mocked fetch)', () => {
+    it('posts the prompt with the API key and streams deltas', async () => {
+        const { createProvider } = await loadProviders();
+        const calls = [];
+        const fetchImpl = async (url, init) => {
+            calls.push({ url, init });
+            // Split one event across chunks to exercise line buffering
+            const [first, second] = sse('Root ', 'cause');
+            return response(200, { chunks: [first.slice(0, 10), first.slice(10) + second, 'data: [DONE]\n\n'] });
+        };
+        const provider = createProvider('deepseek', { name: 'deepseek', apiKey: 'sk-test', fetchImpl });
+        const outputs = [];
+        const result = await provider.run({ prompt: 'why?', onOutput: (s) => outputs.push(s) });
+
+        assert.equal(calls[0].url, 'https://api.deepseek.com/chat/completions');
+        assert.equal(calls[0].init.headers.Authorization, 'Bearer sk-test');
+        const body = JSON.parse(calls[0].init.body);
+        assert.equal(body.model, 'deepseek-chat');
+        assert.deepEqual(body.messages, [{ role: 'user', content: 'why?' }]);
+        assert.deepEqual(outputs, ['Root ', 'cause']);
+        assert.equal(result.ok, true);
+        assert.equal(result.answer, 'Root cause');
+    });
+
+    it('reads a plain JSON completion when the server does not stream', async () => {
+        const { createProvider } = await loadProviders();
+        const fetchImpl = async () => response(200, {
+            contentType: 'application/json',
+            json: { choices: [{ message: { content: ' done ' } }] }
+        });
+        const provider = createProvider('deepseek', { name: 'deepseek', apiKey: 'sk-test', fetchImpl });
+        const result = await provider.run({ prompt: 'p' });
+        assert.equal(result.answer, 'done');
+    });
+
+    it('returns the HTTP status and body on errors', async () => {
+        const { createProvider } = await loadProviders();
+        const fetchImpl = async () => response(401, { text: 'invalid key' });
+        const provider = createProvider('deepseek', { name: 'deepseek', apiKey: 'sk-bad', fetchImpl });
+        const errors = [];
+        const result = await provider.run({ prompt: 'p', onError: (s) => errors.push(s) });
+        assert.equal(result.ok, false);
+        assert.equal(result.code, 401);
+        assert.equal(result.error, 'HTTP 401 from DeepSeek: invalid key');
+        assert.deepEqual(errors, [result.error]);
+    });
+
+    it('reports thrown network errors', async () => {
+        const { createProvider } = await loadProviders();
+        const fetchImpl = async () => { throw new Error('ECONNRESET'); };
+        const provider = createProvider('deepseek', { name: 'deepseek', apiKey: 'sk-test', fetchImpl });
+        const result = await provider.run({ prompt: 'p' });
+        assert.equal(result.error, 'Request failed: ECONNRESET');
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * DeepSeek provider without an API key: fails fast without a network call.
+ * CommonJS test file; the provider module is ESM, so it is imported dynamically.
+ * Run: node --test test/test_callDeepSeek_no_key.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+describe('deepseek provider without an API key', () => {
+    it('returns a missing-key error and never calls fetch', async () => {
+        const { createProvider } = await import('../scripts/llm_providers.mjs');
+        let called = false;
+        const fetchImpl = async () => { called = true; };
+        const provider = createProvider('deepseek', { name: 'deepseek', env: {}, fetchImpl });
+        const errors = [];
+        const result = await provider.run({ prompt: 'p', onError: (s) => errors.push(s) });
+
+        assert.equal(called, false);
+        assert.equal(result.ok, false);
+        assert.match(result.error, /^Missing API key for DeepSeek \(set DEEPSEEK_API_KEY or LLM_API_KEY\)$/);
+        assert.deepEqual(errors, [result.error]);
+    });
+
+    it('does not require a key for generic OpenAI-compatible endpoints', async () => {
+        const { createProvider } = await import('../scripts/llm_providers.mjs');
+        let called = false;
+        const fetchImpl = async () => {
+            called = true;
+            return { ok: false, status: 404, text: async () => '' };
+        };
+        const provider = createProvider('openai', { name: 'openai', baseUrl: 'http://localhost:11434/v1', env: {}, fetchImpl });
+        await provider.run({ prompt: 'p' });
+        assert.equal(called, true);
+    });
+});
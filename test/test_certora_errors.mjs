@@ -0,0 +1,111 @@
+/**
+ * Unit tests for scripts/certora_errors.mjs
+ * Run: node --test test/test_certora_errors.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { parseCertoraOutput, attachSnippets, formatDiagnostics, AGENT_FIXABLE_CATEGORIES } from '../scripts/certora_errors.mjs';
+
+const CVL_LOG = `Compiling certora/harness/VaultHarness.sol...
+CRITICAL: [main] ERROR ALWAYS - Error in spec file (vault.spec:4:12): could not type expression "balanceOf(e, user)", message: wrong argument count
+CRITICAL: [main] ERROR ALWAYS - Error in spec file (vault.spec:9:5): Method \`foo(uint256)\` is not declared in contract Vault
+CRITICAL: [main] ERROR ALWAYS - Error in spec file (vault.spec:9:5): Method \`foo(uint256)\` is not declared in contract Vault
+Error in spec file (vault.spec:12:1): Syntax error: unexpected token near ID(rule)
+CRITICAL: Failed to run Certora Prover locally. Please check the errors below for problems in the specifications (.spec files)`;
+
+// ── parseCertoraOutput ────────────────────────────────────────────────
+
+describe('parseCertoraOutput', () => {
+    it('extracts CVL diagnostics with locations and categories', () => {
+        const { category, diagnostics } = parseCertoraOutput(CVL_LOG);
+        assert.deepEqual(diagnostics.map(d => [d.category, d.file, d.line, d.column]), [
+            ['cvl-type', 'vault.spec', 4, 12],
+            ['unresolved-method', 'vault.spec', 9, 5],
+            ['cvl-syntax', 'vault.spec', 12, 1]
+        ]);
+        assert.equal(diagnostics[0].message, 'could not type expression "balanceOf(e, user)", message: wrong argument count');
+        assert.equal(category, 'cvl-syntax');
+    });
+
+    it('reads both solc error formats', () => {
+        const log = [
+            'Error: ParserError: Expected \';\' but got \'}\'',
+            ' --> certora/harness/VaultHarness.sol:12:5:',
+            '   |',
+            'certora/harness/Other.sol:3:9: TypeError: Undeclared identifier.'
+        ].join('\n');
+        const { category, diagnostics } = parseCertoraOutput(log);
+        assert.equal(category, 'solc');
+        assert.deepEqual(diagnostics.map(d => [d.file, d.line, d.column, d.message]), [
+            ['certora/harness/VaultHarness.sol', 12, 5, 'ParserError: Expected \';\' but got \'}\''],
+            ['certora/harness/Other.sol', 3, 9, 'TypeError: Undeclared identifier.']
+        ]);
+    });
+
+    it('recognizes conf, missing file and auth/network failures', () => {
+        assert.equal(parseCertoraOutput('CRITICAL: attribute "loop_iters" is not a valid key').category, 'conf');
+        const missing = parseCertoraOutput("FileNotFoundError: [Errno 2] No such file or directory: 'certora/specs/gone.spec'");
+        assert.equal(missing.category, 'missing-file');
+        assert.equal(missing.diagnostics[0].file, 'certora/specs/gone.spec');
+        assert.equal(parseCertoraOutput('requests.exceptions.ConnectionError: Max retries exceeded with url').category, 'auth-network');
+        assert.equal(parseCertoraOutput('CRITICAL: CERTORAKEY is not set').category, 'auth-network');
+        assert.equal(AGENT_FIXABLE_CATEGORIES.has('auth-network'), false);
+    });
+
+    it('puts the earliest stage first and strips ANSI colors', () => {
+        const log = '\x1b[31mError in spec file (a.spec:1:1): bad type\x1b[0m\nunrecognized arguments: --loop_iters 3';
+        const { category, diagnostics } = parseCertoraOutput(log);
+        assert.equal(category, 'conf');
+        assert.equal(diagnostics[0].message, 'bad type');
+    });
+
+    it('falls back to the generic syntax markers and returns null otherwise', () => {
+        const generic = parseCertoraOutput('something\nparse error in the input\n');
+        assert.equal(generic.category, 'cvl-syntax');
+        assert.equal(generic.diagnostics[0].file, null);
+        assert.deepEqual(parseCertoraOutput('Job submitted, but the prover crashed'), { category: null, diagnostics: [] });
+    });
+});
+
+// ── attachSnippets / formatDiagnostics ────────────────────────────────
+
+describe('attachSnippets', () => {
+    let dir;
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'certora-errors-'));
+        mkdirSync(join(dir, 'certora', 'specs'), { recursive: true });
+        writeFileSync(join(dir, 'certora', 'specs', 'vault.spec'), 'methods {\n}\n\nrule r(env e) {\n    assert x;\n}\n');
+    });
+    afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('finds bare spec names under certora/ and marks the line and column', () => {
+        const [d] = attachSnippets(parseCertoraOutput('Error in spec file (vault.spec:5:12): unknown variable x').diagnostics, dir);
+        assert.equal(d.source, join('certora', 'specs', 'vault.spec'));
+        assert.equal(d.snippet, [
+            '  3 | ',
+            '  4 | rule r(env e) {',
+            '> 5 |     assert x;',
+            '    |            ^',
+            '  6 | }',
+            '  7 | '
+        ].join('\n'));
+    });
+
+    it('leaves diagnostics without a readable file alone', () => {
+        const [d] = attachSnippets(parseCertoraOutput('Error in spec file (../../etc/x.spec:1:1): bad').diagnostics, dir);
+        assert.equal(d.snippet, null);
+    });
+
+    it('formats diagnostics for the syntax-fix prompt', () => {
+        const located = attachSnippets(parseCertoraOutput('Error in spec file (vault.spec:5:12): unknown variable x').diagnostics, dir);
+        const text = formatDiagnostics(located);
+        assert.ok(text.startsWith(`1. [CVL type error] ${join('certora', 'specs', 'vault.spec')}:5:12\n   unknown variable x\n\`\`\`\n`));
+        assert.ok(text.includes('> 5 |     assert x;'));
+        assert.equal(formatDiagnostics([]), '(no diagnostics recognized; see the log tail)');
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for scripts/certora_scrape.mjs (report writing, no network)
+ * Run: node --test test/test_certora_scrape.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { writeReports } from '../scripts/certora_scrape.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => JSON.parse(readFileSync(join(__dirname, 'fixtures', name), 'utf-8'));
+
+describe('writeReports', () => {
+    let outDir;
+    beforeEach(() => { outDir = mkdtempSync(join(tmpdir(), 'certora-scrape-')); });
+    afterEach(() => { rmSync(outDir, { recursive: true, force: true }); });
+
+    const result = () => ({
+        url: 'https://prover.certora.com/output/111/aaa',
+        runInfo: { origin: 'https://prover.certora.com', runId: '111', outputId: 'aaa', anonymousKey: '' },
+        timestamp: '2025-01-01T00:00:00.000Z',
+        totalRules: 3,
+        jobMetadata: null,
+        rules: [
+            { ruleName: 'validation_pendingDepositRequest_canIncrease', status: 'VIOLATED', outputFile: 'treeView/rule_output_1.json', content: fixture('rule_output_sample.json') },
+            { ruleName: 'sanity_check > deposit', status: 'SANITY_FAILED', outputFile: 'treeView/rule_output_4.json', content: fixture('rule_output_sample.json') },
+            { ruleName: 'broken', status: 'VIOLATED', outputFile: 'treeView/rule_output_9.json', content: null, error: 'Failed after 10 attempts' }
+        ]
+    });
+
+    it('writes one Markdown file per rule with content, numbered in order', () => {
+        writeReports(result(), outDir);
+        const md = readdirSync(outDir).filter(f => f.endsWith('.md')).sort();
+        assert.deepEqual(md, [
+            '001_validation_pendingDepositRequest_canIncrease.md',
+            '002_sanity_check_deposit.md',
+            'sanity_failed_summary.md'
+        ]);
+        const report = readFileSync(join(outDir, md[0]), 'utf-8');
+        assert.ok(report.startsWith('# Certora Trace Analysis'));
+        assert.ok(report.includes('**Status:** VIOLATED'));
+    });
+
+    it('writes a JSON bundle with markdown and file names per rule', () => {
+        const written = writeReports(result(), outDir);
+        assert.ok(written[written.length - 1].endsWith('run.json'));
+        const bundle = JSON.parse(readFileSync(join(outDir, 'run.json'), 'utf-8'));
+        assert.equal(bundle.rules.length, 3);
+        assert.equal(bundle.rules[0].markdownFile, '001_validation_pendingDepositRequest_canIncrease.md');
+        assert.equal(bundle.rules[2].markdownFile, null);
+        assert.equal(bundle.rules[2].error, 'Failed after 10 attempts');
+        assert.ok(bundle.sanitySummary.includes('Rule sanity_check sanity failed'));
+    });
+});
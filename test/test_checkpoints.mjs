@@ -0,0 +1,177 @@
+/**
+ * Unit tests for scripts/checkpoints.mjs
+ * Both backends run against temporary directories: a throwaway git repository
+ * and a plain folder. Requires git on PATH.
+ * Run: node --test test/test_checkpoints.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, readFileSync, writeFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+    createCheckpointSession, loadCheckpointSession, listCheckpointSessions, defaultCheckpointDir
+} from '../scripts/checkpoints.mjs';
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' });
+
+function makeProject(root, { withGit }) {
+    const project = join(root, 'project');
+    mkdirSync(join(project, 'certora', 'specs'), { recursive: true });
+    writeFileSync(join(project, 'certora', 'specs', 'a.spec'), 'rule a { assert true; }\n');
+    writeFileSync(join(project, 'certora', 'specs', 'b.spec'), 'rule b { assert true; }\n');
+    if (withGit) {
+        git(project, 'init', '-q');
+        git(project, 'add', '-A');
+        git(project, '-c', 'user.name=t', '-c', 'user.email=t@t', 'commit', '-qm', 'init');
+    }
+    return project;
+}
+
+const spec = (project, name) => join(project, 'certora', 'specs', name);
+
+// ── defaultCheckpointDir ──────────────────────────────────────────────
+
+describe('defaultCheckpointDir', () => {
+    it('lives under the data directory', () => {
+        assert.equal(defaultCheckpointDir({ CERTORA_SCRAPER_DATA_DIR: '/data' }, '/cwd'), '/data/checkpoints');
+        assert.equal(defaultCheckpointDir({}, '/cwd'), '/cwd/.certora-scraper/checkpoints');
+    });
+});
+
+for (const withGit of [true, false]) {
+    const mode = withGit ? 'git' : 'files';
+
+    // ── checkpoint session ────────────────────────────────────────────
+
+    describe(`checkpoint session (${mode})`, () => {
+        let root;
+        let project;
+        let storeDir;
+        beforeEach(() => {
+            root = mkdtempSync(join(tmpdir(), 'checkpoints-'));
+            project = makeProject(root, { withGit });
+            storeDir = join(root, 'store');
+        });
+        afterEach(() => rmSync(root, { recursive: true, force: true }));
+
+        // Two fix items: the first edits a.spec, the second edits b.spec and adds c.spec
+        async function twoItems(session) {
+            const first = await session.begin('rule a');
+            writeFileSync(spec(project, 'a.spec'), 'rule a { require x; assert true; }\n');
+            await session.end(first);
+            const second = await session.begin('rule b');
+            writeFileSync(spec(project, 'b.spec'), 'rule b { assert false; }\n');
+            writeFileSync(spec(project, 'c.spec'), 'rule c {}\n');
+            await session.end(second);
+            return [first, second];
+        }
+
+        it(`uses the ${mode} backend`, async () => {
+            const session = await createCheckpointSession({ projectPath: project, storeDir });
+            assert.equal(session.mode, mode);
+        });
+
+        it('records the files each item changed and shows its diff', async () => {
+            const session = await createCheckpointSession({ projectPath: project, storeDir });
+            const [first, second] = await twoItems(session);
+            assert.equal(first.changedFiles.length, 1);
+            assert.match(first.changedFiles[0], /a\.spec$/);
+            assert.equal(second.changedFiles.length, 2);
+            const diff = await session.diff(0);
+            assert.match(diff, /\+rule a \{ require x; assert true; \}/);
+            assert.doesNotMatch(diff, /b\.spec/);
+        });
+
+        it('rolls back a single item and leaves later items alone', async () => {
+            const session = await createCheckpointSession({ projectPath: project, storeDir });
+            await twoItems(session);
+            const result = await session.rollbackItem(0);
+            assert.equal(result.ok, true, result.error);
+            assert.equal(readFileSync(spec(project, 'a.spec'), 'utf-8'), 'rule a { assert true; }\n');
+            assert.equal(readFileSync(spec(project, 'b.spec'), 'utf-8'), 'rule b { assert false; }\n');
+            assert.equal(session.summary().items[0].status, 'rolled-back');
+            assert.equal((await session.rollbackItem(0)).ok, false);
+        });
+
+        it('refuses an item rollback when its files changed again', async () => {
+            const session = await createCheckpointSession({ projectPath: project, storeDir });
+            await twoItems(session);
+            writeFileSync(spec(project, 'a.spec'), 'edited by hand\n');
+            const result = await session.rollbackItem(0);
+            assert.equal(result.ok, false);
+            assert.match(result.error, /roll back cleanly/);
+            assert.equal(readFileSync(spec(project, 'a.spec'), 'utf-8'), 'edited by hand\n');
+        });
+
+        it('rolls back the whole session, including added files', async () => {
+            const session = await createCheckpointSession({ projectPath: project, storeDir });
+            await twoItems(session);
+            const result = await session.rollbackSession();
+            assert.equal(result.ok, true, result.error);
+            assert.equal(readFileSync(spec(project, 'a.spec'), 'utf-8'), 'rule a { assert true; }\n');
+            assert.equal(readFileSync(spec(project, 'b.spec'), 'utf-8'), 'rule b { assert true; }\n');
+            assert.equal(existsSync(spec(project, 'c.spec')), false);
+            assert.ok(session.summary().items.every(item => item.status === 'rolled-back'));
+        });
+
+        it('rolls back to the state before a given item', async () => {
+            const session = await createCheckpointSession({ projectPath: project, storeDir });
+            await twoItems(session);
+            writeFileSync(spec(project, 'b.spec'), 'edited after the items\n');
+            const result = await session.rollbackTo(1);
+            assert.equal(result.ok, true, result.error);
+            assert.equal(readFileSync(spec(project, 'a.spec'), 'utf-8'), 'rule a { require x; assert true; }\n');
+            assert.equal(readFileSync(spec(project, 'b.spec'), 'utf-8'), 'rule b { assert true; }\n');
+            assert.equal(existsSync(spec(project, 'c.spec')), false);
+            assert.deepEqual(session.summary().items.map(item => item.status), ['done', 'rolled-back']);
+            assert.deepEqual(await session.rollbackTo(2), { ok: true, error: null });
+        });
+
+        it('reloads stored sessions and lists them', async () => {
+            const session = await createCheckpointSession({ projectPath: project, storeDir, label: 'fix run' });
+            await twoItems(session);
+            const listed = listCheckpointSessions(storeDir);
+            assert.equal(listed.length, 1);
+            assert.equal(listed[0].label, 'fix run');
+            assert.equal(listed[0].itemCount, 2);
+
+            const reloaded = loadCheckpointSession(session.id, storeDir);
+            const result = await reloaded.rollbackItem(1);
+            assert.equal(result.ok, true, result.error);
+            assert.equal(existsSync(spec(project, 'c.spec')), false);
+        });
+    });
+}
+
+// ── git specifics ─────────────────────────────────────────────────────
+
+describe('git checkpoints', () => {
+    let root;
+    afterEach(() => rmSync(root, { recursive: true, force: true }));
+
+    it('keeps snapshots off the branch and out of the index', async () => {
+        root = mkdtempSync(join(tmpdir(), 'checkpoints-'));
+        const project = makeProject(root, { withGit: true });
+        const headBefore = git(project, 'rev-parse', 'HEAD');
+        const session = await createCheckpointSession({ projectPath: project, storeDir: join(root, 'store') });
+        const item = await session.begin('rule a');
+        writeFileSync(spec(project, 'a.spec'), 'changed\n');
+        await session.end(item);
+
+        assert.equal(git(project, 'rev-parse', 'HEAD'), headBefore);
+        assert.equal(git(project, 'diff', '--cached', '--name-only'), '');
+        assert.match(git(project, 'for-each-ref', 'refs/certora-scraper/checkpoints'), new RegExp(session.id));
+    });
+
+    it('rejects unknown items and malformed session ids', async () => {
+        root = mkdtempSync(join(tmpdir(), 'checkpoints-'));
+        const project = makeProject(root, { withGit: true });
+        const session = await createCheckpointSession({ projectPath: project, storeDir: join(root, 'store') });
+        await assert.rejects(() => session.diff(3), /Unknown checkpoint item: 3/);
+        assert.equal(loadCheckpointSession('../x', join(root, 'store')), null);
+    });
+});
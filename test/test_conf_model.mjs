@@ -0,0 +1,161 @@
+/**
+ * Unit tests for scripts/conf_model.mjs
+ * Run: node --test test/test_conf_model.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+    parseConfText, validateConf, applyConfOverrides, describeConfChanges, loadConf, writeConfOverride, CONF_OVERRIDES_DIR
+} from '../scripts/conf_model.mjs';
+
+const CONF = `{
+    // Sources
+    files: ['src/Vault.sol', "src/Token.sol:Token",],
+    "verify": "Vault:certora/specs/vault.spec",
+    "loop_iter": "3",
+    "optimistic_loop": true,
+    "rule_sanity": "basic",
+    /* block
+       comment */
+    "msg": "vault // nightly",
+}
+`;
+
+// ── parseConfText ─────────────────────────────────────────────────────
+
+describe('parseConfText', () => {
+    it('parses JSON5: comments, unquoted keys, single quotes and trailing commas', () => {
+        const conf = parseConfText(CONF);
+        assert.deepEqual(conf.files, ['src/Vault.sol', 'src/Token.sol:Token']);
+        assert.equal(conf.loop_iter, '3');
+        assert.equal(conf.optimistic_loop, true);
+        assert.equal(conf.msg, 'vault // nightly');
+    });
+
+    it('reads JSON5 numbers and escapes', () => {
+        assert.deepEqual(parseConfText("{ a: 0x1F, b: .5, c: +3, d: -Infinity, e: 'it\\'s\\u0021' }"),
+            { a: 31, b: 0.5, c: 3, d: -Infinity, e: "it's!" });
+    });
+
+    it('reports the position of an error', () => {
+        assert.throws(() => parseConfText('{\n  "verify": }'), /Unexpected "}" at line 2, column 13/);
+        assert.throws(() => parseConfText('{ "a": 1 } x'), /Unexpected "x"/);
+        assert.throws(() => parseConfText('{ "a": "open'), /Unterminated string/);
+    });
+});
+
+// ── validateConf ──────────────────────────────────────────────────────
+
+describe('validateConf', () => {
+    it('accepts a well-formed conf', () => {
+        assert.deepEqual(validateConf(parseConfText(CONF)), []);
+    });
+
+    it('reports wrong types and formats of known keys', () => {
+        const issues = validateConf({
+            files: [],
+            verify: 'vault.spec',
+            rule: ['ok_rule', 'bad rule'],
+            loop_iter: 'three',
+            optimistic_loop: 'yes',
+            rule_sanity: 'full',
+            link: ['Vault:token=Token', 'Vault.token'],
+            packages: ['@oz=lib/oz'],
+            unknown_key: 42
+        });
+        assert.deepEqual(issues.map(i => i.key), ['rule', 'loop_iter', 'optimistic_loop', 'rule_sanity', 'link', 'verify', 'files']);
+        assert.ok(issues.every(i => i.severity === 'error'));
+    });
+
+    it('requires files and verify', () => {
+        assert.deepEqual(validateConf({}).map(i => i.message), ['files is required', 'verify is required']);
+    });
+
+    it('warns about missing sources inside the project', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'conf-model-'));
+        try {
+            mkdirSync(join(dir, 'src'));
+            writeFileSync(join(dir, 'src', 'Vault.sol'), '');
+            const issues = validateConf({ files: ['src/Vault.sol:Vault', 'src/Gone.sol'], verify: 'Vault:certora/specs/v.spec' }, { projectRoot: dir });
+            assert.deepEqual(issues.map(i => [i.severity, i.message]), [
+                ['warning', 'spec not found: certora/specs/v.spec'],
+                ['warning', 'file not found: src/Gone.sol']
+            ]);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+// ── applyConfOverrides ────────────────────────────────────────────────
+
+describe('applyConfOverrides', () => {
+    const conf = parseConfText(CONF);
+
+    it('returns the merged conf and only the real changes', () => {
+        const { conf: merged, changes } = applyConfOverrides(conf, { loop_iter: 5, rule_sanity: 'basic', rule: ['r1'], msg: null });
+        assert.equal(merged.loop_iter, '5');
+        assert.deepEqual(merged.rule, ['r1']);
+        assert.equal('msg' in merged, false);
+        assert.deepEqual(changes, [
+            { key: 'loop_iter', from: '3', to: '5' },
+            { key: 'rule', from: null, to: ['r1'] },
+            { key: 'msg', from: 'vault // nightly', to: null }
+        ]);
+        assert.equal(conf.loop_iter, '3');
+    });
+
+    it('treats "3" and 3 as the same loop_iter', () => {
+        assert.deepEqual(applyConfOverrides(conf, { loop_iter: 3 }).changes, []);
+    });
+
+    it('rejects unknown options', () => {
+        assert.throws(() => applyConfOverrides(conf, { smt_timeout: '600' }), /Unknown conf option: smt_timeout/);
+    });
+
+    it('describes the changes', () => {
+        assert.equal(describeConfChanges([{ key: 'loop_iter', from: '3', to: '5' }, { key: 'rule', from: null, to: ['r1'] }]),
+            'loop_iter: "3" → "5", rule: (unset) → ["r1"]');
+    });
+});
+
+// ── loadConf / writeConfOverride ──────────────────────────────────────
+
+describe('loadConf', () => {
+    let dir;
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'conf-model-'));
+        mkdirSync(join(dir, 'certora', 'conf'), { recursive: true });
+        writeFileSync(join(dir, 'certora', 'conf', 'vault.conf'), CONF);
+    });
+    afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('loads by absolute or project-relative path', () => {
+        const loaded = loadConf(dir, join(dir, 'certora', 'conf', 'vault.conf'));
+        assert.equal(loaded.relPath, join('certora', 'conf', 'vault.conf'));
+        assert.equal(loaded.conf.verify, 'Vault:certora/specs/vault.spec');
+        assert.deepEqual(loadConf(dir, 'certora/conf/vault.conf', { loop_iter: 4 }).changes, [{ key: 'loop_iter', from: '3', to: '4' }]);
+    });
+
+    it('refuses paths outside the project and reports parse errors', () => {
+        assert.throws(() => loadConf(dir, '../other.conf'), /Not a .conf file inside the project/);
+        assert.throws(() => loadConf(dir, 'certora/conf/missing.conf'), /Conf not found/);
+        writeFileSync(join(dir, 'certora', 'conf', 'bad.conf'), '{ "files": [ }');
+        assert.throws(() => loadConf(dir, 'certora/conf/bad.conf'), /Conf not parsed: Unexpected/);
+    });
+
+    it('writes overrides to a copy and leaves the original alone', () => {
+        const loaded = loadConf(dir, 'certora/conf/vault.conf', { optimistic_loop: false });
+        const rel = writeConfOverride(dir, loaded);
+        assert.ok(rel.startsWith(join(...CONF_OVERRIDES_DIR.split('/'), 'vault.')));
+        const copy = readFileSync(join(dir, rel), 'utf-8');
+        assert.match(copy, /^\/\/ Generated from certora\/conf\/vault.conf with overrides: optimistic_loop: true → false\n/);
+        assert.equal(parseConfText(copy).optimistic_loop, false);
+        assert.equal(readFileSync(join(dir, 'certora', 'conf', 'vault.conf'), 'utf-8'), CONF);
+    });
+});
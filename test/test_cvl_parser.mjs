@@ -0,0 +1,145 @@
+/**
+ * Unit tests for scripts/cvl_parser.mjs
+ * Run: node --test test/test_cvl_parser.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tokenizeCvl, parseCvl, listCvlDeclarations } from '../scripts/cvl_parser.mjs';
+
+const SPEC = `import "common.spec";
+using ERC20 as token;
+
+methods {
+    function totalSupply() external returns (uint256) envfree;
+    function Vault.balanceOf(address) external returns uint256 envfree;
+    function _.transfer(address, uint256) external => DISPATCHER(true);
+    function _.price() external with (env e) => cvlPrice(e) expect uint256;
+    unresolved external in _._ => DISPATCH [ token._ ] default HAVOC_ALL;
+}
+
+persistent ghost mapping(address => uint256) lastSeen;
+ghost mathint sumBalances {
+    init_state axiom sumBalances == 0;
+}
+ghost f(uint256) returns uint256;
+
+hook Sstore balanceOf[KEY address a] uint256 newVal (uint256 oldVal) {
+    sumBalances = sumBalances + newVal - oldVal;
+}
+
+definition isAdmin(address a) returns bool = a == 0;
+
+function cvlPrice(env e) returns uint256 { return 1; }
+
+strong invariant totalIsSum()
+    to_mathint(totalSupply()) == sumBalances
+    filtered { f -> !f.isView }
+    {
+        preserved transfer(address to, uint256 amt) with (env e) { require to != 0; }
+        preserved { require true; }
+    }
+
+invariant noBraces(address a) lastSeen[a] == 0
+
+/// Checks every method
+rule everyMethod(method f) filtered { f -> f.selector != sig:x().selector } {
+    env e; calldataarg args;
+    f(e, args);
+    assert true, "rule in a string";
+}
+
+use builtin rule sanity;
+`;
+
+// ── tokenizeCvl ───────────────────────────────────────────────────────
+
+describe('tokenizeCvl', () => {
+    it('drops comments and keeps strings and multi-character operators', () => {
+        const tokens = tokenizeCvl('a => b /* rule */ // x\n"s \\" t" <=> 0x1F');
+        assert.deepEqual(tokens.map(t => [t.type, t.value]), [
+            ['ident', 'a'], ['punct', '=>'], ['ident', 'b'], ['string', 's \\" t'], ['punct', '<=>'], ['number', '0x1F']
+        ]);
+    });
+});
+
+// ── parseCvl ──────────────────────────────────────────────────────────
+
+describe('parseCvl', () => {
+    const index = parseCvl(SPEC);
+
+    it('indexes imports, using and every declaration without errors', () => {
+        assert.deepEqual(index.errors, []);
+        assert.deepEqual(index.imports.map(i => i.path), ['common.spec']);
+        assert.deepEqual(index.using.map(u => [u.contract, u.alias]), [['ERC20', 'token']]);
+        assert.deepEqual(index.rules.map(r => r.name), ['everyMethod']);
+        assert.deepEqual(index.invariants.map(r => r.name), ['totalIsSum', 'noBraces']);
+        assert.deepEqual(index.definitions.map(d => [d.name, d.returns, d.expression]), [['isAdmin', 'bool', 'a == 0']]);
+        assert.deepEqual(index.functions.map(f => [f.name, f.returns]), [['cvlPrice', 'uint256']]);
+        assert.deepEqual(index.uses.map(u => u.text), ['use builtin rule sanity']);
+    });
+
+    it('reads methods entries with their qualifiers and summaries', () => {
+        const entries = index.methods[0].entries;
+        assert.deepEqual(entries.map(e => e.signature), [
+            'totalSupply()', 'Vault.balanceOf(address)', '_.transfer(address, uint256)', '_.price()', 'unresolved external in _._'
+        ]);
+        assert.deepEqual([entries[0].visibility, entries[0].envfree, entries[0].returns], ['external', true, 'uint256']);
+        assert.equal(entries[1].returns, 'uint256');
+        assert.deepEqual(entries[2].summary, { kind: 'DISPATCHER', text: 'DISPATCHER(true)' });
+        assert.equal(entries[3].withEnv, 'env e');
+        assert.deepEqual(entries[3].summary, { kind: 'expression', text: 'cvlPrice(e) expect uint256' });
+        assert.equal(entries[4].kind, 'unresolved');
+        assert.equal(entries[4].summary.kind, 'DISPATCH');
+    });
+
+    it('reads invariants with filtered and preserved blocks', () => {
+        const [strong, plain] = index.invariants;
+        assert.equal(strong.strength, 'strong');
+        assert.equal(strong.expression, 'to_mathint(totalSupply()) == sumBalances');
+        assert.equal(strong.filtered, 'f -> !f.isView');
+        assert.deepEqual(strong.preserved.map(p => [p.method, p.withEnv]), [['transfer(address to, uint256 amt)', 'env e'], [null, null]]);
+        assert.deepEqual([plain.params, plain.expression, plain.filtered, plain.preserved], ['address a', 'lastSeen[a] == 0', null, []]);
+    });
+
+    it('reads ghosts of every shape and hooks', () => {
+        assert.deepEqual(index.ghosts.map(g => [g.name, g.type, g.persistent]), [
+            ['lastSeen', 'mapping(address => uint256)', true],
+            ['sumBalances', 'mathint', false],
+            ['f', 'uint256', false]
+        ]);
+        assert.deepEqual(index.ghosts[1].axioms, ['init_state axiom sumBalances == 0']);
+        assert.deepEqual(index.hooks.map(h => [h.kind, h.pattern]), [['Sstore', 'balanceOf[KEY address a] uint256 newVal (uint256 oldVal)']]);
+    });
+
+    it('gives source ranges with lines and columns', () => {
+        const rule = index.rules[0];
+        assert.deepEqual(rule.range.start, { offset: SPEC.indexOf('rule everyMethod'), line: 37, column: 1 });
+        assert.equal(rule.range.end.line, 41);
+        assert.ok(SPEC.slice(rule.range.start.offset, rule.range.end.offset).endsWith('"rule in a string";\n}'));
+        assert.equal(rule.filtered, 'f -> f.selector != sig:x().selector');
+        assert.equal(SPEC.slice(rule.bodyRange.start.offset, rule.bodyRange.start.offset + 1), '{');
+    });
+
+    it('reports broken declarations and resumes at the next one', () => {
+        const broken = parseCvl('rule broken( {\n    assert 1;\n\nrule after() { assert true; }\nstray tokens\ninvariant i() true;\n');
+        assert.deepEqual(broken.rules.map(r => r.name), ['after']);
+        assert.deepEqual(broken.invariants.map(r => r.name), ['i']);
+        assert.deepEqual(broken.errors.map(e => e.line), [1, 5]);
+        assert.match(broken.errors[1].message, /Unexpected "stray"/);
+    });
+});
+
+// ── listCvlDeclarations ───────────────────────────────────────────────
+
+describe('listCvlDeclarations', () => {
+    it('flattens the index in source order', () => {
+        const kinds = listCvlDeclarations(parseCvl(SPEC)).map(d => `${d.kind}:${d.name}`);
+        assert.deepEqual(kinds, [
+            'import:null', 'using:token', 'methods:methods', 'ghost:lastSeen', 'ghost:sumBalances', 'ghost:f',
+            'hook:Sstore balanceOf[KEY address a] uint256 newVal (uint256 oldVal)', 'definition:isAdmin',
+            'function:cvlPrice', 'invariant:totalIsSum', 'invariant:noBraces', 'rule:everyMethod', 'use:null'
+        ]);
+    });
+});
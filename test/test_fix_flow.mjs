@@ -0,0 +1,272 @@
+/**
+ * End-to-end tests of the fix flow: /fix-sequential-stream, /resume-fix-from
+ * and /kill-processes over real HTTP, with the scripted fake codex and
+ * certoraRun from test/fakes/ in place of the real tools.
+ * Run: node --test test/test_fix_flow.mjs
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync, symlinkSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FAKES = join(dirname(fileURLToPath(import.meta.url)), 'fakes');
+const SPEC = 'rule r1 { assert true; }\n';
+const CVL_SYNTAX_ERROR = 'Error in spec file (a.spec:1:1): Syntax error: unexpected token near ID(rule)\n'
+    + 'CRITICAL: Failed to run Certora Prover locally. Please check the errors below for problems in the specifications (.spec files)\n';
+
+let dataDir;
+let server;
+let base;
+before(async () => {
+    dataDir = mkdtempSync(join(tmpdir(), 'fix-flow-data-'));
+    process.env.CERTORA_SCRAPER_DATA_DIR = dataDir;
+    process.env.CODEX_BIN = join(FAKES, 'codex');
+    process.env.CERTORA_RUN_BIN = join(FAKES, 'certoraRun');
+    const { app } = await import('../scripts/certora_auto_server.mjs');
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+// A project with one conf and spec, and fresh fake scripts
+let project;
+beforeEach(() => {
+    project = mkdtempSync(join(tmpdir(), 'fix-flow-project-'));
+    mkdirSync(join(project, 'certora', 'conf'), { recursive: true });
+    mkdirSync(join(project, 'certora', 'specs'), { recursive: true });
+    writeFileSync(join(project, 'certora', 'conf', 'a.conf'), '{ "files": [], "verify": "Vault:certora/specs/a.spec" }\n');
+    writeFileSync(join(project, 'certora', 'specs', 'a.spec'), SPEC);
+});
+afterEach(() => {
+    rmSync(project, { recursive: true, force: true });
+});
+
+// Steps for a fake tool (see fakes/fake_tool.mjs); returns a reader for its calls
+function script(tool, steps) {
+    const file = join(project, `${tool}.steps.json`);
+    writeFileSync(file, JSON.stringify(steps));
+    process.env[`FAKE_${tool.toUpperCase()}_SCRIPT`] = file;
+    return () => (existsSync(`${file}.calls`)
+        ? readFileSync(`${file}.calls`, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+        : []);
+}
+
+const analyses = (...names) => names.map(name => ({ ruleName: name, text: `fix ${name}`, content: `rule ${name} failed` }));
+
+const post = (route, body) => fetch(`${base}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+// Read SSE events until the stream ends; onEvent may act on them as they arrive
+async function readEvents(resp, onEvent = () => {}) {
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of resp.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const data = buffer.slice(0, end).split('\n').find(line => line.startsWith('data: '));
+            buffer = buffer.slice(end + 2);
+            if (!data) continue;
+            const event = JSON.parse(data.slice(6));
+            events.push(event);
+            await onEvent(event);
+        }
+    }
+    return events;
+}
+
+async function fix(body, onEvent) {
+    const resp = await post('/fix-sequential-stream', { projectPath: project, provider: 'codex', ...body });
+    assert.equal(resp.status, 200);
+    assert.match(resp.headers.get('content-type'), /text\/event-stream/);
+    return readEvents(resp, onEvent);
+}
+
+// The events that mark the stages of the flow, in order
+const STAGES = new Set(['job', 'checkpoint', 'diagnostics', 'escalation', 'url', 'complete']);
+const stages = (events) => events.filter(e => STAGES.has(e.type)).map(e => e.type);
+const messages = (events) => events.map(e => e.message).filter(Boolean);
+
+// ── /fix-sequential-stream ────────────────────────────────────────────
+
+describe('/fix-sequential-stream', () => {
+    it('fixes each item, then submits after a passing pre-flight check', async () => {
+        const codexCalls = script('codex', [{ stdout: 'Edited the spec\ntokens used: 10\n', writes: { 'specs/a.spec': `${SPEC}// fixed\n` } }]);
+        const certoraCalls = script('certoraRun', [{ stdout: 'Compilation finished\n' }, { proverUrl: true }]);
+
+        const events = await fix({ analyses: analyses('r1', 'r2'), confPath: 'certora/conf/a.conf' });
+
+        assert.deepEqual(stages(events), ['job', 'checkpoint', 'checkpoint', 'url', 'complete']);
+        assert.match(events.find(e => e.type === 'url').message, /^https:\/\/prover\.certora\.com\/output\/1001\/0+2\?anonymousKey=k3y$/);
+        assert.ok(messages(events).includes('Sequential fix flow completed'));
+        assert.match(readFileSync(join(project, 'certora', 'specs', 'a.spec'), 'utf-8'), /\/\/ fixed/);
+
+        const codex = codexCalls();
+        assert.equal(codex.length, 2);
+        assert.deepEqual(codex[0].argv.slice(0, 3), ['exec', '--sandbox', 'workspace-write']);
+        assert.equal(codex[0].argv[codex[0].argv.indexOf('-C') + 1], join(project, 'certora'));
+        assert.deepEqual(certoraCalls().map(c => c.argv), [
+            ['certora/conf/a.conf', '--compilation_steps_only'],
+            ['certora/conf/a.conf']
+        ]);
+        assert.ok(certoraCalls().every(c => c.cwd === project));
+    });
+
+    it('marks an item failed when codex exits non-zero and goes on', async () => {
+        script('codex', [{ stderr: 'model overloaded\n', exitCode: 2 }, { stdout: 'tokens used: 1\n' }]);
+
+        const events = await fix({ analyses: analyses('r1', 'r2') });
+
+        const log = messages(events);
+        assert.ok(log.includes('Codex exited: 2'));
+        assert.ok(log.includes('❌ Fix 1 failed, continue to next'));
+        assert.ok(log.includes('✅ Fix 2 completed'));
+        assert.ok(log.some(m => /No conf path provided/.test(m)));
+        assert.equal(stages(events).at(-1), 'complete');
+    });
+
+    it('hands pre-flight syntax errors back to codex and retries', async () => {
+        const codexCalls = script('codex', [{ stdout: 'tokens used: 1\n' }]);
+        const certoraCalls = script('certoraRun', [{ stderr: CVL_SYNTAX_ERROR, exitCode: 1 }, {}, { proverUrl: true }]);
+
+        const events = await fix({ analyses: analyses('r1'), confPath: 'certora/conf/a.conf' });
+
+        assert.deepEqual(stages(events), ['job', 'checkpoint', 'diagnostics', 'checkpoint', 'url', 'complete']);
+        const diagnostics = events.find(e => e.type === 'diagnostics').data;
+        assert.equal(diagnostics.stage, 'preflight');
+        assert.equal(diagnostics.category, 'cvl-syntax');
+        assert.equal(codexCalls().length, 2);
+        assert.match(codexCalls()[1].argv.at(-1), /Syntax error: unexpected token/);
+        assert.equal(certoraCalls().length, 3);
+    });
+
+    it('escalates when the same error comes back after a fix', async () => {
+        const codexCalls = script('codex', [
+            { stdout: 'tokens used: 1\n', writes: { 'specs/a.spec': `${SPEC}// item fix\n` } },
+            { stdout: 'tokens used: 1\n', writes: { 'specs/a.spec': `${SPEC}// broken fix\n` } }
+        ]);
+        script('certoraRun', [{ stderr: CVL_SYNTAX_ERROR, exitCode: 1 }]);
+
+        const events = await fix({ analyses: analyses('r1'), confPath: 'certora/conf/a.conf', retryPolicy: { maxRepeats: 1 } });
+
+        assert.deepEqual(stages(events), ['job', 'checkpoint', 'diagnostics', 'checkpoint', 'diagnostics', 'escalation', 'complete']);
+        assert.equal(events.find(e => e.type === 'escalation').data.reason, 'repeated');
+        assert.equal(codexCalls().length, 2);
+        assert.ok(messages(events).some(m => /Sequential fix stopped for review/.test(m)));
+    });
+
+    it('runs the certoraRun binary set in the project config', async () => {
+        mkdirSync(join(project, 'tools'));
+        symlinkSync(join(FAKES, 'certoraRun'), join(project, 'tools', 'certoraRun'));
+        writeFileSync(join(project, '.certora-scraper.json'), JSON.stringify({ binaries: { certoraRun: 'tools/certoraRun' }, preflight: false }));
+        script('codex', [{ stdout: 'tokens used: 1\n' }]);
+        const certoraCalls = script('certoraRun', [{ proverUrl: true }]);
+        process.env.CERTORA_RUN_BIN = join(project, 'missing-certoraRun');
+
+        try {
+            const events = await fix({ analyses: analyses('r1'), confPath: 'certora/conf/a.conf' });
+            assert.ok(messages(events).includes(`Running: ${join(project, 'tools', 'certoraRun')} certora/conf/a.conf`));
+            assert.equal(stages(events).filter(t => t === 'url').length, 1);
+            assert.equal(certoraCalls().length, 1);
+        } finally {
+            process.env.CERTORA_RUN_BIN = join(FAKES, 'certoraRun');
+        }
+    });
+});
+
+// ── /resume-fix-from ──────────────────────────────────────────────────
+
+describe('/resume-fix-from', () => {
+    it('fixes only the items from startIndex on', async () => {
+        const codexCalls = script('codex', [{ stdout: 'tokens used: 1\n' }]);
+
+        const resp = await post('/resume-fix-from', { projectPath: project, provider: 'codex', analyses: analyses('r1', 'r2', 'r3'), startIndex: 2 });
+        assert.equal(resp.status, 200);
+        const events = await readEvents(resp);
+
+        assert.ok(messages(events).includes('Starting sequential fix, 1 items total (resuming from 3)'));
+        assert.ok(messages(events).includes('➡️ Start 3/3: r3'));
+        assert.equal(codexCalls().length, 1);
+        assert.match(codexCalls()[0].argv.at(-1), /fix r3/);
+        assert.doesNotMatch(codexCalls()[0].argv.at(-1), /fix r1/);
+    });
+
+    it('rejects a startIndex outside the analyses', async () => {
+        const resp = await post('/resume-fix-from', { projectPath: project, analyses: analyses('r1'), startIndex: 4 });
+        assert.equal(resp.status, 400);
+        assert.match((await resp.json()).error, /Invalid startIndex: 4/);
+    });
+});
+
+// ── /kill-processes ───────────────────────────────────────────────────
+
+describe('/kill-processes', () => {
+    const processGone = (pid) => {
+        try {
+            process.kill(pid, 0);
+            return false;
+        } catch (e) {
+            return e.code === 'ESRCH';
+        }
+    };
+
+    const killWhen = (predicate) => {
+        let killed = null;
+        const onEvent = async (event) => {
+            if (killed || !predicate(event)) return;
+            killed = await (await post('/kill-processes', {})).json();
+        };
+        return { onEvent, result: () => killed };
+    };
+
+    it('stops a hanging certoraRun and ends the stream', async () => {
+        script('codex', [{ stdout: 'tokens used: 1\n' }]);
+        const certoraCalls = script('certoraRun', [{ stdout: 'Submitting job\n', hang: true }]);
+        const kill = killWhen(e => e.type === 'output' && /Submitting job/.test(e.message));
+
+        const events = await fix({ analyses: analyses('r1'), confPath: 'certora/conf/a.conf', preflight: false }, kill.onEvent);
+
+        assert.equal(kill.result().success, true);
+        assert.equal(kill.result().cancelled.length, 1);
+        assert.ok(messages(events).includes('Sequential fix aborted by user'));
+        assert.equal(stages(events).includes('url'), false);
+        assert.equal(stages(events).at(-1), 'complete');
+        assert.ok(processGone(certoraCalls()[0].pid));
+    });
+
+    it('stops a hanging codex before the next item', async () => {
+        const codexCalls = script('codex', [{ stdout: 'thinking\n', hang: true }]);
+        const kill = killWhen(e => e.type === 'output' && /thinking/.test(e.message));
+
+        const events = await fix({ analyses: analyses('r1', 'r2'), confPath: 'certora/conf/a.conf' }, kill.onEvent);
+
+        assert.equal(kill.result().cancelled.length, 1);
+        assert.equal(messages(events).some(m => /Start 2\/2/.test(m)), false);
+        assert.ok(messages(events).includes('Sequential fix aborted by user'));
+        // Give the process a moment to go after SIGTERM
+        for (let i = 0; i < 50 && !processGone(codexCalls()[0].pid); i++) await new Promise(r => setTimeout(r, 20));
+        assert.ok(processGone(codexCalls()[0].pid));
+    });
+
+    it('reports when nothing is running', async () => {
+        const resp = await post('/kill-processes', {});
+        assert.deepEqual(await resp.json(), {
+            success: true,
+            message: 'Requested stop of current fix process',
+            cancelled: [],
+            activeFixRunning: false
+        });
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for scripts/fix_journal.mjs
+ * Each test writes journals into its own temporary directory.
+ * Run: node --test test/test_fix_journal.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+    journalDir, defaultJournalDir, firstUnfinishedIndex, createFixJournal,
+    loadFixJournal, listFixJournals, createJournalRegistry
+} from '../scripts/fix_journal.mjs';
+
+const ITEMS = [
+    { ruleName: 'ruleA', text: 'analysis A', content: 'log A' },
+    { ruleName: 'ruleB', text: 'analysis B' },
+    { ruleName: 'ruleC', text: 'analysis C' }
+];
+
+// ── journalDir ────────────────────────────────────────────────────────
+
+describe('journalDir', () => {
+    it('stores sessions inside the project', () => {
+        assert.equal(journalDir('/work/proj'), join('/work/proj', '.certora-scraper', 'fix-sessions'));
+    });
+
+    it('falls back to the data directory without a project', () => {
+        const env = { CERTORA_SCRAPER_DATA_DIR: '/data' };
+        assert.equal(journalDir('', env), join('/data', 'fix-sessions'));
+        assert.equal(journalDir('  ', env), defaultJournalDir(env));
+    });
+});
+
+// ── createFixJournal ──────────────────────────────────────────────────
+
+describe('createFixJournal', () => {
+    let dir;
+    beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'fix-journal-')); });
+    afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('writes the session to disk on creation', () => {
+        const journal = createFixJournal({ dir, items: ITEMS, options: { projectPath: '/p', provider: 'mock', jobId: 'fix-1' } });
+        assert.match(journal.id, /^fix_\d{14}_[0-9a-f]{6}$/);
+        const saved = JSON.parse(readFileSync(journal.file, 'utf-8'));
+        assert.equal(saved.status, 'running');
+        assert.equal(saved.projectPath, '/p');
+        assert.equal(saved.totalItems, 3);
+        assert.deepEqual(saved.items.map(i => [i.index, i.ruleName, i.status]), [
+            [0, 'ruleA', 'pending'], [1, 'ruleB', 'pending'], [2, 'ruleC', 'pending']
+        ]);
+        assert.equal(saved.items[1].content, null);
+    });
+
+    it('keeps original indexes when starting part-way through', () => {
+        const journal = createFixJournal({ dir, items: ITEMS.slice(1), startIndex: 1, totalItems: 3 });
+        assert.deepEqual(journal.record.items.map(i => i.index), [1, 2]);
+        assert.equal(journal.record.totalItems, 3);
+    });
+
+    it('records the item lifecycle', () => {
+        const journal = createFixJournal({ dir, items: ITEMS });
+        journal.itemStarted(0, 'prompt A');
+        journal.itemFinished(0, true);
+        journal.itemStarted(1, 'prompt B');
+        journal.itemFinished(1, false, 'fix failed');
+        journal.itemStarted(2, 'prompt C');
+        journal.itemInterrupted(2);
+
+        const saved = loadFixJournal(journal.id, [dir]).record;
+        assert.deepEqual(saved.items.map(i => i.status), ['done', 'failed', 'pending']);
+        assert.equal(saved.items[0].prompt, 'prompt A');
+        assert.equal(saved.items[1].error, 'fix failed');
+        assert.equal(saved.items[2].finishedAt, null);
+        assert.throws(() => journal.itemStarted(9, 'x'), /Unknown journal item: 9/);
+    });
+
+    it('records certoraRun attempts with a bounded output tail', () => {
+        const journal = createFixJournal({ dir, items: ITEMS });
+        const entry = journal.certoraRunStarted(1);
+        journal.certoraRunFinished(entry, { success: true, url: 'https://prover.certora.com/output/1/abc', output: 'x'.repeat(5000) });
+        const run = loadFixJournal(journal.id, [dir]).record.certoraRuns[0];
+        assert.equal(run.attempt, 1);
+        assert.equal(run.scope, 'full');
+        assert.equal(run.stage, 'submit');
+        assert.equal(run.success, true);
+        assert.equal(run.outputTail.length, 4000);
+        assert.equal(journal.summary().lastUrl, 'https://prover.certora.com/output/1/abc');
+        assert.equal(journal.certoraRunStarted(2, 'failing').scope, 'failing');
+        assert.equal(journal.certoraRunStarted(3, 'full', 'preflight').stage, 'preflight');
+    });
+
+    it('records an escalation of the syntax-fix loop', () => {
+        const journal = createFixJournal({ dir, items: ITEMS, options: { retryPolicy: { maxAttempts: 2 } } });
+        assert.equal(journal.summary().escalated, false);
+        journal.escalated({ reason: 'budget', message: '2 fix attempts did not get certoraRun past its errors', attempts: [] });
+        const saved = loadFixJournal(journal.id, [dir]).record;
+        assert.equal(saved.escalation.reason, 'budget');
+        assert.deepEqual(saved.retryPolicy, { maxAttempts: 2 });
+        assert.equal(journal.summary().escalated, true);
+    });
+
+    it('moves finished iterations to history', () => {
+        const journal = createFixJournal({ dir, items: ITEMS });
+        for (const i of [0, 1, 2]) journal.itemFinished(i, true);
+        journal.startIteration(2, [{ ruleName: 'ruleD', text: 'analysis D' }]);
+        const { record } = journal;
+        assert.equal(record.iteration, 2);
+        assert.equal(record.totalItems, 1);
+        assert.deepEqual(record.items.map(i => [i.index, i.ruleName, i.status]), [[0, 'ruleD', 'pending']]);
+        assert.equal(record.history[0].iteration, 1);
+        assert.equal(record.history[0].items.length, 3);
+    });
+
+    it('stamps finish status and time', () => {
+        const journal = createFixJournal({ dir, items: ITEMS });
+        journal.finish('cancelled');
+        const saved = loadFixJournal(journal.id, [dir]).record;
+        assert.equal(saved.status, 'cancelled');
+        assert.ok(saved.finishedAt);
+    });
+});
+
+// ── firstUnfinishedIndex ──────────────────────────────────────────────
+
+describe('firstUnfinishedIndex', () => {
+    it('finds the first pending or running item', () => {
+        const items = [{ index: 3, status: 'done' }, { index: 4, status: 'failed' }, { index: 5, status: 'running' }, { index: 6, status: 'pending' }];
+        assert.equal(firstUnfinishedIndex({ items }), 5);
+    });
+
+    it('returns null when every item finished', () => {
+        assert.equal(firstUnfinishedIndex({ items: [{ index: 0, status: 'done' }] }), null);
+        assert.equal(firstUnfinishedIndex({}), null);
+    });
+});
+
+// ── loading and listing ───────────────────────────────────────────────
+
+describe('loadFixJournal / listFixJournals', () => {
+    let dirA;
+    let dirB;
+    beforeEach(() => {
+        dirA = mkdtempSync(join(tmpdir(), 'fix-journal-a-'));
+        dirB = mkdtempSync(join(tmpdir(), 'fix-journal-b-'));
+    });
+    afterEach(() => {
+        rmSync(dirA, { recursive: true, force: true });
+        rmSync(dirB, { recursive: true, force: true });
+    });
+
+    it('loads a journal from any directory and keeps writing to its file', () => {
+        const created = createFixJournal({ dir: dirB, items: ITEMS });
+        const loaded = loadFixJournal(created.id, [dirA, dirB]);
+        assert.equal(loaded.file, created.file);
+        loaded.itemFinished(0, true);
+        assert.equal(loadFixJournal(created.id, [dirB]).record.items[0].status, 'done');
+    });
+
+    it('returns null for unknown or invalid ids', () => {
+        assert.equal(loadFixJournal('fix_missing', [dirA]), null);
+        assert.equal(loadFixJournal('../etc/passwd', [dirA]), null);
+        assert.equal(loadFixJournal(42, [dirA]), null);
+    });
+
+    it('lists summaries across directories, newest first', async () => {
+        const older = createFixJournal({ dir: dirA, items: ITEMS });
+        await new Promise(r => setTimeout(r, 5));
+        const newer = createFixJournal({ dir: dirB, items: ITEMS.slice(0, 1) });
+        older.itemFinished(0, true);
+        createJournalRegistry(dirA).add(dirB);
+
+        const sessions = listFixJournals([dirA, dirB, dirA, join(dirA, 'missing')]);
+        assert.deepEqual(sessions.map(s => s.id), [newer.id, older.id]);
+        assert.deepEqual(sessions[1].itemCounts, { done: 1, pending: 2 });
+        assert.equal(sessions[1].nextIndex, 1);
+    });
+});
+
+// ── createJournalRegistry ─────────────────────────────────────────────
+
+describe('createJournalRegistry', () => {
+    let dir;
+    beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'fix-registry-')); });
+    afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('remembers project journal directories across instances', () => {
+        const dataDir = join(dir, 'data');
+        createJournalRegistry(dataDir).add('/work/proj/.certora-scraper/fix-sessions');
+        createJournalRegistry(dataDir).add('/work/proj/.certora-scraper/fix-sessions');
+        createJournalRegistry(dataDir).add(dataDir);
+        assert.deepEqual(createJournalRegistry(dataDir).dirs(), [dataDir, '/work/proj/.certora-scraper/fix-sessions']);
+        assert.deepEqual(readdirSync(dataDir), ['projects.json']);
+    });
+
+    it('starts with only the data directory', () => {
+        assert.deepEqual(createJournalRegistry(join(dir, 'none')).dirs(), [join(dir, 'none')]);
+    });
+});
@@ -13,11 +13,15 @@ import { dirname, join } from 'node:path';
 import {
     parseRunInfo,
     buildResultBaseUrl,
+    buildProgressUrls,
+    isProgressPayload,
+    isRunFinished,
     parseMaybeJson,
     getProgressRoots,
     collectFailedRuleOutputs,
     parseJobMetadata,
-    extractCodexAnswer
+    extractCodexAnswer,
+    defaultDataDir
 } from '../scripts/helpers.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -71,6 +75,58 @@ describe('buildResultBaseUrl', () => {
     });
 });
 
+// ── buildProgressUrls ─────────────────────────────────────────────────
+
+describe('buildProgressUrls', () => {
+    it('puts the /progress endpoint first and the result endpoint second', () => {
+        const info = { origin: 'https://prover.certora.com', runId: '111', outputId: 'aaa', anonymousKey: 'k' };
+        const [progressUrl, resultUrl] = buildProgressUrls(info);
+        assert.equal(progressUrl, 'https://prover.certora.com/progress/111/aaa?anonymousKey=k');
+        assert.equal(resultUrl, 'https://prover.certora.com/result/111/aaa?anonymousKey=k&output=progress.json');
+    });
+
+    it('omits the query string when there is no anonymousKey', () => {
+        const info = { origin: 'https://prover.certora.com', runId: '111', outputId: 'aaa', anonymousKey: '' };
+        const [progressUrl, resultUrl] = buildProgressUrls(info);
+        assert.equal(progressUrl, 'https://prover.certora.com/progress/111/aaa');
+        assert.equal(resultUrl, 'https://prover.certora.com/result/111/aaa?output=progress.json');
+    });
+});
+
+// ── isProgressPayload ─────────────────────────────────────────────────
+
+describe('isProgressPayload', () => {
+    it('accepts verificationProgress and rules wrappers', () => {
+        assert.equal(isProgressPayload(fixture('progress_sample.json')), true);
+        assert.equal(isProgressPayload({ rules: [] }), true);
+    });
+
+    it('rejects other payloads', () => {
+        assert.equal(isProgressPayload(null), false);
+        assert.equal(isProgressPayload('progress'), false);
+        assert.equal(isProgressPayload({ jobStatus: 'RUNNING' }), false);
+    });
+});
+
+// ── isRunFinished ─────────────────────────────────────────────────────
+
+describe('isRunFinished', () => {
+    it('trusts output.json jobStatus when present', () => {
+        assert.equal(isRunFinished([{ status: 'RUNNING' }], { jobStatus: 'COMPLETED' }), true);
+        assert.equal(isRunFinished([{ status: 'VERIFIED' }], { jobStatus: 'RUNNING' }), false);
+        assert.equal(isRunFinished([], { jobStatus: 'failed' }), true);
+    });
+
+    it('otherwise requires every rule to have left a pending status', () => {
+        assert.equal(isRunFinished([{ status: 'VERIFIED' }, { status: 'VIOLATED' }]), true);
+        assert.equal(isRunFinished([{ status: 'VERIFIED' }, { status: 'running' }]), false);
+    });
+
+    it('is not finished without any data', () => {
+        assert.equal(isRunFinished([], null), false);
+    });
+});
+
 // ── parseMaybeJson ────────────────────────────────────────────────────
 
 describe('parseMaybeJson', () => {
@@ -293,3 +349,12 @@ describe('extractCodexAnswer', () => {
         assert.ok(result.includes('Actual analysis content'));
     });
 });
+
+// ── defaultDataDir ────────────────────────────────────────────────────
+
+describe('defaultDataDir', () => {
+    it('prefers CERTORA_SCRAPER_DATA_DIR over ./.certora-scraper', () => {
+        assert.equal(defaultDataDir({ CERTORA_SCRAPER_DATA_DIR: '/data' }, '/cwd'), '/data');
+        assert.equal(defaultDataDir({}, '/cwd'), '/cwd/.certora-scraper');
+    });
+});
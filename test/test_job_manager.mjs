@@ -0,0 +1,134 @@
+/**
+ * Unit tests for scripts/job_manager.mjs
+ * Child processes are faked; only killProcessTree's signalling is observed.
+ * Run: node --test test/test_job_manager.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createJobManager, killProcessTree } from '../scripts/job_manager.mjs';
+
+// ── createJobManager ──────────────────────────────────────────────────
+
+describe('createJobManager', () => {
+    it('creates running jobs with ids per kind', () => {
+        const jobs = createJobManager();
+        const job = jobs.create({ kind: 'fix', label: 'Sequential fix', meta: { projectPath: '/p' } });
+        assert.match(job.id, /^fix-/);
+        assert.equal(job.running, true);
+        assert.equal(jobs.get(job.id), job);
+        assert.equal(jobs.get('nope'), null);
+        assert.throws(() => jobs.create({}), /Missing job kind/);
+    });
+
+    it('lists newest first and filters by kind and state', () => {
+        const jobs = createJobManager();
+        const a = jobs.create({ kind: 'analysis' });
+        const b = jobs.create({ kind: 'fix' });
+        const c = jobs.create({ kind: 'analysis' });
+        c.finish();
+        assert.deepEqual(jobs.list().map(j => j.id), [c.id, b.id, a.id]);
+        assert.deepEqual(jobs.list({ kind: 'analysis' }).map(j => j.id), [c.id, a.id]);
+        assert.deepEqual(jobs.list({ running: true }).map(j => j.id), [b.id, a.id]);
+    });
+
+    it('drops the oldest finished jobs past maxFinishedJobs', () => {
+        const jobs = createJobManager({ maxFinishedJobs: 2 });
+        const running = jobs.create({ kind: 'fix' });
+        const done = [1, 2, 3].map(() => {
+            const job = jobs.create({ kind: 'analysis' });
+            job.finish();
+            return job;
+        });
+        jobs.create({ kind: 'analysis' });
+        assert.equal(jobs.get(done[0].id), null);
+        assert.ok(jobs.get(done[2].id));
+        assert.ok(jobs.get(running.id));
+    });
+});
+
+// ── job events ────────────────────────────────────────────────────────
+
+describe('job events', () => {
+    it('replays buffered events from an offset', () => {
+        const job = createJobManager().create({ kind: 'fix' });
+        for (const message of ['a', 'b', 'c']) job.emit({ type: 'info', message });
+        assert.deepEqual(job.eventsFrom(1).map(e => [e.offset, e.event.message]), [[1, 'b'], [2, 'c']]);
+        assert.equal(job.summary().eventCount, 3);
+    });
+
+    it('keeps offsets stable when old events are dropped', () => {
+        const job = createJobManager({ maxEvents: 2 }).create({ kind: 'fix' });
+        for (const message of ['a', 'b', 'c']) job.emit({ type: 'info', message });
+        assert.deepEqual(job.eventsFrom(0).map(e => e.offset), [1, 2]);
+        assert.deepEqual(job.eventsFrom(2).map(e => e.event.message), ['c']);
+    });
+
+    it('pushes new events to subscribers and ends them on finish', () => {
+        const job = createJobManager().create({ kind: 'analysis' });
+        const seen = [];
+        let ended = 0;
+        const unsubscribe = job.subscribe((entry) => seen.push(entry.offset), () => ended++);
+        job.emit({ type: 'output', message: 'x' });
+        job.finish('failed', 'boom');
+        job.finish();
+        assert.deepEqual(seen, [0]);
+        assert.equal(ended, 1);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.error, 'boom');
+        unsubscribe();
+    });
+
+    it('stops delivering after unsubscribe', () => {
+        const job = createJobManager().create({ kind: 'analysis' });
+        const seen = [];
+        const unsubscribe = job.subscribe((entry) => seen.push(entry.offset));
+        unsubscribe();
+        job.emit({ type: 'output', message: 'x' });
+        assert.deepEqual(seen, []);
+    });
+});
+
+// ── cancel ────────────────────────────────────────────────────────────
+
+describe('cancel', () => {
+    it('aborts the signal, stops the child and ends as cancelled', () => {
+        const jobs = createJobManager();
+        const job = jobs.create({ kind: 'fix' });
+        const signals = [];
+        job.setChild({ pid: 999999999, exitCode: 0, signalCode: null, kill: (s) => signals.push(s) });
+        assert.equal(jobs.cancel(job.id), true);
+        assert.equal(job.signal.aborted, true);
+        assert.deepEqual(signals, ['SIGTERM']);
+        job.finish('completed');
+        assert.equal(job.status, 'cancelled');
+        assert.equal(jobs.cancel(job.id), false);
+    });
+
+    it('leaves other jobs running', () => {
+        const jobs = createJobManager();
+        const a = jobs.create({ kind: 'fix' });
+        const b = jobs.create({ kind: 'fix' });
+        jobs.cancel(a.id);
+        assert.equal(b.signal.aborted, false);
+        assert.equal(jobs.cancel('unknown'), false);
+    });
+});
+
+// ── killProcessTree ───────────────────────────────────────────────────
+
+describe('killProcessTree', () => {
+    it('sends SIGKILL when the child survives the grace period', async () => {
+        const signals = [];
+        const child = { pid: 999999999, exitCode: null, signalCode: null, kill: (s) => signals.push(s) };
+        killProcessTree(child, 10);
+        await new Promise(r => setTimeout(r, 30));
+        assert.deepEqual(signals, ['SIGTERM', 'SIGKILL']);
+    });
+
+    it('ignores missing children', () => {
+        assert.doesNotThrow(() => killProcessTree(null));
+        assert.doesNotThrow(() => killProcessTree({}));
+    });
+});
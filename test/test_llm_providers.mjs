@@ -0,0 +1,158 @@
+/**
+ * Unit tests for scripts/llm_providers.mjs
+ * Only the mock and HTTP adapters are exercised; no Codex CLI is spawned.
+ * Run: node --test test/test_llm_providers.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+    PROVIDER_NAMES, buildCodexArgs, createProvider, providerConfigFromEnv, availableProviders
+} from '../scripts/llm_providers.mjs';
+
+// ── buildCodexArgs ────────────────────────────────────────────────────
+
+describe('buildCodexArgs', () => {
+    it('uses a read-only sandbox for analysis and puts the prompt last', () => {
+        const args = buildCodexArgs({ prompt: 'explain', mode: 'analyze' });
+        assert.deepEqual(args.slice(0, 3), ['exec', '--sandbox', 'read-only']);
+        assert.equal(args.at(-1), 'explain');
+        assert.ok(!args.includes('-C'));
+    });
+
+    it('uses workspace-write for fixes and passes model and cwd', () => {
+        const args = buildCodexArgs({ prompt: 'fix', mode: 'fix', cwd: '/p/certora', model: 'o3' });
+        assert.equal(args[2], 'workspace-write');
+        assert.deepEqual(args.slice(-5), ['-m', 'o3', '-C', '/p/certora', 'fix']);
+    });
+
+    it('strips NUL bytes from the prompt', () => {
+        assert.equal(buildCodexArgs({ prompt: 'a\0b' }).at(-1), 'ab');
+    });
+});
+
+// ── createProvider ────────────────────────────────────────────────────
+
+describe('createProvider', () => {
+    it('falls back to the server default, then to codex', () => {
+        assert.equal(createProvider(undefined, { name: 'mock' }).name, 'mock');
+        assert.equal(createProvider(undefined).name, 'codex');
+    });
+
+    it('accepts a name or an object selection', () => {
+        assert.equal(createProvider('DeepSeek').name, 'deepseek');
+        assert.equal(createProvider({ name: 'openai', model: 'gpt-x' }).model, 'gpt-x');
+    });
+
+    it('only applies defaults to the provider they were configured for', () => {
+        const defaults = { name: 'openai', model: 'local-model' };
+        assert.equal(createProvider('openai', defaults).model, 'local-model');
+        assert.equal(createProvider('deepseek', defaults).model, 'deepseek-chat');
+    });
+
+    it('applies overrides over the request and the defaults', () => {
+        const provider = createProvider({ name: 'openai', model: 'gpt-x' }, { name: 'openai', model: 'local-model' }, { model: 'pinned' });
+        assert.equal(provider.model, 'pinned');
+    });
+
+    it('reports which providers can edit files', () => {
+        const editors = PROVIDER_NAMES.filter(n => createProvider(n, { allowMock: true }).canEditFiles);
+        assert.deepEqual(editors, ['codex', 'mock']);
+    });
+
+    it('throws on unknown providers', () => {
+        assert.throws(() => createProvider('gemini'), /Unknown LLM provider: gemini/);
+    });
+
+    it('takes only the name and model from the request', async () => {
+        const calls = [];
+        const fetchImpl = async (url, init) => {
+            calls.push({ url, headers: init.headers });
+            return { ok: true, status: 200, headers: { get: () => 'application/json' }, json: async () => ({ choices: [{ message: { content: 'ok' } }] }) };
+        };
+        const defaults = { name: 'deepseek', apiKey: 'sk-server', fetchImpl };
+        const provider = createProvider({ name: 'deepseek', model: 'm', baseUrl: 'https://attacker.example', apiKey: 'sk-x', fetchImpl: null }, defaults);
+        assert.equal(provider.model, 'm');
+        await provider.run({ prompt: 'p' });
+        assert.equal(calls[0].url, 'https://api.deepseek.com/chat/completions');
+        assert.equal(calls[0].headers.Authorization, 'Bearer sk-server');
+        const codex = createProvider({ name: 'codex', command: '/bin/sh' });
+        assert.equal(codex.name, 'codex');
+    });
+
+    it('allows the mock provider only when the server enables it', () => {
+        assert.throws(() => createProvider('mock'), /mock provider is disabled/);
+        assert.throws(() => createProvider({ name: 'mock', steps: [] }, { name: 'codex' }), /mock provider is disabled/);
+        assert.equal(createProvider('mock', { name: 'codex', allowMock: true }).name, 'mock');
+        assert.deepEqual(availableProviders({ name: 'codex' }), ['codex', 'openai', 'deepseek']);
+        assert.deepEqual(availableProviders({ name: 'mock' }), PROVIDER_NAMES);
+    });
+});
+
+// ── providerConfigFromEnv ─────────────────────────────────────────────
+
+describe('providerConfigFromEnv', () => {
+    it('reads LLM_PROVIDER, LLM_MODEL and LLM_BASE_URL', () => {
+        assert.deepEqual(providerConfigFromEnv({}), { name: 'codex' });
+        assert.deepEqual(
+            providerConfigFromEnv({ LLM_PROVIDER: 'openai', LLM_MODEL: 'm', LLM_BASE_URL: 'http://localhost:11434/v1' }),
+            { name: 'openai', model: 'm', baseUrl: 'http://localhost:11434/v1' }
+        );
+        assert.deepEqual(providerConfigFromEnv({ LLM_ALLOW_MOCK: '1' }), { name: 'codex', allowMock: true });
+    });
+});
+
+// ── mock provider ─────────────────────────────────────────────────────
+
+describe('mock provider', () => {
+    it('plays its steps in order and repeats the last one', async () => {
+        const provider = createProvider('mock', { name: 'mock', steps: [{ output: 'one' }, { output: 'two', answer: 'final' }] });
+        const outputs = [];
+        const onOutput = (s) => outputs.push(s);
+        const results = [];
+        for (let i = 0; i < 3; i++) results.push(await provider.run({ prompt: `p${i}`, onOutput }));
+        assert.deepEqual(results.map(r => r.answer), ['one', 'final', 'final']);
+        assert.deepEqual(outputs, ['one', 'two', 'two']);
+        assert.deepEqual(provider.calls.map(c => c.prompt), ['p0', 'p1', 'p2']);
+    });
+
+    it('reports failures and stderr', async () => {
+        const provider = createProvider('mock', { name: 'mock', steps: [{ ok: false, stderr: 'warn', error: 'boom' }] });
+        const errors = [];
+        const result = await provider.run({ prompt: 'p', onError: (s) => errors.push(s) });
+        assert.equal(result.ok, false);
+        assert.equal(result.code, 1);
+        assert.equal(result.error, 'boom');
+        assert.deepEqual(errors, ['warn']);
+    });
+
+    it('writes files under cwd in fix mode only', async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'llm-providers-'));
+        try {
+            const provider = createProvider('mock', { name: 'mock', steps: [{ writes: { 'specs/a.spec': 'rule a {}' } }] });
+            await provider.run({ prompt: 'p', mode: 'analyze', cwd: dir });
+            assert.throws(() => readFileSync(join(dir, 'specs/a.spec')));
+            await provider.run({ prompt: 'p', mode: 'fix', cwd: dir });
+            assert.equal(readFileSync(join(dir, 'specs/a.spec'), 'utf-8'), 'rule a {}');
+            const escaping = createProvider('mock', { name: 'mock', steps: [{ writes: { '../outside.spec': 'rule b {}' } }] });
+            const result = await escaping.run({ prompt: 'p', mode: 'fix', cwd: join(dir, 'specs') });
+            assert.match(result.error, /outside the working directory/);
+            assert.throws(() => readFileSync(join(dir, 'outside.spec')));
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('stops a delayed step when aborted', async () => {
+        const provider = createProvider('mock', { name: 'mock', steps: [{ output: 'late', delayMs: 10000 }] });
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 10);
+        const result = await provider.run({ prompt: 'p', signal: controller.signal });
+        assert.equal(result.ok, false);
+        assert.equal(result.error, 'aborted');
+    });
+});
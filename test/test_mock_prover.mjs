@@ -0,0 +1,238 @@
+/**
+ * Integration tests against the local mock prover (test/mock_prover_server.mjs):
+ * the prover client and the /analyze-and-fetch(-stream) endpoints over real HTTP.
+ * Run: node --test test/test_mock_prover.mjs
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { startMockProver } from './mock_prover_server.mjs';
+import {
+    fetchProgress, fetchProgressDirect, fetchJobMetadata, fetchJsonWithRetry, scrapeRun, fetchConfigFromEnv
+} from '../scripts/prover_client.mjs';
+import { parseRunInfo } from '../scripts/helpers.mjs';
+
+const quiet = () => {};
+
+let mock;
+before(async () => { mock = await startMockProver(); });
+after(() => mock.close());
+afterEach(() => mock.clearFaults());
+
+// ── mock server ───────────────────────────────────────────────────────
+
+describe('mock prover', () => {
+    it('serves the output page and checks the anonymousKey', async () => {
+        const page = await fetch(mock.outputUrl('1001', 'out-a', 'k3y'));
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /fetch\('\/progress\/1001\/out-a\?anonymousKey=k3y'\)/);
+        assert.equal((await fetch(mock.outputUrl('1001', 'out-a', 'wrong'))).status, 403);
+        assert.equal((await fetch(mock.outputUrl('1001', 'missing', 'k3y'))).status, 404);
+    });
+
+    it('keeps result files inside the run directory', async () => {
+        const resp = await fetch(`${mock.origin}/result/1001/out-a?anonymousKey=k3y&output=../../../../package.json`);
+        assert.equal(resp.status, 400);
+    });
+});
+
+// ── prover client ─────────────────────────────────────────────────────
+
+describe('prover client against the mock', () => {
+    it('reads progress and job metadata directly', async () => {
+        const url = mock.outputUrl('1001', 'out-a', 'k3y');
+        const { progressData, source } = await fetchProgress(url, { browserFallback: false });
+        assert.equal(source, 'direct');
+        assert.equal(progressData.verificationProgress.rules.length, 4);
+        const metadata = await fetchJobMetadata(parseRunInfo(url));
+        assert.equal(metadata.jobStatus, 'COMPLETED');
+    });
+
+    it('falls back to the result endpoint when /progress fails', async () => {
+        mock.fault({ match: '/progress/1001/out-a', status: 502 });
+        const { progressData } = await fetchProgress(mock.outputUrl('1001', 'out-a', 'k3y'), { browserFallback: false });
+        assert.ok(progressData.verificationProgress);
+        assert.ok(mock.requests.some(r => r.includes('output=progress.json')));
+    });
+
+    it('times out a progress response that stalls mid-body', async () => {
+        mock.fault({ match: '/progress/1001/out-a', stall: true });
+        const progressData = await fetchProgressDirect(parseRunInfo(mock.outputUrl('1001', 'out-a', 'k3y')), { timeoutMs: 200 });
+        assert.ok(progressData.verificationProgress);
+        assert.ok(mock.requests.some(r => r.includes('output=progress.json')));
+    });
+
+    it('finds nothing with a wrong anonymousKey', async () => {
+        const warnings = [];
+        const { progressData } = await fetchProgress(mock.outputUrl('1001', 'out-a', 'nope'), {
+            browserFallback: false,
+            onProgress: (message) => warnings.push(message)
+        });
+        assert.equal(progressData, null);
+        assert.ok(warnings.some(w => /HTTP 403/.test(w)));
+    });
+});
+
+describe('fetchJsonWithRetry against the mock', () => {
+    const rule = () => ({
+        ruleName: 'sanity_check',
+        outputFile: 'treeView/rule_output_4.json',
+        url: `${mock.origin}/result/1001/out-a?anonymousKey=k3y&output=treeView/rule_output_4.json`
+    });
+
+    it('retries 5xx responses until the file arrives', async () => {
+        mock.fault({ match: 'rule_output_4.json', status: 503, times: 2 });
+        const messages = [];
+        const result = await fetchJsonWithRetry(rule(), { maxRetries: 3, delayMs: 5, onProgress: (m) => messages.push(m) });
+        assert.equal(result.content.treeViewPath, 'sanity_check');
+        assert.equal(messages.filter(m => /HTTP 503/.test(m)).length, 2);
+    });
+
+    it('retries a response that takes longer than the timeout', async () => {
+        mock.fault({ match: 'rule_output_4.json', delayMs: 300 });
+        const messages = [];
+        const result = await fetchJsonWithRetry(rule(), { maxRetries: 2, delayMs: 5, timeoutMs: 100, onProgress: (m) => messages.push(m) });
+        assert.ok(result.content);
+        assert.ok(messages.some(m => /Timeout, retrying/.test(m)));
+    });
+
+    it('retries a response that stalls mid-body', async () => {
+        mock.fault({ match: 'rule_output_4.json', stall: true });
+        const messages = [];
+        const result = await fetchJsonWithRetry(rule(), { maxRetries: 2, delayMs: 5, timeoutMs: 200, onProgress: (m) => messages.push(m) });
+        assert.equal(result.content.treeViewPath, 'sanity_check');
+        assert.ok(messages.some(m => /rule_output_4\.json: Timeout, retrying/.test(m)));
+    });
+
+    it('gives up after maxRetries', async () => {
+        mock.fault({ match: 'rule_output_4.json', status: 500, times: Infinity });
+        const result = await fetchJsonWithRetry(rule(), { maxRetries: 3, delayMs: 5, onProgress: quiet });
+        assert.equal(result.content, null);
+        assert.equal(result.error, 'Failed after 3 attempts');
+        assert.equal(mock.requests.filter(r => r.includes('rule_output_4.json')).length >= 3, true);
+    });
+});
+
+describe('scrapeRun against the mock', () => {
+    it('scrapes the failing rules with their outputs and metadata', async () => {
+        mock.fault({ match: 'rule_output_2.json', status: 500 });
+        const result = await scrapeRun(mock.outputUrl('1001', 'out-a', 'k3y'), {
+            browserFallback: false, maxRetries: 2, retryDelayMs: 5, onProgress: quiet
+        });
+        assert.deepEqual(result.rules.map(r => r.ruleName), [
+            'validation_pendingDepositRequest_canIncrease',
+            'validation_authEnforcement > cancelDeposit',
+            'sanity_check'
+        ]);
+        assert.ok(result.rules.every(r => r.content && r.content.callTrace));
+        assert.equal(result.jobMetadata.contractName, 'VaultHarness');
+    });
+
+    it('applies timeoutMs to the progress and output.json requests', async () => {
+        mock.fault({ match: '/progress/1001/out-a', stall: true });
+        mock.fault({ match: 'output=output.json', stall: true });
+        const started = Date.now();
+        const result = await scrapeRun(mock.outputUrl('1001', 'out-a', 'k3y'), {
+            browserFallback: false, maxRetries: 2, retryDelayMs: 5, timeoutMs: 200, onProgress: quiet
+        });
+        assert.equal(result.totalRules, 3);
+        assert.equal(result.jobMetadata, null);
+        assert.ok(Date.now() - started < 5000);
+    });
+
+    it('reads retry settings from the environment', () => {
+        assert.deepEqual(fetchConfigFromEnv({ PROVER_FETCH_MAX_RETRIES: '3', PROVER_FETCH_RETRY_DELAY_MS: '0', PROVER_FETCH_TIMEOUT_MS: 'x' }),
+            { maxRetries: 3, retryDelayMs: 0, timeoutMs: 20000 });
+    });
+});
+
+// ── /analyze-and-fetch, /analyze-and-fetch-stream ─────────────────────
+
+describe('/analyze-and-fetch endpoints against the mock', () => {
+    let dataDir;
+    let server;
+    let base;
+    before(async () => {
+        dataDir = mkdtempSync(join(tmpdir(), 'mock-prover-'));
+        process.env.CERTORA_SCRAPER_DATA_DIR = dataDir;
+        process.env.PROVER_FETCH_RETRY_DELAY_MS = '5';
+        process.env.PROVER_FETCH_MAX_RETRIES = '3';
+        process.env.PROVER_FETCH_TIMEOUT_MS = '300';
+        const { app } = await import('../scripts/certora_auto_server.mjs');
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const analyze = (body, route = '/analyze-and-fetch') => fetch(`${base}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    // SSE events of a finished stream
+    const streamEvents = async (resp) => (await resp.text())
+        .split('\n\n')
+        .filter(block => block.startsWith('data: '))
+        .map(block => JSON.parse(block.slice(6)));
+
+    it('scrapes, renders and stores the run', async () => {
+        mock.fault({ match: 'rule_output_1.json', status: 503, times: 2 });
+        const resp = await analyze({ url: mock.outputUrl('1001', 'out-a', 'k3y') });
+        assert.equal(resp.status, 200);
+        const result = await resp.json();
+        assert.equal(result.totalRules, 3);
+        assert.ok(result.rules.every(r => r.content && typeof r.markdown === 'string' && r.markdown.length > 0));
+        assert.equal(result.runStoreId, '1001_out-a');
+        assert.ok(existsSync(join(dataDir, 'runs', '1001_out-a.json')));
+    });
+
+    it('includes verified rules on request', async () => {
+        const result = await (await analyze({ url: mock.outputUrl('1001', 'out-a', 'k3y'), includeRuleMatch: 'fulfillDeposit' })).json();
+        const verified = result.rules.find(r => r.ruleName === 'validation_authEnforcement > fulfillDeposit');
+        assert.equal(verified.status, 'VERIFIED');
+        assert.ok(verified.content);
+    });
+
+    it('streams with retries on 5xx responses and timeouts', async () => {
+        mock.fault({ match: 'rule_output_1.json', status: 502, times: 2 });
+        mock.fault({ match: 'rule_output_2.json', delayMs: 1000 });
+        const resp = await analyze({ url: mock.outputUrl('1001', 'out-a', 'k3y') }, '/analyze-and-fetch-stream');
+        assert.match(resp.headers.get('content-type'), /text\/event-stream/);
+        const events = await streamEvents(resp);
+
+        const messages = events.map(e => e.message).filter(Boolean);
+        assert.equal(messages.filter(m => /HTTP 502 failed to fetch treeView\/rule_output_1\.json/.test(m)).length, 2);
+        assert.ok(messages.some(m => /rule_output_2\.json: Timeout, retrying/.test(m)));
+        const complete = events.at(-1);
+        assert.equal(complete.type, 'complete');
+        assert.equal(complete.data.totalRules, 3);
+        assert.ok(complete.data.rules.every(r => r.content && r.markdown));
+    });
+
+    it('streams the same rules as /analyze-and-fetch', async () => {
+        const body = { url: mock.outputUrl('1001', 'out-a', 'k3y'), includeSatisfied: true };
+        const plain = await (await analyze(body)).json();
+        const streamed = (await streamEvents(await analyze(body, '/analyze-and-fetch-stream'))).at(-1).data;
+        assert.deepEqual(streamed.rules.map(r => r.outputFile), plain.rules.map(r => r.outputFile));
+        assert.deepEqual(streamed.jobMetadata, plain.jobMetadata);
+    });
+
+    it('streams a rule as failed once the retries run out', async () => {
+        mock.fault({ match: 'rule_output_4.json', status: 500, times: Infinity });
+        const events = await streamEvents(await analyze({ url: mock.outputUrl('1001', 'out-a', 'k3y') }, '/analyze-and-fetch-stream'));
+        const sanity = events.at(-1).data.rules.find(r => r.ruleName === 'sanity_check');
+        assert.equal(sanity.content, null);
+        assert.equal(sanity.error, 'Failed after 3 attempts');
+        assert.equal(mock.requests.filter(r => r.includes('rule_output_4.json')).length >= 3, true);
+    });
+});
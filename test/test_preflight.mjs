@@ -0,0 +1,61 @@
+/**
+ * Unit tests for scripts/preflight.mjs
+ * Run: node --test test/test_preflight.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { preflightConfig, splitCommand, preflightArgv, DEFAULT_PREFLIGHT_COMMAND } from '../scripts/preflight.mjs';
+
+// ── preflightConfig ───────────────────────────────────────────────────
+
+describe('preflightConfig', () => {
+    it('defaults to certoraRun in compile-only mode', () => {
+        assert.deepEqual(preflightConfig(), { enabled: true, command: DEFAULT_PREFLIGHT_COMMAND });
+        assert.deepEqual(preflightConfig({ preflight: true }), { enabled: true, command: DEFAULT_PREFLIGHT_COMMAND });
+    });
+
+    it('can be turned off or replaced per project', () => {
+        assert.deepEqual(preflightConfig({ preflight: false }), { enabled: false, command: null });
+        assert.deepEqual(preflightConfig({ preflight: '  make typecheck  ' }), { enabled: true, command: 'make typecheck' });
+    });
+
+    it('rejects other values', () => {
+        assert.throws(() => preflightConfig({ preflight: '' }), /preflight must be false or a command string/);
+        assert.throws(() => preflightConfig({ preflight: ['certoraRun'] }), /preflight must be false or a command string/);
+        assert.throws(() => preflightConfig({ preflight: 'certoraRun "{conf}' }), /Unterminated "/);
+    });
+});
+
+// ── splitCommand / preflightArgv ──────────────────────────────────────
+
+describe('splitCommand', () => {
+    it('splits on whitespace and keeps quoted words together', () => {
+        assert.deepEqual(splitCommand(`certoraRun  {conf} --msg "pre flight" --solc_map 'A=solc8.20'`),
+            ['certoraRun', '{conf}', '--msg', 'pre flight', '--solc_map', 'A=solc8.20']);
+    });
+
+    it('handles escapes and empty quoted arguments', () => {
+        assert.deepEqual(splitCommand('a\\ b "c \\"d\\"" \'e\\f\' ""'), ['a b', 'c "d"', 'e\\f', '']);
+        assert.deepEqual(splitCommand('   '), []);
+    });
+});
+
+describe('preflightArgv', () => {
+    it('fills in the conf', () => {
+        assert.deepEqual(preflightArgv(DEFAULT_PREFLIGHT_COMMAND, 'certora/conf/my vault.conf'),
+            ['certoraRun', 'certora/conf/my vault.conf', '--compilation_steps_only']);
+        assert.deepEqual(preflightArgv('check --conf={conf}', 'a.conf'), ['check', '--conf=a.conf']);
+    });
+
+    it('runs certoraRun from the configured binary', () => {
+        assert.deepEqual(preflightArgv(DEFAULT_PREFLIGHT_COMMAND, 'a.conf', '/venv/bin/certoraRun'),
+            ['/venv/bin/certoraRun', 'a.conf', '--compilation_steps_only']);
+        assert.deepEqual(preflightArgv('make check', 'a.conf', '/venv/bin/certoraRun'), ['make', 'check']);
+    });
+
+    it('rejects an empty command', () => {
+        assert.throws(() => preflightArgv('  ', 'a.conf'), /preflight command is empty/);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for scripts/prompt_templates.mjs and renderTemplate
+ * Each test uses its own temporary project directory.
+ * Run: node --test test/test_prompt_templates.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { renderTemplate, VIOLATED_TEMPLATE, ANALYSIS_PROMPT_VERSION } from '../scripts/prompts.mjs';
+import {
+    parseTemplateFile, templatesDir, resolvePromptTemplate, listPromptTemplates,
+    analysisTemplateKind, DEFAULT_TEMPLATES_DIR
+} from '../scripts/prompt_templates.mjs';
+
+// ── renderTemplate ────────────────────────────────────────────────────
+
+describe('renderTemplate', () => {
+    it('fills placeholders including dotted paths', () => {
+        const { text, missing } = renderTemplate('{{ruleName}} took {{ jobMetadata.proverTime }}s', {
+            ruleName: 'transferSum', jobMetadata: { proverTime: 42 }
+        });
+        assert.equal(text, 'transferSum took 42s');
+        assert.deepEqual(missing, []);
+    });
+
+    it('renders missing values empty and reports them once', () => {
+        const { text, missing } = renderTemplate('[{{a}}][{{b.c}}][{{a}}]', { b: {} });
+        assert.equal(text, '[][][]');
+        assert.deepEqual(missing, ['a', 'b.c']);
+    });
+
+    it('renders objects as JSON and does not expand placeholders inside values', () => {
+        const { text } = renderTemplate('{{meta}} / {{content}}', { meta: { x: 1 }, content: '{{meta}}' });
+        assert.equal(text, '{\n  "x": 1\n} / {{meta}}');
+    });
+});
+
+// ── parseTemplateFile ─────────────────────────────────────────────────
+
+describe('parseTemplateFile', () => {
+    it('reads version and description from front matter', () => {
+        assert.deepEqual(parseTemplateFile('---\r\nversion: 3\r\ndescription: Strict\r\n---\r\nBody {{content}}'), {
+            version: '3', description: 'Strict', body: 'Body {{content}}'
+        });
+    });
+
+    it('defaults to version 1 without front matter', () => {
+        assert.deepEqual(parseTemplateFile('Just a body'), { version: '1', description: '', body: 'Just a body' });
+    });
+});
+
+// ── resolvePromptTemplate / listPromptTemplates ───────────────────────
+
+describe('resolvePromptTemplate', () => {
+    let project;
+    let dir;
+    beforeEach(() => {
+        project = mkdtempSync(join(tmpdir(), 'prompt-templates-'));
+        dir = join(project, DEFAULT_TEMPLATES_DIR);
+        mkdirSync(dir, { recursive: true });
+    });
+    afterEach(() => rmSync(project, { recursive: true, force: true }));
+
+    it('maps rule types to analysis kinds', () => {
+        assert.equal(analysisTemplateKind('VIOLATED'), 'violated');
+        assert.equal(analysisTemplateKind('SANITY_FAILED'), 'sanity-failed');
+        assert.equal(analysisTemplateKind('TIMEOUT'), null);
+    });
+
+    it('uses the built-in text without a project template', () => {
+        const template = resolvePromptTemplate('violated', { projectPath: project });
+        assert.equal(template.source, 'builtin');
+        assert.equal(template.body, VIOLATED_TEMPLATE);
+        assert.match(template.id, new RegExp(`^builtin:violated/builtin@${ANALYSIS_PROMPT_VERSION}:[0-9a-f]{12}$`));
+    });
+
+    it('prefers the project default and still allows forcing the built-in', () => {
+        writeFileSync(join(dir, 'violated.md'), '---\nversion: 2\n---\nHouse: {{content}}');
+        const template = resolvePromptTemplate('violated', { projectPath: project });
+        assert.equal(template.source, 'project');
+        assert.equal(template.name, 'default');
+        assert.equal(template.version, '2');
+        assert.equal(template.body, 'House: {{content}}');
+        assert.equal(resolvePromptTemplate('violated', { projectPath: project, name: 'builtin' }).source, 'builtin');
+    });
+
+    it('resolves named variants and rejects unknown names and kinds', () => {
+        writeFileSync(join(dir, 'sanity-failed.strict.md'), 'Strict {{content}}');
+        assert.equal(resolvePromptTemplate('sanity-failed', { projectPath: project, name: 'strict' }).body, 'Strict {{content}}');
+        assert.throws(() => resolvePromptTemplate('sanity-failed', { projectPath: project, name: 'loose' }), /Unknown prompt template: sanity-failed\/loose/);
+        assert.throws(() => resolvePromptTemplate('sanity-failed', { projectPath: project, name: '../x' }), /Invalid prompt template name/);
+        assert.throws(() => resolvePromptTemplate('summary'), /Unknown prompt template kind: summary/);
+    });
+
+    it('changes the id when the content changes at the same version', () => {
+        writeFileSync(join(dir, 'fix-base.md'), 'Fix A');
+        const first = resolvePromptTemplate('fix-base', { projectPath: project }).id;
+        writeFileSync(join(dir, 'fix-base.md'), 'Fix B');
+        assert.notEqual(resolvePromptTemplate('fix-base', { projectPath: project }).id, first);
+    });
+
+    it('honors promptTemplatesDir but keeps it inside the project', () => {
+        mkdirSync(join(project, 'prompts'));
+        writeFileSync(join(project, 'prompts', 'syntax-fix.md'), 'Fix {{errorTail}}');
+        const projectConfig = { promptTemplatesDir: 'prompts' };
+        assert.equal(templatesDir(project, projectConfig), join(project, 'prompts'));
+        assert.equal(resolvePromptTemplate('syntax-fix', { projectPath: project, projectConfig }).body, 'Fix {{errorTail}}');
+        assert.throws(() => templatesDir(project, { promptTemplatesDir: '../elsewhere' }), /must stay inside the project/);
+        assert.equal(templatesDir(''), null);
+    });
+
+    it('lists built-in and project templates with the active one marked', () => {
+        writeFileSync(join(dir, 'violated.md'), 'A');
+        writeFileSync(join(dir, 'violated.short.md'), '---\ndescription: Short\n---\nB');
+        writeFileSync(join(dir, 'notes.txt'), 'ignored');
+        const violated = listPromptTemplates({ projectPath: project }).filter(t => t.kind === 'violated');
+        assert.deepEqual(violated.map(t => [t.name, t.active]), [['builtin', false], ['default', true], ['short', false]]);
+        assert.equal(violated[2].description, 'Short');
+        assert.equal(violated[0].body, undefined);
+        const fixBase = listPromptTemplates({ projectPath: project }).filter(t => t.kind === 'fix-base');
+        assert.deepEqual(fixBase.map(t => [t.name, t.active]), [['builtin', true]]);
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for scripts/prompts.mjs
+ * Run: node --test test/test_prompts.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    renderTemplate, buildFixItemPrompt, errorTail, DIAGNOSED_ERROR_TAIL_CHARS, FIX_BASE_PROMPT, VIOLATED_TEMPLATE, SANITY_FAILED_TEMPLATE
+} from '../scripts/prompts.mjs';
+
+// ── analysis templates ────────────────────────────────────────────────
+
+describe('analysis templates', () => {
+    it('render the violation prompt with CERTORA_OUTPUT last', () => {
+        const { text, missing } = renderTemplate(VIOLATED_TEMPLATE, { content: '# report' });
+        assert.ok(text.startsWith('Analyze the following Certora rule violation'));
+        assert.ok(text.endsWith('CERTORA_OUTPUT:\n# report\n'));
+        assert.deepEqual(missing, ['specContext']);
+    });
+
+    it('render the sanity prompt', () => {
+        const { text } = renderTemplate(SANITY_FAILED_TEMPLATE, { content: '# report', specContext: '' });
+        assert.ok(text.startsWith('Analyze the following Certora SANITY_FAILED rule'));
+        assert.ok(text.endsWith('CERTORA_OUTPUT:\n# report'));
+    });
+
+    it('put the spec context right before CERTORA_OUTPUT', () => {
+        const { text } = renderTemplate(VIOLATED_TEMPLATE, { content: '# report', specContext: 'SPEC_CONTEXT:\nrule r() {}\n\n' });
+        assert.ok(text.endsWith('information.\n\nSPEC_CONTEXT:\nrule r() {}\n\nCERTORA_OUTPUT:\n# report\n'));
+    });
+});
+
+// ── buildFixItemPrompt ────────────────────────────────────────────────
+
+describe('buildFixItemPrompt', () => {
+    it('appends the analysis and CERTORA_OUTPUT in code blocks', () => {
+        const prompt = buildFixItemPrompt(FIX_BASE_PROMPT, 'add requireInvariant', '# report');
+        assert.ok(prompt.startsWith(FIX_BASE_PROMPT));
+        assert.ok(prompt.includes('\n\n\nAnalysis Results:\n```\nadd requireInvariant\n```'));
+        assert.ok(prompt.endsWith('```\nCERTORA_OUTPUT:\n# report\n```'));
+    });
+
+    it('omits the CERTORA_OUTPUT section without content', () => {
+        assert.equal(buildFixItemPrompt('base', 'a', null), 'base\n\n\nAnalysis Results:\n```\na\n```');
+    });
+});
+
+// ── errorTail ─────────────────────────────────────────────────────────
+
+describe('errorTail', () => {
+    it('keeps only the last 9000 characters of the log by default', () => {
+        assert.equal(errorTail('x'.repeat(10000) + 'END'), 'x'.repeat(8997) + 'END');
+        assert.equal(errorTail(null), '');
+    });
+
+    it('keeps less when diagnostics were parsed', () => {
+        assert.equal(errorTail('y'.repeat(5000) + 'END', DIAGNOSED_ERROR_TAIL_CHARS), `${'y'.repeat(1497)}END`);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for scripts/protected_paths.mjs and scripts/project_config.mjs
+ * Each test works in its own temporary project directory.
+ * Run: node --test test/test_protected_paths.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, readFileSync, writeFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+    DEFAULT_PROTECTED_PATHS, DEFAULT_ALLOWED_PATHS, protectionConfig,
+    snapshotProtectedFiles, findProtectedChanges, restoreProtectedFiles
+} from '../scripts/protected_paths.mjs';
+import { loadProjectConfig, PROJECT_CONFIG_FILE } from '../scripts/project_config.mjs';
+
+function write(root, rel, content) {
+    mkdirSync(join(root, rel, '..'), { recursive: true });
+    writeFileSync(join(root, rel), content);
+}
+
+// ── loadProjectConfig ─────────────────────────────────────────────────
+
+describe('loadProjectConfig', () => {
+    let dir;
+    beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'project-config-')); });
+    afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('returns {} without a project path or config file', () => {
+        assert.deepEqual(loadProjectConfig(''), {});
+        assert.deepEqual(loadProjectConfig(dir), {});
+    });
+
+    it('parses the config file', () => {
+        write(dir, PROJECT_CONFIG_FILE, '{ "protectedPaths": ["src"] }');
+        assert.deepEqual(loadProjectConfig(dir), { protectedPaths: ['src'] });
+    });
+
+    it('rejects invalid JSON and non-objects', () => {
+        write(dir, PROJECT_CONFIG_FILE, '{ protectedPaths: }');
+        assert.throws(() => loadProjectConfig(dir), /Invalid \.certora-scraper\.json/);
+        write(dir, PROJECT_CONFIG_FILE, '["src"]');
+        assert.throws(() => loadProjectConfig(dir), /expected a JSON object/);
+    });
+});
+
+// ── protectionConfig ──────────────────────────────────────────────────
+
+describe('protectionConfig', () => {
+    it('defaults to src/contract/contracts with the certora allow-list', () => {
+        assert.deepEqual(protectionConfig({}), {
+            protectedPaths: DEFAULT_PROTECTED_PATHS,
+            allowedPaths: DEFAULT_ALLOWED_PATHS
+        });
+    });
+
+    it('normalizes configured paths', () => {
+        const config = protectionConfig({ protectedPaths: ['./src/', 'lib\\core'], allowedPaths: [] });
+        assert.deepEqual(config, { protectedPaths: ['src', 'lib/core'], allowedPaths: [] });
+    });
+
+    it('rejects paths outside the project and non-string lists', () => {
+        assert.throws(() => protectionConfig({ protectedPaths: ['../other'] }), /inside the project/);
+        assert.throws(() => protectionConfig({ allowedPaths: ['/etc'] }), /inside the project/);
+        assert.throws(() => protectionConfig({ protectedPaths: 'src' }), /array/);
+    });
+});
+
+// ── snapshot / changes / restore ──────────────────────────────────────
+
+describe('protected file checks', () => {
+    let root;
+    beforeEach(() => {
+        root = mkdtempSync(join(tmpdir(), 'protected-paths-'));
+        write(root, 'src/Vault.sol', 'contract Vault {}\n');
+        write(root, 'contracts/harness/VaultHarness.sol', 'contract VaultHarness {}\n');
+        write(root, 'certora/specs/vault.spec', 'rule r {}\n');
+    });
+    afterEach(() => rmSync(root, { recursive: true, force: true }));
+
+    it('reports nothing when only unprotected files change', () => {
+        const snapshot = snapshotProtectedFiles(root);
+        write(root, 'certora/specs/vault.spec', 'rule r { assert true; }\n');
+        write(root, 'certora/harness/New.sol', 'contract New {}\n');
+        assert.deepEqual(findProtectedChanges(snapshot), []);
+    });
+
+    it('detects modified, added and deleted protected files', () => {
+        const snapshot = snapshotProtectedFiles(root);
+        write(root, 'src/Vault.sol', 'contract Vault { uint x; }\n');
+        write(root, 'src/Extra.sol', 'contract Extra {}\n');
+        rmSync(join(root, 'contracts/harness/VaultHarness.sol'));
+        assert.deepEqual(findProtectedChanges(snapshot), [
+            { path: 'contracts/harness/VaultHarness.sol', change: 'deleted' },
+            { path: 'src/Extra.sol', change: 'added' },
+            { path: 'src/Vault.sol', change: 'modified' }
+        ]);
+    });
+
+    it('restores every change', () => {
+        const snapshot = snapshotProtectedFiles(root);
+        write(root, 'src/Vault.sol', 'contract Vault { uint x; }\n');
+        write(root, 'src/Extra.sol', 'contract Extra {}\n');
+        rmSync(join(root, 'contracts/harness/VaultHarness.sol'));
+        const result = restoreProtectedFiles(snapshot, findProtectedChanges(snapshot));
+        assert.equal(result.restored.length, 3);
+        assert.deepEqual(result.failed, []);
+        assert.equal(readFileSync(join(root, 'src/Vault.sol'), 'utf-8'), 'contract Vault {}\n');
+        assert.equal(existsSync(join(root, 'src/Extra.sol')), false);
+        assert.equal(readFileSync(join(root, 'contracts/harness/VaultHarness.sol'), 'utf-8'), 'contract VaultHarness {}\n');
+        assert.deepEqual(findProtectedChanges(snapshot), []);
+    });
+
+    it('exempts allow-listed paths inside protected directories', () => {
+        const config = protectionConfig({ allowedPaths: ['contracts/harness'] });
+        const snapshot = snapshotProtectedFiles(root, config);
+        write(root, 'contracts/harness/VaultHarness.sol', 'contract VaultHarness { uint y; }\n');
+        assert.deepEqual(findProtectedChanges(snapshot), []);
+    });
+
+    it('is off with an empty protectedPaths list', () => {
+        const snapshot = snapshotProtectedFiles(root, protectionConfig({ protectedPaths: [] }));
+        write(root, 'src/Vault.sol', 'changed\n');
+        assert.deepEqual(findProtectedChanges(snapshot), []);
+    });
+});
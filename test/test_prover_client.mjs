@@ -0,0 +1,256 @@
+/**
+ * Unit tests for scripts/prover_client.mjs
+ * Network calls go through an injected fetch implementation; no browser is launched.
+ * Run: node --test test/test_prover_client.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import {
+    fetchProgressDirect, fetchProgress, fetchJobMetadata,
+    fetchJsonWithRetry, scrapeRun, waitForJobCompletion, watchRun
+} from '../scripts/prover_client.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtureText = (name) => readFileSync(join(__dirname, 'fixtures', name), 'utf-8');
+
+const runInfo = { origin: 'https://prover.certora.com', runId: '111', outputId: 'aaa', anonymousKey: 'key1' };
+
+// Minimal stand-in for a fetch Response
+const response = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    text: async () => body,
+    json: async () => JSON.parse(body)
+});
+
+// Build a fetch stub from a map of URL substring -> [status, body]
+const stubFetch = (routes, calls = []) => async (url) => {
+    calls.push(url);
+    for (const [needle, [status, body]] of Object.entries(routes)) {
+        if (url.includes(needle)) return response(status, body);
+    }
+    return response(404, 'not found');
+};
+
+// ── fetchProgressDirect ───────────────────────────────────────────────
+
+describe('fetchProgressDirect', () => {
+    it('returns the progress JSON from the /progress endpoint', async () => {
+        const calls = [];
+        const fetchImpl = stubFetch({ '/progress/111/aaa': [200, fixtureText('progress_sample.json')] }, calls);
+        const data = await fetchProgressDirect(runInfo, { fetchImpl });
+        assert.ok(data.verificationProgress);
+        assert.equal(calls.length, 1);
+        assert.ok(calls[0].includes('anonymousKey=key1'));
+    });
+
+    it('falls through to the result endpoint when /progress fails', async () => {
+        const calls = [];
+        const fetchImpl = stubFetch({
+            '/progress/': [500, 'boom'],
+            'output=progress.json': [200, fixtureText('progress_sample.json')]
+        }, calls);
+        const data = await fetchProgressDirect(runInfo, { fetchImpl });
+        assert.ok(data.verificationProgress);
+        assert.equal(calls.length, 2);
+    });
+
+    it('returns null and reports when no candidate yields progress data', async () => {
+        const messages = [];
+        const fetchImpl = stubFetch({ '/progress/': [200, '<html></html>'] });
+        const data = await fetchProgressDirect(runInfo, {
+            fetchImpl,
+            onProgress: (message, type) => messages.push({ message, type })
+        });
+        assert.equal(data, null);
+        assert.equal(messages.length, 1);
+        assert.equal(messages[0].type, 'warning');
+    });
+
+    it('treats a thrown fetch error as a failed candidate', async () => {
+        const fetchImpl = async () => { throw new Error('ECONNREFUSED'); };
+        assert.equal(await fetchProgressDirect(runInfo, { fetchImpl }), null);
+    });
+});
+
+// ── fetchProgress ─────────────────────────────────────────────────────
+
+describe('fetchProgress', () => {
+    const url = 'https://prover.certora.com/output/111/aaa?anonymousKey=key1';
+
+    it('reports the direct source when the API answers', async () => {
+        const fetchImpl = stubFetch({ '/progress/111/aaa': [200, fixtureText('progress_sample.json')] });
+        const result = await fetchProgress(url, { fetchImpl });
+        assert.equal(result.source, 'direct');
+        assert.equal(result.runInfo.runId, '111');
+        assert.ok(result.progressData);
+    });
+
+    it('returns no data without the browser fallback when direct fails', async () => {
+        const fetchImpl = stubFetch({});
+        const result = await fetchProgress(url, { fetchImpl, browserFallback: false });
+        assert.equal(result.source, null);
+        assert.equal(result.progressData, null);
+    });
+
+    it('rejects URLs that are not prover output URLs', async () => {
+        await assert.rejects(() => fetchProgress('https://prover.certora.com/jobs', { browserFallback: false }), /Not a prover output URL/);
+    });
+});
+
+// ── fetchJobMetadata ──────────────────────────────────────────────────
+
+describe('fetchJobMetadata', () => {
+    it('parses output.json into job metadata', async () => {
+        const fetchImpl = stubFetch({ 'output=output.json': [200, fixtureText('output_json_sample.json')] });
+        const meta = await fetchJobMetadata(runInfo, { fetchImpl });
+        assert.equal(meta.jobStatus, 'COMPLETED');
+        assert.equal(meta.ruleSanity, 'basic');
+    });
+
+    it('returns null on HTTP errors', async () => {
+        const fetchImpl = stubFetch({ 'output=output.json': [403, 'forbidden'] });
+        assert.equal(await fetchJobMetadata(runInfo, { fetchImpl }), null);
+    });
+});
+
+// ── waitForJobCompletion ──────────────────────────────────────────────
+
+describe('waitForJobCompletion', () => {
+    const url = 'https://prover.certora.com/output/111/aaa?anonymousKey=key1';
+    const quiet = () => { };
+    const running = JSON.stringify({ verificationProgress: { rules: [{ name: 'r', status: 'RUNNING', output: [] }] } });
+
+    it('polls until the job reports completion', async () => {
+        let polls = 0;
+        const fetchImpl = async (u) => {
+            if (u.includes('/progress/')) polls++;
+            if (u.includes('output=output.json')) {
+                return polls < 3 ? response(404, 'not yet') : response(200, fixtureText('output_json_sample.json'));
+            }
+            return response(200, polls < 3 ? running : fixtureText('progress_sample.json'));
+        };
+        const result = await waitForJobCompletion(url, { fetchImpl, pollIntervalMs: 1, onProgress: quiet });
+        assert.equal(result.finished, true);
+        assert.equal(polls, 3);
+        assert.equal(result.jobMetadata.jobStatus, 'COMPLETED');
+        assert.ok(result.progressData.verificationProgress);
+    });
+
+    it('gives up after the timeout', async () => {
+        const fetchImpl = stubFetch({ '/progress/': [200, running] });
+        const result = await waitForJobCompletion(url, { fetchImpl, pollIntervalMs: 50, timeoutMs: 10, onProgress: quiet });
+        assert.equal(result.finished, false);
+        assert.equal(result.reason, 'timeout');
+        assert.deepEqual(result.ruleStatuses.map(r => r.status), ['RUNNING']);
+    });
+
+    it('stops when shouldStop turns true', async () => {
+        let stop = false;
+        const fetchImpl = stubFetch({ '/progress/': [200, running] });
+        setTimeout(() => { stop = true; }, 20);
+        const result = await waitForJobCompletion(url, {
+            fetchImpl, pollIntervalMs: 60000, onProgress: quiet, shouldStop: () => stop
+        });
+        assert.equal(result.finished, false);
+        assert.equal(result.reason, 'aborted');
+    });
+
+    it('rejects URLs that are not prover output URLs', async () => {
+        await assert.rejects(() => waitForJobCompletion('https://example.com/'), /Not a prover output URL/);
+    });
+});
+
+// ── watchRun ──────────────────────────────────────────────────────────
+
+describe('watchRun', () => {
+    const url = 'https://prover.certora.com/output/111/aaa?anonymousKey=key1';
+    const progress = (rules) => JSON.stringify({ verificationProgress: { rules } });
+
+    it('emits per-rule changes between polls and finishes on a terminal job status', async () => {
+        const polls = [
+            progress([{ name: 'fast', status: 'RUNNING', output: [] }, { name: 'slow', status: 'RUNNING', output: [] }]),
+            progress([{ name: 'fast', status: 'VIOLATED', output: ['treeView/fast.json'] }, { name: 'slow', status: 'RUNNING', output: [] }]),
+            progress([{ name: 'fast', status: 'VIOLATED', output: ['treeView/fast.json'] }, { name: 'slow', status: 'VERIFIED', output: [] }])
+        ];
+        let poll = -1;
+        const fetchImpl = async (u) => {
+            if (u.includes('/progress/')) {
+                poll++;
+                return response(200, polls[poll]);
+            }
+            return poll < 2 ? response(404, 'running') : response(200, '{"jobStatus":"COMPLETED"}');
+        };
+        const batches = [];
+        const result = await watchRun(url, {
+            fetchImpl, pollIntervalMs: 1, onProgress: () => { },
+            onChange: (changes) => batches.push(changes.map(c => `${c.ruleName}:${c.from}->${c.to}`))
+        });
+        assert.deepEqual(batches, [
+            ['fast:null->RUNNING', 'slow:null->RUNNING'],
+            ['fast:RUNNING->VIOLATED'],
+            ['slow:RUNNING->VERIFIED']
+        ]);
+        assert.equal(result.finished, true);
+        assert.equal(result.ruleStatuses.length, 2);
+    });
+});
+
+// ── fetchJsonWithRetry ────────────────────────────────────────────────
+
+describe('fetchJsonWithRetry', () => {
+    const rule = { ruleName: 'r', status: 'VIOLATED', outputFile: 'treeView/out.json', url: 'https://prover.certora.com/result/111/aaa?output=treeView/out.json' };
+    const quiet = () => { };
+
+    it('retries until the file is served', async () => {
+        let calls = 0;
+        const fetchImpl = async () => (++calls < 3 ? response(502, 'bad gateway') : response(200, '{"callTrace":{}}'));
+        const result = await fetchJsonWithRetry(rule, { fetchImpl, delayMs: 0, onProgress: quiet });
+        assert.equal(calls, 3);
+        assert.deepEqual(result.content, { callTrace: {} });
+    });
+
+    it('gives up after maxRetries with an error', async () => {
+        let calls = 0;
+        const fetchImpl = async () => { calls++; return response(500, 'boom'); };
+        const result = await fetchJsonWithRetry(rule, { fetchImpl, delayMs: 0, maxRetries: 2, onProgress: quiet });
+        assert.equal(calls, 2);
+        assert.equal(result.content, null);
+        assert.equal(result.error, 'Failed after 2 attempts');
+    });
+});
+
+// ── scrapeRun ─────────────────────────────────────────────────────────
+
+describe('scrapeRun', () => {
+    it('collects the default rule set and fetches each output file', async () => {
+        const fetchImpl = stubFetch({
+            '/progress/111/aaa': [200, fixtureText('progress_sample.json')],
+            'output=output.json': [200, fixtureText('output_json_sample.json')],
+            'output=treeView': [200, fixtureText('rule_output_sample.json')]
+        });
+        const result = await scrapeRun('https://prover.certora.com/output/111/aaa?anonymousKey=key1', {
+            fetchImpl, retryDelayMs: 0, onProgress: () => { }
+        });
+        assert.equal(result.totalRules, 3);
+        assert.deepEqual(result.rules.map(r => r.outputFile), [
+            'treeView/rule_output_1.json', 'treeView/rule_output_2.json', 'treeView/rule_output_4.json'
+        ]);
+        assert.ok(result.rules.every(r => r.content && r.content.callTrace));
+        assert.equal(result.jobMetadata.contractName, 'VaultHarness');
+        assert.equal(result.ruleStatuses.length, 6);
+        assert.ok(result.ruleStatuses.some(r => r.ruleName === 'verified_rule' && r.status === 'VERIFIED'));
+    });
+
+    it('returns null when no progress data is available', async () => {
+        const result = await scrapeRun('https://prover.certora.com/output/111/aaa', {
+            fetchImpl: stubFetch({}), browserFallback: false, onProgress: () => { }
+        });
+        assert.equal(result, null);
+    });
+});
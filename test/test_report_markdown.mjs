@@ -0,0 +1,149 @@
+/**
+ * Unit tests for scripts/report_markdown.mjs
+ * Rendered against test/fixtures/rule_output_sample.json.
+ * Run: node --test test/test_report_markdown.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import {
+    renderRuleMarkdown,
+    convertToMarkdown,
+    convertTraceToMarkdown,
+    calculateGlobalStateDiff,
+    renderVariablesFromArray,
+    aggregateSanityFailures
+} from '../scripts/report_markdown.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => JSON.parse(readFileSync(join(__dirname, 'fixtures', name), 'utf-8'));
+
+const sampleRule = () => ({
+    ruleName: 'validation_pendingDepositRequest_canIncrease ↳ fulfillDeposit',
+    status: 'VIOLATED',
+    outputFile: 'treeView/rule_output_1.json',
+    content: fixture('rule_output_sample.json')
+});
+
+// ── convertToMarkdown ─────────────────────────────────────────────────
+
+describe('convertToMarkdown', () => {
+    it('renders the header with simplified rule name, status and P0 fields', () => {
+        const md = convertToMarkdown(sampleRule());
+        assert.ok(md.startsWith('# Certora Trace Analysis\n\n**Rule:** validation_pendingDepositRequest_canIncrease\n**Status:** VIOLATED\n'));
+        assert.ok(md.includes('**TreeView Path:** validation_pendingDepositRequest_canIncrease-sanity-fulfillDeposit'));
+        assert.ok(md.includes('**Assert Message:** Assert violated: pendingDepositRequest must increase'));
+        assert.ok(md.includes('  - condition: pendingAfter > pendingBefore'));
+    });
+
+    it('renders sections in order: call trace, variables, diff, snapshots, warnings', () => {
+        const md = convertToMarkdown(sampleRule());
+        const order = [
+            '## 🌳 Call Trace',
+            '## 📊 Variables',
+            '## 🔄 Global State Diff (First vs Last)',
+            '## 📸 All Global State Snapshots (2 states)',
+            '## 🚨 Call Resolution Warnings'
+        ].map(h => md.indexOf(h));
+        assert.ok(order.every(i => i >= 0), 'all sections present');
+        assert.deepEqual([...order].sort((a, b) => a - b), order);
+    });
+
+    it('renders call resolution warning fields', () => {
+        const md = convertToMarkdown(sampleRule());
+        assert.ok(md.includes('**Caller**: fulfillDeposit (contract: VaultHarness)'));
+        assert.ok(md.includes('**Resolution**: HAVOC_ALL'));
+        assert.ok(md.includes('**Location**: src/ERC4626.sol:142'));
+        assert.ok(md.includes('- **note**: This may lead to overapproximation'));
+    });
+
+    it('says so when there are no variables', () => {
+        const md = convertToMarkdown({ ruleName: 'r', status: 'VIOLATED', content: { callTrace: null } });
+        assert.ok(md.includes('No variable data'));
+    });
+});
+
+// ── renderRuleMarkdown ────────────────────────────────────────────────
+
+describe('renderRuleMarkdown', () => {
+    it('matches convertToMarkdown for rules with content', () => {
+        assert.equal(renderRuleMarkdown(sampleRule()), convertToMarkdown(sampleRule()));
+    });
+
+    it('returns an empty string for rules without content', () => {
+        assert.equal(renderRuleMarkdown({ ruleName: 'r', status: 'VIOLATED', content: null }), '');
+        assert.equal(renderRuleMarkdown(null), '');
+    });
+});
+
+// ── convertTraceToMarkdown ────────────────────────────────────────────
+
+describe('convertTraceToMarkdown', () => {
+    it('substitutes arguments, numbers Global State nodes and annotates calls', () => {
+        const md = convertTraceToMarkdown(sampleRule().content.callTrace, 0);
+        const lines = md.trimEnd().split('\n');
+        assert.equal(lines[0], '- Rule: validation_pendingDepositRequest_canIncrease **[VIOLATED]**');
+        assert.equal(lines[1], '  - Global State #1');
+        assert.ok(lines[2].endsWith('(1000000)'));
+        assert.ok(md.includes('  - fulfillDeposit(address,uint256) → return: `true`'));
+        assert.ok(md.includes('    - vault._mint(to, shares): 50 → return: `50`'));
+        assert.ok(md.includes('  - Global State #2'));
+    });
+
+    it('marks reverted and view calls', () => {
+        const node = { message: { text: 'f()' }, reverted: true, isView: true };
+        assert.equal(convertTraceToMarkdown(node, 1), '  - f() **[REVERTED]** *(view)*\n');
+    });
+});
+
+// ── calculateGlobalStateDiff ──────────────────────────────────────────
+
+describe('calculateGlobalStateDiff', () => {
+    it('diffs first vs last Global State and keeps every snapshot', () => {
+        const { diff, allStates } = calculateGlobalStateDiff(sampleRule().content.callTrace);
+        assert.equal(allStates.length, 2);
+        assert.equal(diff['vault.balanceOf(user)'].changed, true);
+        assert.ok(diff['vault.balanceOf(user)'].from.endsWith('(100)'));
+        assert.ok(diff['vault.balanceOf(user)'].to.endsWith('(150)'));
+    });
+
+    it('returns empty results when there is no trace', () => {
+        assert.deepEqual(calculateGlobalStateDiff(undefined), { diff: {}, allStates: [] });
+    });
+});
+
+// ── renderVariablesFromArray ──────────────────────────────────────────
+
+describe('renderVariablesFromArray', () => {
+    it('flattens nested variables with type, havoc and raw annotations', () => {
+        const md = renderVariablesFromArray(sampleRule().content.variables);
+        assert.ok(md.includes('**e.msg.sender**: `0x1234567890abcdef1234567890abcdef12345678` *(address)*'));
+        assert.ok(md.includes('**e.msg.value**: `0` *(uint256)* **[HAVOC]** (raw: 0x0)'));
+        assert.ok(md.includes('**depositAmount**: `1000000000000000000` *(uint256)* [1000000000000000000, 0xde0b6b3a7640000]'));
+    });
+
+    it('skips entries without a variableName', () => {
+        assert.equal(renderVariablesFromArray([null, { value: 1 }, 'x']), '');
+    });
+});
+
+// ── aggregateSanityFailures ───────────────────────────────────────────
+
+describe('aggregateSanityFailures', () => {
+    it('groups failing functions under their base rule', () => {
+        const summary = aggregateSanityFailures([
+            { ruleName: 'sanity_check > deposit' },
+            { ruleName: 'sanity_check > withdraw' },
+            { ruleName: 'sanity_check > deposit' },
+            { ruleName: 'other_rule' }
+        ]);
+        assert.equal(summary, [
+            'Rule sanity_check sanity failed in the following functions:\n- deposit\n- withdraw',
+            'Rule other_rule sanity failed in the following functions:\n- other_rule'
+        ].join('\n\n'));
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for scripts/retry_policy.mjs
+ * Run: node --test test/test_retry_policy.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    retryPolicyConfig, errorSignature, createRetryTracker, describeAttempts, DEFAULT_RETRY_POLICY
+} from '../scripts/retry_policy.mjs';
+
+const typeError = (line, message = 'could not type expression x') => ({
+    category: 'cvl-type', file: 'vault.spec', line, column: 5, message
+});
+
+// ── retryPolicyConfig ─────────────────────────────────────────────────
+
+describe('retryPolicyConfig', () => {
+    it('layers the sources over the defaults', () => {
+        assert.deepEqual(retryPolicyConfig(), DEFAULT_RETRY_POLICY);
+        assert.deepEqual(retryPolicyConfig({ maxAttempts: 8, rollback: false }, null, { maxAttempts: 3 }),
+            { maxAttempts: 3, maxRepeats: 2, rollback: false });
+    });
+
+    it('rejects unknown keys and out-of-range values', () => {
+        assert.throws(() => retryPolicyConfig({ maxAttempts: 0 }), /retryPolicy.maxAttempts must be an integer from 1 to 50/);
+        assert.throws(() => retryPolicyConfig({ maxRepeats: '2' }), /retryPolicy.maxRepeats must be an integer/);
+        assert.throws(() => retryPolicyConfig({ rollback: 'yes' }), /retryPolicy.rollback must be true or false/);
+        assert.throws(() => retryPolicyConfig({ retries: 3 }), /Unknown retryPolicy option: retries/);
+        assert.throws(() => retryPolicyConfig([3]), /retryPolicy must be an object/);
+    });
+});
+
+// ── errorSignature ────────────────────────────────────────────────────
+
+describe('errorSignature', () => {
+    it('ignores order, duplicates and moved lines', () => {
+        const other = typeError(9, 'unknown variable y');
+        assert.equal(errorSignature('cvl-type', [typeError(4), other]), errorSignature('cvl-type', [other, typeError(7), typeError(7)]));
+    });
+
+    it('tells different messages and categories apart', () => {
+        assert.notEqual(errorSignature('cvl-type', [typeError(4)]), errorSignature('cvl-type', [typeError(4, 'wrong argument count')]));
+        assert.notEqual(errorSignature('cvl-type', []), errorSignature('solc', []));
+    });
+});
+
+// ── createRetryTracker ────────────────────────────────────────────────
+
+describe('createRetryTracker', () => {
+    it('escalates when the same errors survive maxRepeats fixes', () => {
+        const tracker = createRetryTracker(retryPolicyConfig({ maxRepeats: 2 }));
+        for (const attempt of [1, 2]) {
+            assert.equal(tracker.failed({ attempt, stage: 'preflight', category: 'cvl-type', diagnostics: [typeError(4 + attempt)] }), null);
+            tracker.fixed(true);
+        }
+        const verdict = tracker.failed({ attempt: 3, stage: 'preflight', category: 'cvl-type', diagnostics: [typeError(4)] });
+        assert.deepEqual(verdict, { reason: 'repeated', message: 'The same CVL type error came back after 2 fixes in a row' });
+        assert.deepEqual(tracker.failures.map(f => f.repeats), [1, 2, 3]);
+    });
+
+    it('escalates after maxAttempts fixes of changing errors', () => {
+        const tracker = createRetryTracker(retryPolicyConfig({ maxAttempts: 2 }));
+        assert.equal(tracker.failed({ attempt: 1, stage: 'submit', category: 'cvl-type', diagnostics: [typeError(4, 'a')] }), null);
+        tracker.fixed(false);
+        assert.equal(tracker.failed({ attempt: 2, stage: 'submit', category: 'cvl-type', diagnostics: [typeError(4, 'b')] }), null);
+        tracker.fixed(true);
+        const verdict = tracker.failed({ attempt: 3, stage: 'submit', category: 'solc', diagnostics: [] });
+        assert.equal(verdict.reason, 'budget');
+        assert.equal(verdict.message, '2 fix attempts did not get certoraRun past its errors');
+        assert.equal(tracker.fixes, 2);
+    });
+
+    it('describes each attempt', () => {
+        const tracker = createRetryTracker();
+        tracker.failed({ attempt: 1, stage: 'preflight', category: 'cvl-type', diagnostics: [typeError(4), typeError(9, 'other')] });
+        tracker.fixed(false);
+        tracker.failed({ attempt: 2, stage: 'submit', category: 'solc', diagnostics: [] });
+        assert.equal(describeAttempts(tracker.failures), [
+            'Attempt 1 (pre-flight): CVL type error - vault.spec:4: could not type expression x (+1 more); fix failed',
+            'Attempt 2 (certoraRun): solc compile error; no fix attempted'
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for scripts/run_diff.mjs
+ * Run: node --test test/test_run_diff.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { flattenRuleStatuses, ruleStatusChanges, diffRuleStatuses } from '../scripts/run_diff.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => JSON.parse(readFileSync(join(__dirname, 'fixtures', name), 'utf-8'));
+
+const statuses = (obj) => Object.entries(obj).map(([ruleName, status]) => ({ ruleName, status }));
+
+// ── flattenRuleStatuses ───────────────────────────────────────────────
+
+describe('flattenRuleStatuses', () => {
+    it('lists every node with a status by its full path', () => {
+        const flat = flattenRuleStatuses(fixture('progress_sample.json'));
+        assert.deepEqual(flat.map(r => [r.ruleName, r.status]), [
+            ['validation_pendingDepositRequest_canIncrease', 'VIOLATED'],
+            ['validation_authEnforcement', 'VIOLATED'],
+            ['validation_authEnforcement > cancelDeposit', 'VIOLATED'],
+            ['validation_authEnforcement > fulfillDeposit', 'VERIFIED'],
+            ['sanity_check', 'SANITY_FAILED'],
+            ['verified_rule', 'VERIFIED']
+        ]);
+        assert.equal(flat[0].outputFile, 'treeView/rule_output_1.json');
+        assert.equal(flat[1].outputFile, null);
+    });
+
+    it('returns an empty list without progress data', () => {
+        assert.deepEqual(flattenRuleStatuses(null), []);
+    });
+});
+
+// ── ruleStatusChanges ─────────────────────────────────────────────────
+
+describe('ruleStatusChanges', () => {
+    it('reports new rules and status flips, not unchanged rules', () => {
+        const before = statuses({ a: 'RUNNING', b: 'VERIFIED' });
+        const after = [...statuses({ a: 'VIOLATED', b: 'VERIFIED' }), { ruleName: 'c', status: 'running', outputFile: 'treeView/c.json' }];
+        assert.deepEqual(ruleStatusChanges(before, after), [
+            { ruleName: 'a', from: 'RUNNING', to: 'VIOLATED', outputFile: null },
+            { ruleName: 'c', from: null, to: 'RUNNING', outputFile: 'treeView/c.json' }
+        ]);
+    });
+
+    it('treats everything as new on the first poll', () => {
+        assert.equal(ruleStatusChanges([], statuses({ a: 'RUNNING', b: 'VERIFIED' })).length, 2);
+    });
+});
+
+// ── diffRuleStatuses ──────────────────────────────────────────────────
+
+describe('diffRuleStatuses', () => {
+    const base = statuses({ a: 'VERIFIED', b: 'VIOLATED', c: 'VERIFIED', d: 'TIMEOUT', e: 'VIOLATED', gone: 'VIOLATED' });
+    const head = statuses({ a: 'VIOLATED', b: 'VERIFIED', c: 'VERIFIED', d: 'VERIFIED', e: 'SANITY_FAILED', fresh: 'SANITY_FAILED' });
+
+    it('classifies regressions, fixes and other changes', () => {
+        const diff = diffRuleStatuses(base, head);
+        assert.deepEqual(diff.regressed, [{ ruleName: 'a', from: 'VERIFIED', to: 'VIOLATED' }]);
+        assert.deepEqual(diff.fixed, [{ ruleName: 'b', from: 'VIOLATED', to: 'VERIFIED' }]);
+        assert.deepEqual(diff.changed.map(c => c.ruleName), ['d', 'e']);
+        assert.equal(diff.unchanged, 1);
+    });
+
+    it('reports new sanity failures, including added rules', () => {
+        const diff = diffRuleStatuses(base, head);
+        assert.deepEqual(diff.newSanityFailed, [
+            { ruleName: 'e', from: 'VIOLATED', to: 'SANITY_FAILED' },
+            { ruleName: 'fresh', from: null, to: 'SANITY_FAILED' }
+        ]);
+    });
+
+    it('reports added and removed rules', () => {
+        const diff = diffRuleStatuses(base, head);
+        assert.deepEqual(diff.added, [{ ruleName: 'fresh', status: 'SANITY_FAILED' }]);
+        assert.deepEqual(diff.removed, [{ ruleName: 'gone', status: 'VIOLATED' }]);
+    });
+
+    it('summarizes counts', () => {
+        assert.deepEqual(diffRuleStatuses(base, head).summary, {
+            base: 6, head: 6, regressed: 1, fixed: 1, newSanityFailed: 2,
+            changed: 2, added: 1, removed: 1, unchanged: 1
+        });
+    });
+
+    it('compares statuses case-insensitively', () => {
+        const diff = diffRuleStatuses(statuses({ a: 'verified' }), statuses({ a: 'VERIFIED' }));
+        assert.equal(diff.unchanged, 1);
+    });
+});
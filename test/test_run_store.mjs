@@ -0,0 +1,124 @@
+/**
+ * Unit tests for scripts/run_store.mjs
+ * Each test works in its own temporary store directory.
+ * Run: node --test test/test_run_store.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync, readdirSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { createRunStore, defaultRunStoreDir, runStoreId, ruleKey } from '../scripts/run_store.mjs';
+
+const scrapeResult = (overrides = {}) => ({
+    url: 'https://prover.certora.com/output/111/aaa?anonymousKey=key1',
+    runInfo: { origin: 'https://prover.certora.com', runId: '111', outputId: 'aaa', anonymousKey: 'key1' },
+    timestamp: '2025-01-01T00:00:00.000Z',
+    jobMetadata: { contractName: 'VaultHarness', jobStatus: 'COMPLETED' },
+    rules: [
+        { ruleName: 'r1', status: 'VIOLATED', outputFile: 'treeView/rule_output_1.json', content: { callTrace: {} }, markdown: '# r1' },
+        { ruleName: 'r2 > f', status: 'SANITY_FAILED', outputFile: null, content: 'inline', markdown: '# r2' }
+    ],
+    ...overrides
+});
+
+// ── helpers ───────────────────────────────────────────────────────────
+
+describe('run store helpers', () => {
+    it('derives ids from runId and outputId', () => {
+        assert.equal(runStoreId({ runId: '111', outputId: 'a/b' }), '111_a_b');
+        assert.match(runStoreId({}), /^run_\d+$/);
+    });
+
+    it('keys rules by output file, falling back to the rule path', () => {
+        assert.equal(ruleKey({ outputFile: 'treeView/x.json', ruleName: 'r' }), 'treeView/x.json');
+        assert.equal(ruleKey({ outputFile: null, ruleName: 'r > f' }), 'r > f');
+    });
+
+    it('honours CERTORA_SCRAPER_DATA_DIR', () => {
+        assert.equal(defaultRunStoreDir({ CERTORA_SCRAPER_DATA_DIR: '/data' }, '/cwd'), '/data/runs');
+        assert.equal(defaultRunStoreDir({}, '/cwd'), '/cwd/.certora-scraper/runs');
+    });
+});
+
+// ── createRunStore ────────────────────────────────────────────────────
+
+describe('createRunStore', () => {
+    let dir;
+    let store;
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'run-store-'));
+        store = createRunStore(join(dir, 'runs'));
+    });
+    afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('lists nothing before the first save', () => {
+        assert.deepEqual(store.list(), []);
+        assert.equal(existsSync(store.dir), false);
+    });
+
+    it('saves a scrape and lists its summary', () => {
+        const summary = store.save(scrapeResult());
+        assert.equal(summary.id, '111_aaa');
+        assert.equal(summary.contractName, 'VaultHarness');
+        assert.equal(summary.totalRules, 2);
+        assert.deepEqual(summary.statusCounts, { VIOLATED: 1, SANITY_FAILED: 1 });
+        assert.deepEqual(store.list(), [summary]);
+    });
+
+    it('returns the full run with content and Markdown', () => {
+        store.save(scrapeResult());
+        const run = store.get('111_aaa');
+        assert.equal(run.url, scrapeResult().url);
+        assert.deepEqual(run.rules[0].content, { callTrace: {} });
+        assert.equal(run.rules[1].markdown, '# r2');
+        assert.equal(run.rules[0].analysis, null);
+    });
+
+    it('keeps every rule status for run diffs', () => {
+        const ruleStatuses = [{ ruleName: 'r1', status: 'VIOLATED' }, { ruleName: 'ok', status: 'VERIFIED' }];
+        store.save(scrapeResult({ ruleStatuses }));
+        assert.deepEqual(store.get('111_aaa').ruleStatuses, ruleStatuses);
+    });
+
+    it('attaches saved analyses to their rules and counts them', () => {
+        store.save(scrapeResult());
+        const summary = store.saveAnalysis('111_aaa', 'r2 > f', 'missing requireInvariant', { provider: 'mock' });
+        assert.equal(summary.analysisCount, 1);
+        const run = store.get('111_aaa');
+        assert.equal(run.rules[1].analysis, 'missing requireInvariant');
+        assert.equal(run.analyses['r2 > f'].provider, 'mock');
+    });
+
+    it('keeps analyses when the same run is scraped again', () => {
+        store.save(scrapeResult());
+        store.saveAnalysis('111_aaa', 'treeView/rule_output_1.json', 'analysis');
+        store.save(scrapeResult({ timestamp: '2025-01-02T00:00:00.000Z' }));
+        assert.equal(store.list().length, 1);
+        assert.equal(store.get('111_aaa').rules[0].analysis, 'analysis');
+    });
+
+    it('lists newest runs first', async () => {
+        store.save(scrapeResult());
+        await new Promise(r => setTimeout(r, 5));
+        store.save(scrapeResult({ runInfo: { runId: '222', outputId: 'bbb' } }));
+        assert.deepEqual(store.list().map(r => r.id), ['222_bbb', '111_aaa']);
+    });
+
+    it('removes runs and their files', () => {
+        store.save(scrapeResult());
+        assert.equal(store.remove('111_aaa'), true);
+        assert.equal(store.remove('111_aaa'), false);
+        assert.deepEqual(store.list(), []);
+        assert.deepEqual(readdirSync(store.dir), ['index.json']);
+    });
+
+    it('rejects ids that could escape the store directory', () => {
+        store.save(scrapeResult());
+        assert.equal(store.get('../runs/111_aaa'), null);
+        assert.equal(store.remove('..'), false);
+        assert.equal(store.saveAnalysis('../x', 'k', 'v'), null);
+    });
+});
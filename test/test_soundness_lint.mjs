@@ -0,0 +1,158 @@
+/**
+ * Unit tests for scripts/soundness_lint.mjs
+ * Run: node --test test/test_soundness_lint.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+    lintSpecChange, lintConfChange, lintSpecChanges, snapshotSpecSources, restoreSpecSources
+} from '../scripts/soundness_lint.mjs';
+
+const SPEC = `methods {
+    function balanceOf(address) external returns (uint256) envfree;
+    function _.transferFrom(address, address, uint256) external => DISPATCHER(true);
+}
+
+ghost mathint sumBalances;
+
+invariant totalIsSum()
+    to_mathint(totalSupply()) == sumBalances;
+
+rule transferKeepsTotal(address to, uint256 amount) {
+    env e;
+    requireInvariant totalIsSum();
+    transfer(e, to, amount);
+    assert totalSupply() == totalSupply();
+}
+`;
+
+const findingsFor = (after) => lintSpecChange('certora/specs/t.spec', SPEC, after);
+
+// ── lintSpecChange ────────────────────────────────────────────────────
+
+describe('lintSpecChange', () => {
+    it('reports nothing for an unchanged spec', () => {
+        assert.deepEqual(findingsFor(SPEC), []);
+    });
+
+    it('grades new require statements', () => {
+        const plain = findingsFor(SPEC.replace('env e;', 'env e;\n    require to != 0;'));
+        assert.equal(plain.length, 1);
+        assert.equal(plain[0].severity, 'medium');
+        assert.equal(plain[0].category, 'require');
+        assert.equal(plain[0].declaration, 'rule transferKeepsTotal');
+        assert.equal(plain[0].line, 13);
+        assert.equal(plain[0].snippet, 'require to != 0');
+
+        const vacuous = findingsFor(SPEC.replace('env e;', 'env e;\n    require false;'));
+        assert.equal(vacuous[0].severity, 'high');
+        const quantified = findingsFor(SPEC.replace('env e;', 'env e;\n    require forall address a. balanceOf(a) == 0;'));
+        assert.equal(quantified[0].severity, 'high');
+        const invariant = findingsFor(SPEC.replace('env e;', 'env e;\n    requireInvariant totalIsSum();'));
+        assert.equal(invariant[0].severity, 'info');
+    });
+
+    it('treats a require in a hook as high', () => {
+        const findings = findingsFor(`${SPEC}\nhook Sstore balances[KEY address a] uint256 v {\n    require v < 100;\n    sumBalances = sumBalances + v;\n}\n`);
+        assert.equal(findings.length, 1);
+        assert.equal(findings[0].severity, 'high');
+        assert.match(findings[0].declaration, /^hook /);
+    });
+
+    it('flags ghost axioms, filters and summaries', () => {
+        const axiom = findingsFor(SPEC.replace('ghost mathint sumBalances;', 'ghost mathint sumBalances {\n    axiom sumBalances >= 0;\n}'));
+        assert.deepEqual(axiom.map(f => [f.severity, f.category]), [['high', 'axiom']]);
+
+        const filtered = findingsFor(SPEC.replace('sumBalances;\n\nrule', 'sumBalances\n    filtered { f -> f.isView }\n\nrule'));
+        assert.deepEqual(filtered.map(f => [f.severity, f.category]), [['high', 'filtered']]);
+
+        const nondet = findingsFor(SPEC.replace('envfree;', 'envfree => NONDET;'));
+        assert.deepEqual(nondet.map(f => [f.severity, f.category]), [['high', 'summary']]);
+        assert.match(nondet[0].snippet, /NONDET/);
+    });
+
+    it('flags removed assertions and deleted rules', () => {
+        const weakened = findingsFor(SPEC.replace('    assert totalSupply() == totalSupply();\n', ''));
+        assert.deepEqual(weakened.map(f => [f.severity, f.category]), [['high', 'assert']]);
+
+        const deleted = findingsFor(SPEC.slice(0, SPEC.indexOf('rule transferKeepsTotal')));
+        assert.deepEqual(deleted.map(f => [f.severity, f.category, f.declaration]), [['high', 'removed', 'rule transferKeepsTotal']]);
+    });
+
+    it('reports a changed invariant expression', () => {
+        const findings = findingsFor(SPEC.replace('== sumBalances', '>= sumBalances'));
+        assert.deepEqual(findings.map(f => [f.severity, f.category]), [['medium', 'invariant']]);
+    });
+});
+
+// ── lintConfChange ────────────────────────────────────────────────────
+
+describe('lintConfChange', () => {
+    const CONF = '{\n    "files": ["src/Token.sol"],\n    "verify": "Token:certora/specs/t.spec",\n    "loop_iter": 3,\n    "rule_sanity": "basic"\n}\n';
+
+    it('flags optimistic flags, narrowed rules and lowered bounds', () => {
+        const after = CONF.replace('"loop_iter": 3', '"loop_iter": 1,\n    "optimistic_loop": true,\n    "rule": ["transferKeepsTotal"]');
+        const findings = lintConfChange('certora/confs/t.conf', CONF, after);
+        assert.deepEqual(findings.map(f => [f.severity, f.declaration]), [
+            ['medium', 'optimistic_loop'], ['medium', 'rule'], ['low', 'loop_iter']
+        ]);
+        assert.equal(findings[0].line, 5);
+    });
+
+    it('flags rule_sanity turned off and broken JSON', () => {
+        const off = lintConfChange('t.conf', CONF, CONF.replace('"basic"', '"none"'));
+        assert.deepEqual(off.map(f => f.declaration), ['rule_sanity']);
+        assert.equal(lintConfChange('t.conf', CONF, '{ "files": ')[0].message, 'conf is no longer valid JSON5');
+    });
+
+    it('accepts comments and trailing commas', () => {
+        assert.deepEqual(lintConfChange('t.conf', CONF, CONF.replace('"basic"', '"basic", // keep\n')), []);
+    });
+});
+
+// ── snapshots ─────────────────────────────────────────────────────────
+
+describe('lintSpecChanges', () => {
+    let dir;
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'soundness-lint-'));
+        mkdirSync(join(dir, 'certora', 'specs'), { recursive: true });
+        mkdirSync(join(dir, 'certora', '.certora_internal'), { recursive: true });
+        writeFileSync(join(dir, 'certora', 'specs', 't.spec'), SPEC);
+        writeFileSync(join(dir, 'certora', 'specs', 'other.spec'), 'rule r() { assert true; }\n');
+        writeFileSync(join(dir, 'certora', '.certora_internal', 'x.spec'), 'rule ignored() { }\n');
+    });
+    afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('snapshots certora/ specs and skips hidden directories', () => {
+        assert.deepEqual([...snapshotSpecSources(dir).files.keys()].sort(), ['certora/specs/other.spec', 'certora/specs/t.spec']);
+    });
+
+    it('lints changed, added and deleted files and sorts by severity', () => {
+        const before = snapshotSpecSources(dir);
+        writeFileSync(join(dir, 'certora', 'specs', 't.spec'), SPEC.replace('env e;', 'env e;\n    require to != 0;'));
+        rmSync(join(dir, 'certora', 'specs', 'other.spec'));
+        writeFileSync(join(dir, 'certora', 'specs', 'new.spec'), 'rule n() { require false; assert true; }\n');
+        const report = lintSpecChanges(before, snapshotSpecSources(dir));
+        assert.deepEqual(report.changedFiles.sort(), ['certora/specs/new.spec', 'certora/specs/other.spec', 'certora/specs/t.spec']);
+        assert.deepEqual(report.counts, { high: 2, medium: 1, low: 0, info: 0 });
+        assert.deepEqual(report.findings.map(f => f.severity), ['high', 'high', 'medium']);
+    });
+
+    it('restores the snapshot content', () => {
+        const before = snapshotSpecSources(dir);
+        writeFileSync(join(dir, 'certora', 'specs', 't.spec'), 'rule gone() { }\n');
+        writeFileSync(join(dir, 'certora', 'specs', 'new.spec'), 'rule n() { }\n');
+        const { changedFiles } = lintSpecChanges(before, snapshotSpecSources(dir));
+        const { restored, failed } = restoreSpecSources(before, changedFiles);
+        assert.equal(restored.length, 2);
+        assert.deepEqual(failed, []);
+        assert.equal(readFileSync(join(dir, 'certora', 'specs', 't.spec'), 'utf-8'), SPEC);
+        assert.equal(existsSync(join(dir, 'certora', 'specs', 'new.spec')), false);
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for scripts/spec_context.mjs
+ * Each test builds its specs and confs in a temporary project directory.
+ * Run: node --test test/test_spec_context.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+    parseConfText, confSpecFiles, parseSpecDeclarations, ruleNameCandidates, confRuleName, buildSpecContext
+} from '../scripts/spec_context.mjs';
+
+const COMMON_SPEC = `// Shared accounting
+ghost mathint sumBalances {
+    init_state axiom sumBalances == 0;
+}
+
+hook Sstore balanceOf[KEY address a] uint256 newVal (uint256 oldVal) {
+    sumBalances = sumBalances + newVal - oldVal;
+}
+
+persistent ghost mapping(address => uint256) lastSeen;
+
+hook Sload uint256 v lastTouched[KEY address a] {
+    require lastSeen[a] == v;
+}
+`;
+
+const VAULT_SPEC = `import "common.spec";
+
+methods {
+    function totalSupply() external returns (uint256) envfree;
+}
+
+definition isAdmin(address a) returns bool = a == 0; // "rule fake() {}"
+
+invariant totalIsSum()
+    to_mathint(totalSupply()) == sumBalances
+    {
+        preserved with (env e) { require !isAdmin(e.msg.sender); }
+    }
+
+rule transferKeepsTotal(address to, uint256 amount) {
+    env e;
+    requireInvariant totalIsSum();
+    transfer(e, to, amount);
+    assert totalSupply() == 0, "total changed";
+}
+
+rule touched() {
+    assert lastSeen[0] == 0;
+}
+`;
+
+// ── parsing ───────────────────────────────────────────────────────────
+
+describe('parseConfText / confSpecFiles', () => {
+    it('accepts comments and trailing commas', () => {
+        const conf = parseConfText('{\n  // comment\n  "verify": "Vault:certora/specs/vault.spec", /* x */\n  "msg": "a // b",\n}');
+        assert.equal(conf.msg, 'a // b');
+        assert.deepEqual(confSpecFiles(conf), ['certora/specs/vault.spec']);
+    });
+
+    it('reads list-style verify entries and ignores non-spec values', () => {
+        assert.deepEqual(confSpecFiles({ verify: ['A:specs/a.spec', 'B'] }), ['specs/a.spec']);
+        assert.deepEqual(confSpecFiles({}), []);
+        assert.throws(() => parseConfText('{ "verify": }'));
+    });
+});
+
+describe('parseSpecDeclarations', () => {
+    it('splits top-level declarations with names and line numbers', () => {
+        const decls = parseSpecDeclarations(VAULT_SPEC).map(d => [d.kind, d.name, d.line]);
+        assert.deepEqual(decls, [
+            ['import', null, 1],
+            ['methods', 'methods', 3],
+            ['definition', 'isAdmin', 7],
+            ['invariant', 'totalIsSum', 9],
+            ['rule', 'transferKeepsTotal', 15],
+            ['rule', 'touched', 22]
+        ]);
+    });
+
+    it('names ghosts of every shape and ignores keywords in comments and strings', () => {
+        const decls = parseSpecDeclarations(COMMON_SPEC);
+        assert.deepEqual(decls.filter(d => d.kind === 'ghost').map(d => d.name), ['sumBalances', 'lastSeen']);
+        assert.equal(parseSpecDeclarations('ghost f(uint256) returns uint256;')[0].name, 'f');
+        assert.equal(parseSpecDeclarations('rule a() {\n  // rule b() {}\n}\n').length, 1);
+        assert.ok(parseSpecDeclarations(VAULT_SPEC).find(d => d.name === 'invariant' || d.name === 'fake') === undefined);
+    });
+
+    it('derives candidate rule names from the scraped name and TreeView Path', () => {
+        assert.deepEqual(ruleNameCandidates('transferKeepsTotal > transfer(address,uint256)', '**TreeView Path:** transferKeepsTotal-transfer'), [
+            'transferKeepsTotal', 'transferKeepsTotal-transfer'
+        ]);
+        assert.deepEqual(ruleNameCandidates('', ''), []);
+    });
+
+    it('picks the name for the conf rule option', () => {
+        assert.equal(confRuleName('transferKeepsTotal > transfer(address,uint256)', ''), 'transferKeepsTotal');
+        assert.equal(confRuleName('Item 3', '**TreeView Path:** totalIsSum'), 'totalIsSum');
+        assert.equal(confRuleName('Item 3', '**TreeView Path:** transferKeepsTotal-transfer'), 'transferKeepsTotal');
+        assert.equal(confRuleName('Item 3', ''), null);
+    });
+});
+
+// ── buildSpecContext ──────────────────────────────────────────────────
+
+describe('buildSpecContext', () => {
+    let project;
+    beforeEach(() => {
+        project = mkdtempSync(join(tmpdir(), 'spec-context-'));
+        mkdirSync(join(project, 'certora', 'specs'), { recursive: true });
+        mkdirSync(join(project, 'certora', 'conf'), { recursive: true });
+        writeFileSync(join(project, 'certora', 'specs', 'common.spec'), COMMON_SPEC);
+        writeFileSync(join(project, 'certora', 'specs', 'vault.spec'), VAULT_SPEC);
+        writeFileSync(join(project, 'certora', 'conf', 'vault.conf'), '{\n  "verify": "Vault:certora/specs/vault.spec",\n}\n');
+    });
+    afterEach(() => rmSync(project, { recursive: true, force: true }));
+
+    it('extracts the rule, methods block and what it reaches through imports', () => {
+        const spec = buildSpecContext({ projectPath: project, confPath: 'certora/conf/vault.conf', ruleName: 'transferKeepsTotal > transfer(address,uint256)' });
+        assert.deepEqual(spec.target, { kind: 'rule', name: 'transferKeepsTotal', file: join('certora', 'specs', 'vault.spec'), line: 15 });
+        assert.deepEqual(spec.included.map(d => d.name), [
+            'transferKeepsTotal', 'methods', 'totalIsSum', 'isAdmin', 'sumBalances',
+            'Sstore balanceOf[KEY address a] uint256 newVal (uint256 oldVal)'
+        ]);
+        assert.ok(spec.text.startsWith('SPEC_CONTEXT'));
+        assert.ok(spec.text.includes('### Conf (certora/conf/vault.conf)'));
+        assert.ok(!spec.text.includes('rule touched'));
+        assert.deepEqual(spec.notes, []);
+    });
+
+    it('finds the spec from jobMetadata.specFile by name and matches TreeView paths by prefix', () => {
+        const spec = buildSpecContext({ projectPath: project, specFile: '/remote/build/vault.spec', content: '**TreeView Path:** touched-sanity-check' });
+        assert.equal(spec.target.name, 'touched');
+        assert.deepEqual(spec.included.map(d => d.kind), ['rule', 'methods', 'ghost', 'hook']);
+        assert.equal(spec.confFile, null);
+    });
+
+    it('keeps to the size limit, rule first', () => {
+        const spec = buildSpecContext({ projectPath: project, specFile: 'certora/specs/vault.spec', ruleName: 'transferKeepsTotal', maxChars: 400 });
+        assert.equal(spec.included[0].name, 'transferKeepsTotal');
+        assert.ok(spec.included.length < 6);
+        assert.match(spec.text, /Omitted for length/);
+    });
+
+    it('returns empty text with notes when nothing is found', () => {
+        assert.equal(buildSpecContext({ ruleName: 'x' }).text, '');
+        const missing = buildSpecContext({ projectPath: project, specFile: 'none.spec', ruleName: 'x' });
+        assert.equal(missing.text, '');
+        assert.match(missing.notes[0], /No local spec found for none.spec/);
+        const unknownRule = buildSpecContext({ projectPath: project, specFile: 'certora/specs/vault.spec', ruleName: 'nope' });
+        assert.match(unknownRule.notes[0], /Rule nope not found/);
+    });
+
+    it('never reads specs outside the project', () => {
+        const spec = buildSpecContext({ projectPath: join(project, 'certora', 'conf'), specFile: '../specs/vault.spec', ruleName: 'touched' });
+        assert.deepEqual(spec.specFiles, []);
+    });
+
+    it('rejects confs outside the project', () => {
+        const outside = join(tmpdir(), 'spec-context-outside.conf');
+        writeFileSync(outside, '{ "verify": "Vault:certora/specs/vault.spec" }\n');
+        try {
+            assert.throws(() => buildSpecContext({ projectPath: project, confPath: outside, ruleName: 'touched' }), /Not a \.conf file inside the project/);
+            assert.throws(() => buildSpecContext({ projectPath: project, confPath: '../spec-context-outside.conf', ruleName: 'touched' }), /Not a \.conf file inside the project/);
+            assert.throws(() => buildSpecContext({ projectPath: project, confPath: '/etc/hostname', ruleName: 'touched' }), /Not a \.conf file inside the project/);
+        } finally {
+            rmSync(outside, { force: true });
+        }
+    });
+});